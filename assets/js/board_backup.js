@@ -0,0 +1,310 @@
+/**
+ * Board Backup - Importación de las copias JSON de exportBoardData()
+ * Funciones puras: validación contra el esquema, diff con el board actual,
+ * fusión y reemplazo
+ */
+
+import WorkItemHierarchy from './work_item_hierarchy.js';
+import WipLimits from './wip_limits.js';
+
+/**
+ * Esquema de un work item (subconjunto de JSON Schema: type, required,
+ * properties, additionalProperties, items, enum, minimum, minLength)
+ */
+const WORK_ITEM_SCHEMA = {
+    type: 'object',
+    required: ['id', 'title'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        type: { type: 'string', enum: Object.keys(WorkItemHierarchy.types) },
+        status: { type: 'string' },
+        storyPoints: { type: 'number', minimum: 0 },
+        estimatedHours: { type: 'number', minimum: 0 },
+        estimate: { type: ['string', 'number', 'null'] },
+        priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+        assignee: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        parentId: { type: ['string', 'null'] },
+        sprintId: { type: ['string', 'null'] },
+        transitions: { type: 'array', items: { type: 'object' } }
+    }
+};
+
+const SPRINT_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        goal: { type: 'string' },
+        startDate: { type: 'string' },
+        endDate: { type: 'string' },
+        status: { type: 'string', enum: ['active', 'closed'] },
+        committedSP: { type: 'number', minimum: 0 },
+        completedSP: { type: 'number', minimum: 0 },
+        completedTasks: { type: 'array', items: WORK_ITEM_SCHEMA }
+    }
+};
+
+// Límite de una columna: un número o { limit, unit, mode } (ver WipLimits.normalize)
+const WIP_LIMIT_SCHEMA = {
+    type: ['number', 'object'],
+    minimum: 0,
+    properties: {
+        limit: { type: 'number', minimum: 0 },
+        unit: { type: 'string', enum: Object.keys(WipLimits.units) },
+        mode: { type: 'string', enum: Object.keys(WipLimits.modes) }
+    }
+};
+
+const BOARD_SCHEMA = {
+    type: 'object',
+    required: ['tasks', 'productBacklog'],
+    properties: {
+        format: { type: 'string', enum: ['scrum-guide-board'] },
+        schemaVersion: { type: 'number' },
+        sprintName: { type: 'string' },
+        sprintDates: { type: 'string' },
+        exportDate: { type: 'string' },
+        sprint: { type: ['object', 'null'], properties: SPRINT_SCHEMA.properties, required: SPRINT_SCHEMA.required },
+        // Los permalinks del board llevan el sprint activo con este nombre
+        currentSprint: { type: ['object', 'null'], properties: SPRINT_SCHEMA.properties, required: SPRINT_SCHEMA.required },
+        sprintHistory: { type: 'array', items: SPRINT_SCHEMA },
+        wipLimits: { type: 'object', additionalProperties: WIP_LIMIT_SCHEMA },
+        columns: {
+            type: 'array',
+            items: { type: 'object', required: ['id'], properties: { id: { type: 'string', minLength: 1 }, title: { type: 'string' } } }
+        },
+        productBacklog: { type: 'array', items: WORK_ITEM_SCHEMA },
+        tasks: { type: 'array', items: WORK_ITEM_SCHEMA }
+    }
+};
+
+const BoardBackup = {
+
+    /**
+     * Identificador y versión que exportBoardData() escribe en la copia
+     */
+    format: 'scrum-guide-board',
+    version: 2,
+
+    schema: BOARD_SCHEMA,
+
+    /**
+     * Campos que se comparan en el diff
+     */
+    diffFields: {
+        title: 'título',
+        description: 'descripción',
+        type: 'tipo',
+        status: 'estado',
+        storyPoints: 'SP',
+        priority: 'prioridad',
+        assignee: 'asignado',
+        tags: 'etiquetas',
+        parentId: 'padre',
+        location: 'sprint/backlog'
+    },
+
+    /**
+     * ¿Es una copia del board? (las de versiones anteriores no llevan format)
+     */
+    isBackup(json) {
+        return Boolean(json) && typeof json === 'object' && !Array.isArray(json)
+            && (json.format === this.format || (Array.isArray(json.tasks) && 'productBacklog' in json));
+    },
+
+    /**
+     * Valida la copia contra el esquema, la coherencia de ids y las columnas
+     * @param {Object} json - Copia del board
+     * @param {Object[]} columns - Columnas de los estados (por defecto, las de la copia)
+     * @returns {string[]} Errores (vacío si es válida)
+     */
+    validate(json, columns = json && json.columns) {
+        const errors = [];
+        this.check(json, BOARD_SCHEMA, 'board', errors);
+        if (errors.length > 0) return errors;
+
+        if (json.schemaVersion > this.version) {
+            errors.push(`La copia es de una versión más nueva (${json.schemaVersion}) que la de esta página (${this.version})`);
+        }
+
+        const seen = new Set();
+        [...json.tasks, ...json.productBacklog].forEach(item => {
+            if (seen.has(item.id)) errors.push(`Id duplicado: ${item.id}`);
+            seen.add(item.id);
+        });
+
+        // Un estado que no es una columna dejaría el item fuera del board
+        if (Array.isArray(columns) && columns.length > 0) {
+            const columnIds = new Set(columns.map(column => column.id));
+            [...json.tasks, ...json.productBacklog]
+                .filter(item => item.status !== undefined && !columnIds.has(item.status))
+                .forEach(item => errors.push(`${item.id}: el estado "${item.status}" no es una columna del board`));
+        }
+
+        return errors;
+    },
+
+    /**
+     * Validador mínimo de JSON Schema
+     */
+    check(value, schema, path, errors) {
+        const types = [].concat(schema.type || []);
+        const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+        if (types.length > 0 && !types.includes(actual)) {
+            errors.push(`${path}: se esperaba ${types.join(' o ')}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: valor no permitido "${value}"`);
+        }
+        if (schema.minimum !== undefined && actual === 'number' && (!Number.isFinite(value) || value < schema.minimum)) {
+            errors.push(`${path}: debe ser un número ≥ ${schema.minimum}`);
+        }
+        if (schema.minLength && actual === 'string' && value.length < schema.minLength) {
+            errors.push(`${path}: no puede estar vacío`);
+        }
+
+        if (actual === 'object') {
+            (schema.required || [])
+                .filter(key => value[key] === undefined)
+                .forEach(key => errors.push(`${path}.${key}: obligatorio`));
+            Object.entries(schema.properties || {})
+                .filter(([key]) => value[key] !== undefined)
+                .forEach(([key, propertySchema]) => this.check(value[key], propertySchema, `${path}.${key}`, errors));
+            if (schema.additionalProperties) {
+                Object.keys(value)
+                    .filter(key => !(schema.properties && key in schema.properties))
+                    .forEach(key => this.check(value[key], schema.additionalProperties, `${path}.${key}`, errors));
+            }
+        }
+        if (actual === 'array' && schema.items) {
+            value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, errors));
+        }
+    },
+
+    /**
+     * Diferencias entre el board actual y la copia
+     * @param {Object} current - { tasks, productBacklog }
+     * @param {Object} incoming - Copia validada
+     * @returns {Object} { added, changed: [{ item, fields }], removed, unchanged }
+     */
+    diff(current, incoming) {
+        const currentItems = this.indexItems(current);
+        const incomingItems = this.indexItems(incoming);
+        const result = { added: [], changed: [], removed: [], unchanged: 0 };
+
+        incomingItems.forEach((entry, id) => {
+            const existing = currentItems.get(id);
+            if (!existing) {
+                result.added.push(entry.item);
+                return;
+            }
+
+            const fields = Object.keys(this.diffFields).filter(field =>
+                JSON.stringify(this.getField(existing, field) ?? null) !== JSON.stringify(this.getField(entry, field) ?? null));
+            if (fields.length > 0) {
+                result.changed.push({ item: entry.item, current: existing.item, fields });
+            } else {
+                result.unchanged++;
+            }
+        });
+
+        currentItems.forEach((entry, id) => {
+            if (!incomingItems.has(id)) result.removed.push(entry.item);
+        });
+
+        return result;
+    },
+
+    /**
+     * Fusiona la copia con el board: añade lo nuevo y, en los items que están en
+     * los dos, gana la versión modificada más recientemente. No borra nada ni
+     * cambia el sprint activo ni los límites WIP; los items nuevos de otro sprint
+     * van al Product Backlog
+     * @param {Object} current - { tasks, productBacklog, sprintHistory, currentSprint, wipLimits }
+     * @param {Object} incoming - Copia validada
+     * @param {string} backlogStatus - Columna de los items que entran en el Product Backlog
+     * @returns {Object} { tasks, productBacklog, sprintHistory, currentSprint, wipLimits }
+     */
+    merge(current, incoming, backlogStatus = 'backlog') {
+        const currentSprint = current.currentSprint || incoming.sprint || null;
+        const sameSprint = Boolean(currentSprint && incoming.sprint && incoming.sprint.id === currentSprint.id);
+
+        // Cada item se queda donde está en el board; el estado de la copia solo
+        // se aplica si la copia lo tenía en el mismo sitio
+        const incomingById = this.indexItems(incoming);
+        const tasks = current.tasks.map(item => {
+            const other = incomingById.get(item.id);
+            if (!other || !this.isNewer(other.item, item)) return item;
+            const status = sameSprint && other.location === 'tasks' ? other.item.status : item.status;
+            return { ...other.item, status, sprintId: item.sprintId };
+        });
+        const productBacklog = current.productBacklog.map(item => {
+            const other = incomingById.get(item.id);
+            if (!other || !this.isNewer(other.item, item)) return item;
+            const status = other.location === 'productBacklog' ? other.item.status : item.status;
+            return { ...other.item, status, sprintId: null };
+        });
+
+        const knownIds = new Set([...tasks, ...productBacklog].map(item => item.id));
+        incomingById.forEach(({ item, location }) => {
+            if (knownIds.has(item.id)) return;
+            if (location === 'tasks' && (sameSprint || !current.currentSprint)) {
+                tasks.push({ ...item, sprintId: currentSprint ? currentSprint.id : null });
+            } else {
+                productBacklog.push({ ...item, status: location === 'tasks' ? backlogStatus : item.status, sprintId: null });
+            }
+        });
+
+        const sprintIds = new Set((current.sprintHistory || []).map(sprint => sprint.id));
+        const sprintHistory = [
+            ...(current.sprintHistory || []),
+            ...(incoming.sprintHistory || []).filter(sprint => !sprintIds.has(sprint.id))
+        ];
+
+        return { tasks, productBacklog, sprintHistory, currentSprint, wipLimits: current.wipLimits || {} };
+    },
+
+    /**
+     * ¿La versión de la copia se modificó después que la del board?
+     */
+    isNewer(incomingItem, currentItem) {
+        return new Date(incomingItem.updatedAt || 0) > new Date(currentItem.updatedAt || 0);
+    },
+
+    /**
+     * Reemplaza el board por la copia. Las copias sin wipLimits (anteriores a los
+     * límites WIP) dejan el board sin límites
+     */
+    replace(incoming) {
+        return {
+            tasks: incoming.tasks,
+            productBacklog: incoming.productBacklog,
+            sprintHistory: incoming.sprintHistory || [],
+            currentSprint: incoming.sprint || null,
+            wipLimits: WipLimits.normalize(incoming.wipLimits)
+        };
+    },
+
+    /**
+     * Items por id con su ubicación ('tasks' = sprint activo, 'productBacklog')
+     */
+    indexItems(board) {
+        const items = new Map();
+        (board.productBacklog || []).forEach(item => items.set(item.id, { item, location: 'productBacklog' }));
+        (board.tasks || []).forEach(item => items.set(item.id, { item, location: 'tasks' }));
+        return items;
+    },
+
+    getField(entry, field) {
+        return field === 'location' ? entry.location : entry.item[field];
+    }
+};
+
+// Export para uso como módulo
+export default BoardBackup;
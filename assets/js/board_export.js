@@ -0,0 +1,270 @@
+/**
+ * Board Export - Exportación del sprint a CSV, Markdown, Jira y Azure DevOps
+ * Funciones puras: reciben los datos ya filtrados (ver SprintBoard.getExportData)
+ * y devuelven el texto del fichero
+ */
+
+import WorkItemHierarchy from './work_item_hierarchy.js';
+
+const BoardExport = {
+
+    /**
+     * Formatos disponibles: extensión y tipo MIME del fichero
+     */
+    formats: {
+        csv: { label: 'CSV (hoja de cálculo)', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+        markdown: { label: 'Resumen Markdown', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+        jira: { label: 'CSV para Jira', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+        azure: { label: 'CSV para Azure DevOps', extension: 'csv', mimeType: 'text/csv;charset=utf-8' }
+    },
+
+    /**
+     * Genera el fichero en el formato pedido
+     * @param {string} format - 'csv' | 'markdown' | 'jira' | 'azure'
+     * @param {Object} data - { sprint, columns, firstColumnId, doneColumnId, items, allItems, metrics, filters }
+     * @returns {string}
+     */
+    render(format, data) {
+        const renderers = {
+            csv: () => this.toCSV(data),
+            markdown: () => this.toMarkdown(data),
+            jira: () => this.toJiraCSV(data),
+            azure: () => this.toAzureCSV(data)
+        };
+        if (!renderers[format]) {
+            throw new Error(`Formato de exportación desconocido: ${format}`);
+        }
+        return renderers[format]();
+    },
+
+    /**
+     * CSV para hojas de cálculo: una fila por item y, debajo, las métricas
+     */
+    toCSV(data) {
+        const rows = [[
+            'ID', 'Título', 'Tipo', 'Estado', 'Story Points', 'Horas estimadas', 'Prioridad',
+            'Asignado', 'Etiquetas', 'Padre', 'Sprint', 'Creado', 'Actualizado'
+        ]];
+
+        data.items.forEach(item => {
+            const parent = this.findParent(item, data.allItems);
+            rows.push([
+                item.externalId || item.id,
+                item.title,
+                WorkItemHierarchy.getLabel(item.type),
+                this.getColumnTitle(item.status, data.columns),
+                item.storyPoints || 0,
+                item.estimatedHours || '',
+                this.priorityLabels[item.priority] || item.priority || '',
+                item.assignee || '',
+                (item.tags || []).join(', '),
+                parent ? parent.title : '',
+                data.sprint.name,
+                this.formatDate(item.createdAt),
+                this.formatDate(item.updatedAt)
+            ]);
+        });
+
+        // Las métricas van en un bloque aparte, separado por una fila vacía
+        rows.push([]);
+        rows.push(['Métrica', 'Valor']);
+        this.getMetricRows(data).forEach(([label, value]) => rows.push([label, value]));
+
+        // BOM: Excel abre el fichero como UTF-8 (tildes y emojis)
+        return '\uFEFF' + this.serializeCSV(rows, { guardFormulas: true });
+    },
+
+    /**
+     * Resumen del sprint para wikis, Discord o Slack (listas, sin tablas)
+     */
+    toMarkdown(data) {
+        const lines = [`# ${data.sprint.name}`, ''];
+        if (data.sprint.dates) lines.push(`📅 ${data.sprint.dates}`);
+        if (data.sprint.goal) lines.push(`🎯 **Sprint Goal:** ${data.sprint.goal}`);
+        if (data.filters.length > 0) lines.push(`🔎 **Filtros:** ${data.filters.join(' · ')}`);
+        lines.push('', '## Métricas', '');
+        this.getMetricRows(data).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+
+        data.columns.forEach(column => {
+            const items = data.items.filter(item => item.status === column.id);
+            if (items.length === 0) return;
+
+            const done = column.id === data.doneColumnId;
+            lines.push('', `## ${column.title} (${items.length})`, '');
+            items.forEach(item => {
+                const details = [
+                    item.storyPoints ? `${item.storyPoints} SP` : null,
+                    item.assignee ? `@${item.assignee}` : null,
+                    ...(item.tags || []).map(tag => `\`${tag}\``)
+                ].filter(Boolean);
+                lines.push(`- [${done ? 'x' : ' '}] ${this.escapeMarkdown(item.title)}${details.length > 0 ? ` — ${details.join(' · ')}` : ''}`);
+            });
+        });
+
+        lines.push('', `_Exportado el ${this.formatDate(data.exportedAt)}_`, '');
+        return lines.join('\n');
+    },
+
+    /**
+     * CSV para el importador de Jira. Issue Id / Parent Id enlazan las Sub-tasks
+     * con su historia; los tipos son los inversos de WorkItemImport (Feature → Epic)
+     */
+    toJiraCSV(data) {
+        const issueIds = new Map(data.items.map((item, index) => [item.id, String(index + 1)]));
+        const maxLabels = Math.max(1, ...data.items.map(item => (item.tags || []).length));
+        const rows = [[
+            'Issue Id', 'Parent Id', 'Summary', 'Issue Type', 'Status', 'Priority', 'Assignee',
+            'Story Points', 'Sprint', 'Description', ...Array(maxLabels).fill('Labels')
+        ]];
+
+        data.items.forEach(item => {
+            // Una Sub-task sin su historia en el fichero no se puede importar: va como Task
+            const parentId = issueIds.get(item.parentId) || '';
+            let type = this.jiraTypes[item.type] || 'Story';
+            if (type === 'Sub-task' && !parentId) type = 'Task';
+
+            const tags = (item.tags || []).map(tag => tag.replace(/\s+/g, '_'));
+            rows.push([
+                issueIds.get(item.id),
+                type === 'Sub-task' ? parentId : '',
+                item.title,
+                type,
+                this.getJiraStatus(item, data),
+                this.jiraPriorities[item.priority] || 'Medium',
+                item.assignee || '',
+                WorkItemHierarchy.isBacklogItem(item) ? item.storyPoints || '' : '',
+                data.sprint.name,
+                item.description || '',
+                ...Array.from({ length: maxLabels }, (_, index) => tags[index] || '')
+            ]);
+        });
+
+        return this.serializeCSV(rows);
+    },
+
+    /**
+     * CSV para importar en Azure DevOps (proceso Scrum). La jerarquía se
+     * expresa con columnas Title 1, Title 2...: cada hijo va debajo de su padre
+     */
+    toAzureCSV(data) {
+        const exportedIds = new Set(data.items.map(item => item.id));
+        const ordered = [];
+        const visit = (item, depth) => {
+            ordered.push({ item, depth });
+            data.items
+                .filter(child => child.parentId === item.id)
+                .forEach(child => visit(child, depth + 1));
+        };
+        data.items
+            .filter(item => !item.parentId || !exportedIds.has(item.parentId))
+            .forEach(item => visit(item, 0));
+
+        const levels = Math.max(1, ...ordered.map(({ depth }) => depth + 1));
+        const titleColumns = Array.from({ length: levels }, (_, index) => `Title ${index + 1}`);
+        const rows = [['ID', 'Work Item Type', ...titleColumns, 'State', 'Assigned To', 'Effort', 'Priority', 'Tags', 'Description']];
+
+        ordered.forEach(({ item, depth }) => {
+            const type = this.azureTypes[item.type] || 'Product Backlog Item';
+            rows.push([
+                '',
+                type,
+                ...titleColumns.map((_, index) => index === depth ? item.title : ''),
+                this.getAzureState(item, type, data),
+                item.assignee || '',
+                WorkItemHierarchy.isBacklogItem(item) ? item.storyPoints || '' : '',
+                this.azurePriorities[item.priority] || 2,
+                (item.tags || []).join('; '),
+                item.description || ''
+            ]);
+        });
+
+        return this.serializeCSV(rows);
+    },
+
+    jiraTypes: { epic: 'Initiative', feature: 'Epic', story: 'Story', bug: 'Bug', spike: 'Task', task: 'Sub-task' },
+    jiraStatuses: { backlog: 'To Do', progress: 'In Progress', review: 'In Review', done: 'Done' },
+    jiraPriorities: { high: 'High', medium: 'Medium', low: 'Low' },
+
+    azureTypes: { epic: 'Epic', feature: 'Feature', story: 'Product Backlog Item', bug: 'Bug', spike: 'Product Backlog Item', task: 'Task' },
+    azurePriorities: { high: 1, medium: 2, low: 3 },
+
+    priorityLabels: { high: 'Alta', medium: 'Media', low: 'Baja' },
+
+    /**
+     * Estado de Jira: la primera columna y la de Done por su papel (el board puede
+     * tener columnas propias); el resto, por id o por el título de la columna
+     */
+    getJiraStatus(item, data) {
+        if (item.status === data.firstColumnId) return 'To Do';
+        if (item.status === data.doneColumnId) return 'Done';
+        return this.jiraStatuses[item.status] || this.getColumnTitle(item.status, data.columns);
+    },
+
+    /**
+     * Estado válido en el proceso Scrum de Azure DevOps para cada tipo de un item del sprint
+     */
+    getAzureState(item, type, data) {
+        if (item.status === data.doneColumnId) return 'Done';
+        const notStarted = item.status === data.firstColumnId;
+        if (type === 'Task') return notStarted ? 'To Do' : 'In Progress';
+        if (type === 'Epic' || type === 'Feature') return notStarted ? 'New' : 'In Progress';
+        // Los PBIs del sprint están comprometidos aunque no se hayan empezado
+        return 'Committed';
+    },
+
+    /**
+     * Métricas del board (updateMetrics) y, si hay filtros, las de lo exportado
+     */
+    getMetricRows(data) {
+        const { metrics } = data;
+        const rows = [
+            ['Total SP', metrics.totalSP],
+            ['SP completados', metrics.completedSP],
+            ['Progreso', `${metrics.progressPercentage}%`],
+            ['Días restantes', metrics.daysRemaining]
+        ];
+        if (metrics.velocityAverage !== undefined) {
+            rows.push(['Velocity media', metrics.velocityAverage]);
+        }
+        if (data.filters.length > 0) {
+            rows.push(['Items exportados (filtrados)', data.items.length]);
+            rows.push(['SP exportados', `${metrics.filteredCompletedSP} / ${metrics.filteredSP} completados`]);
+        }
+        return rows;
+    },
+
+    findParent(item, items) {
+        return item.parentId ? items.find(candidate => candidate.id === item.parentId) || null : null;
+    },
+
+    getColumnTitle(columnId, columns) {
+        const column = columns.find(candidate => candidate.id === columnId);
+        // Los títulos llevan emoji ('🚧 En Progreso'): en un CSV sobra
+        return column ? column.title.replace(/^[^\p{L}\p{N}]+/u, '') : columnId;
+    },
+
+    /**
+     * Filas → texto CSV (RFC 4180). guardFormulas evita que una hoja de
+     * cálculo ejecute celdas que empiezan por = + - @
+     */
+    serializeCSV(rows, { guardFormulas = false } = {}) {
+        return rows.map(row => row.map(value => {
+            let cell = value === null || value === undefined ? '' : String(value);
+            if (guardFormulas && typeof value === 'string' && /^[=+\-@]/.test(cell)) {
+                cell = `'${cell}`;
+            }
+            return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+        }).join(',')).join('\r\n') + '\r\n';
+    },
+
+    escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_[\]#|<>])/g, '\\$1');
+    },
+
+    formatDate(value) {
+        return value ? new Date(value).toISOString().slice(0, 10) : '';
+    }
+};
+
+// Export para uso como módulo
+export default BoardExport;
@@ -0,0 +1,177 @@
+/**
+ * Board Swimlanes - Carriles horizontales del Sprint Board
+ * Funciones puras: agrupan las tareas del sprint por miembro, PBI, prioridad,
+ * tipo o etiqueta y traducen "soltar en otro carril" a cambios en la tarea
+ */
+
+import WorkItemHierarchy from './work_item_hierarchy.js';
+
+const BoardSwimlanes = {
+
+    /**
+     * Criterios de agrupación y el nombre del carril de los items sin valor
+     */
+    modes: {
+        assignee: { label: 'Miembro', emptyLabel: 'Sin asignar' },
+        parent: { label: 'PBI', emptyLabel: 'Sin PBI' },
+        priority: { label: 'Prioridad', emptyLabel: 'Sin prioridad' },
+        type: { label: 'Tipo', emptyLabel: 'Sin tipo' },
+        tag: { label: 'Etiqueta', emptyLabel: 'Sin etiqueta' }
+    },
+
+    priorities: {
+        high: { label: 'Alta', icon: '🔴' },
+        medium: { label: 'Media', icon: '🟡' },
+        low: { label: 'Baja', icon: '🟢' }
+    },
+
+    /**
+     * Carril de un item. Por etiqueta cuenta la primera; por PBI, las Tasks van
+     * con su padre y un PBI con Tasks en el sprint encabeza su propio carril
+     * @param {Object} item - Tarea del sprint
+     * @param {string} mode - Criterio (ver modes)
+     * @param {Object[]} tasks - Tareas del sprint
+     * @returns {string} Clave del carril ('' = sin valor)
+     */
+    getLaneKey(item, mode, tasks = []) {
+        switch (mode) {
+            case 'assignee': return item.assignee || '';
+            case 'priority': return item.priority || '';
+            case 'type': return item.type || '';
+            case 'tag': return (item.tags || [])[0] || '';
+            case 'parent':
+                if (WorkItemHierarchy.getLevel(item.type) > WorkItemHierarchy.pbiLevel) return item.parentId || '';
+                return tasks.some(task => task.parentId === item.id) ? item.id : '';
+            default: return '';
+        }
+    },
+
+    /**
+     * Carriles del board. Las claves salen de todas las tareas del sprint (así
+     * un filtro no hace desaparecer los destinos del drag & drop); los items,
+     * de las visibles. El carril sin valor va siempre el último
+     * @param {Object[]} tasks - Tareas del sprint
+     * @param {Object[]} visibleTasks - Tareas que pasan los filtros
+     * @param {string} mode - Criterio (ver modes)
+     * @param {Object[]} allItems - Todos los work items (títulos de los PBIs padre)
+     * @returns {Object[]} [{ key, label, icon, items, storyPoints }]
+     */
+    getLanes(tasks, visibleTasks, mode, allItems = tasks) {
+        const keys = new Set(tasks.map(task => this.getLaneKey(task, mode, tasks)));
+        if (mode === 'priority') Object.keys(this.priorities).forEach(key => keys.add(key));
+
+        const order = this.getOrder(mode, tasks);
+        return [...keys]
+            .sort((a, b) => {
+                if (!a || !b) return a ? -1 : b ? 1 : 0;
+                return order(a, b);
+            })
+            .map(key => {
+                const items = visibleTasks.filter(task => this.getLaneKey(task, mode, tasks) === key);
+                return {
+                    key,
+                    ...this.describeLane(key, mode, allItems),
+                    items,
+                    storyPoints: items.reduce((sum, item) => sum + (item.storyPoints || 0), 0)
+                };
+            });
+    },
+
+    /**
+     * Orden de los carriles: prioridad y tipo por su rango, los PBIs en el orden
+     * del sprint y el resto alfabético
+     */
+    getOrder(mode, tasks) {
+        if (mode === 'priority') {
+            const rank = Object.keys(this.priorities);
+            return (a, b) => rank.indexOf(a) - rank.indexOf(b);
+        }
+        if (mode === 'type') {
+            const rank = Object.keys(WorkItemHierarchy.types);
+            return (a, b) => rank.indexOf(a) - rank.indexOf(b);
+        }
+        if (mode === 'parent') {
+            const position = (id) => {
+                const index = tasks.findIndex(task => task.id === id);
+                return index === -1 ? tasks.length : index;
+            };
+            return (a, b) => position(a) - position(b);
+        }
+        return (a, b) => a.localeCompare(b);
+    },
+
+    describeLane(key, mode, allItems) {
+        if (!key) return { label: this.modes[mode].emptyLabel, icon: '' };
+
+        switch (mode) {
+            case 'priority':
+                return this.priorities[key] || { label: key, icon: '' };
+            case 'type':
+                return { label: WorkItemHierarchy.getLabel(key), icon: WorkItemHierarchy.getIcon(key) };
+            case 'parent': {
+                const parent = allItems.find(item => item.id === key);
+                return parent
+                    ? { label: parent.title, icon: WorkItemHierarchy.getIcon(parent.type) }
+                    : { label: 'PBI eliminado', icon: '❔' };
+            }
+            case 'assignee':
+                return { label: key, icon: '👤' };
+            default:
+                return { label: key, icon: '🏷️' };
+        }
+    },
+
+    /**
+     * Cambios que lleva una tarea soltada en otro carril
+     * @param {Object} item - Tarea arrastrada
+     * @param {string} mode - Criterio (ver modes)
+     * @param {string} targetKey - Carril destino
+     * @param {Object[]} tasks - Tareas del sprint
+     * @param {Object[]} allItems - Todos los work items (validación de la jerarquía)
+     * @returns {Object} { changes } o { error } si el cambio no es válido
+     */
+    applyLane(item, mode, targetKey, tasks, allItems = tasks) {
+        switch (mode) {
+            case 'assignee':
+                return { changes: { assignee: targetKey } };
+
+            case 'priority':
+                if (!this.priorities[targetKey]) return { error: 'Elige una prioridad' };
+                return { changes: { priority: targetKey } };
+
+            case 'type':
+                // Un PBI no se convierte en Task: cambiaría cómo se estima
+                if (WorkItemHierarchy.getLevel(targetKey) !== WorkItemHierarchy.getLevel(item.type)) {
+                    return { error: `Un ${WorkItemHierarchy.getLabel(item.type)} no puede convertirse en ${WorkItemHierarchy.getLabel(targetKey)}` };
+                }
+                return { changes: { type: targetKey } };
+
+            case 'tag': {
+                // "Sin etiqueta" solo admite items sin ninguna: si quedara otra, la
+                // tarea acabaría en el carril de esa etiqueta
+                if (!targetKey) return { changes: { tags: [] } };
+
+                // Se sustituye la etiqueta que decidía el carril
+                const currentTag = this.getLaneKey(item, mode);
+                const rest = (item.tags || []).filter(tag => tag !== currentTag && tag !== targetKey);
+                return { changes: { tags: [targetKey, ...rest] } };
+            }
+
+            case 'parent': {
+                if (WorkItemHierarchy.getLevel(item.type) <= WorkItemHierarchy.pbiLevel) {
+                    return { error: 'Solo las Tasks cambian de PBI: cada PBI encabeza su carril' };
+                }
+                if (!targetKey) return { changes: { parentId: null } };
+
+                const errors = WorkItemHierarchy.validate({ ...item, parentId: targetKey }, allItems);
+                return errors.length > 0 ? { error: errors[0] } : { changes: { parentId: targetKey } };
+            }
+
+            default:
+                return { error: `Criterio de carriles desconocido: ${mode}` };
+        }
+    }
+};
+
+// Export para uso como módulo
+export default BoardSwimlanes;
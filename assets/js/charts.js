@@ -6,10 +6,15 @@
 class ChartManager {
     constructor() {
         this.charts = {};
+        this.boardSource = null;
+        this.sensitivityData = null;
+        this.chartObserver = null;
         this.init();
     }
 
     init() {
+        this.setupBoardSync();
+
         // Wait for DOM to be ready and check if elements exist
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => {
@@ -23,9 +28,93 @@ class ChartManager {
     setupCharts() {
         this.setupBurndownChart();
         this.setupVelocityChart();
+        this.setupForecastChart();
+        this.setupCumulativeFlowChart();
+        this.setupCycleTimeChart();
+        this.setupSensitivityChart();
         this.setupObservers();
     }
 
+    /**
+     * Listen to SprintBoard changes and sections loaded later on
+     */
+    setupBoardSync() {
+        document.addEventListener('sprintboard:change', (event) => {
+            this.boardSource = event.detail.board;
+            this.refreshBoardCharts();
+        });
+
+        // What-if analysis published by the WSJF calculator
+        document.addEventListener('wsjfcalculator:sensitivity', (event) => {
+            this.sensitivityData = event.detail.data;
+            const chart = this.charts.sensitivity;
+            if (chart && document.body.contains(chart.canvas)) {
+                this.refreshSensitivity();
+            } else {
+                this.setupSensitivityChart();
+            }
+        });
+
+        // Canvases inside dynamically loaded sections
+        document.addEventListener('sectionLoaded', () => {
+            this.setupCharts();
+        });
+    }
+
+    /**
+     * Redraw charts fed by the connected SprintBoard
+     */
+    refreshBoardCharts() {
+        if (!this.boardSource) return;
+
+        const velocityData = this.getBoardVelocityData();
+        if (velocityData) {
+            if (this.charts.velocity && document.body.contains(this.charts.velocity.canvas)) {
+                this.charts.velocity.data = velocityData;
+                this.drawVelocityChart(
+                    this.charts.velocity.ctx,
+                    this.charts.velocity.canvas.width,
+                    this.charts.velocity.canvas.height,
+                    velocityData
+                );
+                this.updateVelocityForecast(velocityData);
+            } else {
+                this.setupVelocityChart();
+            }
+        }
+
+        if (this.charts.forecast && document.body.contains(this.charts.forecast.canvas)) {
+            this.runForecast({ onlyIfChanged: true });
+        }
+
+        if (this.charts.cfd && document.body.contains(this.charts.cfd.canvas)) {
+            this.refreshCumulativeFlow();
+        } else {
+            this.setupCumulativeFlowChart();
+        }
+
+        if (this.charts.cycleTime && document.body.contains(this.charts.cycleTime.canvas)) {
+            this.refreshCycleTime();
+        } else {
+            this.setupCycleTimeChart();
+        }
+
+        const burndownData = this.boardSource.getBurndownData();
+        if (!burndownData) return;
+
+        if (this.charts.burndown && document.body.contains(this.charts.burndown.canvas)) {
+            this.charts.burndown.data = burndownData;
+            this.drawBurndownChart(
+                this.charts.burndown.ctx,
+                this.charts.burndown.canvas.width,
+                this.charts.burndown.canvas.height,
+                burndownData
+            );
+        } else {
+            this.setupBurndownChart();
+        }
+    }
+
     /**
      * Setup burndown chart
      */
@@ -40,12 +129,13 @@ class ChartManager {
         const width = canvas.width;
         const height = canvas.height;
 
-        // Sample data for burndown
-        const sprintData = {
+        // Live data from the SprintBoard, sample data when no board is present
+        const sprintData = (this.boardSource && this.boardSource.getBurndownData()) || {
             totalSP: 42,
-            days: ['Day 1', 'Day 2', 'Day 3', 'Day 4', 'Day 5', 'Day 6', 'Day 7'],
+            days: ['Inicio', 'Day 1', 'Day 2', 'Day 3', 'Day 4', 'Day 5', 'Day 6', 'Day 7'],
             ideal: [42, 36, 30, 24, 18, 12, 6, 0],
-            actual: [42, 38, 32, 28, 22, 18, 14, 8]
+            actual: [42, 38, 32, 28, 22, 18, 14, 8],
+            scopeChanges: []
         };
 
         this.drawBurndownChart(ctx, width, height, sprintData);
@@ -65,8 +155,8 @@ class ChartManager {
         const width = canvas.width;
         const height = canvas.height;
 
-        // Sample velocity data
-        const velocityData = {
+        // Closed sprints from the SprintBoard, sample data when there is no history yet
+        const velocityData = this.getBoardVelocityData() || {
             sprints: ['Sprint 1', 'Sprint 2', 'Sprint 3', 'Sprint 4', 'Sprint 5'],
             values: [38, 42, 45, 39, 44],
             average: 41.6
@@ -74,6 +164,681 @@ class ChartManager {
 
         this.drawVelocityChart(ctx, width, height, velocityData);
         this.charts.velocity = { canvas, ctx, data: velocityData };
+        this.updateVelocityForecast(velocityData);
+    }
+
+    /**
+     * Velocity data from the connected board, null without closed sprints
+     */
+    getBoardVelocityData() {
+        if (!this.boardSource || typeof this.boardSource.getVelocityData !== 'function') return null;
+
+        const data = this.boardSource.getVelocityData();
+        return data.sampleSize > 0 ? data : null;
+    }
+
+    /**
+     * Render velocity statistics and forecast next to the chart
+     */
+    updateVelocityForecast(data) {
+        const element = document.getElementById('velocityForecast');
+        if (!element || !data.forecast) return;
+
+        const { forecast } = data;
+        const stability = data.isStable ? '✅ estable' : '⚠️ variable';
+
+        element.innerHTML = `
+            Media últimos ${data.window} sprints: <strong>${data.average} SP</strong>
+            (σ ${data.stdDev}, rango ${data.min}–${data.max}, ${stability})<br>
+            ${forecast.remainingSP} SP pendientes:
+            <strong>${forecast.expected}</strong> sprints esperados
+            (${forecast.optimistic}–${forecast.pessimistic ?? '∞'})
+        `;
+    }
+
+    /**
+     * Setup Monte Carlo forecast chart and its controls
+     */
+    setupForecastChart() {
+        const canvas = document.getElementById('forecastChart');
+        if (!canvas) return;
+
+        this.resizeCanvas(canvas);
+        this.charts.forecast = { canvas, ctx: canvas.getContext('2d'), data: null };
+
+        const runButton = document.getElementById('forecastRunBtn');
+        if (runButton && !runButton.dataset.bound) {
+            runButton.dataset.bound = 'true';
+            runButton.addEventListener('click', () => this.runForecast());
+        }
+
+        const exportButton = document.getElementById('forecastExportBtn');
+        if (exportButton && !exportButton.dataset.bound) {
+            exportButton.dataset.bound = 'true';
+            exportButton.addEventListener('click', () => this.exportForecast());
+        }
+
+        this.runForecast();
+    }
+
+    /**
+     * Run the simulation through the connected board and redraw
+     * @param {Object} options - onlyIfChanged: skip the 10,000 runs when the
+     *   board change did not touch the forecast inputs (history, remaining work, dates)
+     */
+    runForecast({ onlyIfChanged = false } = {}) {
+        const chart = this.charts.forecast;
+        if (!chart) return;
+
+        const input = document.getElementById('forecastRemaining');
+        const unitSelect = document.getElementById('forecastUnit');
+        const unit = unitSelect ? unitSelect.value : 'points';
+        // Empty input: the remaining work of the connected board
+        const rawRemaining = input ? input.value.trim() : '';
+        const remaining = rawRemaining !== '' ? Number(rawRemaining) : null;
+
+        const board = this.boardSource && typeof this.boardSource.getDeliveryForecast === 'function'
+            ? this.boardSource
+            : null;
+        const boardInputs = board && typeof board.getForecastInputs === 'function'
+            ? board.getForecastInputs({ unit })
+            : null;
+
+        if (input && boardInputs) {
+            input.placeholder = `${boardInputs.remaining} ${unit === 'items' ? 'items' : 'SP'} del board`;
+        }
+
+        const inputsKey = boardInputs ? JSON.stringify({ ...boardInputs, remaining: remaining ?? boardInputs.remaining }) : null;
+        if (onlyIfChanged && inputsKey !== null && inputsKey === chart.inputsKey) return;
+        chart.inputsKey = inputsKey;
+
+        let data = null;
+        let message = 'Conecta un Sprint Board y cierra al menos un sprint para simular';
+
+        if (remaining !== null && (!Number.isFinite(remaining) || remaining <= 0)) {
+            message = 'El trabajo pendiente debe ser un número mayor que 0 (vacío: lo pendiente en el board)';
+        } else if (board) {
+            try {
+                data = board.getDeliveryForecast({ remaining, unit });
+            } catch (error) {
+                message = error.message;
+            }
+        }
+
+        chart.data = data;
+        if (data) {
+            this.drawForecastChart(chart.ctx, chart.canvas.width, chart.canvas.height, data);
+        } else {
+            this.drawEmptyChart(chart.ctx, chart.canvas.width, chart.canvas.height, 'Pronóstico de Entrega', message);
+        }
+        this.updateForecastSummary(data);
+    }
+
+    /**
+     * Render percentile dates next to the forecast chart
+     */
+    updateForecastSummary(data) {
+        const element = document.getElementById('forecastSummary');
+        if (!element) return;
+
+        if (!data) {
+            element.innerHTML = '';
+            return;
+        }
+
+        const unitLabel = data.unit === 'items' ? 'items' : 'SP';
+        const formatDate = (iso) => new Date(`${iso}T00:00:00`).toLocaleDateString('es-ES', {
+            day: 'numeric', month: 'short', year: 'numeric'
+        });
+
+        element.innerHTML = `
+            ${data.remaining} ${unitLabel} · ${data.iterations.toLocaleString('es-ES')} simulaciones
+            sobre ${data.sampleSize} sprints cerrados<br>
+            ${data.percentiles.map(p => `<strong>${p.level}%</strong>: ${p.sprints} sprints (${formatDate(p.date)})`).join(' · ')}
+            ${data.truncated ? '<br>⚠️ Algunas simulaciones no terminaron: el historial es muy bajo para este alcance' : ''}
+        `;
+    }
+
+    /**
+     * Download forecast chart (PNG) and histogram (CSV)
+     */
+    exportForecast() {
+        const chart = this.charts.forecast;
+        if (!chart || !chart.data) return;
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        const download = (href, filename) => {
+            const a = document.createElement('a');
+            a.href = href;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+        };
+
+        download(this.exportChart('forecast'), `forecast-${stamp}.png`);
+
+        const url = URL.createObjectURL(new Blob([chart.data.csv], { type: 'text/csv' }));
+        download(url, `forecast-${stamp}.csv`);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Draw Monte Carlo histogram with confidence markers
+     */
+    drawForecastChart(ctx, width, height, data) {
+        ctx.clearRect(0, 0, width, height);
+
+        const margin = { top: 40, right: 40, bottom: 60, left: 60 };
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+
+        // Draw axes
+        ctx.strokeStyle = '#64748B';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(margin.left, margin.top);
+        ctx.lineTo(margin.left, height - margin.bottom);
+        ctx.lineTo(width - margin.right, height - margin.bottom);
+        ctx.stroke();
+
+        const buckets = data.histogram;
+        const barSpacing = chartWidth / buckets.length;
+        const barWidth = barSpacing * 0.8;
+        const maxProbability = Math.max(...buckets.map(bucket => bucket.probability)) * 1.1;
+        const yScale = chartHeight / maxProbability;
+        const xFor = (sprints) => {
+            const index = buckets.findIndex(bucket => bucket.sprints === sprints);
+            return margin.left + index * barSpacing + barSpacing / 2;
+        };
+
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.textAlign = 'center';
+
+        buckets.forEach((bucket, index) => {
+            const barHeight = bucket.probability * yScale;
+            const x = margin.left + index * barSpacing + (barSpacing - barWidth) / 2;
+            const y = height - margin.bottom - barHeight;
+
+            const gradient = ctx.createLinearGradient(0, y, 0, height - margin.bottom);
+            gradient.addColorStop(0, '#6366F1');
+            gradient.addColorStop(1, '#764ba2');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(x, y, barWidth, barHeight);
+
+            ctx.fillStyle = '#E2E8F0';
+            ctx.fillText(bucket.sprints.toString(), x + barWidth / 2, height - margin.bottom + 20);
+        });
+
+        // Confidence markers
+        const colors = ['#10B981', '#F59E0B', '#EF4444'];
+        data.percentiles.forEach((percentile, index) => {
+            const x = xFor(percentile.sprints);
+            ctx.strokeStyle = colors[index % colors.length];
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, margin.top);
+            ctx.lineTo(x, height - margin.bottom);
+            ctx.stroke();
+
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+            ctx.fillText(`${percentile.level}%`, x, margin.top - 5 + index * 12);
+        });
+        ctx.setLineDash([]);
+
+        // Titles
+        ctx.fillStyle = '#E2E8F0';
+        ctx.font = 'bold 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.textAlign = 'center';
+        ctx.fillText('Pronóstico de Entrega (Monte Carlo)', width / 2, 20);
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.fillText('Sprints necesarios', width / 2, height - margin.bottom + 40);
+
+        // Y-axis labels (probability)
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 5; i++) {
+            const value = (maxProbability / 5) * (5 - i);
+            const y = margin.top + (chartHeight / 5) * i + 5;
+            ctx.fillText(`${Math.round(value * 100)}%`, margin.left - 10, y);
+        }
+    }
+
+    /**
+     * Setup Cumulative Flow Diagram
+     */
+    setupCumulativeFlowChart() {
+        const canvas = document.getElementById('cfdChart');
+        if (!canvas) return;
+
+        this.resizeCanvas(canvas);
+        this.charts.cfd = { canvas, ctx: canvas.getContext('2d'), data: null };
+
+        const metricSelect = document.getElementById('cfdMetric');
+        if (metricSelect && !metricSelect.dataset.bound) {
+            metricSelect.dataset.bound = 'true';
+            metricSelect.addEventListener('change', () => this.refreshCumulativeFlow());
+        }
+
+        this.refreshCumulativeFlow();
+    }
+
+    /**
+     * Recompute CFD data from the connected board and redraw
+     */
+    refreshCumulativeFlow() {
+        const chart = this.charts.cfd;
+        if (!chart) return;
+
+        const metricSelect = document.getElementById('cfdMetric');
+        const metric = metricSelect ? metricSelect.value : 'count';
+        const data = this.boardSource && typeof this.boardSource.getCumulativeFlowData === 'function'
+            ? this.boardSource.getCumulativeFlowData(metric)
+            : null;
+
+        chart.data = data;
+        if (data) {
+            this.drawCumulativeFlowChart(chart.ctx, chart.canvas.width, chart.canvas.height, data);
+        } else {
+            this.drawEmptyChart(chart.ctx, chart.canvas.width, chart.canvas.height,
+                'Cumulative Flow Diagram', 'Inicia un sprint en el Sprint Board para ver el flujo');
+        }
+    }
+
+    /**
+     * Draw stacked areas per column (last column at the bottom)
+     */
+    drawCumulativeFlowChart(ctx, width, height, data) {
+        ctx.clearRect(0, 0, width, height);
+
+        const margin = { top: 40, right: 140, bottom: 60, left: 60 };
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+        const pointCount = data.days.length;
+        const xScale = chartWidth / Math.max(pointCount - 1, 1);
+
+        // Stack from the last column (done) to the first one
+        const stackOrder = [...data.columns].reverse();
+        const cumulative = new Array(pointCount).fill(0);
+        const layers = stackOrder.map(column => {
+            const bottom = [...cumulative];
+            data.series[column.id].forEach((value, index) => {
+                cumulative[index] += value;
+            });
+            return { column, bottom, top: [...cumulative] };
+        });
+
+        const maxValue = Math.max(...cumulative, 1) * 1.1;
+        const yScale = chartHeight / maxValue;
+        const xAt = (index) => margin.left + index * xScale;
+        const yAt = (value) => height - margin.bottom - value * yScale;
+        const bottleneckIds = data.bottlenecks.map(entry => entry.columnId);
+
+        layers.forEach(({ column, bottom, top }) => {
+            const rgb = window.Utils ? window.Utils.Color.hexToRgb(column.color) : null;
+            ctx.fillStyle = rgb ? `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.6)` : column.color;
+
+            ctx.beginPath();
+            top.forEach((value, index) => {
+                if (index === 0) {
+                    ctx.moveTo(xAt(index), yAt(value));
+                } else {
+                    ctx.lineTo(xAt(index), yAt(value));
+                }
+            });
+            for (let index = pointCount - 1; index >= 0; index--) {
+                ctx.lineTo(xAt(index), yAt(bottom[index]));
+            }
+            ctx.closePath();
+            ctx.fill();
+
+            // Bottleneck highlight
+            if (bottleneckIds.includes(column.id)) {
+                ctx.strokeStyle = '#EF4444';
+                ctx.lineWidth = 3;
+                ctx.setLineDash([6, 3]);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+        });
+
+        // Draw axes
+        ctx.strokeStyle = '#64748B';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(margin.left, margin.top);
+        ctx.lineTo(margin.left, height - margin.bottom);
+        ctx.lineTo(width - margin.right, height - margin.bottom);
+        ctx.stroke();
+
+        // X-axis labels
+        ctx.fillStyle = '#E2E8F0';
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.textAlign = 'center';
+        const labelStep = Math.ceil(pointCount / 10);
+        data.days.forEach((day, index) => {
+            if (index % labelStep !== 0 && index !== pointCount - 1) return;
+            ctx.fillText(day, xAt(index), height - margin.bottom + 20);
+        });
+
+        // Y-axis labels
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 5; i++) {
+            const value = Math.round((maxValue / 5) * (5 - i));
+            const y = margin.top + (chartHeight / 5) * i + 5;
+            ctx.fillText(value.toString(), margin.left - 10, y);
+        }
+
+        // Legend (first column on top, like the stack)
+        ctx.textAlign = 'left';
+        data.columns.forEach((column, index) => {
+            const y = margin.top + index * 22;
+            ctx.fillStyle = column.color;
+            ctx.fillRect(width - margin.right + 15, y - 10, 12, 12);
+            ctx.fillStyle = bottleneckIds.includes(column.id) ? '#EF4444' : '#E2E8F0';
+            const label = bottleneckIds.includes(column.id) ? `⚠️ ${column.title}` : column.title;
+            ctx.fillText(label, width - margin.right + 32, y);
+        });
+
+        // Chart title
+        ctx.fillStyle = '#E2E8F0';
+        ctx.font = 'bold 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.textAlign = 'center';
+        const unit = data.metric === 'points' ? 'SP' : 'items';
+        ctx.fillText(`Cumulative Flow (${unit})`, margin.left + chartWidth / 2, 25);
+    }
+
+    /**
+     * Setup cycle time vs story points scatterplot
+     */
+    setupCycleTimeChart() {
+        const canvas = document.getElementById('cycleTimeChart');
+        if (!canvas) return;
+
+        this.resizeCanvas(canvas);
+        this.charts.cycleTime = { canvas, ctx: canvas.getContext('2d'), data: null };
+        this.refreshCycleTime();
+    }
+
+    /**
+     * Recompute flow metrics from the connected board and redraw
+     */
+    refreshCycleTime() {
+        const chart = this.charts.cycleTime;
+        if (!chart) return;
+
+        const data = this.boardSource && typeof this.boardSource.getFlowMetrics === 'function'
+            ? this.boardSource.getFlowMetrics()
+            : null;
+
+        chart.data = data;
+        this.drawCycleTimeChart(chart.ctx, chart.canvas.width, chart.canvas.height, data);
+        this.updateFlowMetricsSummary(data);
+    }
+
+    /**
+     * Render cycle/lead time percentiles and time-in-column table
+     */
+    updateFlowMetricsSummary(data) {
+        const element = document.getElementById('flowMetricsSummary');
+        if (!element) return;
+
+        if (!data || data.cycleTime.count === 0) {
+            element.innerHTML = '';
+            return;
+        }
+
+        const formatPercentiles = (stats) => stats.percentiles
+            .map(p => `P${p.level} <strong>${p.days}d</strong>`)
+            .join(' · ');
+
+        element.innerHTML = `
+            <table class="flow-metrics-table">
+                <thead>
+                    <tr><th>Métrica</th><th>Media</th><th>Percentiles</th></tr>
+                </thead>
+                <tbody>
+                    <tr><td>Cycle time</td><td>${data.cycleTime.average}d</td><td>${formatPercentiles(data.cycleTime)}</td></tr>
+                    <tr><td>Lead time</td><td>${data.leadTime.average}d</td><td>${formatPercentiles(data.leadTime)}</td></tr>
+                    ${data.timeInColumn.map(column => {
+                        const wip = data.wip ? data.wip.byColumn.find(entry => entry.columnId === column.columnId) : null;
+                        const overLimit = wip && wip.violations + wip.blocked > 0
+                            ? ` · 🚦 ${wip.violations} sobre WIP (${wip.daysOverLimit}d), ${wip.blocked} bloqueadas`
+                            : '';
+                        return `
+                            <tr><td>${column.title}</td><td>${column.averageDays}d</td><td>${column.visits} tareas${overLimit}</td></tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            ${data.wip && data.wip.total > 0 ? `
+                Límites WIP: <strong>${data.wip.exceeded}</strong> veces superados (${data.wip.daysOverLimit}d por encima),
+                <strong>${data.wip.blocked}</strong> movimientos bloqueados${data.wip.open > 0 ? ` · ⚠️ ${data.wip.open} columnas por encima ahora` : ''}<br>
+            ` : ''}
+            ${data.scatter.length >= 3 ? `
+                Correlación SP ↔ cycle time: <strong>${data.correlation}</strong>
+                ${data.correlation < 0.3 ? ' ⚠️ las estimaciones no predicen la duración' : ' ✅ estimaciones calibradas'}
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Draw cycle time (Y) against story points (X) with percentile lines
+     */
+    drawCycleTimeChart(ctx, width, height, data) {
+        if (!data || data.scatter.length === 0) {
+            this.drawEmptyChart(ctx, width, height, 'Cycle Time vs Story Points',
+                'Completa tareas en el Sprint Board para ver el cycle time');
+            return;
+        }
+
+        ctx.clearRect(0, 0, width, height);
+
+        const margin = { top: 40, right: 80, bottom: 60, left: 60 };
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+
+        const sizes = [...new Set(data.scatter.map(point => point.storyPoints))].sort((a, b) => a - b);
+        const maxCycle = Math.max(...data.scatter.map(point => point.cycleTime), 1) * 1.15;
+        const xScale = chartWidth / Math.max(sizes.length, 1);
+        const yScale = chartHeight / maxCycle;
+        const xAt = (storyPoints) => margin.left + (sizes.indexOf(storyPoints) + 0.5) * xScale;
+        const yAt = (days) => height - margin.bottom - days * yScale;
+
+        // Draw axes
+        ctx.strokeStyle = '#64748B';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(margin.left, margin.top);
+        ctx.lineTo(margin.left, height - margin.bottom);
+        ctx.lineTo(width - margin.right, height - margin.bottom);
+        ctx.stroke();
+
+        // Percentile lines
+        const percentileColors = ['#10B981', '#F59E0B', '#EF4444'];
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.textAlign = 'left';
+        data.cycleTime.percentiles.forEach((percentile, index) => {
+            const y = yAt(percentile.days);
+            ctx.strokeStyle = percentileColors[index % percentileColors.length];
+            ctx.lineWidth = 1;
+            ctx.setLineDash([5, 5]);
+            ctx.beginPath();
+            ctx.moveTo(margin.left, y);
+            ctx.lineTo(width - margin.right, y);
+            ctx.stroke();
+
+            ctx.fillStyle = percentileColors[index % percentileColors.length];
+            ctx.fillText(`P${percentile.level} ${percentile.days}d`, width - margin.right + 5, y + 4);
+        });
+        ctx.setLineDash([]);
+
+        // Points, spread horizontally when they share a size
+        const seen = new Map();
+        data.scatter.forEach(point => {
+            const offset = seen.get(point.storyPoints) || 0;
+            seen.set(point.storyPoints, offset + 1);
+            const jitter = ((offset % 5) - 2) * Math.min(6, xScale / 12);
+
+            ctx.fillStyle = 'rgba(99, 102, 241, 0.8)';
+            ctx.beginPath();
+            ctx.arc(xAt(point.storyPoints) + jitter, yAt(point.cycleTime), 5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Average per size
+        ctx.fillStyle = '#E2E8F0';
+        data.bySize.forEach(bucket => {
+            const x = xAt(bucket.storyPoints);
+            const y = yAt(bucket.averageCycleTime);
+            ctx.fillRect(x - 12, y - 1, 24, 2);
+        });
+
+        // X-axis labels
+        ctx.fillStyle = '#E2E8F0';
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.textAlign = 'center';
+        sizes.forEach(size => {
+            ctx.fillText(`${size} SP`, xAt(size), height - margin.bottom + 20);
+        });
+
+        // Y-axis labels
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 5; i++) {
+            const value = Math.round((maxCycle / 5) * (5 - i) * 10) / 10;
+            const y = margin.top + (chartHeight / 5) * i + 5;
+            ctx.fillText(`${value}d`, margin.left - 10, y);
+        }
+
+        // Chart title
+        ctx.font = 'bold 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.textAlign = 'center';
+        ctx.fillText('Cycle Time vs Story Points', margin.left + chartWidth / 2, 25);
+    }
+
+    /**
+     * Setup WSJF sensitivity tornado chart (canvas lives in the WSJF calculator)
+     */
+    setupSensitivityChart() {
+        const canvas = document.getElementById('wsjfSensitivityChart');
+        if (!canvas) return;
+
+        this.resizeCanvas(canvas);
+        this.charts.sensitivity = { canvas, ctx: canvas.getContext('2d'), data: null };
+        this.refreshSensitivity();
+    }
+
+    /**
+     * Redraw the tornado with the latest calculator analysis
+     */
+    refreshSensitivity() {
+        const chart = this.charts.sensitivity;
+        if (!chart) return;
+
+        chart.data = this.sensitivityData;
+        this.drawTornadoChart(chart.ctx, chart.canvas.width, chart.canvas.height, chart.data);
+    }
+
+    /**
+     * Draw a tornado chart: one bar per parameter spanning the WSJF range it
+     * produces across the scale, widest swing on top, centred on the current WSJF
+     */
+    drawTornadoChart(ctx, width, height, data) {
+        if (!data || data.base.wsjf === null || data.parameters.length === 0) {
+            this.drawEmptyChart(ctx, width, height, 'Sensibilidad WSJF',
+                'Mueve los sliders de la calculadora WSJF para ver la sensibilidad');
+            return;
+        }
+
+        ctx.clearRect(0, 0, width, height);
+
+        const margin = { top: 50, right: 90, bottom: 40, left: 140 };
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+
+        const base = data.base.wsjf;
+        const minValue = Math.min(base, ...data.parameters.map(parameter => parameter.low.wsjf));
+        const maxValue = Math.max(base, ...data.parameters.map(parameter => parameter.high.wsjf));
+        const span = Math.max(maxValue - minValue, 0.1);
+        const xAt = (value) => margin.left + ((value - minValue) / span) * chartWidth;
+
+        const rowHeight = chartHeight / data.parameters.length;
+        const barHeight = Math.min(rowHeight * 0.6, 36);
+        const positionLabel = (point) => point.position !== null ? ` · #${point.position}` : '';
+
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        data.parameters.forEach((parameter, index) => {
+            const y = margin.top + index * rowHeight + (rowHeight - barHeight) / 2;
+            const baseX = xAt(base);
+            const lowX = xAt(parameter.low.wsjf);
+            const highX = xAt(parameter.high.wsjf);
+
+            // Downside (red) and upside (green) around the current score
+            ctx.fillStyle = 'rgba(239, 68, 68, 0.8)';
+            ctx.fillRect(lowX, y, baseX - lowX, barHeight);
+            ctx.fillStyle = 'rgba(16, 185, 129, 0.8)';
+            ctx.fillRect(baseX, y, highX - baseX, barHeight);
+
+            // Parameter label
+            ctx.fillStyle = '#E2E8F0';
+            ctx.textAlign = 'right';
+            ctx.fillText(parameter.label, margin.left - 60, y + barHeight / 2 + 4);
+
+            // Scale value and resulting position at each end
+            ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+            ctx.fillStyle = '#EF4444';
+            ctx.fillText(`${parameter.low.value}${positionLabel(parameter.low)}`, lowX - 6, y + barHeight / 2 + 4);
+            ctx.fillStyle = '#10B981';
+            ctx.textAlign = 'left';
+            ctx.fillText(`${parameter.high.value}${positionLabel(parameter.high)}`, highX + 6, y + barHeight / 2 + 4);
+            ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        });
+
+        // Current WSJF line
+        const baseX = xAt(base);
+        ctx.strokeStyle = '#F59E0B';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(baseX, margin.top - 10);
+        ctx.lineTo(baseX, height - margin.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = '#F59E0B';
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.textAlign = 'center';
+        ctx.fillText(`WSJF ${base}${positionLabel(data.base)}`, baseX, margin.top - 14);
+
+        // X-axis labels
+        ctx.fillStyle = '#64748B';
+        for (let i = 0; i <= 4; i++) {
+            const value = minValue + (span / 4) * i;
+            ctx.fillText((Math.round(value * 10) / 10).toString(), xAt(value), height - margin.bottom + 20);
+        }
+
+        // Chart title
+        ctx.fillStyle = '#E2E8F0';
+        ctx.font = 'bold 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.textAlign = 'center';
+        ctx.fillText('Sensibilidad WSJF por parámetro', width / 2, 20);
+    }
+
+    /**
+     * Draw a placeholder message when a chart has no data
+     */
+    drawEmptyChart(ctx, width, height, title, message) {
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#E2E8F0';
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.fillText(title, width / 2, 25);
+        ctx.fillStyle = '#64748B';
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+        ctx.fillText(message, width / 2, height / 2);
     }
 
     /**
@@ -110,7 +875,7 @@ class ChartManager {
         }
 
         // Calculate scales
-        const xScale = chartWidth / (data.days.length - 1);
+        const xScale = chartWidth / Math.max(data.days.length - 1, 1);
         const yScale = chartHeight / data.totalSP;
 
         // Draw ideal line
@@ -155,13 +920,34 @@ class ChartManager {
             ctx.fill();
         });
 
+        // Scope change markers
+        (data.scopeChanges || []).forEach(change => {
+            const x = margin.left + change.index * xScale;
+            ctx.strokeStyle = change.delta > 0 ? '#F59E0B' : '#10B981';
+            ctx.setLineDash([3, 3]);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, margin.top);
+            ctx.lineTo(x, height - margin.bottom);
+            ctx.stroke();
+
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
+            ctx.textAlign = 'center';
+            const sign = change.delta > 0 ? '+' : change.delta === 0 ? '±' : '';
+            ctx.fillText(`${sign}${change.delta} SP`, x, margin.top - 5);
+        });
+        ctx.setLineDash([]);
+
         // Labels
         ctx.fillStyle = '#E2E8F0';
         ctx.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto';
         ctx.textAlign = 'center';
 
-        // X-axis labels
+        // X-axis labels (skip some when the sprint has many days)
+        const labelStep = Math.ceil(data.days.length / 10);
         data.days.forEach((day, index) => {
+            if (index % labelStep !== 0 && index !== data.days.length - 1) return;
             const x = margin.left + index * xScale;
             const y = height - margin.bottom + 20;
             ctx.fillText(day, x, y);
@@ -226,9 +1012,17 @@ class ChartManager {
 
         const barWidth = chartWidth / data.values.length * 0.6;
         const barSpacing = chartWidth / data.values.length;
-        const maxValue = Math.max(...data.values) * 1.1;
+        const maxValue = Math.max(...data.values, ...(data.committed || []), 1) * 1.1;
         const yScale = chartHeight / maxValue;
 
+        // Min/max band of the recent window
+        if (data.max !== undefined && data.max > data.min) {
+            const bandTop = height - margin.bottom - data.max * yScale;
+            const bandBottom = height - margin.bottom - data.min * yScale;
+            ctx.fillStyle = 'rgba(16, 185, 129, 0.1)';
+            ctx.fillRect(margin.left, bandTop, chartWidth, bandBottom - bandTop);
+        }
+
         // Draw bars
         data.values.forEach((value, index) => {
             const barHeight = value * yScale;
@@ -253,6 +1047,24 @@ class ChartManager {
             ctx.fillText(data.sprints[index], x + barWidth / 2, height - margin.bottom + 20);
         });
 
+        // Rolling average line
+        if (data.rollingAverage && data.rollingAverage.length > 1) {
+            ctx.strokeStyle = '#F59E0B';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            data.rollingAverage.forEach((value, index) => {
+                const x = margin.left + index * barSpacing + barSpacing / 2;
+                const y = height - margin.bottom - value * yScale;
+                if (index === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        }
+
         // Draw average line
         const avgY = height - margin.bottom - data.average * yScale;
         ctx.strokeStyle = '#10B981';
@@ -310,18 +1122,22 @@ class ChartManager {
      * Setup observers for chart animations
      */
     setupObservers() {
-        const chartObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const chartId = entry.target.id;
-                    this.animateChart(chartId);
-                }
-            });
-        }, { threshold: 0.3 });
+        // A single observer for the page: each sectionLoaded re-targets it instead of adding another
+        if (!this.chartObserver) {
+            this.chartObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        const chartId = entry.target.id;
+                        this.animateChart(chartId);
+                    }
+                });
+            }, { threshold: 0.3 });
+        }
 
-        // Observe chart containers
+        // Observe chart containers (containers of replaced sections are released)
+        this.chartObserver.disconnect();
         document.querySelectorAll('.chart-container').forEach(container => {
-            chartObserver.observe(container);
+            this.chartObserver.observe(container);
         });
     }
 
@@ -357,6 +1173,14 @@ class ChartManager {
             this.drawBurndownChart(chart.ctx, chart.canvas.width, chart.canvas.height, chart.data);
         } else if (chartType === 'velocity') {
             this.drawVelocityChart(chart.ctx, chart.canvas.width, chart.canvas.height, chart.data);
+        } else if (chartType === 'forecast') {
+            this.drawForecastChart(chart.ctx, chart.canvas.width, chart.canvas.height, chart.data);
+        } else if (chartType === 'cfd') {
+            this.drawCumulativeFlowChart(chart.ctx, chart.canvas.width, chart.canvas.height, chart.data);
+        } else if (chartType === 'cycleTime') {
+            this.drawCycleTimeChart(chart.ctx, chart.canvas.width, chart.canvas.height, chart.data);
+        } else if (chartType === 'sensitivity') {
+            this.drawTornadoChart(chart.ctx, chart.canvas.width, chart.canvas.height, chart.data);
         }
     }
 
@@ -371,6 +1195,14 @@ class ChartManager {
                 this.drawBurndownChart(chart.ctx, chart.canvas.width, chart.canvas.height, chart.data);
             } else if (type === 'velocity') {
                 this.drawVelocityChart(chart.ctx, chart.canvas.width, chart.canvas.height, chart.data);
+            } else if (type === 'forecast') {
+                this.runForecast();
+            } else if (type === 'cfd') {
+                this.refreshCumulativeFlow();
+            } else if (type === 'cycleTime') {
+                this.refreshCycleTime();
+            } else if (type === 'sensitivity') {
+                this.refreshSensitivity();
             }
         });
     }
@@ -559,6 +559,15 @@ document.addEventListener('DOMContentLoaded', () => {
         cssPath: '/assets/css/components/board.css'
     });
 
+    window.componentManager.registerComponent('planning-poker', {
+        htmlPath: '/components/planning_poker_component.html',
+        jsPath: '/assets/js/planning_poker_js.js',
+        props: {
+            // El subtítulo lo pone PlanningPoker según la escala (props.deck)
+            title: '🃏 Planning Poker'
+        }
+    });
+
 });
 
 // Hacer disponible globalmente
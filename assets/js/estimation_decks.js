@@ -0,0 +1,189 @@
+/**
+ * Estimation Decks - Escalas de estimación compartidas
+ * Las consumen la validación del Sprint Board, los sliders WSJF y las cartas de Planning Poker
+ */
+
+const EstimationDecks = {
+
+    /**
+     * Escala por defecto de la guía
+     */
+    defaultDeckId: 'fibonacci',
+
+    /**
+     * Cartas especiales de Planning Poker (no puntúan)
+     */
+    specialCards: ['?', '☕'],
+
+    /**
+     * Escalas predefinidas. Las escalas no numéricas declaran su mapeo a puntos
+     */
+    decks: {
+        fibonacci: {
+            id: 'fibonacci',
+            name: 'Fibonacci',
+            values: [1, 2, 3, 5, 8, 13, 21]
+        },
+        'modified-fibonacci': {
+            id: 'modified-fibonacci',
+            name: 'Fibonacci modificada',
+            values: [0, 0.5, 1, 2, 3, 5, 8, 13, 20, 40, 100]
+        },
+        'powers-of-two': {
+            id: 'powers-of-two',
+            name: 'Potencias de 2',
+            values: [0, 1, 2, 4, 8, 16, 32, 64]
+        },
+        tshirt: {
+            id: 'tshirt',
+            name: 'Tallas de camiseta',
+            values: ['XS', 'S', 'M', 'L', 'XL', 'XXL'],
+            // Mapeo usado para velocity, burndown y forecast
+            points: { XS: 1, S: 2, M: 3, L: 5, XL: 8, XXL: 13 }
+        }
+    },
+
+    /**
+     * Registra una escala personalizada
+     * @param {Object} deck - { id, name, values, points? }
+     * @returns {Object} Escala normalizada
+     */
+    register(deck) {
+        const normalized = this.normalize(deck);
+        this.decks[normalized.id] = normalized;
+        return normalized;
+    },
+
+    /**
+     * Obtiene una escala por id, objeto o lista de valores
+     * @param {string|Object|Array} deck - Escala
+     * @returns {Object} { id, name, values, points }
+     */
+    get(deck = this.defaultDeckId) {
+        if (typeof deck === 'string') {
+            if (!this.decks[deck]) {
+                console.warn(`Estimation deck "${deck}" not found, using ${this.defaultDeckId}`);
+                return this.decks[this.defaultDeckId];
+            }
+            return this.decks[deck];
+        }
+
+        return this.normalize(Array.isArray(deck) ? { values: deck } : deck);
+    },
+
+    /**
+     * Normaliza y valida una escala
+     */
+    normalize(deck) {
+        const values = (deck.values || [])
+            .filter(value => !this.specialCards.includes(String(value)))
+            .map(value => (typeof value === 'number' ? value : (Number.isFinite(Number(value)) && value !== '' ? Number(value) : String(value))));
+
+        if (values.length === 0) {
+            throw new Error('La escala de estimación necesita al menos un valor');
+        }
+
+        const numeric = values.every(value => typeof value === 'number');
+        if (!numeric && !deck.points) {
+            throw new Error(`La escala "${deck.name || deck.id}" necesita un mapeo a puntos`);
+        }
+
+        return {
+            id: deck.id || 'custom',
+            name: deck.name || 'Personalizada',
+            values,
+            points: numeric ? null : { ...deck.points }
+        };
+    },
+
+    /**
+     * Lista las escalas disponibles
+     * @returns {Object[]}
+     */
+    list() {
+        return Object.values(this.decks);
+    },
+
+    /**
+     * Convierte un valor de la escala a puntos
+     * @param {string|number} value - Valor elegido (p.ej. 'M' o '0.5')
+     * @param {string|Object} deck - Escala
+     * @returns {number|null} Puntos o null si no pertenece a la escala
+     */
+    toPoints(value, deck) {
+        const resolved = this.get(deck);
+
+        if (resolved.points) {
+            const points = resolved.points[String(value)];
+            return points !== undefined ? points : null;
+        }
+
+        const number = parseFloat(value);
+        return resolved.values.includes(number) ? number : null;
+    },
+
+    /**
+     * Valor de la escala más cercano a una cantidad de puntos (en empate, el mayor)
+     * @param {number} points - Puntos
+     * @param {string|Object} deck - Escala
+     * @returns {string|number}
+     */
+    fromPoints(points, deck) {
+        const resolved = this.get(deck);
+        const pointsOf = (value) => (resolved.points ? resolved.points[value] : value);
+
+        return resolved.values.reduce((best, value) =>
+            Math.abs(pointsOf(value) - points) <= Math.abs(pointsOf(best) - points) ? value : best
+        , resolved.values[0]);
+    },
+
+    /**
+     * Escala en puntos, ordenada (aplica el mapeo en escalas no numéricas)
+     * @param {string|Object} deck - Escala
+     * @returns {number[]}
+     */
+    getPointScale(deck) {
+        const resolved = this.get(deck);
+        return resolved.values
+            .map(value => (resolved.points ? resolved.points[value] : value))
+            .sort((a, b) => a - b);
+    },
+
+    /**
+     * Comprueba si un valor pertenece a la escala
+     * @param {string|number} value - Valor
+     * @param {string|Object} deck - Escala
+     * @returns {boolean}
+     */
+    isValid(value, deck) {
+        return this.toPoints(value, deck) !== null;
+    },
+
+    /**
+     * Cartas de Planning Poker para una escala
+     * @param {string|Object|Array} deck - Escala
+     * @param {Object} options - includeSpecial: añadir ? y ☕
+     * @returns {string[]}
+     */
+    getCards(deck, { includeSpecial = true } = {}) {
+        const cards = this.get(deck).values.map(String);
+        return includeSpecial ? [...cards, ...this.specialCards] : cards;
+    },
+
+    /**
+     * Etiqueta de un valor para selects y tarjetas
+     * @param {string|number} value - Valor de la escala
+     * @param {string|Object} deck - Escala
+     * @returns {string}
+     */
+    formatValue(value, deck) {
+        const resolved = this.get(deck);
+        if (resolved.points) {
+            return `${value} (${resolved.points[value]} SP)`;
+        }
+        return `${value === 0.5 ? '½' : value} SP`;
+    }
+};
+
+// Export para uso como módulo
+export default EstimationDecks;
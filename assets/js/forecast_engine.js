@@ -0,0 +1,161 @@
+/**
+ * Forecast Engine - Pronóstico probabilístico de entrega (Monte Carlo)
+ * Simula sprints futuros muestreando la velocity/throughput histórica del equipo
+ */
+
+import SprintMetrics from './sprint_metrics.js';
+
+const ForecastEngine = {
+
+    /**
+     * Percentiles de confianza reportados por defecto
+     */
+    defaultConfidenceLevels: [50, 85, 95],
+
+    /**
+     * Ejecuta la simulación Monte Carlo
+     * @param {Object} params - Parámetros de la simulación
+     * @param {number[]} params.samples - Velocity (SP) o throughput (items) de sprints cerrados
+     * @param {number} params.remaining - Trabajo pendiente en la misma unidad que samples
+     * @param {number} params.iterations - Número de simulaciones (por defecto 10000)
+     * @param {number} params.maxSprints - Límite de sprints por simulación
+     * @param {number[]} params.confidenceLevels - Percentiles a calcular
+     * @param {Function} params.random - Generador aleatorio (inyectable para pruebas)
+     * @returns {Object} Histograma, percentiles y media de sprints necesarios
+     */
+    run({
+        samples,
+        remaining,
+        iterations = 10000,
+        maxSprints = 100,
+        confidenceLevels = this.defaultConfidenceLevels,
+        random = Math.random
+    }) {
+        if (!Number.isFinite(remaining) || remaining <= 0) {
+            throw new Error('El trabajo pendiente debe ser un número mayor que 0');
+        }
+
+        const validSamples = (samples || []).filter(value => Number.isFinite(value) && value >= 0);
+
+        if (validSamples.length === 0) {
+            throw new Error('Se necesita al menos un sprint cerrado para simular');
+        }
+        if (validSamples.every(value => value === 0)) {
+            throw new Error('El historial no tiene trabajo completado: no se puede proyectar');
+        }
+
+        const outcomes = new Array(iterations);
+
+        for (let i = 0; i < iterations; i++) {
+            let pending = remaining;
+            let sprints = 0;
+
+            while (pending > 0 && sprints < maxSprints) {
+                pending -= validSamples[Math.floor(random() * validSamples.length)];
+                sprints++;
+            }
+            outcomes[i] = sprints;
+        }
+
+        outcomes.sort((a, b) => a - b);
+
+        return {
+            iterations,
+            remaining,
+            sampleSize: validSamples.length,
+            truncated: outcomes[outcomes.length - 1] >= maxSprints && remaining > 0,
+            mean: SprintMetrics.round(outcomes.reduce((sum, value) => sum + value, 0) / iterations),
+            histogram: this.buildHistogram(outcomes),
+            percentiles: confidenceLevels.map(level => ({
+                level,
+                sprints: this.percentile(outcomes, level)
+            }))
+        };
+    },
+
+    /**
+     * Agrupa los resultados por número de sprints
+     * @param {number[]} sortedOutcomes - Resultados ordenados
+     * @returns {Object[]} { sprints, count, probability, cumulative }
+     */
+    buildHistogram(sortedOutcomes) {
+        const counts = new Map();
+        sortedOutcomes.forEach(value => {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+
+        let cumulative = 0;
+        return Array.from(counts.entries()).map(([sprints, count]) => {
+            cumulative += count;
+            return {
+                sprints,
+                count,
+                probability: count / sortedOutcomes.length,
+                cumulative: cumulative / sortedOutcomes.length
+            };
+        });
+    },
+
+    /**
+     * Percentil (nearest-rank) de una lista ordenada
+     * @param {number[]} sortedValues - Valores ordenados ascendentemente
+     * @param {number} level - Percentil (0-100)
+     * @returns {number}
+     */
+    percentile(sortedValues, level) {
+        return SprintMetrics.percentile(sortedValues, level);
+    },
+
+    /**
+     * Añade a cada percentil la fecha estimada de entrega
+     * @param {Object} result - Resultado de run()
+     * @param {string} firstSprintStart - Fecha ISO de inicio del primer sprint simulado
+     * @param {number} sprintLengthDays - Duración del sprint en días naturales
+     * @returns {Object} Resultado con percentiles fechados
+     */
+    withDates(result, firstSprintStart, sprintLengthDays) {
+        const toDate = (sprints) => {
+            const date = SprintMetrics.parseISODate(firstSprintStart);
+            date.setDate(date.getDate() + sprints * sprintLengthDays - 1);
+            return date;
+        };
+
+        return {
+            ...result,
+            firstSprintStart,
+            sprintLengthDays,
+            percentiles: result.percentiles.map(percentile => ({
+                ...percentile,
+                date: percentile.sprints > 0 ? SprintMetrics.toISODate(toDate(percentile.sprints)) : firstSprintStart
+            }))
+        };
+    },
+
+    /**
+     * Serializa el resultado como CSV para exportarlo
+     * @param {Object} result - Resultado de run() o withDates()
+     * @returns {string}
+     */
+    toCSV(result) {
+        const lines = ['sprints,count,probability,cumulative'];
+        result.histogram.forEach(bucket => {
+            lines.push([
+                bucket.sprints,
+                bucket.count,
+                bucket.probability.toFixed(4),
+                bucket.cumulative.toFixed(4)
+            ].join(','));
+        });
+
+        lines.push('');
+        lines.push('confidence,sprints,date');
+        result.percentiles.forEach(percentile => {
+            lines.push(`${percentile.level}%,${percentile.sprints},${percentile.date || ''}`);
+        });
+
+        return lines.join('\n');
+    }
+};
+
+// Export para uso como módulo
+export default ForecastEngine;
@@ -0,0 +1,326 @@
+/**
+ * Persistent Store - Almacenamiento versionado de los componentes
+ * IndexedDB con versiones de esquema y migraciones; si IndexedDB no está
+ * disponible (modo privado, navegadores antiguos) se usa localStorage vía Utils.Storage
+ */
+
+/**
+ * localStorage directo para páginas que no cargan utils.js
+ */
+const plainLocalStorage = {
+    lastError: null,
+
+    get(key, defaultValue = null) {
+        try {
+            const item = localStorage.getItem(key);
+            return item ? JSON.parse(item) : defaultValue;
+        } catch (error) {
+            console.warn('Error reading from localStorage:', error);
+            return defaultValue;
+        }
+    },
+
+    set(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            this.lastError = null;
+            return true;
+        } catch (error) {
+            this.lastError = error;
+            return false;
+        }
+    },
+
+    remove(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            console.warn('Error removing from localStorage:', error);
+        }
+    }
+};
+
+const PersistentStore = {
+
+    dbName: 'scrum-guide',
+    dbVersion: 1,
+    storeName: 'documents',
+
+    /**
+     * Esquemas registrados por id
+     */
+    schemas: {},
+
+    /**
+     * Promesa de la conexión a IndexedDB (null dentro si no hay IndexedDB)
+     */
+    connection: null,
+
+    /**
+     * Claves cuyos datos no se pudieron migrar: no se guardan para no pisarlos
+     */
+    unmigrated: new Set(),
+
+    /**
+     * Registra el esquema de un tipo de documento
+     * @param {Object} schema - { id, version, migrations, legacyVersion? }
+     *   migrations: { [versión]: data => data } convierte los datos de la versión anterior
+     *   legacyVersion(data): versión de los datos guardados antes de este módulo (por defecto 1)
+     * @returns {Object} Esquema registrado
+     */
+    register(schema) {
+        if (!schema || !schema.id || !Number.isInteger(schema.version) || schema.version < 1) {
+            throw new Error('PersistentStore: un esquema necesita id y version (entero ≥ 1)');
+        }
+        this.schemas[schema.id] = { migrations: {}, legacyVersion: () => 1, ...schema };
+        return this.schemas[schema.id];
+    },
+
+    getSchema(schemaId) {
+        const schema = this.schemas[schemaId];
+        if (!schema) {
+            throw new Error(`PersistentStore: esquema desconocido "${schemaId}"`);
+        }
+        return schema;
+    },
+
+    /**
+     * Abre (una sola vez) la base de datos
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (!this.connection) {
+            this.connection = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    const request = indexedDB.open(this.dbName, this.dbVersion);
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        if (!db.objectStoreNames.contains(this.storeName)) {
+                            db.createObjectStore(this.storeName, { keyPath: 'key' });
+                        }
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.warn('IndexedDB no disponible, se usa localStorage:', request.error);
+                        resolve(null);
+                    };
+                } catch (error) {
+                    console.warn('IndexedDB no disponible, se usa localStorage:', error);
+                    resolve(null);
+                }
+            });
+        }
+        return this.connection;
+    },
+
+    /**
+     * Backend en uso: 'indexeddb' o 'localstorage'
+     */
+    async getBackend() {
+        return (await this.open()) ? 'indexeddb' : 'localstorage';
+    },
+
+    /**
+     * Ejecuta una operación sobre el almacén en una transacción
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error || request.error);
+            tx.onabort = () => reject(tx.error || request.error);
+        });
+    },
+
+    /**
+     * Utils.Storage si la página lo carga
+     */
+    local() {
+        return window.Utils ? window.Utils.Storage : plainLocalStorage;
+    },
+
+    /**
+     * Carga un documento y lo migra a la versión actual de su esquema.
+     * Los datos de localStorage (con o sin versión) se mueven a IndexedDB
+     * @param {string} key - Clave del documento
+     * @param {string} schemaId - Esquema registrado
+     * @param {*} defaultValue - Valor si no hay nada guardado
+     * @returns {Promise<*>}
+     * @throws {Error} MigrationError si los datos no se pueden migrar (se quedan intactos)
+     */
+    async load(key, schemaId, defaultValue = null) {
+        const schema = this.getSchema(schemaId);
+        const db = await this.open();
+
+        let record = null;
+        if (db) {
+            try {
+                record = await this.transaction('readonly', store => store.get(key)) || null;
+            } catch (error) {
+                console.warn(`Error reading "${key}" from IndexedDB:`, error);
+            }
+        }
+
+        let fromLocalStorage = false;
+        if (!record) {
+            const stored = this.local().get(key, null);
+            if (stored === null) return defaultValue;
+
+            record = this.isRecord(stored, schema)
+                ? stored
+                : { key, schema: schema.id, version: schema.legacyVersion(stored), data: stored };
+            fromLocalStorage = true;
+        }
+
+        let migrated;
+        try {
+            migrated = this.migrate(schema, record);
+        } catch (error) {
+            console.error(`Error migrating "${key}":`, error);
+            this.backup(key, record);
+            this.unmigrated.add(key);
+            throw this.migrationError(key, record, error);
+        }
+        this.unmigrated.delete(key);
+
+        if (db && (fromLocalStorage || migrated.version !== record.version)) {
+            try {
+                await this.transaction('readwrite', store => store.put(migrated));
+                if (fromLocalStorage) this.local().remove(key);
+            } catch (error) {
+                console.warn(`Error moving "${key}" to IndexedDB:`, error);
+            }
+        }
+
+        return migrated.data;
+    },
+
+    /**
+     * Guarda un documento con la versión actual de su esquema
+     * @returns {Promise<string>} Backend usado
+     * @throws {Error} QuotaExceededError si no queda espacio; MigrationError si lo
+     *   guardado no se pudo migrar (hasta que se borre con remove)
+     */
+    async save(key, schemaId, data) {
+        const schema = this.getSchema(schemaId);
+        if (this.unmigrated.has(key)) {
+            throw this.migrationError(key, null, null);
+        }
+        const record = {
+            key,
+            schema: schema.id,
+            version: schema.version,
+            savedAt: new Date().toISOString(),
+            data
+        };
+
+        const db = await this.open();
+        if (db) {
+            try {
+                await this.transaction('readwrite', store => store.put(record));
+                return 'indexeddb';
+            } catch (error) {
+                // Sin espacio en IndexedDB tampoco lo habrá en localStorage
+                if (this.isQuotaExceeded(error)) throw this.quotaError(error);
+                console.warn(`Error saving "${key}" to IndexedDB, se usa localStorage:`, error);
+            }
+        }
+
+        const storage = this.local();
+        if (!storage.set(key, record)) {
+            if (this.isQuotaExceeded(storage.lastError)) throw this.quotaError(storage.lastError);
+            throw storage.lastError || new Error(`No se pudo guardar "${key}"`);
+        }
+        return 'localstorage';
+    },
+
+    /**
+     * Elimina un documento de ambos backends
+     */
+    async remove(key) {
+        this.unmigrated.delete(key);
+        const db = await this.open();
+        if (db) {
+            try {
+                await this.transaction('readwrite', store => store.delete(key));
+            } catch (error) {
+                console.warn(`Error removing "${key}" from IndexedDB:`, error);
+            }
+        }
+        this.local().remove(key);
+    },
+
+    /**
+     * Aplica en orden las migraciones pendientes de un registro
+     * @returns {Object} Registro en la versión actual del esquema
+     */
+    migrate(schema, record) {
+        const version = Number(record.version) || 1;
+        if (version > schema.version) {
+            throw new Error(`"${record.key}" tiene la versión ${version}, más nueva que la ${schema.version} de esta página`);
+        }
+
+        let data = record.data;
+        for (let next = version + 1; next <= schema.version; next++) {
+            const migration = schema.migrations[next];
+            if (migration) data = migration(data);
+        }
+
+        return { ...record, schema: schema.id, version: schema.version, data };
+    },
+
+    /**
+     * Registros guardados por este módulo: { schema, version, data }
+     */
+    isRecord(stored, schema) {
+        return Boolean(stored) && typeof stored === 'object'
+            && stored.schema === schema.id && Number.isInteger(stored.version) && 'data' in stored;
+    },
+
+    /**
+     * Copia intacta de un registro que no se pudo migrar, para no perderlo
+     */
+    backup(key, record) {
+        const backupKey = `${key}:backup-v${record.version}`;
+        if (!this.local().set(backupKey, record)) {
+            console.warn(`No se pudo guardar la copia de seguridad de "${key}"`);
+        }
+    },
+
+    isQuotaExceeded(error) {
+        if (window.Utils) return window.Utils.Storage.isQuotaExceeded(error);
+        return Boolean(error) && (error.name === 'QuotaExceededError' || error.code === 22);
+    },
+
+    /**
+     * Error de datos que esta página no sabe migrar, con un mensaje para el usuario
+     */
+    migrationError(key, record, cause) {
+        const error = new Error(`Los datos guardados de "${key}" no se pueden leer en esta versión: no se modificarán`);
+        error.name = 'MigrationError';
+        error.key = key;
+        error.version = record ? record.version : null;
+        error.cause = cause;
+        return error;
+    },
+
+    /**
+     * Error de cuota con un mensaje para mostrar al usuario
+     */
+    quotaError(cause) {
+        const error = new Error('No queda espacio de almacenamiento en el navegador');
+        error.name = 'QuotaExceededError';
+        error.cause = cause;
+        return error;
+    }
+};
+
+// Export para uso como módulo
+export default PersistentStore;
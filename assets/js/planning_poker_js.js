@@ -0,0 +1,779 @@
+/**
+ * Planning Poker Component
+ * assets/js/planning_poker_js.js
+ */
+
+import PokerSession from './poker_session.js';
+import PokerConsensus from './poker_consensus.js';
+import EstimationDecks from './estimation_decks.js';
+import WorkItemHierarchy from './work_item_hierarchy.js';
+
+class PlanningPoker {
+    constructor(props = {}) {
+        this.container = null;
+        this.selectedCard = null;
+        this.teamVotes = [];
+        this.isRevealed = false;
+        this.session = null;
+        this.board = null;
+        this.sessionRoundKey = null;
+
+        // Rondas reveladas en modo individual (en sesión las guarda el relay)
+        this.localRound = 1;
+        this.localHistory = [];
+
+        // props.deck acepta el id de una escala, una escala propia o una lista de cartas
+        const estimationDeck = EstimationDecks.get(props.deck || EstimationDecks.defaultDeckId);
+
+        this.config = {
+            title: props.title || 'Planning Poker',
+            subtitle: props.subtitle || `Cartas interactivas para estimación colaborativa - Escala ${estimationDeck.name}`,
+            estimationDeck,
+            deck: EstimationDecks.getCards(estimationDeck),
+            participants: props.participants || ['Alex', 'Sarah', 'Mike', 'Lisa', 'David'],
+            simulateTeam: props.simulateTeam !== false,
+            stories: props.stories || null,
+            serverUrl: props.serverUrl || 'ws://localhost:8787',
+            containerElement: props.container || null,
+            onVote: props.onVote || null,
+            onReveal: props.onReveal || null,
+            onConsensus: props.onConsensus || null,
+            onEstimate: props.onEstimate || null,
+            onReset: props.onReset || null
+        };
+
+        this.eventListeners = [];
+        this.sessionListeners = [];
+
+        this.init();
+    }
+
+    /**
+     * Inicializa el componente
+     */
+    init() {
+        this.findContainer();
+        this.findBoard();
+        this.renderCards();
+        this.setupEventListeners();
+        this.applyInvitation();
+        this.updateSelectedCardDisplay();
+        this.populateStorySelect();
+    }
+
+    /**
+     * Encuentra el contenedor del componente
+     */
+    findContainer() {
+        const target = typeof this.config.containerElement === 'string'
+            ? document.querySelector(this.config.containerElement)
+            : this.config.containerElement;
+
+        this.container = target
+            ? (target.matches('[data-component="planning-poker"]') ? target : target.querySelector('[data-component="planning-poker"]'))
+            : document.querySelector('[data-component="planning-poker"]');
+
+        if (!this.container) {
+            throw new Error('PlanningPoker: Container not found');
+        }
+    }
+
+    /**
+     * Sprint Board ya cargado por el ComponentManager (si lo hay)
+     */
+    findBoard() {
+        if (window.componentManager) {
+            this.board = window.componentManager.getComponentInstance('sprint-board') || null;
+        }
+    }
+
+    /**
+     * Escala del mazo en puntos, para el análisis de consenso
+     */
+    getNumericDeck() {
+        return EstimationDecks.getPointScale(this.config.estimationDeck);
+    }
+
+    /**
+     * Traduce los votos a puntos (p.ej. tallas de camiseta); las cartas especiales se mantienen
+     */
+    toPointVotes(votes) {
+        return votes.map(entry => {
+            const points = EstimationDecks.toPoints(entry.vote, this.config.estimationDeck);
+            return points === null ? entry : { ...entry, vote: String(points) };
+        });
+    }
+
+    /**
+     * Unidad que acompaña a una carta: SP, o su equivalencia en escalas no numéricas
+     */
+    getCardUnit(value) {
+        const points = EstimationDecks.toPoints(value, this.config.estimationDeck);
+        if (points === null) return null;
+        return this.config.estimationDeck.points ? `${points} SP` : 'SP';
+    }
+
+    /**
+     * Genera las cartas a partir del mazo configurado
+     */
+    renderCards() {
+        const grid = this.container.querySelector('#pokerCardsGrid');
+        if (!grid) return;
+
+        grid.innerHTML = this.config.deck.map(value => {
+            let modifier = '';
+            let suit = this.getCardUnit(value) || 'SP';
+            if (value === PokerConsensus.specialCards.unknown) {
+                modifier = 'poker-card-special';
+                suit = '??';
+            } else if (value === PokerConsensus.specialCards.coffee) {
+                modifier = 'poker-card-break';
+                suit = 'BREAK';
+            }
+
+            return `
+                <div class="poker-card ${modifier}" data-value="${this.escapeHtml(value)}">
+                    <div class="card-content">
+                        <div class="card-value">${this.escapeHtml(value)}</div>
+                        <div class="card-suit">${suit}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Configura event listeners
+     */
+    setupEventListeners() {
+        const bind = (selector, handler, event = 'click') => {
+            const element = this.container.querySelector(selector);
+            if (element) {
+                this.addEventListener(element, event, (e) => {
+                    if (event === 'click') e.preventDefault();
+                    handler(e);
+                });
+            }
+        };
+
+        // Cartas (delegación sobre el grid)
+        const grid = this.container.querySelector('#pokerCardsGrid');
+        if (grid) {
+            this.addEventListener(grid, 'click', (e) => {
+                const card = e.target.closest('.poker-card');
+                if (card) {
+                    this.selectCard(card.dataset.value);
+                }
+            });
+        }
+
+        bind('#pokerRevealBtn', () => this.toggleReveal());
+        bind('#pokerResetBtn', () => this.reset());
+        bind('#pokerCreateRoomBtn', () => this.createRoom());
+        bind('#pokerJoinRoomBtn', () => this.joinRoom());
+        bind('#pokerLeaveBtn', () => this.leaveRoom());
+        bind('#pokerCopyLinkBtn', () => this.copyInviteLink());
+        bind('#pokerStorySelect', (e) => this.setStory(e.target.value), 'change');
+        bind('#pokerRevoteBtn', () => this.startRevote());
+        bind('#pokerPauseBtn', () => this.togglePause());
+        bind('#pokerSplitBtn', () => this.flagSplit());
+        bind('#pokerFinalizeBtn', () => this.finalizeEstimate());
+
+        // Items del Sprint Board conectado
+        this.addEventListener(document, 'sprintboard:change', (e) => {
+            this.board = e.detail.board;
+            this.populateStorySelect();
+        });
+    }
+
+    /**
+     * Rellena la sala desde un enlace de invitación (?pokerRoom=XXXX&pokerServer=ws://...)
+     */
+    applyInvitation() {
+        const serverInput = this.container.querySelector('#pokerServerUrl');
+        if (serverInput) {
+            serverInput.value = this.config.serverUrl;
+        }
+
+        const params = window.Utils
+            ? window.Utils.URL.getParams()
+            : Object.fromEntries(new URLSearchParams(window.location.search));
+
+        if (!params.pokerRoom) return;
+
+        const roomInput = this.container.querySelector('#pokerRoomId');
+        if (roomInput) {
+            roomInput.value = params.pokerRoom;
+        }
+        if (params.pokerServer && serverInput) {
+            serverInput.value = params.pokerServer;
+        }
+        this.setStatus(`Te han invitado a la sala ${params.pokerRoom}: escribe tu nombre y pulsa Unirse`);
+    }
+
+    /**
+     * Selecciona una carta
+     */
+    selectCard(value) {
+        if (!this.config.deck.includes(value)) return;
+
+        this.container.querySelectorAll('.poker-card').forEach(card => {
+            card.classList.toggle('selected', card.dataset.value === value);
+        });
+
+        this.selectedCard = value;
+        this.updateSelectedCardDisplay();
+
+        // En sesión el voto va al relay; sin sesión se simula el equipo
+        if (this.isInSession()) {
+            this.session.vote(value);
+        } else {
+            this.addLocalVote(value);
+        }
+
+        if (this.config.onVote) {
+            this.config.onVote(value);
+        }
+    }
+
+    /**
+     * Modo individual: registra tu voto y simula el de algún compañero
+     */
+    addLocalVote(vote) {
+        this.teamVotes = this.teamVotes.filter(entry => entry.member !== 'Tu voto');
+        this.teamVotes.push({ member: 'Tu voto', vote });
+
+        const pending = this.config.participants.filter(member =>
+            !this.teamVotes.some(entry => entry.member === member)
+        );
+
+        if (this.config.simulateTeam && pending.length > 0 && Math.random() > 0.4) {
+            const member = pending[Math.floor(Math.random() * pending.length)];
+            const options = this.config.deck.filter(value => value !== PokerConsensus.specialCards.coffee);
+            this.teamVotes.push({
+                member,
+                vote: options[Math.floor(Math.random() * options.length)]
+            });
+        }
+
+        if (this.isRevealed) {
+            this.updateVotesDisplay();
+        }
+    }
+
+    /**
+     * Actualiza la carta seleccionada
+     */
+    updateSelectedCardDisplay() {
+        const display = this.container.querySelector('#pokerSelectedCard');
+        if (!display) return;
+
+        if (!this.selectedCard) {
+            display.innerHTML = '<span class="poker-empty">Ninguna carta seleccionada</span>';
+        } else if (this.getCardUnit(this.selectedCard)) {
+            display.innerHTML = `<span>${this.escapeHtml(this.selectedCard)}</span><span class="poker-unit">${this.getCardUnit(this.selectedCard)}</span>`;
+        } else {
+            display.innerHTML = `<span>${this.escapeHtml(this.selectedCard)}</span>`;
+        }
+    }
+
+    /**
+     * Pinta los votos revelados
+     */
+    updateVotesDisplay() {
+        const votesDisplay = this.container.querySelector('#pokerVotesDisplay');
+        if (!votesDisplay) return;
+
+        votesDisplay.innerHTML = this.teamVotes.map(entry => `
+            <div class="vote-card">
+                <div class="poker-vote-member">${this.escapeHtml(entry.member)}</div>
+                <div class="poker-vote-value">${this.escapeHtml(entry.vote)}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Revela u oculta las cartas
+     */
+    toggleReveal() {
+        // En sesión sólo el facilitador revela, para todos a la vez
+        if (this.isInSession()) {
+            if (!this.session.isFacilitator()) {
+                this.setStatus('Sólo el facilitador puede revelar las cartas');
+            } else if (!this.isRevealed) {
+                this.session.reveal();
+            }
+            return;
+        }
+
+        this.isRevealed = !this.isRevealed;
+        this.updateRevealUI();
+
+        if (this.isRevealed) {
+            if (!this.localHistory.some(entry => entry.round === this.localRound)) {
+                this.localHistory.push({ round: this.localRound, votes: [...this.teamVotes], at: new Date().toISOString() });
+            }
+            this.handleReveal(this.teamVotes, this.localHistory, null);
+        }
+    }
+
+    /**
+     * Muestra u oculta el bloque de votos según el estado
+     */
+    updateRevealUI() {
+        const teamVotesSection = this.container.querySelector('#pokerTeamVotes');
+        const revealBtn = this.container.querySelector('#pokerRevealBtn');
+
+        if (teamVotesSection) {
+            teamVotesSection.style.display = this.isRevealed ? 'block' : 'none';
+            if (this.isRevealed) {
+                teamVotesSection.style.animation = 'fadeIn 0.5s ease';
+                this.updateVotesDisplay();
+            }
+        }
+
+        if (revealBtn) {
+            if (this.isInSession()) {
+                revealBtn.textContent = this.isRevealed ? '✅ Cartas reveladas' : '🎭 Reveal Cards';
+                revealBtn.disabled = !this.session.isFacilitator() || this.isRevealed;
+            } else {
+                revealBtn.textContent = this.isRevealed ? '🙈 Hide Cards' : '🎭 Reveal Cards';
+                revealBtn.classList.toggle('danger', this.isRevealed);
+                revealBtn.classList.toggle('success', !this.isRevealed);
+                revealBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Analiza los votos revelados y notifica
+     */
+    handleReveal(votes, history, story) {
+        const analysis = PokerConsensus.analyze(this.toPointVotes(votes), { deck: this.getNumericDeck() });
+        this.renderAnalysis(analysis, history);
+
+        if (this.config.onReveal) {
+            this.config.onReveal(votes, analysis);
+        }
+        if (analysis.recommendation === 'accept' && this.config.onConsensus) {
+            this.config.onConsensus(analysis, story);
+        }
+        return analysis;
+    }
+
+    /**
+     * Pinta el análisis de consenso y el historial de rondas
+     */
+    renderAnalysis(analysis, history) {
+        const analysisElement = this.container.querySelector('#pokerAnalysis');
+        const historyElement = this.container.querySelector('#pokerRoundsHistory');
+
+        if (analysisElement) {
+            const special = [];
+            if (analysis.special.unknown.length > 0) special.push(`❓ ${analysis.special.unknown.length}`);
+            if (analysis.special.coffee.length > 0) special.push(`☕ ${analysis.special.coffee.length}`);
+            const recommendationClass = analysis.recommendation === 'accept' ? 'accept' : 'attention';
+
+            analysisElement.innerHTML = `
+                ${analysis.numericCount > 0 ? `
+                    <div class="poker-analysis-stats">
+                        <span>Moda: <strong>${analysis.modes.length > 0 ? analysis.modes.join(' / ') : '—'}</strong></span>
+                        <span>Mediana: <strong>${analysis.median}</strong></span>
+                        <span>Rango: <strong>${analysis.min}–${analysis.max}</strong>
+                            (${analysis.stepSpread} ${analysis.stepSpread === 1 ? 'paso' : 'pasos'} de la escala)</span>
+                        ${special.length > 0 ? `<span>Especiales: ${special.join(' · ')}</span>` : ''}
+                    </div>
+                ` : ''}
+                <strong class="poker-recommendation ${recommendationClass}">${this.escapeHtml(PokerConsensus.describe(analysis))}</strong>
+            `;
+        }
+
+        // Propone el valor sugerido como estimación final
+        const finalInput = this.container.querySelector('#pokerFinalValue');
+        if (finalInput && analysis.suggestedValue !== null) {
+            finalInput.value = analysis.suggestedValue;
+        }
+
+        if (historyElement) {
+            historyElement.innerHTML = history.length > 1 ? `
+                <h5>Rondas de esta story</h5>
+                ${history.map(entry => `
+                    <div>Ronda ${entry.round}: ${entry.votes.map(vote =>
+                        `${this.escapeHtml(vote.member)} ${this.escapeHtml(vote.vote)}`
+                    ).join(' · ')}</div>
+                `).join('')}
+            ` : '';
+        }
+    }
+
+    /**
+     * Limpia la selección; en sesión abre nueva ronda (facilitador) o retira el voto
+     */
+    reset() {
+        if (this.isInSession()) {
+            if (this.session.isFacilitator()) {
+                this.session.reset();
+            } else {
+                this.session.vote(null);
+            }
+        }
+
+        this.clearLocalState();
+        this.localRound = 1;
+        this.localHistory = [];
+
+        if (this.config.onReset) {
+            this.config.onReset();
+        }
+    }
+
+    /**
+     * Limpia carta, votos y revelado locales
+     */
+    clearLocalState() {
+        this.container.querySelectorAll('.poker-card').forEach(card => card.classList.remove('selected'));
+        this.selectedCard = null;
+        this.teamVotes = [];
+        this.isRevealed = false;
+        this.updateSelectedCardDisplay();
+        this.updateRevealUI();
+    }
+
+    /**
+     * Nueva ronda de votación conservando el historial
+     */
+    startRevote() {
+        if (this.isInSession()) {
+            if (!this.session.isFacilitator()) {
+                this.setStatus('Sólo el facilitador puede abrir una nueva ronda');
+                return;
+            }
+            this.session.reset();
+            return;
+        }
+
+        this.clearLocalState();
+        this.localRound++;
+        this.setStatus(`Ronda ${this.localRound}: vuelve a votar`);
+    }
+
+    /**
+     * Pausa o reanuda la sesión (carta ☕)
+     */
+    togglePause() {
+        if (!this.isInSession()) {
+            this.setStatus('☕ Tómate un descanso: retoma la estimación cuando vuelva el equipo');
+            return;
+        }
+        if (!this.session.isFacilitator()) {
+            this.setStatus('Sólo el facilitador puede pausar la sesión');
+            return;
+        }
+
+        const state = this.session.getState();
+        this.session.pause(!(state && state.paused));
+        if (state && state.paused) {
+            this.setStatus('▶️ Sesión reanudada');
+        }
+    }
+
+    /**
+     * Marca la story actual para dividirla en el refinement
+     */
+    flagSplit() {
+        if (!this.isInSession()) {
+            this.setStatus('✂️ Crea una sesión en equipo para marcar items del Sprint Board');
+            return;
+        }
+        if (!this.session.isFacilitator()) {
+            this.setStatus('Sólo el facilitador puede marcar la story');
+            return;
+        }
+
+        this.session.flagStory('dividir');
+        this.setStatus('✂️ Story marcada para dividir en el próximo refinement');
+    }
+
+    /**
+     * Envía la estimación acordada al equipo y al board
+     */
+    finalizeEstimate() {
+        const input = this.container.querySelector('#pokerFinalValue');
+        const value = input ? parseFloat(input.value) : NaN;
+
+        if (!this.isInSession() || !Number.isFinite(value)) {
+            this.setStatus('Indica la estimación acordada');
+            return;
+        }
+        this.session.finalize(value);
+    }
+
+    /**
+     * Sesiones multijugador
+     */
+    async startSession(role, roomId) {
+        const nameInput = this.container.querySelector('#pokerName');
+        const serverInput = this.container.querySelector('#pokerServerUrl');
+        const name = nameInput ? nameInput.value.trim() : '';
+
+        if (!name) {
+            this.setStatus('Escribe tu nombre para entrar en la sala');
+            return;
+        }
+        if (!roomId) {
+            this.setStatus('Escribe el código de la sala');
+            return;
+        }
+
+        this.endSession();
+        this.reset();
+
+        this.session = new PokerSession({ serverUrl: serverInput ? serverInput.value.trim() : this.config.serverUrl });
+        this.sessionListeners = [
+            this.session.on('state', (room) => this.renderSessionState(room)),
+            this.session.on('error', (error) => this.setStatus(`⚠️ ${error.message}`)),
+            this.session.on('close', ({ willReconnect }) => {
+                this.setStatus(willReconnect ? 'Conexión perdida, reintentando...' : 'Desconectado de la sala');
+            }),
+            this.session.on('estimate', (message) => {
+                const title = message.story ? message.story.title : 'El item';
+                this.setStatus(`✅ ${title}: ${message.value} SP`);
+                if (this.config.onEstimate) {
+                    this.config.onEstimate(message.story, message.value);
+                }
+            })
+        ];
+
+        try {
+            await this.session.connect({ roomId, name, role });
+            this.setStatus(role === 'facilitator'
+                ? 'Sala creada: comparte el enlace y elige el item a estimar'
+                : 'Conectado: vota cuando el facilitador presente el item');
+        } catch (error) {
+            console.warn('PlanningPoker: error connecting to session', error);
+            this.setStatus(`⚠️ ${error.message}`);
+            this.endSession();
+        }
+    }
+
+    createRoom() {
+        return this.startSession('facilitator', PokerSession.createRoomId());
+    }
+
+    joinRoom() {
+        const roomInput = this.container.querySelector('#pokerRoomId');
+        return this.startSession('participant', roomInput ? roomInput.value.trim().toUpperCase() : '');
+    }
+
+    leaveRoom() {
+        this.endSession();
+        this.reset();
+        this.setStatus('Has salido de la sala');
+    }
+
+    /**
+     * Cierra la sesión y vuelve al modo individual
+     */
+    endSession() {
+        this.sessionListeners.forEach(unsubscribe => unsubscribe());
+        this.sessionListeners = [];
+
+        if (this.session) {
+            this.session.disconnect();
+            this.session = null;
+        }
+        this.sessionRoundKey = null;
+
+        const setup = this.container.querySelector('#pokerSessionSetup');
+        const info = this.container.querySelector('#pokerSessionInfo');
+        const grid = this.container.querySelector('#pokerCardsGrid');
+        if (setup) setup.style.display = 'flex';
+        if (info) info.style.display = 'none';
+        if (grid) grid.classList.remove('paused');
+    }
+
+    async copyInviteLink() {
+        if (!this.session || !this.session.roomId) return;
+
+        const link = PokerSession.getJoinLink(this.session.roomId, this.session.config.serverUrl);
+        try {
+            await navigator.clipboard.writeText(link);
+            this.setStatus('📋 Enlace copiado');
+        } catch (error) {
+            window.prompt('Copia el enlace de invitación:', link);
+        }
+    }
+
+    /**
+     * Items estimables: prop stories o los del Sprint Board conectado
+     */
+    getStories() {
+        if (this.config.stories) return this.config.stories;
+        if (!this.board) return [];
+        // Solo los PBIs se estiman en Story Points
+        return [...this.board.getProductBacklog(), ...this.board.getTasks()]
+            .filter(item => WorkItemHierarchy.isBacklogItem(item));
+    }
+
+    populateStorySelect() {
+        const select = this.container.querySelector('#pokerStorySelect');
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = '<option value="">— Selecciona un item —</option>' + this.getStories().map(story => `
+            <option value="${this.escapeHtml(story.id)}">${this.escapeHtml(story.title)}${story.storyPoints !== undefined ? ` (${story.storyPoints} SP)` : ''}</option>
+        `).join('');
+        select.value = current;
+    }
+
+    setStory(storyId) {
+        if (!this.isInSession() || !this.session.isFacilitator()) return;
+
+        const story = this.getStories().find(candidate => candidate.id === storyId);
+        this.session.setStory(story ? { taskId: story.id, title: story.title } : null);
+    }
+
+    /**
+     * Pinta el estado de la sala recibido del relay
+     */
+    renderSessionState(room) {
+        const setup = this.container.querySelector('#pokerSessionSetup');
+        const info = this.container.querySelector('#pokerSessionInfo');
+        if (setup) setup.style.display = 'none';
+        if (info) info.style.display = 'block';
+
+        const facilitator = this.session.isFacilitator();
+        const setText = (selector, text) => {
+            const element = this.container.querySelector(selector);
+            if (element) element.textContent = text;
+        };
+
+        setText('#pokerRoomLabel', room.id);
+        setText('#pokerRoundLabel', room.round);
+
+        const picker = this.container.querySelector('#pokerStoryPicker');
+        if (picker) picker.style.display = facilitator ? 'block' : 'none';
+
+        const storyLabel = this.container.querySelector('#pokerStoryLabel');
+        if (storyLabel) {
+            storyLabel.innerHTML = room.story
+                ? `Estimando: <strong>${this.escapeHtml(room.story.title)}</strong>`
+                : 'Esperando a que el facilitador elija un item';
+        }
+
+        const participants = this.container.querySelector('#pokerParticipants');
+        if (participants) {
+            participants.innerHTML = room.participants.map(participant => `
+                <span class="vote-card ${participant.online ? '' : 'offline'}">
+                    ${participant.hasVoted ? '✅' : '⏳'} ${this.escapeHtml(participant.name)}${participant.role === 'facilitator' ? ' 🎩' : ''}
+                </span>
+            `).join('');
+        }
+
+        // Nueva ronda o nuevo item: se limpia la carta local
+        const roundKey = `${room.round}:${room.story ? room.story.taskId : ''}`;
+        if (this.sessionRoundKey !== null && this.sessionRoundKey !== roundKey) {
+            this.container.querySelectorAll('.poker-card').forEach(card => card.classList.remove('selected'));
+            this.selectedCard = null;
+            this.updateSelectedCardDisplay();
+        }
+        this.sessionRoundKey = roundKey;
+
+        const wasRevealed = this.isRevealed;
+        this.teamVotes = room.participants
+            .filter(participant => participant.vote !== null)
+            .map(participant => ({ member: participant.name, vote: participant.vote }));
+        this.isRevealed = room.revealed;
+        this.updateRevealUI();
+
+        const finalize = this.container.querySelector('#pokerFinalize');
+        if (finalize) {
+            finalize.style.display = facilitator && this.isRevealed && room.story ? 'flex' : 'none';
+        }
+
+        if (this.isRevealed) {
+            const storyId = room.story ? room.story.taskId : null;
+            const history = room.history.filter(entry => entry.taskId === storyId);
+            if (!wasRevealed) {
+                this.handleReveal(this.teamVotes, history, room.story);
+            } else {
+                this.renderAnalysis(PokerConsensus.analyze(this.toPointVotes(this.teamVotes), { deck: this.getNumericDeck() }), history);
+            }
+        }
+
+        const pauseBtn = this.container.querySelector('#pokerPauseBtn');
+        if (pauseBtn) {
+            pauseBtn.textContent = room.paused ? '▶️ Reanudar sesión' : '☕ Pausar sesión';
+        }
+        const grid = this.container.querySelector('#pokerCardsGrid');
+        if (grid) {
+            grid.classList.toggle('paused', Boolean(room.paused));
+        }
+        if (room.paused) {
+            this.setStatus('☕ Sesión en pausa: el facilitador la reanudará en breve');
+        }
+    }
+
+    setStatus(message) {
+        const status = this.container.querySelector('#pokerStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Utilidades
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Helper para event listeners con cleanup
+     */
+    addEventListener(element, event, handler) {
+        element.addEventListener(event, handler);
+        this.eventListeners.push({ element, event, handler });
+    }
+
+    /**
+     * API pública
+     */
+    isInSession() {
+        return this.session !== null && this.session.isConnected();
+    }
+
+    getSelectedCard() {
+        return this.selectedCard;
+    }
+
+    getVotes() {
+        return [...this.teamVotes];
+    }
+
+    getSession() {
+        return this.session;
+    }
+
+    /**
+     * Cleanup del componente
+     */
+    destroy() {
+        this.endSession();
+
+        // Cleanup event listeners
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+
+        this.eventListeners = [];
+        this.teamVotes = [];
+        this.localHistory = [];
+        this.board = null;
+    }
+}
+
+// Export para uso como módulo
+export default PlanningPoker;
@@ -0,0 +1,193 @@
+/**
+ * Poker Consensus - Análisis de los votos revelados en Planning Poker
+ * Funciones puras: no tocan el DOM ni la sesión
+ */
+
+import EstimationDecks from './estimation_decks.js';
+
+const PokerConsensus = {
+
+    /**
+     * Escala por defecto, en puntos
+     */
+    defaultDeck: EstimationDecks.getPointScale(EstimationDecks.defaultDeckId),
+
+    /**
+     * Cartas especiales
+     */
+    specialCards: {
+        unknown: '?',
+        coffee: '☕'
+    },
+
+    /**
+     * Analiza una ronda de votos revelados
+     * @param {Object[]} votes - { member, vote } con el valor de la carta en puntos (string)
+     * @param {Object} options - deck (escala en puntos, ordenada) y splitThreshold
+     * @returns {Object} Estadísticas, outliers y recomendación para el facilitador
+     */
+    analyze(votes, { deck = this.defaultDeck, splitThreshold = deck[deck.length - 1] } = {}) {
+        const numeric = [];
+        const unknown = [];
+        const coffee = [];
+
+        votes.forEach(({ member, vote }) => {
+            if (vote === this.specialCards.coffee) {
+                coffee.push(member);
+            } else if (vote === this.specialCards.unknown) {
+                unknown.push(member);
+            } else if (vote !== null && vote !== undefined && Number.isFinite(parseFloat(vote))) {
+                numeric.push({ member, value: parseFloat(vote) });
+            }
+        });
+
+        const values = numeric.map(entry => entry.value).sort((a, b) => a - b);
+        const total = votes.length;
+        const min = values.length > 0 ? values[0] : null;
+        const max = values.length > 0 ? values[values.length - 1] : null;
+
+        const stepSpread = values.length > 0 ? this.stepIndex(max, deck) - this.stepIndex(min, deck) : 0;
+        const exceedsOneStep = stepSpread > 1;
+        const modes = this.getModes(values);
+        const median = values.length > 0 ? this.median(values) : null;
+
+        // Sugerencia: la moda si es única, si no el valor del mazo más cercano a la mediana
+        const suggestedValue = modes.length === 1
+            ? modes[0]
+            : (median !== null ? this.nearestCard(median, deck) : null);
+
+        const outliers = exceedsOneStep
+            ? {
+                lowest: numeric.filter(entry => entry.value === min),
+                highest: numeric.filter(entry => entry.value === max)
+            }
+            : { lowest: [], highest: [] };
+
+        return {
+            total,
+            numericCount: values.length,
+            values,
+            min,
+            max,
+            spread: values.length > 0 ? max - min : 0,
+            stepSpread,
+            exceedsOneStep,
+            modes,
+            mode: modes.length === 1 ? modes[0] : null,
+            median,
+            average: values.length > 0
+                ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10
+                : null,
+            consensus: values.length > 0 && min === max && unknown.length === 0,
+            outliers,
+            special: { unknown, coffee },
+            suggestedValue,
+            recommendation: this.recommend({
+                total, values, unknown, coffee, exceedsOneStep, suggestedValue, splitThreshold
+            })
+        };
+    },
+
+    /**
+     * Decide el siguiente paso de la sesión
+     * @returns {string} 'pause' | 'split' | 'clarify' | 'revote' | 'accept' | 'empty'
+     */
+    recommend({ total, values, unknown, coffee, exceedsOneStep, suggestedValue, splitThreshold }) {
+        const majority = Math.ceil(total / 2);
+
+        if (total === 0) return 'empty';
+        // La mitad del equipo pide café: se pausa la sesión
+        if (coffee.length > 0 && coffee.length >= majority) return 'pause';
+        // Nadie sabe estimarla o es la carta más alta: la story es demasiado grande o ambigua
+        if (unknown.length >= majority) return 'split';
+        if (suggestedValue !== null && suggestedValue >= splitThreshold) return 'split';
+        if (unknown.length > 0) return 'clarify';
+        if (values.length === 0) return 'empty';
+        if (exceedsOneStep) return 'revote';
+        return 'accept';
+    },
+
+    /**
+     * Posición de un valor en el mazo (la carta más cercana si no está)
+     * @param {number} value - Valor votado
+     * @param {number[]} deck - Mazo ordenado
+     * @returns {number}
+     */
+    stepIndex(value, deck) {
+        const exact = deck.indexOf(value);
+        if (exact !== -1) return exact;
+        return deck.indexOf(this.nearestCard(value, deck));
+    },
+
+    /**
+     * Carta del mazo más cercana a un valor (en empate, la mayor)
+     * @param {number} value - Valor
+     * @param {number[]} deck - Mazo ordenado
+     * @returns {number}
+     */
+    nearestCard(value, deck) {
+        return deck.reduce((best, card) =>
+            Math.abs(card - value) <= Math.abs(best - value) ? card : best
+        , deck[0]);
+    },
+
+    /**
+     * Valores más repetidos
+     * @param {number[]} values - Valores numéricos
+     * @returns {number[]} Todas las modas, ordenadas
+     */
+    getModes(values) {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+        const highest = Math.max(0, ...counts.values());
+        if (highest <= 1 && values.length > 1) return [];
+
+        return Array.from(counts.entries())
+            .filter(([, count]) => count === highest)
+            .map(([value]) => value)
+            .sort((a, b) => a - b);
+    },
+
+    /**
+     * Mediana de una lista ordenada
+     * @param {number[]} sortedValues - Valores ordenados
+     * @returns {number}
+     */
+    median(sortedValues) {
+        const middle = Math.floor(sortedValues.length / 2);
+        return sortedValues.length % 2 === 0
+            ? (sortedValues[middle - 1] + sortedValues[middle]) / 2
+            : sortedValues[middle];
+    },
+
+    /**
+     * Texto corto de la recomendación para la UI
+     * @param {Object} analysis - Resultado de analyze()
+     * @returns {string}
+     */
+    describe(analysis) {
+        const names = (entries) => entries.map(entry => `${entry.member} (${entry.value})`).join(', ');
+
+        switch (analysis.recommendation) {
+            case 'pause':
+                return `☕ ${analysis.special.coffee.length} personas piden un descanso: pausa la sesión`;
+            case 'split':
+                return '✂️ La story es demasiado grande o ambigua: márcala para dividirla en el refinement';
+            case 'clarify':
+                return `❓ ${analysis.special.unknown.join(', ')} necesita más información: aclara la story y vuelve a votar`;
+            case 'revote':
+                return `🔁 Diferencia de ${analysis.stepSpread} pasos de la escala: ${names(analysis.outliers.lowest)} y ` +
+                    `${names(analysis.outliers.highest)} explican su razonamiento y se vota de nuevo`;
+            case 'accept':
+                return analysis.consensus
+                    ? `✅ Consenso total en ${analysis.suggestedValue} SP`
+                    : `✅ Votos a un paso de la escala: acordad ${analysis.suggestedValue} SP`;
+            default:
+                return 'Sin votos que analizar';
+        }
+    }
+};
+
+// Export para uso como módulo
+export default PokerConsensus;
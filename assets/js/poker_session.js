@@ -0,0 +1,288 @@
+/**
+ * Poker Session - Cliente de sesiones multijugador de Planning Poker
+ * assets/js/poker_session.js
+ *
+ * Se conecta al relay WebSocket (server/poker_relay.js). Los votos del resto
+ * del equipo llegan ocultos hasta que el facilitador los revela.
+ */
+
+class PokerSession {
+    constructor(props = {}) {
+        this.socket = null;
+        this.state = null;
+        this.roomId = null;
+        this.participantId = null;
+        // Secreto que da el relay para recuperar este participante al reconectar
+        this.reconnectToken = null;
+        this.role = null;
+        this.name = null;
+        this.handlers = new Map();
+        this.reconnectAttempts = 0;
+        // Se perdió una conexión ya establecida: los intentos fallidos siguen reintentando
+        this.reconnecting = false;
+        this.closedByUser = false;
+
+        this.config = {
+            serverUrl: props.serverUrl || 'ws://localhost:8787',
+            maxReconnectAttempts: props.maxReconnectAttempts ?? 5,
+            reconnectDelay: props.reconnectDelay || 2000,
+            WebSocketImpl: props.WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null)
+        };
+    }
+
+    /**
+     * Genera un identificador corto de sala
+     * @returns {string}
+     */
+    static createRoomId() {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        let id = '';
+        for (let i = 0; i < 6; i++) {
+            id += alphabet[Math.floor(Math.random() * alphabet.length)];
+        }
+        return id;
+    }
+
+    /**
+     * Construye el enlace para que el equipo se una a la sala
+     * @param {string} roomId - Id de la sala
+     * @param {string} serverUrl - URL del relay
+     * @returns {string}
+     */
+    static getJoinLink(roomId, serverUrl) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('pokerRoom', roomId);
+        url.searchParams.set('pokerServer', serverUrl);
+        url.hash = 'recursos-herramientas';
+        return url.toString();
+    }
+
+    /**
+     * Conecta al relay y entra en la sala
+     * @param {Object} params - roomId, name y role ('facilitator' | 'participant')
+     * @returns {Promise<Object>} Mensaje de bienvenida del relay
+     */
+    connect({ roomId, name, role = 'participant' }) {
+        if (!this.config.WebSocketImpl) {
+            return Promise.reject(new Error('WebSocket no está disponible en este navegador'));
+        }
+
+        this.roomId = roomId;
+        this.name = name;
+        this.role = role;
+        this.closedByUser = false;
+
+        return new Promise((resolve, reject) => {
+            let welcomed = false;
+            const socket = new this.config.WebSocketImpl(this.config.serverUrl);
+            this.socket = socket;
+
+            socket.onopen = () => {
+                this.send({
+                    type: 'join',
+                    roomId: this.roomId,
+                    name: this.name,
+                    role: this.role,
+                    participantId: this.participantId,
+                    reconnectToken: this.reconnectToken
+                });
+            };
+
+            socket.onmessage = (event) => {
+                const message = this.parseMessage(event.data);
+                if (!message) return;
+
+                if (message.type === 'welcome') {
+                    welcomed = true;
+                    this.participantId = message.participantId;
+                    this.reconnectToken = message.reconnectToken || null;
+                    this.role = message.role;
+                    this.reconnectAttempts = 0;
+                    this.reconnecting = false;
+                    resolve(message);
+                } else if (message.type === 'error' && !welcomed) {
+                    this.closedByUser = true;
+                    socket.close();
+                    reject(new Error(message.message));
+                    return;
+                }
+
+                this.handleMessage(message);
+            };
+
+            socket.onerror = () => {
+                if (!welcomed) {
+                    reject(new Error(`No se pudo conectar con ${this.config.serverUrl}`));
+                }
+            };
+
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+                this.socket = null;
+                if (welcomed) this.reconnecting = true;
+                if (!this.shouldReconnect()) this.reconnecting = false;
+                this.emit('close', { willReconnect: this.reconnecting });
+
+                if (this.reconnecting) {
+                    this.scheduleReconnect();
+                }
+            };
+        });
+    }
+
+    /**
+     * Parsea un mensaje del relay
+     */
+    parseMessage(data) {
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            console.warn('Mensaje de Planning Poker no válido:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Procesa los mensajes del relay
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'state':
+                this.state = message.room;
+                this.emit('state', message.room);
+                break;
+            case 'estimate':
+                this.emit('estimate', message);
+                // El SprintBoard escucha este evento para guardar los Story Points
+                document.dispatchEvent(new CustomEvent('planningpoker:estimate', {
+                    detail: { taskId: message.taskId, storyPoints: message.value, story: message.story }
+                }));
+                break;
+            case 'flag':
+                this.emit('flag', message);
+                document.dispatchEvent(new CustomEvent('planningpoker:flag', {
+                    detail: { taskId: message.taskId, flag: message.flag, story: message.story }
+                }));
+                break;
+            case 'error':
+                this.emit('error', new Error(message.message));
+                break;
+            default:
+                break;
+        }
+    }
+
+    shouldReconnect() {
+        return !this.closedByUser && this.reconnectAttempts < this.config.maxReconnectAttempts;
+    }
+
+    scheduleReconnect() {
+        this.reconnectAttempts++;
+        setTimeout(() => {
+            if (this.closedByUser) return;
+            this.connect({ roomId: this.roomId, name: this.name, role: this.role })
+                .catch(error => this.emit('error', error));
+        }, this.config.reconnectDelay * this.reconnectAttempts);
+    }
+
+    /**
+     * Envía un mensaje al relay
+     */
+    send(message) {
+        const openState = this.config.WebSocketImpl.OPEN ?? 1;
+        if (!this.socket || this.socket.readyState !== openState) {
+            this.emit('error', new Error('No hay conexión con la sala'));
+            return false;
+        }
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * Acciones de la sesión
+     */
+    vote(value) {
+        return this.send({ type: 'vote', value });
+    }
+
+    reveal() {
+        return this.send({ type: 'reveal' });
+    }
+
+    reset() {
+        return this.send({ type: 'reset' });
+    }
+
+    setStory(story) {
+        return this.send({ type: 'story', story });
+    }
+
+    finalize(value) {
+        return this.send({ type: 'finalize', value });
+    }
+
+    pause(paused = true) {
+        return this.send({ type: 'pause', paused });
+    }
+
+    flagStory(flag) {
+        return this.send({ type: 'flag', flag });
+    }
+
+    /**
+     * Suscripción a eventos: state, estimate, flag, error, close
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, new Set());
+        }
+        this.handlers.get(event).add(handler);
+        return () => this.handlers.get(event).delete(handler);
+    }
+
+    emit(event, payload) {
+        (this.handlers.get(event) || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error en handler de ${event}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Getters de estado
+     */
+    isConnected() {
+        return this.socket !== null && this.participantId !== null;
+    }
+
+    isFacilitator() {
+        return this.state !== null && this.state.facilitatorId === this.participantId;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Sale de la sala y cierra la conexión
+     */
+    disconnect() {
+        this.closedByUser = true;
+        this.reconnecting = false;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.state = null;
+        this.participantId = null;
+        this.reconnectToken = null;
+        this.handlers.clear();
+    }
+}
+
+// Export para uso como módulo
+export default PokerSession;
@@ -0,0 +1,336 @@
+/**
+ * Prioritization Models - Motor de priorización intercambiable
+ * WSJF, RICE, Cost of Delay, CD3, MoSCoW, Kano y fórmulas ponderadas propias
+ */
+
+import WSJFRanking from './wsjf_ranking.js';
+
+const PrioritizationModels = {
+
+    defaultModelId: 'wsjf',
+
+    /**
+     * Modelos registrados por id
+     */
+    models: {},
+
+    /**
+     * Registra un modelo de priorización
+     * @param {Object} model - { id, name, description, fields, score(values), tieBreak?, normalize?, format? }
+     *   fields: [{ id, label, type: 'scale' | 'number' | 'select', options?, default, min? }]
+     *   score: devuelve un número (mayor = más prioritario) o null si faltan datos
+     * @returns {Object} Modelo registrado
+     */
+    register(model) {
+        if (!model || !model.id || !Array.isArray(model.fields) || typeof model.score !== 'function') {
+            throw new Error('PrioritizationModels: un modelo necesita id, fields y score()');
+        }
+        this.models[model.id] = { name: model.id, description: '', ...model };
+        return this.models[model.id];
+    },
+
+    /**
+     * Obtiene un modelo por id (o lo devuelve si ya es un modelo)
+     * @param {string|Object} model - Id o modelo
+     * @returns {Object}
+     */
+    get(model) {
+        if (model && typeof model === 'object') return model;
+        if (this.models[model]) return this.models[model];
+
+        if (model) {
+            console.warn(`PrioritizationModels: modelo desconocido "${model}", se usa ${this.defaultModelId}`);
+        }
+        return this.models[this.defaultModelId];
+    },
+
+    list() {
+        return Object.values(this.models);
+    },
+
+    /**
+     * Convierte el valor de un campo a su tipo (número, opción o valor de la escala)
+     */
+    parseValue(field, value, scale = []) {
+        if (field.type === 'select') {
+            const option = field.options.find(candidate => String(candidate.value) === String(value));
+            return option ? option.value : field.default;
+        }
+
+        const number = parseFloat(value);
+        if (!Number.isFinite(number)) {
+            return field.type === 'scale' && scale.length > 0 ? WSJFRanking.nearest(field.default, scale) : field.default;
+        }
+        if (field.type === 'scale' && scale.length > 0) {
+            return WSJFRanking.nearest(number, scale);
+        }
+        return Number.isFinite(field.min) ? Math.max(field.min, number) : number;
+    },
+
+    /**
+     * Puntuación de un item con un modelo
+     * @returns {number|null}
+     */
+    score(model, values) {
+        const score = this.get(model).score(values || {});
+        return Number.isFinite(score) ? score : null;
+    },
+
+    /**
+     * Texto de la puntuación (los modelos por categorías muestran la categoría)
+     */
+    format(model, score, values, precision = 1) {
+        const resolved = this.get(model);
+        if (score === null) return '—';
+        if (resolved.format) return resolved.format(score, values || {});
+        return String(parseFloat(score.toFixed(precision)));
+    },
+
+    /**
+     * Ordena items por la puntuación de un modelo (mayor primero). Los empates
+     * se resuelven con tieBreak del modelo y después por el orden original
+     * @param {Object[]} items - Items a ordenar
+     * @param {string|Object} model - Modelo
+     * @param {Object} options - getValues(item, model) para leer las entradas de cada item
+     * @returns {Object[]} Copias con score y rank; los items sin puntuación van al final
+     */
+    rank(items, model, options = {}) {
+        const resolved = this.get(model);
+        const getValues = options.getValues || (item => item);
+
+        const scored = items.map((item, index) => {
+            const values = getValues(item, resolved) || {};
+            return { item, values, score: this.score(resolved, values), index };
+        });
+
+        scored.sort((a, b) => {
+            if (a.score === null || b.score === null) {
+                return (a.score === null) - (b.score === null) || a.index - b.index;
+            }
+            return b.score - a.score
+                || (resolved.tieBreak ? resolved.tieBreak(a.values, b.values) : 0)
+                || a.index - b.index;
+        });
+
+        return scored.map(({ item, score }, position) => ({ ...item, score, rank: position + 1 }));
+    },
+
+    /**
+     * Compara los rankings de dos modelos sobre el mismo backlog
+     * @param {Object[]} items - Items con id
+     * @param {string|Object} modelA - Modelo principal
+     * @param {string|Object} modelB - Modelo a comparar
+     * @param {Object} options - Igual que rank()
+     * @returns {Object} { rows: [{ id, rankA, rankB, scoreA, scoreB, delta }], correlation }
+     *   delta > 0: el modelo B lo sube de posición; correlation: Spearman (1 = mismo orden)
+     */
+    compare(items, modelA, modelB, options = {}) {
+        const rankedA = this.rank(items, modelA, options);
+        const rankedB = this.rank(items, modelB, options);
+        const byIdB = new Map(rankedB.map(item => [item.id, item]));
+
+        const rows = rankedA.map(itemA => {
+            const itemB = byIdB.get(itemA.id);
+            return {
+                id: itemA.id,
+                rankA: itemA.rank,
+                rankB: itemB.rank,
+                scoreA: itemA.score,
+                scoreB: itemB.score,
+                delta: itemA.rank - itemB.rank
+            };
+        });
+
+        return { rows, correlation: this.spearman(rows) };
+    },
+
+    /**
+     * Correlación de Spearman entre dos rankings sin empates
+     */
+    spearman(rows) {
+        const n = rows.length;
+        if (n < 2) return null;
+        const sumSquares = rows.reduce((sum, row) => sum + (row.rankA - row.rankB) ** 2, 0);
+        return parseFloat((1 - (6 * sumSquares) / (n * (n * n - 1))).toFixed(2));
+    },
+
+    /**
+     * Crea y registra un modelo de fórmula ponderada propia:
+     * score = Σ(peso × valor de los criterios de beneficio) / Σ(peso × valor de los de coste)
+     * Sin criterios de coste, el score es la suma ponderada de beneficios
+     * @param {Object} definition - { id, name, description?, criteria: [{ id, label, weight, cost?, default?, min? }] }
+     * @returns {Object} Modelo registrado
+     */
+    createWeightedModel(definition) {
+        const criteria = definition.criteria || [];
+        if (!definition.id || criteria.length === 0) {
+            throw new Error('PrioritizationModels: una fórmula ponderada necesita id y criterios');
+        }
+
+        const weighted = (values, cost) => criteria
+            .filter(criterion => Boolean(criterion.cost) === cost)
+            .reduce((sum, criterion) => sum + (criterion.weight ?? 1) * parseFloat(values[criterion.id]), 0);
+        const formula = (cost) => criteria
+            .filter(criterion => Boolean(criterion.cost) === cost)
+            .map(criterion => `${criterion.weight ?? 1}×${criterion.label || criterion.id}`)
+            .join(' + ');
+
+        return this.register({
+            id: definition.id,
+            name: definition.name || definition.id,
+            description: definition.description || (criteria.some(criterion => criterion.cost)
+                ? `(${formula(false)}) / (${formula(true)})`
+                : formula(false)),
+            weighted: true,
+            fields: criteria.map(criterion => ({
+                id: criterion.id,
+                label: criterion.label || criterion.id,
+                type: 'number',
+                min: criterion.min ?? 0,
+                default: criterion.default ?? 1
+            })),
+            score(values) {
+                const benefit = weighted(values, false);
+                if (!criteria.some(criterion => criterion.cost)) return benefit;
+
+                const cost = weighted(values, true);
+                return cost > 0 ? benefit / cost : null;
+            }
+        });
+    }
+};
+
+/**
+ * Categorías como opciones de un campo select, con su peso en el ranking
+ */
+const categoryField = (id, label, categories, defaultValue) => ({
+    id,
+    label,
+    type: 'select',
+    default: defaultValue,
+    options: Object.entries(categories).map(([value, category]) => ({ value, label: `${category.icon} ${category.label}` }))
+});
+
+const moscowCategories = {
+    must: { label: 'Must have', icon: '🔴', weight: 4 },
+    should: { label: 'Should have', icon: '🟠', weight: 3 },
+    could: { label: 'Could have', icon: '🟢', weight: 2 },
+    wont: { label: "Won't have", icon: '⚪', weight: 1 }
+};
+
+const kanoCategories = {
+    'must-be': { label: 'Básica', icon: '🧱', weight: 4 },
+    performance: { label: 'Desempeño', icon: '📈', weight: 3 },
+    attractive: { label: 'Atractiva', icon: '✨', weight: 2 },
+    indifferent: { label: 'Indiferente', icon: '😐', weight: 1 },
+    reverse: { label: 'Inversa', icon: '🔄', weight: 0 }
+};
+
+PrioritizationModels.register({
+    id: 'wsjf',
+    name: 'WSJF',
+    description: '(Business Value + Urgencia + Risk Reduction) / Job Size',
+    fields: [
+        { id: 'businessValue', label: '💰 BV', type: 'scale', default: 8 },
+        { id: 'urgency', label: '⏰ Urgencia', type: 'scale', default: 5 },
+        { id: 'riskReduction', label: '🛡️ RR', type: 'scale', default: 3 },
+        { id: 'effort', label: '⚡ Job Size', type: 'scale', default: 8 }
+    ],
+    score: values => WSJFRanking.score(values),
+    // A igual WSJF, primero el trabajo más pequeño
+    tieBreak: (a, b) => a.effort - b.effort,
+    normalize: (items, scale) => WSJFRanking.normalize(items, scale)
+});
+
+PrioritizationModels.register({
+    id: 'rice',
+    name: 'RICE',
+    description: 'Reach × Impact × Confidence / Effort',
+    fields: [
+        { id: 'reach', label: '👥 Reach (usuarios/trimestre)', type: 'number', min: 0, default: 100 },
+        {
+            id: 'impact',
+            label: '🎯 Impact',
+            type: 'select',
+            default: 1,
+            options: [
+                { value: 3, label: '3 · Masivo' },
+                { value: 2, label: '2 · Alto' },
+                { value: 1, label: '1 · Medio' },
+                { value: 0.5, label: '0.5 · Bajo' },
+                { value: 0.25, label: '0.25 · Mínimo' }
+            ]
+        },
+        {
+            id: 'confidence',
+            label: '🔒 Confidence',
+            type: 'select',
+            default: 80,
+            options: [
+                { value: 100, label: '100% · Alta' },
+                { value: 80, label: '80% · Media' },
+                { value: 50, label: '50% · Baja' }
+            ]
+        },
+        { id: 'effort', label: '⏱️ Effort (persona-mes)', type: 'number', min: 0, default: 1 }
+    ],
+    score(values) {
+        const effort = parseFloat(values.effort);
+        if (!(effort > 0)) return null;
+        return parseFloat(values.reach) * parseFloat(values.impact) * (parseFloat(values.confidence) / 100) / effort;
+    }
+});
+
+PrioritizationModels.register({
+    id: 'cost-of-delay',
+    name: 'Cost of Delay',
+    description: 'Coste de no tener el item, por semana',
+    fields: [
+        { id: 'costOfDelay', label: '💸 CoD (€/semana)', type: 'number', min: 0, default: 1000 }
+    ],
+    score: values => parseFloat(values.costOfDelay)
+});
+
+PrioritizationModels.register({
+    id: 'cd3',
+    name: 'CD3',
+    description: 'Cost of Delay Divided by Duration',
+    fields: [
+        { id: 'costOfDelay', label: '💸 CoD (€/semana)', type: 'number', min: 0, default: 1000 },
+        { id: 'duration', label: '⏳ Duración (semanas)', type: 'number', min: 0, default: 2 }
+    ],
+    score(values) {
+        const duration = parseFloat(values.duration);
+        return duration > 0 ? parseFloat(values.costOfDelay) / duration : null;
+    },
+    tieBreak: (a, b) => a.duration - b.duration
+});
+
+PrioritizationModels.register({
+    id: 'moscow',
+    name: 'MoSCoW',
+    description: 'Must / Should / Could / Won\'t; dentro de cada grupo se mantiene el orden actual',
+    categories: moscowCategories,
+    fields: [categoryField('category', '📦 Categoría', moscowCategories, 'should')],
+    score: values => moscowCategories[values.category]?.weight ?? null,
+    format: (score, values) => {
+        const category = moscowCategories[values.category];
+        return category ? `${category.icon} ${category.label}` : '—';
+    }
+});
+
+PrioritizationModels.register({
+    id: 'kano',
+    name: 'Kano',
+    description: 'Básicas antes que de desempeño, atractivas, indiferentes e inversas',
+    categories: kanoCategories,
+    fields: [categoryField('category', '😊 Categoría Kano', kanoCategories, 'performance')],
+    score: values => kanoCategories[values.category]?.weight ?? null,
+    format: (score, values) => {
+        const category = kanoCategories[values.category];
+        return category ? `${category.icon} ${category.label}` : '—';
+    }
+});
+
+// Export para uso como módulo
+export default PrioritizationModels;
@@ -0,0 +1,308 @@
+/**
+ * Server Store - Persistencia en el servidor del equipo (server/team_server.js)
+ * assets/js/server_store.js
+ *
+ * Misma interfaz que PersistentStore (load/save/remove), así los componentes
+ * cambian de almacenamiento local a compartido sólo con props.
+ * Con offline: true los guardados sin conexión van a la cola de sync_outbox.js
+ * y el documento se puede abrir con la última copia conocida del servidor.
+ */
+
+import PersistentStore from './persistent_store.js';
+import SyncOutbox from './sync_outbox.js';
+
+/**
+ * Colección del servidor para cada esquema de PersistentStore
+ */
+const COLLECTION_BY_SCHEMA = {
+    'sprint-board': 'boards',
+    'wsjf-history': 'wsjf',
+    'wsjf-batch': 'wsjf'
+};
+
+class ServerStore {
+    constructor(props = {}) {
+        this.config = {
+            serverUrl: (props.serverUrl || 'http://localhost:8790').replace(/\/+$/, ''),
+            token: props.token || null,
+            timeout: props.timeout || 10000,
+            // Encolar los cambios hechos sin conexión en lugar de fallar
+            offline: props.offline === true
+        };
+
+        // Última revisión conocida de cada documento (control de concurrencia)
+        this.revisions = new Map();
+        // Guardados en curso por documento: cada PUT espera al anterior
+        this.pending = new Map();
+
+        this.outboxListener = null;
+        if (this.config.offline) {
+            SyncOutbox.listen();
+            // Lo que reenvía la cola (service worker o página) crea revisiones nuevas
+            this.outboxListener = (event) => {
+                const { status, url, revision } = event.detail || {};
+                if (status === 'synced' && revision !== undefined) {
+                    this.revisions.set(url, revision);
+                }
+            };
+            document.addEventListener('syncoutbox:change', this.outboxListener);
+        }
+    }
+
+    getDocumentUrl(key, schemaId) {
+        const collection = COLLECTION_BY_SCHEMA[schemaId];
+        if (!collection) {
+            throw new Error(`ServerStore: el esquema "${schemaId}" no se guarda en el servidor`);
+        }
+        return `${this.config.serverUrl}/api/${collection}/${encodeURIComponent(key)}`;
+    }
+
+    /**
+     * Petición JSON con timeout y token
+     * @returns {Promise<Object|null>} Cuerpo de la respuesta (null si no existe)
+     */
+    async request(url, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+        try {
+            const response = await fetch(url, {
+                ...options,
+                signal: controller.signal,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {}),
+                    ...options.headers
+                }
+            });
+
+            if (response.status === 404) return null;
+            if (response.status === 204) return {};
+
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                const error = new Error(body.error || `Error ${response.status} del servidor`);
+                error.name = response.status === 409 ? 'ConflictError' : 'ServerError';
+                error.status = response.status;
+                error.current = body.current || null;
+                throw error;
+            }
+            return body;
+        } catch (error) {
+            if (error.name === 'ConflictError' || error.name === 'ServerError') throw error;
+
+            const networkError = new Error(`No se pudo conectar con ${this.config.serverUrl}`);
+            networkError.name = 'NetworkError';
+            networkError.cause = error;
+            throw networkError;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Carga un documento del servidor y lo migra a la versión actual
+     * @throws {Error} NetworkError si el servidor no responde
+     */
+    async load(key, schemaId, defaultValue = null) {
+        const schema = PersistentStore.getSchema(schemaId);
+        const url = this.getDocumentUrl(key, schemaId);
+
+        // Cambios sin conexión aún por enviar: son más nuevos que el servidor
+        const queued = this.config.offline ? await SyncOutbox.get(url) : null;
+        if (queued) {
+            if (queued.status === 'pending') SyncOutbox.replay();
+            const { version, data } = JSON.parse(queued.body);
+            return PersistentStore.migrate(schema, { key, version, data }).data;
+        }
+
+        let document;
+        try {
+            document = await this.request(url);
+        } catch (error) {
+            const snapshot = this.config.offline && error.name === 'NetworkError'
+                ? await SyncOutbox.getSnapshot(url)
+                : null;
+            if (!snapshot) throw error;
+            document = snapshot;
+        }
+
+        if (!document) {
+            this.revisions.delete(url);
+            return defaultValue;
+        }
+
+        this.revisions.set(url, document.revision);
+        if (this.config.offline) {
+            SyncOutbox.remember(url, { revision: document.revision, version: document.version, data: document.data });
+        }
+        const migrated = PersistentStore.migrate(schema, { key, version: document.version, data: document.data });
+        if (migrated.version !== document.version) {
+            await this.save(key, schemaId, migrated.data);
+        }
+        return migrated.data;
+    }
+
+    /**
+     * Guarda un documento. Si otro miembro lo cambió antes, rechaza con ConflictError.
+     * Sin conexión (y con offline activo) lo encola y resuelve 'outbox'
+     * @returns {Promise<string>} 'server' u 'outbox'
+     */
+    save(key, schemaId, data) {
+        const schema = PersistentStore.getSchema(schemaId);
+        const url = this.getDocumentUrl(key, schemaId);
+        const body = JSON.stringify({ version: schema.version, data });
+
+        const previous = this.pending.get(url) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            // Con cambios en cola, los nuevos van detrás para no adelantarlos
+            if (this.config.offline && await SyncOutbox.get(url)) {
+                return this.enqueue(key, schemaId, url, body);
+            }
+
+            const revision = this.revisions.get(url);
+            let document;
+            try {
+                document = await this.request(url, {
+                    method: 'PUT',
+                    headers: revision !== undefined ? { 'If-Match': `"${revision}"` } : {},
+                    body
+                });
+            } catch (error) {
+                if (this.config.offline && error.name === 'NetworkError') {
+                    return this.enqueue(key, schemaId, url, body, error);
+                }
+                throw error;
+            }
+
+            this.revisions.set(url, document.revision);
+            if (this.config.offline) {
+                SyncOutbox.remember(url, { revision: document.revision, version: schema.version, data });
+            }
+            return 'server';
+        });
+
+        this.pending.set(url, next);
+        next.catch(() => {}).then(() => {
+            if (this.pending.get(url) === next) this.pending.delete(url);
+        });
+        return next;
+    }
+
+    /**
+     * Adopta la versión del servidor que llegó con un 409: el siguiente guardado
+     * parte de su revisión (el llamante ya ha fusionado sus cambios encima)
+     * @param {Object} document - { revision, version, data } del servidor
+     * @returns {*} Datos migrados a la versión actual
+     */
+    rebase(key, schemaId, document) {
+        const schema = PersistentStore.getSchema(schemaId);
+        const url = this.getDocumentUrl(key, schemaId);
+
+        this.revisions.set(url, document.revision);
+        if (this.config.offline) {
+            SyncOutbox.remember(url, { revision: document.revision, version: document.version, data: document.data });
+        }
+        return PersistentStore.migrate(schema, { key, version: document.version, data: document.data }).data;
+    }
+
+    /**
+     * Encola un guardado para reenviarlo al recuperar la conexión
+     * @returns {Promise<string>} 'outbox'
+     */
+    async enqueue(key, schemaId, url, body, networkError = null) {
+        const queued = await SyncOutbox.enqueue({
+            url,
+            key,
+            schemaId,
+            body,
+            baseRevision: this.revisions.get(url) ?? null,
+            token: this.config.token
+        });
+        if (!queued) {
+            throw networkError || new Error('No se pudo guardar el cambio para enviarlo más tarde');
+        }
+        return 'outbox';
+    }
+
+    /**
+     * Cambios en cola de un documento (null si no hay)
+     * @returns {Promise<Object|null>} { status, queuedAt, error, local, server }
+     */
+    async getOutboxEntry(key, schemaId) {
+        if (!this.config.offline) return null;
+
+        const entry = await SyncOutbox.get(this.getDocumentUrl(key, schemaId));
+        if (!entry) return null;
+
+        return {
+            status: entry.status,
+            queuedAt: entry.queuedAt,
+            error: entry.error || null,
+            local: JSON.parse(entry.body).data,
+            server: entry.server || null
+        };
+    }
+
+    /**
+     * Resuelve un conflicto entre los cambios sin conexión y el servidor
+     * @param {string} choice - 'local' (sobrescribe el servidor) o 'server' (descarta los locales)
+     * @returns {Promise<*>} Datos resultantes
+     * @throws {Error} ConflictError si el servidor volvió a cambiar entretanto
+     */
+    async resolveConflict(key, schemaId, choice) {
+        const schema = PersistentStore.getSchema(schemaId);
+        const url = this.getDocumentUrl(key, schemaId);
+        const entry = await SyncOutbox.get(url);
+        if (!entry) return this.load(key, schemaId);
+
+        if (choice === 'server') {
+            await SyncOutbox.remove(url);
+            SyncOutbox.notify({ status: 'resolved', url });
+            return this.load(key, schemaId);
+        }
+
+        const serverRevision = entry.server ? entry.server.revision : undefined;
+        let document;
+        try {
+            document = await this.request(url, {
+                method: 'PUT',
+                headers: serverRevision !== undefined ? { 'If-Match': `"${serverRevision}"` } : {},
+                body: entry.body
+            });
+        } catch (error) {
+            if (error.name === 'ConflictError') await SyncOutbox.markConflict(entry, error.current);
+            throw error;
+        }
+
+        this.revisions.set(url, document.revision);
+        await SyncOutbox.markSynced(entry, document.revision);
+
+        const { version, data } = JSON.parse(entry.body);
+        SyncOutbox.remember(url, { revision: document.revision, version, data });
+        return PersistentStore.migrate(schema, { key, version, data }).data;
+    }
+
+    async remove(key, schemaId) {
+        const url = this.getDocumentUrl(key, schemaId);
+        await this.request(url, { method: 'DELETE' });
+        this.revisions.delete(url);
+    }
+
+    isQuotaExceeded(error) {
+        return Boolean(error) && error.status === 413;
+    }
+
+    /**
+     * Deja de escuchar la cola de cambios
+     */
+    close() {
+        if (this.outboxListener) {
+            document.removeEventListener('syncoutbox:change', this.outboxListener);
+            this.outboxListener = null;
+        }
+    }
+}
+
+// Export para uso como módulo
+export default ServerStore;
@@ -3,20 +3,104 @@
  * assets/js/components/sprint-board.js
  */
 
+import SprintMetrics from './sprint_metrics.js';
+import ForecastEngine from './forecast_engine.js';
+import EstimationDecks from './estimation_decks.js';
+import WorkItemHierarchy from './work_item_hierarchy.js';
+import WorkItemImport from './work_item_import.js';
+import BoardExport from './board_export.js';
+import BoardBackup from './board_backup.js';
+import BoardSwimlanes from './board_swimlanes.js';
+import WipLimits from './wip_limits.js';
+import PersistentStore from './persistent_store.js';
+import ServerStore from './server_store.js';
+import TabSync from './tab_sync.js';
+
+PersistentStore.register({
+    id: 'sprint-board',
+    version: 2,
+    // Los datos de localStorage anteriores traían su propio schemaVersion
+    legacyVersion: data => data.schemaVersion || 1,
+    migrations: {
+        // v2: jerarquía de items. Las 'feature' y las 'task' estimadas en SP eran PBIs
+        2: data => {
+            const migrate = (item) => {
+                if (item.parentId === undefined) item.parentId = null;
+                if (item.type === 'feature' || (item.type === 'task' && item.storyPoints > 0)) {
+                    item.type = 'story';
+                }
+            };
+
+            (data.tasks || []).forEach(migrate);
+            (data.productBacklog || []).forEach(migrate);
+            (data.sprintHistory || []).forEach(sprint => (sprint.completedTasks || []).forEach(migrate));
+            return { ...data, schemaVersion: 2 };
+        }
+    }
+});
+
+/**
+ * Partes del board que se fusionan campo a campo (pestañas y conflictos con el servidor)
+ */
+const SYNC_SHAPE = {
+    collections: ['tasks', 'productBacklog', 'sprintHistory'],
+    fields: ['currentSprint', 'sprintName', 'sprintDates', 'wipLimits']
+};
+
 class SprintBoard {
     constructor(props = {}) {
         this.container = null;
         this.tasks = [];
         this.columns = [];
         this.draggedTask = null;
+        this.draggedBacklogItem = null;
         this.editingTask = null;
+        this.currentSprint = null;
+        this.sprintHistory = [];
+        this.productBacklog = [];
+        this.readOnly = false;
+        this.sharedSnapshot = null;
+        // Fichero de Jira / Azure DevOps en la vista previa de importación
+        this.importState = null;
+        // Copia JSON del board en el modal de restauración (diff, fusionar o reemplazar)
+        this.backupState = null;
+        // Filtros de las columnas del sprint (también los respeta la exportación)
+        this.filters = { search: '', assignee: '', type: '', tag: '' };
+        // Carriles del board: criterio de board_swimlanes.js (null = columnas sin carriles)
+        this.swimlanes = BoardSwimlanes.modes[props.swimlanes] ? props.swimlanes : null;
+        this.collapsedLanes = new Set();
+        // Límites WIP por columna (ver wip_limits.js); se guardan con el board
+        this.wipLimits = WipLimits.normalize(props.wipLimits);
+        // Hasta que termina loadData() no se guarda nada (evita pisar los datos)
+        this.loaded = false;
+        this.ready = null;
+        this.sync = null;
+        // Última versión guardada o cargada: base de la fusión si el servidor rechaza un guardado
+        this.savedState = null;
+        // Estado de los cambios sin conexión: null, 'pending', 'conflict' o 'error'
+        this.outboxStatus = null;
         
         this.config = {
             title: props.title || 'Sprint Board Interactivo',
             subtitle: props.subtitle || 'Arrastra las tarjetas entre columnas para simular el flujo de trabajo',
             sprintName: props.sprintName || 'Sprint 1',
             sprintDates: props.sprintDates || '1 Nov - 15 Nov 2024',
+            sprintGoal: props.sprintGoal || '',
+            sprintLengthDays: props.sprintLengthDays || 14,
+            velocityWindow: props.velocityWindow || 3,
+            // Id de escala ('fibonacci', 'modified-fibonacci', 'powers-of-two', 'tshirt') o escala propia
+            deck: EstimationDecks.get(props.deck || EstimationDecks.defaultDeckId),
             storageKey: props.storageKey || 'sprint-board-data',
+            // Parámetro de la URL con la instantánea compartida del board
+            shareParam: props.shareParam || 'board',
+            // Cambios en vivo entre pestañas abiertas con el mismo board
+            syncTabs: props.syncTabs !== false,
+            // 'local' (este navegador) o 'server' (server/team_server.js, compartido por el equipo)
+            storage: props.storage === 'server' ? 'server' : 'local',
+            serverUrl: props.serverUrl || 'http://localhost:8790',
+            serverToken: props.serverToken || null,
+            // Con el servidor: editar sin conexión y enviar los cambios al volver (ver sync_outbox.js)
+            offlineEdits: props.offlineEdits !== false,
             autoSave: props.autoSave !== false,
             defaultColumns: props.columns || [
                 { id: 'backlog', title: '📋 Sprint Backlog', color: '#6366F1' },
@@ -24,6 +108,7 @@ class SprintBoard {
                 { id: 'review', title: '🔍 Code Review', color: '#EC4899' },
                 { id: 'done', title: '✅ Done', color: '#10B981' }
             ],
+            // Tope global de items por columna (bloqueo) para las columnas sin límite WIP propio
             maxTasksPerColumn: props.maxTasksPerColumn || null,
             showMetrics: props.showMetrics !== false,
             allowTaskCreation: props.allowTaskCreation !== false,
@@ -31,7 +116,9 @@ class SprintBoard {
             onTaskMove: props.onTaskMove || null,
             onTaskCreate: props.onTaskCreate || null,
             onTaskEdit: props.onTaskEdit || null,
-            onTaskDelete: props.onTaskDelete || null
+            onTaskDelete: props.onTaskDelete || null,
+            onSprintStart: props.onSprintStart || null,
+            onSprintClose: props.onSprintClose || null
         };
         
         this.eventListeners = [];
@@ -43,6 +130,14 @@ class SprintBoard {
             daysRemaining: 7
         };
         
+        this.store = this.config.storage === 'server'
+            ? new ServerStore({
+                serverUrl: this.config.serverUrl,
+                token: this.config.serverToken,
+                offline: this.config.offlineEdits
+            })
+            : PersistentStore;
+
         this.init();
     }
 
@@ -51,13 +146,19 @@ class SprintBoard {
      */
     init() {
         this.findContainer();
-        this.loadData();
+        this.setupEstimationOptions();
         this.setupColumns();
         this.setupEventListeners();
         this.setupDragAndDrop();
-        this.updateMetrics();
-        this.updateUI();
-        
+        this.setupTabSync();
+
+        // El board se pinta cuando llegan los datos guardados (IndexedDB es asíncrono)
+        this.ready = this.loadData().then(() => {
+            this.updateMetrics();
+            this.updateUI();
+            this.emitChange('board:init');
+            return this.applySharedLink();
+        });
     }
 
     /**
@@ -70,6 +171,35 @@ class SprintBoard {
         }
     }
 
+    /**
+     * Genera las opciones de estimación a partir de la escala configurada
+     */
+    setupEstimationOptions() {
+        const select = this.container.querySelector('#taskStoryPoints');
+        if (!select) return;
+
+        const deck = this.config.deck;
+        const defaultValue = EstimationDecks.fromPoints(5, deck);
+
+        select.innerHTML = deck.values.map(value => `
+            <option value="${value}" ${value === defaultValue ? 'selected' : ''}>${EstimationDecks.formatValue(value, deck)}</option>
+        `).join('');
+    }
+
+    /**
+     * Etiqueta de estimación de una tarea (incluye la talla en escalas no numéricas)
+     */
+    getEstimateLabel(task) {
+        const level = WorkItemHierarchy.getLevel(task.type);
+        if (level > WorkItemHierarchy.pbiLevel) {
+            return `${task.estimatedHours || 0} h`;
+        }
+        if (level < WorkItemHierarchy.pbiLevel) {
+            return `${this.getRollUp(task).storyPoints} SP`;
+        }
+        return task.estimate ? `${task.estimate} · ${task.storyPoints} SP` : `${task.storyPoints} SP`;
+    }
+
     /**
      * Configura las columnas del board
      */
@@ -93,17 +223,19 @@ class SprintBoard {
         columnEl.className = 'board-column';
         columnEl.dataset.columnId = column.id;
         
-        const tasksInColumn = this.tasks.filter(task => task.status === column.id);
+        const tasksInColumn = this.getFilteredTasks().filter(task => task.status === column.id);
         
+        // Con carriles la columna solo hace de cabecera: las tarjetas van en #boardLanes
         columnEl.innerHTML = `
             <div class="column-header" style="border-color: ${column.color}">
                 <span>${column.title}</span>
                 <span class="column-count">${tasksInColumn.length}</span>
             </div>
             <div class="column-content" data-column="${column.id}">
-                ${tasksInColumn.map(task => this.createTaskHTML(task)).join('')}
+                ${this.swimlanes ? '' : tasksInColumn.map(task => this.createTaskHTML(task)).join('')}
             </div>
         `;
+        this.updateColumnWip(columnEl, column, tasksInColumn);
 
         return columnEl;
     }
@@ -112,22 +244,26 @@ class SprintBoard {
      * Crea HTML para una tarea
      */
     createTaskHTML(task) {
-        const priorityClass = `priority ${task.priority}`;
-        const typeIndicator = task.type || 'task';
+        const priorityClass = `priority ${this.escapeHtml(task.priority)}`;
+        const typeIndicator = this.escapeHtml(task.type || 'task');
         const tags = task.tags || [];
+        const parent = task.parentId ? this.findWorkItem(task.parentId) : null;
+        const rollUp = this.getRollUp(task);
         
         return `
             <div class="task-card" 
                  draggable="true" 
-                 data-task-id="${task.id}"
-                 data-story-points="${task.storyPoints}">
+                 data-task-id="${this.escapeHtml(task.id)}"
+                 data-story-points="${this.escapeHtml(task.storyPoints)}">
                 <div class="task-type-indicator ${typeIndicator}"></div>
+                ${parent ? `<div class="task-parent">${WorkItemHierarchy.getIcon(parent.type)} ${this.escapeHtml(parent.title)}</div>` : ''}
                 <div class="task-title">${this.escapeHtml(task.title)}</div>
                 ${task.description ? `<div class="task-description">${this.escapeHtml(task.description)}</div>` : ''}
                 <div class="task-meta">
                     <div class="task-meta-left">
-                        <span class="story-points">${task.storyPoints} SP</span>
-                        <span class="${priorityClass}">${this.getPriorityLabel(task.priority)}</span>
+                        <span class="story-points">${this.escapeHtml(this.getEstimateLabel(task))}</span>
+                        <span class="${priorityClass}">${this.escapeHtml(this.getPriorityLabel(task.priority))}</span>
+                        ${rollUp.childCount > 0 ? `<span class="task-children" title="Tasks terminadas">⚙️ ${rollUp.doneChildren}/${rollUp.childCount}</span>` : ''}
                     </div>
                     <div class="task-meta-right">
                         ${task.assignee ? `<span class="task-assignee">${this.escapeHtml(task.assignee)}</span>` : ''}
@@ -164,14 +300,193 @@ class SprintBoard {
 
         // Botón exportar
         const exportBtn = this.container.querySelector('#exportBoardBtn');
-        if (exportBtn) {
+        const exportMenu = this.container.querySelector('#exportMenu');
+        if (exportBtn && exportMenu) {
+            this.addEventListener(exportBtn, 'click', (e) => {
+                e.stopPropagation();
+                exportMenu.style.display = exportMenu.style.display === 'none' ? 'flex' : 'none';
+            });
+            this.addEventListener(exportMenu, 'click', (e) => {
+                const option = e.target.closest('[data-export-format]');
+                if (!option) return;
+                exportMenu.style.display = 'none';
+                this.exportBoard(option.dataset.exportFormat);
+            });
+            this.addEventListener(document, 'click', (e) => {
+                if (!exportMenu.contains(e.target)) exportMenu.style.display = 'none';
+            });
+        } else if (exportBtn) {
             this.addEventListener(exportBtn, 'click', () => {
                 this.exportBoardData();
             });
         }
 
+        // Filtros del sprint
+        const filterSearch = this.container.querySelector('#filterSearch');
+        if (filterSearch) {
+            this.addEventListener(filterSearch, 'input', () => {
+                this.setFilters({ search: filterSearch.value });
+            });
+        }
+
+        [['#filterAssignee', 'assignee'], ['#filterType', 'type'], ['#filterTag', 'tag']].forEach(([selector, filter]) => {
+            const select = this.container.querySelector(selector);
+            if (select) {
+                this.addEventListener(select, 'change', () => {
+                    this.setFilters({ [filter]: select.value });
+                });
+            }
+        });
+
+        const clearFiltersBtn = this.container.querySelector('#clearFiltersBtn');
+        if (clearFiltersBtn) {
+            this.addEventListener(clearFiltersBtn, 'click', () => {
+                this.setFilters({ search: '', assignee: '', type: '', tag: '' });
+            });
+        }
+
+        // Límites WIP
+        const wipLimitsBtn = this.container.querySelector('#wipLimitsBtn');
+        if (wipLimitsBtn) {
+            this.addEventListener(wipLimitsBtn, 'click', () => {
+                this.showWipModal();
+            });
+        }
+
+        // Carriles: criterio y plegar/desplegar
+        const swimlaneSelect = this.container.querySelector('#swimlaneSelect');
+        if (swimlaneSelect) {
+            swimlaneSelect.value = this.swimlanes || '';
+            this.addEventListener(swimlaneSelect, 'change', () => {
+                this.setSwimlanes(swimlaneSelect.value || null);
+            });
+        }
+
+        const boardLanes = this.container.querySelector('#boardLanes');
+        if (boardLanes) {
+            this.addEventListener(boardLanes, 'click', (e) => {
+                const toggle = e.target.closest('[data-lane-toggle]');
+                if (toggle) this.toggleLane(toggle.dataset.laneToggle);
+            });
+        }
+
+        // Importación desde Jira / Azure DevOps
+        const importBtn = this.container.querySelector('#importWorkItemsBtn');
+        const importInput = this.container.querySelector('#importFileInput');
+        if (importBtn && importInput) {
+            this.addEventListener(importBtn, 'click', () => {
+                if (!this.guardReadOnly()) importInput.click();
+            });
+            this.addEventListener(importInput, 'change', () => {
+                const [file] = importInput.files;
+                importInput.value = '';
+                if (file) this.openImportFile(file);
+            });
+        }
+
+        // Permalink del board y acciones del board compartido
+        const shareBtn = this.container.querySelector('#shareBoardBtn');
+        if (shareBtn) {
+            this.addEventListener(shareBtn, 'click', () => {
+                this.shareBoard();
+            });
+        }
+
+        const importSharedBtn = this.container.querySelector('#importSharedBtn');
+        if (importSharedBtn) {
+            this.addEventListener(importSharedBtn, 'click', () => {
+                this.importSharedBoard();
+            });
+        }
+
+        const leaveSharedBtn = this.container.querySelector('#leaveSharedBtn');
+        if (leaveSharedBtn) {
+            this.addEventListener(leaveSharedBtn, 'click', () => {
+                this.leaveSharedBoard();
+            });
+        }
+
+        // Cambios sin conexión: estado de la cola y resolución de conflictos
+        const keepLocalBtn = this.container.querySelector('#keepLocalBtn');
+        if (keepLocalBtn) {
+            this.addEventListener(keepLocalBtn, 'click', () => {
+                this.resolveSyncConflict('local');
+            });
+        }
+
+        const useServerBtn = this.container.querySelector('#useServerBtn');
+        if (useServerBtn) {
+            this.addEventListener(useServerBtn, 'click', () => {
+                this.resolveSyncConflict('server');
+            });
+        }
+
+        this.addEventListener(document, 'syncoutbox:change', (e) => {
+            this.handleOutboxChange(e.detail || {});
+        });
+
+        // Botones de ciclo de vida del sprint
+        const startSprintBtn = this.container.querySelector('#startSprintBtn');
+        if (startSprintBtn) {
+            this.addEventListener(startSprintBtn, 'click', () => {
+                this.showSprintModal();
+            });
+        }
+
+        const closeSprintBtn = this.container.querySelector('#closeSprintBtn');
+        if (closeSprintBtn) {
+            this.addEventListener(closeSprintBtn, 'click', () => {
+                this.showCloseSprintModal();
+            });
+        }
+
+        // Estimaciones acordadas en Planning Poker
+        this.addEventListener(document, 'planningpoker:estimate', (e) => {
+            const { taskId, storyPoints } = e.detail || {};
+            if (taskId) {
+                this.setTaskEstimate(taskId, storyPoints);
+            }
+        });
+
+        this.addEventListener(document, 'planningpoker:flag', (e) => {
+            const { taskId, flag } = e.detail || {};
+            if (taskId && flag) {
+                this.addTaskTag(taskId, flag);
+            }
+        });
+
+        // Árbol del Product Backlog: editar items o añadir hijos
+        const treeList = this.container.querySelector('#backlogTreeList');
+        if (treeList) {
+            this.addEventListener(treeList, 'click', (e) => {
+                const addButton = e.target.closest('.tree-node-add');
+                const title = e.target.closest('.tree-node-title');
+                if (addButton) {
+                    e.preventDefault();
+                    this.showTaskModal(null, {
+                        parentId: addButton.dataset.parentId,
+                        type: addButton.dataset.childType
+                    });
+                } else if (title) {
+                    e.preventDefault();
+                    this.showTaskModal(title.dataset.taskId);
+                }
+            });
+        }
+
+        // Product Backlog: pestañas y ranking
+        this.container.querySelectorAll('.backlog-tab').forEach(tab => {
+            this.addEventListener(tab, 'click', () => {
+                this.setBacklogView(tab.dataset.backlogView);
+            });
+        });
+        this.setupBacklogRankingListeners();
+
         // Modal event listeners
         this.setupModalListeners();
+        this.setupSprintModalListeners();
+        this.setupImportModalListeners();
+        this.setupWipModalListeners();
 
         // Task click listeners (se configuran dinámicamente)
         this.setupTaskClickListeners();
@@ -206,6 +521,14 @@ class SprintBoard {
             });
         }
 
+        // El tipo decide la estimación (SP u horas) y los padres posibles
+        const taskType = this.container.querySelector('#taskType');
+        if (taskType) {
+            this.addEventListener(taskType, 'change', () => {
+                this.updateTaskFormFields();
+            });
+        }
+
         // Task detail modal
         const detailModal = this.container.querySelector('#taskDetailModal');
         const detailClose = this.container.querySelector('#detailModalClose');
@@ -255,6 +578,61 @@ class SprintBoard {
         }
     }
 
+    /**
+     * Configura listeners de los modals de sprint
+     */
+    setupSprintModalListeners() {
+        const sprintModal = this.container.querySelector('#sprintModal');
+        const sprintForm = this.container.querySelector('#sprintForm');
+        const closeSprintModal = this.container.querySelector('#closeSprintModal');
+        const closeSprintForm = this.container.querySelector('#closeSprintForm');
+
+        [
+            ['#sprintModalClose', () => this.hideSprintModal()],
+            ['#cancelSprintBtn', () => this.hideSprintModal()],
+            ['#closeSprintModalClose', () => this.hideCloseSprintModal()],
+            ['#cancelCloseSprintBtn', () => this.hideCloseSprintModal()]
+        ].forEach(([selector, handler]) => {
+            const element = this.container.querySelector(selector);
+            if (element) {
+                this.addEventListener(element, 'click', handler);
+            }
+        });
+
+        if (sprintForm) {
+            this.addEventListener(sprintForm, 'submit', (e) => {
+                e.preventDefault();
+                this.handleSprintSubmit();
+            });
+        }
+
+        if (closeSprintForm) {
+            this.addEventListener(closeSprintForm, 'submit', (e) => {
+                e.preventDefault();
+                this.handleCloseSprintSubmit();
+            });
+            this.addEventListener(closeSprintForm, 'change', (e) => {
+                if (e.target.name === 'sprintRollover') this.updateNextSprintGoalField();
+            });
+        }
+
+        if (sprintModal) {
+            this.addEventListener(sprintModal, 'click', (e) => {
+                if (e.target.classList.contains('modal-overlay')) {
+                    this.hideSprintModal();
+                }
+            });
+        }
+
+        if (closeSprintModal) {
+            this.addEventListener(closeSprintModal, 'click', (e) => {
+                if (e.target.classList.contains('modal-overlay')) {
+                    this.hideCloseSprintModal();
+                }
+            });
+        }
+    }
+
     /**
      * Configura drag and drop
      */
@@ -267,6 +645,15 @@ class SprintBoard {
             this.addEventListener(column, 'dragleave', this.handleDragLeave.bind(this));
         });
 
+        // Las celdas de los carriles se repintan: se escucha en el contenedor
+        const boardLanes = this.container.querySelector('#boardLanes');
+        if (boardLanes) {
+            this.addEventListener(boardLanes, 'dragover', this.handleDragOver.bind(this));
+            this.addEventListener(boardLanes, 'drop', this.handleDrop.bind(this));
+            this.addEventListener(boardLanes, 'dragenter', this.handleDragEnter.bind(this));
+            this.addEventListener(boardLanes, 'dragleave', this.handleDragLeave.bind(this));
+        }
+
         // Se configurarán listeners de tasks dinámicamente
         this.setupTaskDragListeners();
     }
@@ -314,7 +701,7 @@ class SprintBoard {
         this.draggedTask = null;
         
         // Limpiar efectos visuales
-        this.container.querySelectorAll('.board-column').forEach(col => {
+        this.container.querySelectorAll('.board-column, .lane-cell').forEach(col => {
             col.classList.remove('drag-over');
         });
     }
@@ -331,7 +718,7 @@ class SprintBoard {
      * Maneja drag enter
      */
     handleDragEnter(e) {
-        const column = e.target.closest('.board-column');
+        const column = e.target.closest('.board-column, .lane-cell');
         if (column) {
             column.classList.add('drag-over');
         }
@@ -341,7 +728,7 @@ class SprintBoard {
      * Maneja drag leave
      */
     handleDragLeave(e) {
-        const column = e.target.closest('.board-column');
+        const column = e.target.closest('.board-column, .lane-cell');
         if (column && !column.contains(e.relatedTarget)) {
             column.classList.remove('drag-over');
         }
@@ -352,58 +739,210 @@ class SprintBoard {
      */
     handleDrop(e) {
         e.preventDefault();
+        if (this.guardReadOnly()) return;
         
         const column = e.target.closest('.column-content');
-        const boardColumn = e.target.closest('.board-column');
+        const boardColumn = e.target.closest('.board-column, .lane-cell');
         
         if (!column || !this.draggedTask) return;
 
         const targetColumnId = column.dataset.column;
         const taskId = this.draggedTask.dataset.taskId;
         const task = this.findTaskById(taskId);
+        if (!task) return;
 
-        if (!task || task.status === targetColumnId) return;
-
-        // Verificar límites de columna
-        if (this.config.maxTasksPerColumn) {
-            const tasksInTarget = this.tasks.filter(t => t.status === targetColumnId);
-            if (tasksInTarget.length >= this.config.maxTasksPerColumn) {
-                this.showFeedback('❌ Columna llena', 'error');
+        // En una celda de carril el drop puede cambiar también el carril
+        const targetLane = this.swimlanes && column.dataset.lane !== undefined ? column.dataset.lane : null;
+        const laneChanged = targetLane !== null
+            && targetLane !== BoardSwimlanes.getLaneKey(task, this.swimlanes, this.tasks);
+        if (task.status === targetColumnId && !laneChanged) return;
+
+        let laneChanges = null;
+        if (laneChanged) {
+            const result = BoardSwimlanes.applyLane(task, this.swimlanes, targetLane, this.tasks, this.getAllWorkItems());
+            if (result.error) {
+                this.showFeedback(`❌ ${result.error}`, 'error');
                 return;
             }
+            laneChanges = result.changes;
         }
 
-        // Actualizar estado de la tarea
+        // Verificar límite WIP de la columna destino
+        const wipCheck = task.status !== targetColumnId ? this.checkWipLimit(task, targetColumnId) : null;
+        if (wipCheck && !wipCheck.allowed) return;
+
+        // Actualizar estado (y carril) de la tarea
         const oldStatus = task.status;
-        task.status = targetColumnId;
-        task.movedAt = new Date().toISOString();
+        if (laneChanges) {
+            Object.assign(task, laneChanges, { updatedAt: new Date().toISOString() });
+        }
+        if (oldStatus !== targetColumnId) {
+            this.recordTransition(task, oldStatus, targetColumnId);
+        }
+        if (wipCheck && wipCheck.exceeded) {
+            this.recordWipViolation(task, targetColumnId, wipCheck, 'exceeded');
+        }
 
         // Actualizar UI
         this.updateColumns();
         this.updateMetrics();
         this.saveData();
+        this.emitChange('task:move');
 
         // Limpiar efectos visuales
-        boardColumn.classList.remove('drag-over');
+        if (boardColumn) boardColumn.classList.remove('drag-over');
 
         // Mostrar feedback
         const columnTitle = this.columns.find(c => c.id === targetColumnId)?.title || targetColumnId;
-        this.showFeedback(`📋 "${task.title}" movida a ${columnTitle}`);
+        const laneTitle = laneChanges
+            ? BoardSwimlanes.describeLane(targetLane, this.swimlanes, this.getAllWorkItems()).label
+            : null;
+        const destination = [columnTitle, laneTitle].filter(Boolean).join(' · ');
+        if (wipCheck && wipCheck.exceeded) {
+            this.showFeedback(`⚠️ "${task.title}" movida a ${destination} · límite WIP superado (${this.formatWipLoad(wipCheck.load, wipCheck.limit)})`, 'warning');
+        } else {
+            this.showFeedback(`📋 "${task.title}" movida a ${destination}`);
+        }
 
         // Trigger callback
-        if (this.config.onTaskMove) {
-            this.config.onTaskMove(task, oldStatus, targetColumnId);
+        if (oldStatus !== targetColumnId) {
+            if (this.config.onTaskMove) {
+                this.config.onTaskMove(task, oldStatus, targetColumnId);
+            }
+
+            // Analytics
+            this.trackTaskMove(task, oldStatus, targetColumnId);
+        }
+        if (laneChanges && this.config.onTaskEdit) {
+            this.config.onTaskEdit(task);
         }
 
-        // Analytics
-        this.trackTaskMove(task, oldStatus, targetColumnId);
+    }
+
+    /**
+     * Configura listeners del modal de límites WIP
+     */
+    setupWipModalListeners() {
+        const wipModal = this.container.querySelector('#wipModal');
+        const wipForm = this.container.querySelector('#wipForm');
+        if (!wipModal) return;
+
+        [
+            ['#wipModalClose', () => this.hideWipModal()],
+            ['#cancelWipBtn', () => this.hideWipModal()]
+        ].forEach(([selector, handler]) => {
+            const element = this.container.querySelector(selector);
+            if (element) {
+                this.addEventListener(element, 'click', handler);
+            }
+        });
+
+        if (wipForm) {
+            this.addEventListener(wipForm, 'submit', (e) => {
+                e.preventDefault();
+                this.handleWipSubmit();
+            });
+        }
+
+        this.addEventListener(wipModal, 'click', (e) => {
+            if (e.target.classList.contains('modal-overlay')) {
+                this.hideWipModal();
+            }
+        });
+    }
+
+    /**
+     * Muestra el modal de límites WIP: un límite por columna (menos Done) y el registro
+     */
+    showWipModal() {
+        if (this.guardReadOnly()) return;
+
+        const modal = this.container.querySelector('#wipModal');
+        const fields = this.container.querySelector('#wipLimitsFields');
+        if (!modal) return;
+
+        const doneColumnId = this.getDoneColumnId();
+        if (fields) {
+            fields.innerHTML = this.columns
+                .filter(column => column.id !== doneColumnId)
+                .map(column => {
+                    const limit = this.wipLimits[column.id] || { limit: '', unit: 'items', mode: 'soft' };
+                    return `
+                        <div class="wip-row" data-wip-column="${column.id}">
+                            <span>${column.title}</span>
+                            <input type="number" min="1" step="1" name="limit" value="${limit.limit}" placeholder="Sin límite" aria-label="Límite de ${this.escapeHtml(column.title)}">
+                            <select name="unit">
+                                ${Object.entries(WipLimits.units).map(([unit, definition]) => `
+                                    <option value="${unit}" ${limit.unit === unit ? 'selected' : ''}>${definition.label}</option>
+                                `).join('')}
+                            </select>
+                            <select name="mode">
+                                ${Object.entries(WipLimits.modes).map(([mode, definition]) => `
+                                    <option value="${mode}" ${limit.mode === mode ? 'selected' : ''}>${definition.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    `;
+                }).join('');
+        }
+
+        const violations = (this.currentSprint && this.currentSprint.wipViolations) || [];
+        const logGroup = this.container.querySelector('#wipLogGroup');
+        const log = this.container.querySelector('#wipLog');
+        if (logGroup && log) {
+            logGroup.style.display = violations.length > 0 ? 'block' : 'none';
+            log.innerHTML = violations.slice(-10).reverse().map(entry => {
+                const columnTitle = this.columns.find(column => column.id === entry.columnId)?.title || entry.columnId;
+                const when = new Date(entry.at).toLocaleString('es-ES', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+                return `
+                    <div class="import-report-item ${entry.outcome === 'blocked' ? 'error' : 'warning'}">
+                        ${entry.outcome === 'blocked' ? '⛔ Bloqueado' : '⚠️ Superado'} · ${columnTitle} (${this.formatWipLoad(entry.load, entry)}) · "${this.escapeHtml(entry.title)}" · ${when}${entry.outcome === 'exceeded' && !entry.resolvedAt ? ' · sigue por encima' : ''}
+                    </div>
+                `;
+            }).join('');
+        }
+
+        modal.style.display = 'flex';
+        modal.style.animation = 'fadeIn 0.3s ease';
+    }
+
+    /**
+     * Oculta el modal de límites WIP
+     */
+    hideWipModal() {
+        const modal = this.container.querySelector('#wipModal');
+        if (modal) {
+            modal.style.animation = 'fadeOut 0.3s ease';
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+    }
+
+    /**
+     * Guarda los límites del formulario
+     */
+    handleWipSubmit() {
+        const limits = {};
+        this.container.querySelectorAll('#wipLimitsFields [data-wip-column]').forEach(row => {
+            limits[row.dataset.wipColumn] = {
+                limit: parseInt(row.querySelector('[name="limit"]').value, 10),
+                unit: row.querySelector('[name="unit"]').value,
+                mode: row.querySelector('[name="mode"]').value
+            };
+        });
 
+        this.setWipLimits(limits);
+        this.hideWipModal();
+        this.showFeedback('🚦 Límites WIP guardados');
     }
 
     /**
      * Muestra modal de creación/edición de tarea
      */
-    showTaskModal(taskId = null) {
+    showTaskModal(taskId = null, defaults = {}) {
+        if (this.guardReadOnly()) return;
+
         const modal = this.container.querySelector('#taskModal');
         const modalTitle = this.container.querySelector('#modalTitle');
         const form = this.container.querySelector('#taskForm');
@@ -414,15 +953,17 @@ class SprintBoard {
 
         if (taskId) {
             // Editar tarea existente
-            const task = this.findTaskById(taskId);
+            const task = this.findWorkItem(taskId);
             if (!task) return;
 
             modalTitle.textContent = 'Editar Tarea';
             this.populateTaskForm(task);
         } else {
-            // Crear nueva tarea
+            // Crear nueva tarea (p.ej. hija de un item del árbol)
             modalTitle.textContent = 'Crear Nueva Tarea';
             form.reset();
+            if (defaults.type) form.querySelector('#taskType').value = defaults.type;
+            this.updateTaskFormFields(defaults.parentId || '');
         }
 
         modal.style.display = 'flex';
@@ -458,11 +999,48 @@ class SprintBoard {
 
         form.querySelector('#taskTitle').value = task.title || '';
         form.querySelector('#taskDescription').value = task.description || '';
-        form.querySelector('#taskStoryPoints').value = task.storyPoints || 5;
+        form.querySelector('#taskStoryPoints').value = task.estimate
+            || EstimationDecks.fromPoints(task.storyPoints ?? 5, this.config.deck);
         form.querySelector('#taskPriority').value = task.priority || 'medium';
         form.querySelector('#taskAssignee').value = task.assignee || '';
-        form.querySelector('#taskType').value = task.type || 'task';
+        form.querySelector('#taskType').value = task.type || 'story';
+        form.querySelector('#taskHours').value = task.estimatedHours ?? '';
         form.querySelector('#taskTags').value = (task.tags || []).join(', ');
+        this.updateTaskFormFields(task.parentId || '');
+    }
+
+    /**
+     * Ajusta el formulario al tipo elegido: SP para PBIs, horas para Tasks,
+     * roll-up para Epics/Features, y los padres del nivel superior
+     */
+    updateTaskFormFields(parentId = null) {
+        const form = this.container.querySelector('#taskForm');
+        if (!form) return;
+
+        const type = form.querySelector('#taskType').value;
+        const level = WorkItemHierarchy.getLevel(type);
+        const toggle = (selector, visible) => {
+            const element = form.querySelector(selector);
+            if (element) element.style.display = visible ? '' : 'none';
+        };
+
+        toggle('#taskStoryPointsGroup', level === WorkItemHierarchy.pbiLevel);
+        toggle('#taskHoursGroup', level > WorkItemHierarchy.pbiLevel);
+        toggle('#taskRollupHint', level < WorkItemHierarchy.pbiLevel);
+
+        const parentSelect = form.querySelector('#taskParent');
+        if (!parentSelect) return;
+
+        const selected = parentId !== null ? parentId : parentSelect.value;
+        const parentTypes = WorkItemHierarchy.getParentTypes(type);
+        const candidates = [...this.tasks, ...this.productBacklog]
+            .filter(item => parentTypes.includes(item.type) && item.id !== this.editingTask);
+
+        toggle('#taskParentGroup', parentTypes.length > 0);
+        parentSelect.innerHTML = '<option value="">— Sin padre —</option>' + candidates.map(item => `
+            <option value="${item.id}">${WorkItemHierarchy.getIcon(item.type)} ${this.escapeHtml(item.title)}</option>
+        `).join('');
+        parentSelect.value = candidates.some(item => item.id === selected) ? selected : '';
     }
 
     /**
@@ -473,13 +1051,20 @@ class SprintBoard {
         if (!form) return;
 
         const formData = new FormData(form);
+        const estimate = form.querySelector('#taskStoryPoints').value;
+        const type = form.querySelector('#taskType').value;
+        const level = WorkItemHierarchy.getLevel(type);
         const taskData = {
             title: form.querySelector('#taskTitle').value.trim(),
             description: form.querySelector('#taskDescription').value.trim(),
-            storyPoints: parseInt(form.querySelector('#taskStoryPoints').value),
+            // Solo los PBIs llevan SP: Epics/Features los suman y las Tasks van en horas
+            storyPoints: level === WorkItemHierarchy.pbiLevel
+                ? EstimationDecks.toPoints(estimate, this.config.deck)
+                : 0,
             priority: form.querySelector('#taskPriority').value,
             assignee: form.querySelector('#taskAssignee').value.trim(),
-            type: form.querySelector('#taskType').value,
+            type,
+            parentId: form.querySelector('#taskParent').value || null,
             tags: form.querySelector('#taskTags').value
                 .split(',')
                 .map(tag => tag.trim())
@@ -492,8 +1077,31 @@ class SprintBoard {
             return;
         }
 
-        if (taskData.storyPoints < 1 || taskData.storyPoints > 21) {
-            this.showFeedback('❌ Story Points debe estar entre 1 y 21', 'error');
+        if (taskData.storyPoints === null) {
+            this.showFeedback(`❌ Estimación no válida para la escala ${this.config.deck.name}`, 'error');
+            return;
+        }
+
+        // En escalas no numéricas se guarda la talla; velocity y métricas usan los puntos mapeados
+        if (this.config.deck.points && level === WorkItemHierarchy.pbiLevel) {
+            taskData.estimate = estimate;
+        }
+
+        if (level > WorkItemHierarchy.pbiLevel) {
+            const hours = parseFloat(form.querySelector('#taskHours').value);
+            if (Number.isFinite(hours) && hours < 0) {
+                this.showFeedback('❌ Las horas no pueden ser negativas', 'error');
+                return;
+            }
+            taskData.estimatedHours = Number.isFinite(hours) ? hours : 0;
+        }
+
+        const [hierarchyError] = WorkItemHierarchy.validate(
+            { ...taskData, id: this.editingTask },
+            this.getAllWorkItems()
+        );
+        if (hierarchyError) {
+            this.showFeedback(`❌ ${hierarchyError}`, 'error');
             return;
         }
 
@@ -519,18 +1127,33 @@ class SprintBoard {
      * Crea nueva tarea
      */
     createTask(taskData) {
+        const now = new Date().toISOString();
+        const status = this.columns[0]?.id || 'backlog';
         const task = {
             id: this.generateTaskId(),
+            // Lo que se crea dentro del sprint ya se considera listo
+            refinement: this.currentSprint ? 'ready' : 'new',
             ...taskData,
-            status: 'backlog',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
+            status,
+            sprintId: this.currentSprint ? this.currentSprint.id : null,
+            transitions: [{ from: null, to: status, at: now }],
+            createdAt: now,
+            updatedAt: now
         };
 
-        this.tasks.push(task);
-        this.updateColumns();
-        this.updateMetrics();
+        // Sin sprint activo, o si es un Epic/Feature, el item va al Product Backlog
+        if (!this.currentSprint || !WorkItemHierarchy.isSprintItem(task)) {
+            task.sprintId = null;
+            this.productBacklog.push(task);
+            this.updateProductBacklog();
+        } else {
+            this.tasks.push(task);
+            this.recordScopeChange('added', task, task.storyPoints);
+            this.updateColumns();
+            this.updateMetrics();
+        }
         this.saveData();
+        this.emitChange('task:create');
 
         // Trigger callback
         if (this.config.onTaskCreate) {
@@ -547,18 +1170,32 @@ class SprintBoard {
      * Actualiza tarea existente
      */
     updateTask(taskId, taskData) {
-        const task = this.findTaskById(taskId);
+        const inSprint = Boolean(this.findTaskById(taskId));
+        const task = this.findWorkItem(taskId);
         if (!task) {
             throw new Error('Task not found');
         }
 
+        const previousSP = task.storyPoints;
+
         Object.assign(task, taskData, {
             updatedAt: new Date().toISOString()
         });
 
+        // Un Epic/Feature no se queda en el sprint
+        if (inSprint && !WorkItemHierarchy.isSprintItem(task)) {
+            this.tasks = this.tasks.filter(item => item !== task);
+            this.recordScopeChange('removed', { ...task, storyPoints: previousSP }, -previousSP);
+            task.sprintId = null;
+            this.productBacklog.push(task);
+        } else if (inSprint && task.storyPoints !== previousSP) {
+            this.recordScopeChange('changed', task, task.storyPoints - previousSP);
+        }
+
         this.updateColumns();
         this.updateMetrics();
         this.saveData();
+        this.emitChange('task:edit');
 
         // Trigger callback
         if (this.config.onTaskEdit) {
@@ -568,6 +1205,93 @@ class SprintBoard {
         return task;
     }
 
+    /**
+     * Guarda la estimación de una tarea del sprint o del Product Backlog
+     * @param {string} taskId - Id de la tarea
+     * @param {number|string} storyPoints - Story Points acordados o, en escalas no
+     *   numéricas, la talla (p.ej. 'M')
+     * @returns {Object|null} Tarea actualizada o null si no pertenece al board o el valor no es de la escala
+     */
+    setTaskEstimate(taskId, storyPoints) {
+        if (this.guardReadOnly()) return null;
+
+        const item = this.findWorkItem(taskId);
+        if (item && !WorkItemHierarchy.isBacklogItem(item)) {
+            this.showFeedback(`❌ ${item.title}: solo los PBIs se estiman en Story Points`, 'error');
+            return null;
+        }
+
+        // Mismas reglas que el modal: sólo valores de la escala activa
+        const estimateData = this.resolveEstimate(storyPoints);
+        if (!estimateData) {
+            this.showFeedback(`❌ Estimación no válida para la escala ${this.config.deck.name}: ${storyPoints}`, 'error');
+            return null;
+        }
+
+        if (this.findTaskById(taskId)) {
+            const task = this.updateTask(taskId, estimateData);
+            this.showFeedback(`${task.title}: ${this.getEstimateLabel(task)}`, 'success');
+            return task;
+        }
+
+        const backlogItem = this.productBacklog.find(item => item.id === taskId);
+        if (!backlogItem) return null;
+
+        Object.assign(backlogItem, estimateData);
+        backlogItem.updatedAt = new Date().toISOString();
+        this.updateProductBacklog();
+        this.saveData();
+        this.emitChange('task:edit');
+        this.showFeedback(`${backlogItem.title}: ${this.getEstimateLabel(backlogItem)}`, 'success');
+        return backlogItem;
+    }
+
+    /**
+     * Estimación de un valor externo (Planning Poker) en la escala activa. En escalas
+     * no numéricas vale la talla o sus puntos exactos (p.ej. 'M' o 5)
+     * @returns {Object|null} { storyPoints, estimate? } o null si no es de la escala
+     */
+    resolveEstimate(value) {
+        const deck = this.config.deck;
+        if (!deck.points) {
+            const storyPoints = EstimationDecks.toPoints(value, deck);
+            return storyPoints === null ? null : { storyPoints };
+        }
+
+        if (EstimationDecks.isValid(value, deck)) {
+            return { estimate: value, storyPoints: EstimationDecks.toPoints(value, deck) };
+        }
+        const points = parseFloat(value);
+        if (!EstimationDecks.getPointScale(deck).includes(points)) return null;
+
+        const estimate = EstimationDecks.fromPoints(points, deck);
+        return { estimate, storyPoints: EstimationDecks.toPoints(estimate, deck) };
+    }
+
+    /**
+     * Añade un tag a una tarea del sprint o del Product Backlog (p.ej. 'dividir')
+     * @param {string} taskId - Id de la tarea
+     * @param {string} tag - Tag a añadir
+     * @returns {Object|null} Tarea actualizada o null si no pertenece al board
+     */
+    addTaskTag(taskId, tag) {
+        if (this.guardReadOnly()) return null;
+
+        const task = this.findTaskById(taskId) || this.productBacklog.find(item => item.id === taskId);
+        if (!task) return null;
+
+        task.tags = task.tags || [];
+        if (!task.tags.includes(tag)) {
+            task.tags.push(tag);
+            task.updatedAt = new Date().toISOString();
+            this.updateColumns();
+            this.saveData();
+            this.emitChange('task:edit');
+            this.showFeedback(`${task.title}: marcada como "${tag}"`, 'warning');
+        }
+        return task;
+    }
+
     /**
      * Muestra detalle de tarea
      */
@@ -596,34 +1320,52 @@ class SprintBoard {
         const createdDate = new Date(task.createdAt).toLocaleDateString('es-ES');
         const updatedDate = new Date(task.updatedAt).toLocaleDateString('es-ES');
         const columnTitle = this.columns.find(c => c.id === task.status)?.title || task.status;
+        const flow = SprintMetrics.computeFlowMetrics({
+            tasks: [task],
+            columns: this.columns,
+            doneColumnId: this.getDoneColumnId()
+        }).items[0];
+        const timeInColumn = this.columns
+            .filter(column => flow.timeInColumn[column.id] !== undefined)
+            .map(column => ({ title: column.title, days: flow.timeInColumn[column.id] }));
+        const allItems = this.getAllWorkItems();
+        const ancestors = WorkItemHierarchy.getAncestors(task, allItems).reverse();
+        const children = WorkItemHierarchy.getChildren(task.id, allItems);
+        const rollUp = this.getRollUp(task);
 
         return `
             <div class="task-detail-content">
                 <div class="detail-section">
                     <h5>📝 Descripción</h5>
-                    <p>${task.description || 'Sin descripción'}</p>
+                    <p>${task.description ? this.escapeHtml(task.description) : 'Sin descripción'}</p>
                 </div>
                 
                 <div class="detail-grid">
                     <div class="detail-item">
-                        <label>Story Points</label>
-                        <span class="story-points">${task.storyPoints} SP</span>
+                        <label>Estimación</label>
+                        <span class="story-points">${this.escapeHtml(this.getEstimateLabel(task))}</span>
                     </div>
                     <div class="detail-item">
                         <label>Prioridad</label>
-                        <span class="priority ${task.priority}">${this.getPriorityLabel(task.priority)}</span>
+                        <span class="priority ${this.escapeHtml(task.priority)}">${this.escapeHtml(this.getPriorityLabel(task.priority))}</span>
                     </div>
                     <div class="detail-item">
                         <label>Estado</label>
-                        <span>${columnTitle}</span>
+                        <span>${this.escapeHtml(columnTitle)}</span>
                     </div>
                     <div class="detail-item">
                         <label>Tipo</label>
-                        <span class="task-type-label ${task.type}">${this.getTypeLabel(task.type)}</span>
+                        <span class="task-type-label ${this.escapeHtml(task.type)}">${this.escapeHtml(this.getTypeLabel(task.type))}</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Pertenece a</label>
+                        <span>${ancestors.length > 0
+                            ? ancestors.map(ancestor => `${WorkItemHierarchy.getIcon(ancestor.type)} ${this.escapeHtml(ancestor.title)}`).join(' › ')
+                            : 'Sin padre'}</span>
                     </div>
                     <div class="detail-item">
                         <label>Asignado a</label>
-                        <span>${task.assignee || 'Sin asignar'}</span>
+                        <span>${task.assignee ? this.escapeHtml(task.assignee) : 'Sin asignar'}</span>
                     </div>
                     <div class="detail-item">
                         <label>Creado</label>
@@ -631,6 +1373,38 @@ class SprintBoard {
                     </div>
                 </div>
                 
+                <div class="detail-section">
+                    <h5>⏱️ Flujo</h5>
+                    <div class="detail-grid">
+                        <div class="detail-item">
+                            <label>Cycle time</label>
+                            <span>${flow.cycleTime !== null ? `${flow.cycleTime} días` : (flow.age !== null ? `En curso · ${flow.age} días` : 'Sin empezar')}</span>
+                        </div>
+                        <div class="detail-item">
+                            <label>Lead time</label>
+                            <span>${flow.leadTime !== null ? `${flow.leadTime} días` : '—'}</span>
+                        </div>
+                        ${timeInColumn.map(entry => `
+                            <div class="detail-item">
+                                <label>${entry.title}</label>
+                                <span>${entry.days} días</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+
+                ${children.length > 0 ? `
+                    <div class="detail-section">
+                        <h5>🌳 Hijos · ${rollUp.progress}% completado</h5>
+                        <ul>
+                            ${children.map(child => `
+                                <li>${this.isWorkItemDone(child) ? '✅' : WorkItemHierarchy.getIcon(child.type)}
+                                    ${this.escapeHtml(child.title)} · ${this.escapeHtml(this.getEstimateLabel(child))}</li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+
                 ${task.tags && task.tags.length > 0 ? `
                     <div class="detail-section">
                         <h5>🏷️ Tags</h5>
@@ -695,15 +1469,24 @@ class SprintBoard {
      * Elimina una tarea
      */
     deleteTask(taskId) {
+        if (this.guardReadOnly()) return;
+
         const taskIndex = this.tasks.findIndex(t => t.id === taskId);
         if (taskIndex === -1) return;
 
         const task = this.tasks[taskIndex];
         this.tasks.splice(taskIndex, 1);
+        this.recordScopeChange('removed', task, -task.storyPoints);
+
+        // Los hijos quedan como raíces del árbol
+        [...this.tasks, ...this.productBacklog].forEach(item => {
+            if (item.parentId === taskId) item.parentId = null;
+        });
 
         this.updateColumns();
         this.updateMetrics();
         this.saveData();
+        this.emitChange('task:delete');
 
         // Trigger callback
         if (this.config.onTaskDelete) {
@@ -723,36 +1506,389 @@ class SprintBoard {
             const contentElement = columnElement.querySelector('.column-content');
             const countElement = columnElement.querySelector('.column-count');
 
-            const tasksInColumn = this.tasks.filter(task => task.status === column.id);
+            const tasksInColumn = this.getFilteredTasks().filter(task => task.status === column.id);
 
             // Actualizar contenido
-            contentElement.innerHTML = tasksInColumn.map(task => this.createTaskHTML(task)).join('');
+            contentElement.innerHTML = this.swimlanes ? '' : tasksInColumn.map(task => this.createTaskHTML(task)).join('');
 
-            // Actualizar contador
+            // Actualizar contador (y estado del límite WIP)
             countElement.textContent = tasksInColumn.length;
+            this.updateColumnWip(columnElement, column, tasksInColumn);
         });
+        this.updateSwimlanes();
 
         // Re-configurar event listeners para nuevos elementos
         this.setupTaskDragListeners();
         this.setupTaskClickListeners();
+        this.updateFilterOptions();
+
+        // Los roll-ups dependen del estado de los hijos
+        this.updateProductBacklog();
     }
 
     /**
-     * Actualiza métricas del sprint
+     * Agrupa el board en carriles
+     * @param {string|null} mode - 'assignee' | 'parent' | 'priority' | 'type' | 'tag' (ver board_swimlanes.js) o null
+     */
+    setSwimlanes(mode) {
+        this.swimlanes = BoardSwimlanes.modes[mode] ? mode : null;
+        const select = this.container.querySelector('#swimlaneSelect');
+        if (select) select.value = this.swimlanes || '';
+        this.updateColumns();
+    }
+
+    /**
+     * Pliega o despliega un carril
+     */
+    toggleLane(laneKey) {
+        const id = `${this.swimlanes}:${laneKey}`;
+        if (this.collapsedLanes.has(id)) {
+            this.collapsedLanes.delete(id);
+        } else {
+            this.collapsedLanes.add(id);
+        }
+        this.updateSwimlanes();
+        this.setupTaskDragListeners();
+        this.setupTaskClickListeners();
+    }
+
+    /**
+     * Pinta los carriles: cabecera plegable con items y SP, y una celda por columna.
+     * Con filtros activos se ocultan los carriles que se quedan vacíos
+     */
+    updateSwimlanes() {
+        const columnsContainer = this.container.querySelector('#boardColumns');
+        const lanesContainer = this.container.querySelector('#boardLanes');
+        if (!columnsContainer || !lanesContainer) return;
+
+        columnsContainer.classList.toggle('with-lanes', Boolean(this.swimlanes));
+        lanesContainer.style.display = this.swimlanes ? '' : 'none';
+        if (!this.swimlanes) {
+            lanesContainer.innerHTML = '';
+            return;
+        }
+
+        const doneColumnId = this.getDoneColumnId();
+        const lanes = BoardSwimlanes.getLanes(this.tasks, this.getFilteredTasks(), this.swimlanes, this.getAllWorkItems())
+            .filter(lane => lane.items.length > 0 || !this.hasActiveFilters());
+
+        lanesContainer.innerHTML = lanes.map(lane => {
+            const collapsed = this.collapsedLanes.has(`${this.swimlanes}:${lane.key}`);
+            const doneSP = this.sumStoryPoints(lane.items.filter(item => item.status === doneColumnId));
+            return `
+                <section class="board-lane ${collapsed ? 'collapsed' : ''}" data-lane-key="${this.escapeHtml(lane.key)}">
+                    <button type="button" class="lane-header" data-lane-toggle="${this.escapeHtml(lane.key)}" aria-expanded="${!collapsed}">
+                        <span class="lane-toggle">${collapsed ? '▸' : '▾'}</span>
+                        <span class="lane-title">${lane.icon ? `${lane.icon} ` : ''}${this.escapeHtml(lane.label)}</span>
+                        <span class="lane-stats">${lane.items.length} items · ${doneSP} / ${lane.storyPoints} SP</span>
+                    </button>
+                    ${collapsed ? '' : `
+                        <div class="lane-cells">
+                            ${this.columns.map(column => `
+                                <div class="column-content lane-cell" data-column="${column.id}" data-lane="${this.escapeHtml(lane.key)}">
+                                    ${lane.items.filter(item => item.status === column.id).map(item => this.createTaskHTML(item)).join('')}
+                                </div>
+                            `).join('')}
+                        </div>
+                    `}
+                </section>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Cambia los filtros y repinta las columnas
+     * @param {Object} filters - { search?, assignee?, type?, tag? }
+     */
+    setFilters(filters) {
+        this.filters = { ...this.filters, ...filters };
+        this.updateColumns();
+    }
+
+    hasActiveFilters() {
+        return Object.values(this.filters).some(value => value !== '');
+    }
+
+    /**
+     * Tareas del sprint que pasan los filtros
+     */
+    getFilteredTasks() {
+        const { search, assignee, type, tag } = this.filters;
+        const query = search.trim().toLowerCase();
+
+        return this.tasks.filter(task =>
+            (!query || `${task.title} ${task.description || ''}`.toLowerCase().includes(query))
+            && (!assignee || (task.assignee || '') === assignee)
+            && (!type || task.type === type)
+            && (!tag || (task.tags || []).includes(tag)));
+    }
+
+    /**
+     * Filtros activos en texto (para la exportación)
+     */
+    describeFilters() {
+        const { search, assignee, type, tag } = this.filters;
+        return [
+            search.trim() ? `"${search.trim()}"` : null,
+            assignee ? `Asignado: ${assignee}` : null,
+            type ? `Tipo: ${this.getTypeLabel(type)}` : null,
+            tag ? `Etiqueta: ${tag}` : null
+        ].filter(Boolean);
+    }
+
+    /**
+     * Opciones de los selects de filtro a partir de las tareas del sprint
+     */
+    updateFilterOptions() {
+        const fill = (selector, values, label) => {
+            const select = this.container.querySelector(selector);
+            if (!select) return;
+
+            const current = select.value;
+            const allOption = select.options[0] ? select.options[0].outerHTML : '<option value=""></option>';
+            select.innerHTML = allOption + values
+                .map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label(value))}</option>`)
+                .join('');
+            select.value = values.includes(current) ? current : '';
+        };
+        const unique = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+        fill('#filterAssignee', unique(this.tasks.map(task => task.assignee)), value => value);
+        fill('#filterType', unique(this.tasks.map(task => task.type)), value => this.getTypeLabel(value));
+        fill('#filterTag', unique(this.tasks.flatMap(task => task.tags || [])), value => value);
+
+        const clearFiltersBtn = this.container.querySelector('#clearFiltersBtn');
+        if (clearFiltersBtn) clearFiltersBtn.style.display = this.hasActiveFilters() ? 'inline-block' : 'none';
+        const filterSearch = this.container.querySelector('#filterSearch');
+        if (filterSearch && filterSearch.value !== this.filters.search) filterSearch.value = this.filters.search;
+    }
+
+    /**
+     * Actualiza las vistas del Product Backlog (orden y jerarquía)
+     */
+    updateProductBacklog() {
+        this.updateBacklogRanking();
+        this.updateBacklogTree();
+    }
+
+    /**
+     * Pinta el Product Backlog ordenado por el Product Owner
+     */
+    updateBacklogRanking() {
+        const list = this.container.querySelector('#backlogRankingList');
+        if (!list) return;
+
+        const ranked = this.getRankedBacklog();
+        list.innerHTML = ranked.length > 0
+            ? ranked.map((item, index) => this.createRankItemHTML(item, index, ranked.length)).join('')
+            : '<p class="sprint-empty-hint">No hay Product Backlog Items pendientes</p>';
+    }
+
+    /**
+     * Crea HTML para un item del ranking
+     */
+    createRankItemHTML(item, index, total) {
+        const state = WorkItemHierarchy.getRefinementState(item);
+        const parent = item.parentId ? this.findWorkItem(item.parentId) : null;
+        const canPull = this.currentSprint && state === 'ready';
+        const score = this.getLatestPriorityScore(item);
+
+        return `
+            <li class="backlog-rank-item refinement-${state}" draggable="true" data-item-id="${item.id}">
+                <span class="backlog-rank-position">#${index + 1}</span>
+                <span>${WorkItemHierarchy.getIcon(item.type)}</span>
+                <span class="backlog-rank-title">
+                    <a href="#" class="tree-node-title" data-task-id="${item.id}">${this.escapeHtml(item.title)}</a>
+                    ${parent ? `<small>${WorkItemHierarchy.getIcon(parent.type)} ${this.escapeHtml(parent.title)}</small>` : ''}
+                </span>
+                <span class="story-points">${this.getEstimateLabel(item)}</span>
+                ${score ? `<span class="backlog-rank-score" title="Última priorización aplicada">${this.escapeHtml(score.model)} ${this.escapeHtml(String(score.display ?? score.score))}</span>` : ''}
+                <select class="backlog-refinement" data-item-id="${item.id}" aria-label="Estado de refinamiento">
+                    ${Object.entries(WorkItemHierarchy.refinementStates).map(([value, option]) => `
+                        <option value="${value}" ${value === state ? 'selected' : ''}>${option.icon} ${option.label}</option>
+                    `).join('')}
+                </select>
+                <span class="backlog-rank-actions">
+                    <button class="backlog-rank-btn" data-rank-action="up" data-item-id="${item.id}" title="Subir" ${index === 0 ? 'disabled' : ''}>▲</button>
+                    <button class="backlog-rank-btn" data-rank-action="down" data-item-id="${item.id}" title="Bajar" ${index === total - 1 ? 'disabled' : ''}>▼</button>
+                    ${canPull ? `<button class="backlog-rank-btn" data-rank-action="pull" data-item-id="${item.id}" title="Añadir al sprint activo">➕ Sprint</button>` : ''}
+                </span>
+            </li>
+        `;
+    }
+
+    /**
+     * Última puntuación de priorización aplicada a un PBI (WSJF, RICE, MoSCoW...)
+     */
+    getLatestPriorityScore(item) {
+        const [latest] = Object.entries(item.scores || {})
+            .map(([method, record]) => ({ ...record, model: record.model || method.toUpperCase() }))
+            .sort((a, b) => (b.scoredAt || '').localeCompare(a.scoredAt || ''));
+        return latest || null;
+    }
+
+    /**
+     * Cambia entre la vista de orden y la de jerarquía
+     * @param {string} view - 'ranking' | 'tree'
+     */
+    setBacklogView(view) {
+        this.container.querySelectorAll('.backlog-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.backlogView === view);
+        });
+
+        const ranking = this.container.querySelector('#backlogRanking');
+        const tree = this.container.querySelector('#backlogTree');
+        if (ranking) ranking.style.display = view === 'ranking' ? '' : 'none';
+        if (tree) tree.style.display = view === 'tree' ? '' : 'none';
+    }
+
+    /**
+     * Listeners del ranking: drag & drop, botones y estado de refinamiento
+     */
+    setupBacklogRankingListeners() {
+        const list = this.container.querySelector('#backlogRankingList');
+        if (!list) return;
+
+        const clearDropMarkers = () => {
+            list.querySelectorAll('.drop-before, .drop-after').forEach(element => {
+                element.classList.remove('drop-before', 'drop-after');
+            });
+        };
+        const isAfter = (e, element) => {
+            const rect = element.getBoundingClientRect();
+            return e.clientY > rect.top + rect.height / 2;
+        };
+
+        this.addEventListener(list, 'dragstart', (e) => {
+            const item = e.target.closest('.backlog-rank-item');
+            if (!item) return;
+            this.draggedBacklogItem = item.dataset.itemId;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.itemId);
+        });
+
+        this.addEventListener(list, 'dragover', (e) => {
+            const target = e.target.closest('.backlog-rank-item');
+            if (!target || !this.draggedBacklogItem) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            clearDropMarkers();
+            target.classList.add(isAfter(e, target) ? 'drop-after' : 'drop-before');
+        });
+
+        this.addEventListener(list, 'drop', (e) => {
+            const target = e.target.closest('.backlog-rank-item');
+            if (!target || !this.draggedBacklogItem) return;
+            e.preventDefault();
+
+            const ranked = this.getRankedBacklog();
+            const from = ranked.findIndex(item => item.id === this.draggedBacklogItem);
+            let position = ranked.findIndex(item => item.id === target.dataset.itemId) + (isAfter(e, target) ? 1 : 0);
+            if (from < position) position--;
+
+            this.moveBacklogItem(this.draggedBacklogItem, position);
+        });
+
+        this.addEventListener(list, 'dragend', () => {
+            this.draggedBacklogItem = null;
+            clearDropMarkers();
+            list.querySelectorAll('.dragging').forEach(element => element.classList.remove('dragging'));
+        });
+
+        this.addEventListener(list, 'click', (e) => {
+            const button = e.target.closest('[data-rank-action]');
+            const title = e.target.closest('.tree-node-title');
+            if (button) {
+                e.preventDefault();
+                const itemId = button.dataset.itemId;
+                const position = this.getRankedBacklog().findIndex(item => item.id === itemId);
+                if (button.dataset.rankAction === 'up') this.moveBacklogItem(itemId, position - 1);
+                if (button.dataset.rankAction === 'down') this.moveBacklogItem(itemId, position + 1);
+                if (button.dataset.rankAction === 'pull') this.pullIntoSprint(itemId);
+            } else if (title) {
+                e.preventDefault();
+                this.showTaskModal(title.dataset.taskId);
+            }
+        });
+
+        this.addEventListener(list, 'change', (e) => {
+            const select = e.target.closest('.backlog-refinement');
+            if (select) {
+                this.setRefinementState(select.dataset.itemId, select.value);
+            }
+        });
+    }
+    /**
+     * Pinta el árbol Epic → Feature → PBI → Task del Product Backlog
+     */
+    updateBacklogTree() {
+        const treeList = this.container.querySelector('#backlogTreeList');
+        if (!treeList) return;
+
+        const tree = WorkItemHierarchy.buildTree(this.getAllWorkItems());
+        treeList.innerHTML = tree.length > 0
+            ? `<ul>${tree.map(node => this.createTreeNodeHTML(node)).join('')}</ul>`
+            : '<p class="sprint-empty-hint">El Product Backlog está vacío</p>';
+    }
+
+    /**
+     * Crea HTML para un nodo del árbol
+     */
+    createTreeNodeHTML(node) {
+        const { item, children } = node;
+        const rollUp = this.getRollUp(item);
+        const done = this.isWorkItemDone(item);
+        const childType = Object.keys(WorkItemHierarchy.types)
+            .find(type => WorkItemHierarchy.getParentTypes(type).includes(item.type));
+        let location = 'Product Backlog';
+        if (done) {
+            location = 'Done';
+        } else if (this.findTaskById(item.id)) {
+            location = 'Sprint';
+        }
+
+        const row = `
+            <div class="tree-node ${done ? 'done' : ''}">
+                <span>${WorkItemHierarchy.getIcon(item.type)}</span>
+                <a href="#" class="tree-node-title" data-task-id="${item.id}">${this.escapeHtml(item.title)}</a>
+                <span class="tree-node-badge">${location}</span>
+                <span class="story-points">${this.getEstimateLabel(item)}</span>
+                <div class="tree-node-progress" title="${rollUp.progress}%"><span style="width: ${rollUp.progress}%"></span></div>
+                ${childType && !done ? `
+                    <button class="tree-node-add" data-parent-id="${item.id}" data-child-type="${childType}"
+                            title="Añadir ${WorkItemHierarchy.getLabel(childType)}">＋</button>
+                ` : ''}
+            </div>
+        `;
+
+        return children.length > 0
+            ? `<li><details open><summary>${row}</summary><ul>${children.map(child => this.createTreeNodeHTML(child)).join('')}</ul></details></li>`
+            : `<li>${row}</li>`;
+    }
+
+    /**
+     * Actualiza métricas del sprint
      */
     updateMetrics() {
+        // Las violaciones WIP se cierran en cuanto la columna vuelve a su límite
+        this.resolveWipViolations();
         if (!this.config.showMetrics) return;
 
         // Calcular métricas
         this.metrics.totalSP = this.tasks.reduce((sum, task) => sum + task.storyPoints, 0);
         this.metrics.completedSP = this.tasks
-            .filter(task => task.status === 'done')
+            .filter(task => task.status === this.getDoneColumnId())
             .reduce((sum, task) => sum + task.storyPoints, 0);
         
         this.metrics.progressPercentage = this.metrics.totalSP > 0 
             ? Math.round((this.metrics.completedSP / this.metrics.totalSP) * 100)
             : 0;
 
+        this.metrics.daysRemaining = this.currentSprint
+            ? this.countWorkingDays(new Date(), this.currentSprint.endDate)
+            : 0;
+
         // Actualizar UI
         this.updateMetricsUI();
     }
@@ -787,217 +1923,1991 @@ class SprintBoard {
             progressFill.style.width = `${this.metrics.progressPercentage}%`;
         }
 
-        // Actualizar color de progreso
-        const progressElement = this.container.querySelector('#progressPercentage');
-        if (progressElement) {
-            progressElement.style.color = this.getProgressColor(this.metrics.progressPercentage);
-        }
+        // Actualizar color de progreso
+        const progressElement = this.container.querySelector('#progressPercentage');
+        if (progressElement) {
+            progressElement.style.color = this.getProgressColor(this.metrics.progressPercentage);
+        }
+    }
+
+    /**
+     * Obtiene color de progreso basado en porcentaje
+     */
+    getProgressColor(percentage) {
+        if (percentage >= 75) return 'var(--accent)';
+        if (percentage >= 50) return 'var(--warning)';
+        if (percentage >= 25) return 'var(--secondary)';
+        return 'var(--gray)';
+    }
+
+    /**
+     * Actualiza toda la UI
+     */
+    updateUI() {
+        this.updateColumns();
+        this.updateMetrics();
+        this.updateTitle();
+        this.checkEmptyState();
+    }
+
+    /**
+     * Actualiza título y subtitle
+     */
+    updateTitle() {
+        const titleElement = this.container.querySelector('.board-title');
+        const subtitleElement = this.container.querySelector('.board-subtitle');
+        const sprintNameElement = this.container.querySelector('#sprintName');
+        const sprintDatesElement = this.container.querySelector('#sprintDates');
+        const sprintGoalElement = this.container.querySelector('#sprintGoal');
+        const sprint = this.currentSprint;
+
+        if (titleElement) titleElement.textContent = this.config.title;
+        if (subtitleElement) subtitleElement.textContent = this.config.subtitle;
+        if (sprintNameElement) sprintNameElement.textContent = sprint ? sprint.name : 'Sin sprint activo';
+        if (sprintDatesElement) {
+            sprintDatesElement.textContent = sprint
+                ? this.formatSprintDates(sprint.startDate, sprint.endDate)
+                : `${this.sprintHistory.length} sprints cerrados`;
+        }
+        if (sprintGoalElement) {
+            sprintGoalElement.textContent = sprint && sprint.goal ? `🎯 ${sprint.goal}` : '';
+            sprintGoalElement.style.display = sprint && sprint.goal ? 'block' : 'none';
+        }
+
+        const startSprintBtn = this.container.querySelector('#startSprintBtn');
+        const closeSprintBtn = this.container.querySelector('#closeSprintBtn');
+        if (startSprintBtn) startSprintBtn.style.display = sprint ? 'none' : '';
+        if (closeSprintBtn) closeSprintBtn.style.display = sprint ? '' : 'none';
+
+        this.updateSprintHistoryUI();
+    }
+
+    /**
+     * Verifica estado vacío
+     */
+    checkEmptyState() {
+        const isEmpty = this.tasks.length === 0;
+        const emptyState = this.container.querySelector('#boardEmpty');
+        const boardContainer = this.container.querySelector('.board-container');
+
+        if (emptyState && boardContainer) {
+            emptyState.style.display = isEmpty ? 'block' : 'none';
+            boardContainer.style.display = isEmpty ? 'none' : 'block';
+        }
+    }
+
+    /**
+     * Reset completo del board
+     */
+    resetBoard() {
+        if (this.guardReadOnly()) return;
+
+        if (!confirm('¿Estás seguro de que quieres resetear todo el board?')) {
+            return;
+        }
+
+        this.tasks = [];
+        this.productBacklog = [];
+        this.sprintHistory = [];
+        this.loadDefaultTasks();
+        this.currentSprint = this.createDefaultSprint();
+        this.updateUI();
+        this.saveData();
+        this.emitChange('board:reset');
+        this.showFeedback('🔄 Board reseteado');
+    }
+
+    /**
+     * Crea el sprint inicial a partir de la configuración
+     */
+    createDefaultSprint() {
+        const startDate = this.toISODate(new Date());
+
+        return {
+            id: this.generateSprintId(),
+            name: this.config.sprintName,
+            goal: this.config.sprintGoal,
+            startDate,
+            endDate: this.addDays(startDate, this.config.sprintLengthDays - 1),
+            status: 'active',
+            committedSP: this.sumStoryPoints(this.tasks),
+            scopeChanges: [],
+            startedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Inicia un nuevo sprint
+     * @param {Object} sprintData - name, goal, startDate, endDate y taskIds del Product Backlog
+     */
+    startSprint(sprintData = {}) {
+        if (this.currentSprint) {
+            throw new Error('Ya hay un sprint activo. Ciérralo antes de iniciar otro.');
+        }
+
+        const startDate = sprintData.startDate || this.toISODate(new Date());
+        const endDate = sprintData.endDate || this.addDays(startDate, this.config.sprintLengthDays - 1);
+
+        if (endDate < startDate) {
+            throw new Error('La fecha de fin debe ser posterior a la de inicio');
+        }
+
+        const sprint = {
+            id: this.generateSprintId(),
+            name: sprintData.name || `Sprint ${this.sprintHistory.length + 1}`,
+            goal: sprintData.goal || '',
+            startDate,
+            endDate,
+            status: 'active',
+            committedSP: 0,
+            scopeChanges: [],
+            startedAt: new Date().toISOString()
+        };
+
+        // Traer items seleccionados del Product Backlog al Sprint Backlog
+        this.tasks.push(...this.takeFromBacklog(sprintData.taskIds || [], sprint.id));
+
+        sprint.committedSP = this.sumStoryPoints(this.tasks);
+        this.tasks.forEach(task => {
+            task.sprintId = sprint.id;
+        });
+        this.currentSprint = sprint;
+
+        this.updateUI();
+        this.saveData();
+        this.emitChange('sprint:start');
+
+        if (this.config.onSprintStart) {
+            this.config.onSprintStart(sprint);
+        }
+
+        return sprint;
+    }
+
+    /**
+     * Saca del Product Backlog los items elegidos (los PBIs con sus Tasks)
+     * @param {string[]} selectedIds - Ids elegidos
+     * @param {string} sprintId - Sprint destino
+     * @returns {Object[]} Items listos para el Sprint Backlog
+     */
+    takeFromBacklog(selectedIds, sprintId) {
+        const firstColumnId = this.columns[0]?.id || 'backlog';
+        const taken = [];
+
+        this.productBacklog = this.productBacklog.filter(item => {
+            const selected = WorkItemHierarchy.isSprintItem(item) &&
+                (selectedIds.includes(item.id) || selectedIds.includes(item.parentId));
+            if (!selected) return true;
+
+            const task = { ...item, status: item.status || firstColumnId };
+            // Un item que vuelve de otro sprint (rollover) deja constancia del cambio de columna
+            if (task.status !== firstColumnId) {
+                task.transitions = [...(item.transitions || [])];
+                this.recordTransition(task, task.status, firstColumnId);
+            }
+            taken.push({
+                ...task,
+                sprintId,
+                updatedAt: new Date().toISOString()
+            });
+            return false;
+        });
+
+        return taken;
+    }
+
+    /**
+     * Mete un item Ready en el sprint activo (cambio de alcance)
+     * @param {string} itemId - Id del PBI
+     * @returns {Object[]} Items añadidos al sprint
+     */
+    pullIntoSprint(itemId) {
+        if (this.guardReadOnly()) return [];
+
+        const item = this.productBacklog.find(candidate => candidate.id === itemId);
+        if (!this.currentSprint || !item) return [];
+
+        if (WorkItemHierarchy.getRefinementState(item) !== 'ready') {
+            this.showFeedback(`❌ "${item.title}" aún no está Ready`, 'error');
+            return [];
+        }
+
+        const pulled = this.takeFromBacklog([itemId], this.currentSprint.id);
+        pulled.forEach(task => {
+            this.tasks.push(task);
+            this.recordScopeChange('added', task, task.storyPoints || 0);
+        });
+
+        this.updateUI();
+        this.saveData();
+        this.emitChange('sprint:pull');
+        this.showFeedback(`🎯 "${item.title}" añadido a ${this.currentSprint.name}`);
+        return pulled;
+    }
+
+    /**
+     * Product Backlog Items pendientes en el orden del Product Owner (los
+     * terminados, p.ej. importados de Jira ya cerrados, son solo historial)
+     * @returns {Object[]}
+     */
+    getRankedBacklog() {
+        return this.productBacklog.filter(item => WorkItemHierarchy.isBacklogItem(item) && !this.isWorkItemDone(item));
+    }
+
+    /**
+     * Mueve un PBI a otra posición del ranking
+     * @param {string} itemId - Id del PBI
+     * @param {number} position - Nueva posición (0 = más prioritario)
+     */
+    moveBacklogItem(itemId, position) {
+        if (this.guardReadOnly()) return;
+
+        const ranked = this.getRankedBacklog();
+        const from = ranked.findIndex(item => item.id === itemId);
+        if (from === -1) return;
+
+        const target = Math.max(0, Math.min(position, ranked.length - 1));
+        if (target === from) return;
+
+        const [item] = ranked.splice(from, 1);
+        ranked.splice(target, 0, item);
+        this.setBacklogOrder(ranked.map(candidate => candidate.id));
+    }
+
+    /**
+     * Reordena el Product Backlog (p.ej. desde el ranking WSJF)
+     * @param {string[]} itemIds - Ids en el nuevo orden; el resto conserva su orden detrás
+     */
+    setBacklogOrder(itemIds) {
+        if (this.guardReadOnly()) return;
+
+        const ranked = this.getRankedBacklog();
+        const ordered = [
+            ...itemIds.map(id => ranked.find(item => item.id === id)).filter(Boolean),
+            ...ranked.filter(item => !itemIds.includes(item.id))
+        ];
+        const others = this.productBacklog.filter(item => !ranked.includes(item));
+
+        this.productBacklog = [...others, ...ordered];
+        this.updateProductBacklog();
+        this.saveData();
+        this.emitChange('backlog:rank');
+    }
+
+    /**
+     * Guarda las puntuaciones de un método de priorización en los PBIs
+     * @param {string} method - Id del modelo de priorización (p.ej. 'wsjf', 'rice')
+     * @param {Object} scoresById - { itemId: { score, ...parámetros } }
+     * @returns {number} PBIs actualizados
+     */
+    setPriorityScores(method, scoresById) {
+        if (this.guardReadOnly()) return 0;
+
+        let updated = 0;
+        Object.entries(scoresById).forEach(([itemId, scores]) => {
+            const item = this.findWorkItem(itemId);
+            if (!item || !WorkItemHierarchy.isBacklogItem(item)) return;
+
+            item.scores = { ...item.scores, [method]: { ...scores, scoredAt: new Date().toISOString() } };
+            updated++;
+        });
+
+        if (updated > 0) {
+            this.updateProductBacklog();
+            this.saveData();
+            this.emitChange('backlog:scores');
+        }
+        return updated;
+    }
+
+    /**
+     * Cambia el estado de refinamiento de un PBI
+     * @param {string} itemId - Id del PBI
+     * @param {string} state - 'new' | 'refined' | 'ready'
+     */
+    setRefinementState(itemId, state) {
+        if (this.guardReadOnly()) return null;
+
+        const item = this.findWorkItem(itemId);
+        if (!item || !WorkItemHierarchy.refinementStates[state]) return null;
+
+        item.refinement = state;
+        item.updatedAt = new Date().toISOString();
+        this.updateProductBacklog();
+        this.saveData();
+        this.emitChange('backlog:refinement');
+        return item;
+    }
+
+    /**
+     * Cierra el sprint activo y lo guarda en el historial
+     * @param {Object} options - rollover: 'backlog' (Product Backlog) o 'next' (siguiente sprint)
+     *   y goal: Sprint Goal del siguiente sprint
+     */
+    closeSprint(options = {}) {
+        const sprint = this.currentSprint;
+        if (!sprint) {
+            throw new Error('No hay un sprint activo');
+        }
+
+        const rollover = options.rollover === 'next' ? 'next' : 'backlog';
+        const doneColumnId = this.getDoneColumnId();
+        const completedTasks = this.tasks.filter(task => task.status === doneColumnId);
+        const unfinishedTasks = this.tasks.filter(task => task.status !== doneColumnId);
+
+        const closedAt = new Date().toISOString();
+        (sprint.wipViolations || []).forEach(entry => {
+            if (!entry.resolvedAt) entry.resolvedAt = closedAt;
+        });
+
+        const closedSprint = {
+            ...sprint,
+            status: 'closed',
+            closedAt,
+            completedSP: this.sumStoryPoints(completedTasks),
+            unfinishedSP: this.sumStoryPoints(unfinishedTasks),
+            rollover,
+            completedTasks: completedTasks.map(task => ({ ...task })),
+            unfinishedTaskIds: unfinishedTasks.map(task => task.id)
+        };
+
+        this.sprintHistory.push(closedSprint);
+        this.currentSprint = null;
+        this.tasks = [];
+
+        if (rollover === 'next') {
+            // Un cierre tardío no crea un sprint que ya ha empezado (o terminado)
+            const today = this.toISODate(new Date());
+            const dayAfterEnd = this.addDays(sprint.endDate, 1);
+            const nextStart = dayAfterEnd > today ? dayAfterEnd : today;
+            const lengthDays = this.countCalendarDays(sprint.startDate, sprint.endDate);
+
+            this.productBacklog.push(...unfinishedTasks);
+            this.startSprint({
+                name: this.getNextSprintName(sprint.name),
+                goal: options.goal || '',
+                startDate: nextStart,
+                endDate: this.addDays(nextStart, lengthDays - 1),
+                taskIds: unfinishedTasks.map(task => task.id)
+            });
+        } else {
+            const firstColumnId = this.columns[0]?.id || 'backlog';
+            unfinishedTasks.forEach(task => {
+                const returned = { ...task, transitions: [...(task.transitions || [])] };
+                if (returned.status !== firstColumnId) {
+                    this.recordTransition(returned, returned.status, firstColumnId);
+                }
+                this.productBacklog.push({
+                    ...returned,
+                    sprintId: null,
+                    updatedAt: new Date().toISOString()
+                });
+            });
+
+            this.updateUI();
+            this.saveData();
+            this.emitChange('sprint:close');
+        }
+
+        if (this.config.onSprintClose) {
+            this.config.onSprintClose(closedSprint);
+        }
+
+        return closedSprint;
+    }
+
+    /**
+     * Registra el paso de una tarea entre columnas
+     */
+    recordTransition(task, fromStatus, toStatus) {
+        const now = new Date().toISOString();
+
+        if (!task.transitions) {
+            task.transitions = [{ from: null, to: fromStatus, at: task.createdAt || now }];
+        }
+
+        task.transitions.push({ from: fromStatus, to: toStatus, at: now });
+        task.status = toStatus;
+        task.movedAt = now;
+    }
+
+    /**
+     * Registra un cambio de alcance en el sprint activo
+     */
+    recordScopeChange(type, task, delta) {
+        const sprint = this.currentSprint;
+        if (!sprint || delta === 0) return;
+
+        // De una tarea terminada se guarda cuándo se terminó: hasta el cambio, el
+        // burndown cuenta como hecho su SP anterior (ver SprintMetrics.computeBurndown)
+        let completedAt = null;
+        if (task.status === this.getDoneColumnId()) {
+            const intervals = SprintMetrics.getColumnIntervals(task);
+            const enteredAt = intervals[intervals.length - 1].enteredAt;
+            completedAt = Number.isFinite(enteredAt) ? new Date(enteredAt).toISOString() : null;
+        }
+
+        if (!sprint.scopeChanges) sprint.scopeChanges = [];
+        sprint.scopeChanges.push({
+            type,
+            taskId: task.id,
+            title: task.title,
+            delta,
+            completedAt,
+            at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Límite WIP de una columna (ver wip_limits.js)
+     * @returns {Object|null} { limit, unit, mode }
+     */
+    getWipLimit(columnId) {
+        return WipLimits.getLimit(columnId, this.wipLimits, this.config.maxTasksPerColumn);
+    }
+
+    /**
+     * Comprueba el límite WIP antes de mover una tarea. Un bloqueo queda en el
+     * registro y se avisa; superar un límite de aviso lo registra quien mueve
+     * @returns {Object} { allowed, exceeded, load, limit }
+     */
+    checkWipLimit(task, targetColumnId) {
+        const check = WipLimits.checkMove(task, targetColumnId, this.tasks, this.getWipLimit(targetColumnId));
+        if (!check.allowed) {
+            this.recordWipViolation(task, targetColumnId, check, 'blocked');
+            this.saveData();
+            const columnTitle = this.columns.find(c => c.id === targetColumnId)?.title || targetColumnId;
+            const current = check.load - WipLimits.weight(task, check.limit.unit);
+            this.showFeedback(`🚦 ${columnTitle} está en su límite WIP (${this.formatWipLoad(current, check.limit)}): termina algo antes de empezar más`, 'error');
+        }
+        return check;
+    }
+
+    /**
+     * Registra una violación del límite WIP en el sprint activo
+     * @param {string} outcome - 'exceeded' (límite de aviso superado) o 'blocked' (movimiento bloqueado)
+     */
+    recordWipViolation(task, columnId, check, outcome) {
+        const sprint = this.currentSprint;
+        if (!sprint) return;
+
+        const at = new Date().toISOString();
+        if (!sprint.wipViolations) sprint.wipViolations = [];
+        sprint.wipViolations.push({
+            columnId,
+            taskId: task.id,
+            title: task.title,
+            limit: check.limit.limit,
+            unit: check.limit.unit,
+            mode: check.limit.mode,
+            load: check.load,
+            outcome,
+            at,
+            // Un bloqueo no deja la columna por encima del límite
+            resolvedAt: outcome === 'blocked' ? at : null
+        });
+    }
+
+    /**
+     * Cierra las violaciones abiertas de las columnas que ya están dentro de su límite
+     */
+    resolveWipViolations(at = new Date().toISOString()) {
+        const violations = this.currentSprint && this.currentSprint.wipViolations;
+        if (!violations) return;
+
+        violations
+            .filter(entry => !entry.resolvedAt)
+            .forEach(entry => {
+                const state = WipLimits.getColumnState(entry.columnId, this.tasks, this.getWipLimit(entry.columnId));
+                if (!state || !state.exceeded) entry.resolvedAt = at;
+            });
+    }
+
+    /**
+     * Cabecera "n / límite" y estado (lleno o excedido) de una columna
+     */
+    updateColumnWip(columnElement, column, tasksInColumn) {
+        const state = WipLimits.getColumnState(column.id, this.tasks, this.getWipLimit(column.id));
+        const countElement = columnElement.querySelector('.column-count');
+
+        columnElement.classList.toggle('wip-full', Boolean(state && state.full && !state.exceeded));
+        columnElement.classList.toggle('wip-exceeded', Boolean(state && state.exceeded));
+        if (!state || !countElement) {
+            if (countElement) countElement.removeAttribute('title');
+            return;
+        }
+
+        // El límite cuenta todo el sprint aunque haya filtros activos
+        countElement.textContent = this.formatWipLoad(state.load, state);
+        countElement.title = `Límite WIP: ${state.limit} ${WipLimits.units[state.unit].label} (${WipLimits.modes[state.mode].label.toLowerCase()})`
+            + (this.hasActiveFilters() ? ` · ${tasksInColumn.length} visibles con los filtros` : '');
+    }
+
+    formatWipLoad(load, limit) {
+        return `${load} / ${limit.limit}${WipLimits.units[limit.unit].suffix}`;
+    }
+
+    /**
+     * Cambia los límites WIP del board
+     * @param {Object} limits - { [columnId]: { limit, unit: 'items' | 'points', mode: 'soft' | 'hard' } }
+     * @returns {Object} Límites guardados
+     */
+    setWipLimits(limits) {
+        if (this.guardReadOnly()) return this.wipLimits;
+
+        this.wipLimits = WipLimits.normalize(limits);
+        this.updateColumns();
+        this.updateMetrics();
+        this.saveData();
+        this.emitChange('wip:limits');
+        return this.wipLimits;
+    }
+
+    /**
+     * Registro de violaciones WIP del sprint activo y de los cerrados
+     */
+    getWipViolations() {
+        return [
+            ...this.sprintHistory.flatMap(sprint => (sprint.wipViolations || []).map(entry => ({ ...entry, sprintId: sprint.id }))),
+            ...((this.currentSprint && this.currentSprint.wipViolations) || []).map(entry => ({ ...entry, sprintId: this.currentSprint.id }))
+        ];
+    }
+
+    /**
+     * Datos del burndown del sprint activo para ChartManager
+     */
+    getBurndownData() {
+        if (!this.currentSprint) return null;
+
+        return SprintMetrics.computeBurndown({
+            sprint: this.currentSprint,
+            tasks: this.tasks,
+            doneColumnId: this.getDoneColumnId()
+        });
+    }
+
+    /**
+     * Datos del Cumulative Flow Diagram del sprint activo para ChartManager
+     * @param {string} metric - 'count' (items) o 'points' (SP)
+     */
+    getCumulativeFlowData(metric = 'count') {
+        if (!this.currentSprint) return null;
+
+        return SprintMetrics.computeCumulativeFlow({
+            sprint: this.currentSprint,
+            tasks: this.tasks,
+            columns: this.columns,
+            metric
+        });
+    }
+
+    /**
+     * Cycle time, lead time y tiempo por columna de las tareas del sprint
+     * activo y de las completadas en sprints cerrados
+     */
+    getFlowMetrics() {
+        const tasksById = new Map();
+        this.sprintHistory.forEach(sprint => {
+            (sprint.completedTasks || []).forEach(task => tasksById.set(task.id, task));
+        });
+        this.tasks.forEach(task => tasksById.set(task.id, task));
+
+        return {
+            ...SprintMetrics.computeFlowMetrics({
+                tasks: Array.from(tasksById.values()),
+                columns: this.columns,
+                doneColumnId: this.getDoneColumnId()
+            }),
+            // Violaciones de los límites WIP por columna
+            wip: WipLimits.summarize(this.getWipViolations(), this.columns)
+        };
+    }
+
+    /**
+     * Datos de velocity de los sprints cerrados con forecast para ChartManager
+     * @param {number} remainingSP - SP a completar (por defecto Product Backlog + pendiente del sprint)
+     */
+    getVelocityData(remainingSP = null) {
+        const stats = SprintMetrics.computeVelocityStats(this.sprintHistory, {
+            window: this.config.velocityWindow
+        });
+
+        if (remainingSP === null) {
+            remainingSP = this.sumStoryPoints([...this.productBacklog, ...this.tasks].filter(task => !this.isWorkItemDone(task)));
+        }
+
+        return {
+            ...stats,
+            forecast: SprintMetrics.forecastSprintsToFinish(remainingSP, stats)
+        };
+    }
+
+    /**
+     * Datos de los que depende el pronóstico de entrega: historial, trabajo
+     * pendiente y calendario (con ellos se decide si hace falta volver a simular)
+     * @param {Object} options - remaining (por defecto, lo pendiente en el board) y unit
+     * @returns {Object} { unit, samples, remaining, firstSprintStart, sprintLengthDays }
+     */
+    getForecastInputs(options = {}) {
+        const unit = options.unit === 'items' ? 'items' : 'points';
+        const closed = this.sprintHistory.filter(sprint => sprint.status === 'closed');
+        // El throughput se mide en PBIs: ni Epics/Features ni Tasks
+        const samples = closed.map(sprint => unit === 'items'
+            ? (sprint.completedTasks || []).filter(task => WorkItemHierarchy.isBacklogItem(task)).length
+            : sprint.completedSP || 0
+        );
+
+        let remaining = options.remaining;
+        if (remaining === undefined || remaining === null) {
+            const pending = [...this.productBacklog, ...this.tasks]
+                .filter(task => WorkItemHierarchy.isBacklogItem(task) && !this.isWorkItemDone(task));
+            remaining = unit === 'items' ? pending.length : this.sumStoryPoints(pending);
+        }
+
+        // El primer sprint simulado es el siguiente al activo
+        const lastSprint = this.currentSprint || closed[closed.length - 1];
+        const sprintLengthDays = lastSprint
+            ? this.countCalendarDays(lastSprint.startDate, lastSprint.endDate)
+            : this.config.sprintLengthDays;
+        const firstSprintStart = this.currentSprint
+            ? this.addDays(this.currentSprint.endDate, 1)
+            : this.toISODate(new Date());
+
+        return { unit, samples, remaining, firstSprintStart, sprintLengthDays };
+    }
+
+    /**
+     * Pronóstico Monte Carlo de entrega basado en los sprints cerrados
+     * @param {Object} options - remaining, unit ('points' | 'items'), iterations
+     * @returns {Object} Resultado con histograma, percentiles fechados y CSV exportable
+     */
+    getDeliveryForecast(options = {}) {
+        const { unit, samples, remaining, firstSprintStart, sprintLengthDays } = this.getForecastInputs(options);
+
+        const result = ForecastEngine.withDates(
+            ForecastEngine.run({ samples, remaining, iterations: options.iterations }),
+            firstSprintStart,
+            sprintLengthDays
+        );
+
+        return { ...result, unit, csv: ForecastEngine.toCSV(result) };
+    }
+
+    /**
+     * Notifica a otros módulos (charts, etc.) que el board cambió
+     */
+    emitChange(reason) {
+        document.dispatchEvent(new CustomEvent('sprintboard:change', {
+            detail: { board: this, reason }
+        }));
+    }
+
+    /**
+     * Muestra modal para iniciar sprint
+     */
+    showSprintModal() {
+        if (this.guardReadOnly()) return;
+
+        const modal = this.container.querySelector('#sprintModal');
+        const form = this.container.querySelector('#sprintForm');
+        if (!modal || !form) return;
+
+        const startDate = this.toISODate(new Date());
+        form.reset();
+        form.querySelector('#sprintNameInput').value = this.getNextSprintName(
+            this.sprintHistory[this.sprintHistory.length - 1]?.name
+        );
+        form.querySelector('#sprintStartInput').value = startDate;
+        form.querySelector('#sprintEndInput').value = this.addDays(startDate, this.config.sprintLengthDays - 1);
+
+        // Sprint Planning: el orden del Product Owner, solo los items Ready se pueden elegir
+        const backlogList = form.querySelector('#sprintBacklogSelection');
+        const candidates = this.getRankedBacklog();
+        if (backlogList) {
+            backlogList.innerHTML = candidates.length > 0
+                ? candidates.map(item => {
+                    const state = WorkItemHierarchy.getRefinementState(item);
+                    const ready = state === 'ready';
+                    return `
+                        <label class="sprint-backlog-option ${ready ? '' : 'not-ready'}">
+                            <input type="checkbox" value="${item.id}" ${ready ? 'checked' : 'disabled'}>
+                            <span>${this.escapeHtml(item.title)}</span>
+                            ${ready ? '' : `<small>${WorkItemHierarchy.refinementStates[state].icon} ${WorkItemHierarchy.refinementStates[state].label}</small>`}
+                            <span class="story-points">${this.getEstimateLabel(item)}</span>
+                        </label>
+                    `;
+                }).join('')
+                : '<p class="sprint-empty-hint">El Product Backlog está vacío</p>';
+        }
+
+        modal.style.display = 'flex';
+        modal.style.animation = 'fadeIn 0.3s ease';
+    }
+
+    /**
+     * Oculta modal de inicio de sprint
+     */
+    hideSprintModal() {
+        const modal = this.container.querySelector('#sprintModal');
+        if (modal) {
+            modal.style.animation = 'fadeOut 0.3s ease';
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+    }
+
+    /**
+     * Maneja envío del formulario de nuevo sprint
+     */
+    handleSprintSubmit() {
+        const form = this.container.querySelector('#sprintForm');
+        if (!form) return;
+
+        const sprintData = {
+            name: form.querySelector('#sprintNameInput').value.trim(),
+            goal: form.querySelector('#sprintGoalInput').value.trim(),
+            startDate: form.querySelector('#sprintStartInput').value,
+            endDate: form.querySelector('#sprintEndInput').value,
+            taskIds: Array.from(form.querySelectorAll('#sprintBacklogSelection input:checked'))
+                .map(input => input.value)
+        };
+
+        if (!sprintData.goal) {
+            this.showFeedback('❌ El Sprint Goal es obligatorio', 'error');
+            return;
+        }
+
+        try {
+            const sprint = this.startSprint(sprintData);
+            this.hideSprintModal();
+            this.showFeedback(`🚀 ${sprint.name} iniciado (${sprint.committedSP} SP)`);
+        } catch (error) {
+            this.showFeedback(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Muestra modal para cerrar sprint
+     */
+    showCloseSprintModal() {
+        if (this.guardReadOnly()) return;
+
+        const modal = this.container.querySelector('#closeSprintModal');
+        const summary = this.container.querySelector('#closeSprintSummary');
+        if (!modal || !this.currentSprint) return;
+
+        const doneColumnId = this.getDoneColumnId();
+        const completedSP = this.sumStoryPoints(this.tasks.filter(task => task.status === doneColumnId));
+        const unfinished = this.tasks.filter(task => task.status !== doneColumnId);
+
+        if (summary) {
+            summary.innerHTML = `
+                <div class="detail-grid">
+                    <div class="detail-item">
+                        <label>Comprometido</label>
+                        <span>${this.currentSprint.committedSP} SP</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Completado</label>
+                        <span>${completedSP} SP</span>
+                    </div>
+                    <div class="detail-item">
+                        <label>Sin terminar</label>
+                        <span>${unfinished.length} items (${this.sumStoryPoints(unfinished)} SP)</span>
+                    </div>
+                </div>
+            `;
+        }
+
+        const goalInput = this.container.querySelector('#nextSprintGoalInput');
+        if (goalInput) goalInput.value = '';
+        this.updateNextSprintGoalField();
+
+        modal.style.display = 'flex';
+        modal.style.animation = 'fadeIn 0.3s ease';
+    }
+
+    /**
+     * El Sprint Goal solo se pide si los items pasan al siguiente sprint
+     */
+    updateNextSprintGoalField() {
+        const form = this.container.querySelector('#closeSprintForm');
+        const group = this.container.querySelector('#nextSprintGoalGroup');
+        if (!form || !group) return;
+
+        const rollover = form.querySelector('input[name="sprintRollover"]:checked')?.value;
+        group.style.display = rollover === 'next' ? 'block' : 'none';
+    }
+
+    /**
+     * Oculta modal de cierre de sprint
+     */
+    hideCloseSprintModal() {
+        const modal = this.container.querySelector('#closeSprintModal');
+        if (modal) {
+            modal.style.animation = 'fadeOut 0.3s ease';
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+    }
+
+    /**
+     * Maneja envío del formulario de cierre de sprint
+     */
+    handleCloseSprintSubmit() {
+        const form = this.container.querySelector('#closeSprintForm');
+        const rollover = form?.querySelector('input[name="sprintRollover"]:checked')?.value || 'backlog';
+        const goal = form?.querySelector('#nextSprintGoalInput')?.value.trim() || '';
+
+        // Mismo requisito que al iniciar un sprint desde su modal
+        if (rollover === 'next' && !goal) {
+            this.showFeedback('❌ El Sprint Goal del siguiente sprint es obligatorio', 'error');
+            return;
+        }
+
+        try {
+            const closed = this.closeSprint({ rollover, goal });
+            this.hideCloseSprintModal();
+            this.showFeedback(`🏁 ${closed.name} cerrado: ${closed.completedSP}/${closed.committedSP} SP`);
+        } catch (error) {
+            this.showFeedback(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Actualiza la lista de sprints cerrados
+     */
+    updateSprintHistoryUI() {
+        const historyList = this.container.querySelector('#sprintHistoryList');
+        const historyContainer = this.container.querySelector('#sprintHistory');
+        if (!historyList || !historyContainer) return;
+
+        historyContainer.style.display = this.sprintHistory.length > 0 ? 'block' : 'none';
+        historyList.innerHTML = this.sprintHistory
+            .slice()
+            .reverse()
+            .map(sprint => `
+                <div class="sprint-history-item">
+                    <div>
+                        <strong>${this.escapeHtml(sprint.name)}</strong>
+                        <small>${this.formatSprintDates(sprint.startDate, sprint.endDate)}</small>
+                        ${sprint.goal ? `<small>🎯 ${this.escapeHtml(sprint.goal)}</small>` : ''}
+                    </div>
+                    <span class="story-points">${sprint.completedSP} / ${sprint.committedSP} SP</span>
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Exporta datos del board
+     */
+    exportBoardData() {
+        const exportData = {
+            format: BoardBackup.format,
+            schemaVersion: BoardBackup.version,
+            sprintName: this.currentSprint ? this.currentSprint.name : this.config.sprintName,
+            sprintDates: this.currentSprint
+                ? this.formatSprintDates(this.currentSprint.startDate, this.currentSprint.endDate)
+                : this.config.sprintDates,
+            exportDate: new Date().toISOString(),
+            metrics: this.metrics,
+            sprint: this.currentSprint,
+            sprintHistory: this.sprintHistory,
+            wipLimits: this.wipLimits,
+            productBacklog: this.productBacklog,
+            tasks: this.tasks,
+            columns: this.columns,
+            hierarchy: WorkItemHierarchy.toExportTree(this.getAllWorkItems(), item => this.isWorkItemDone(item))
+        };
+
+        this.downloadFile(
+            JSON.stringify(exportData, null, 2),
+            `${this.getExportFileName(exportData.sprintName)}.json`,
+            'application/json'
+        );
+
+        this.showFeedback('📊 Datos exportados');
+    }
+
+    /**
+     * Exporta el sprint (con los filtros activos) en el formato pedido
+     * @param {string} format - 'json' | 'csv' | 'markdown' | 'jira' | 'azure' (ver board_export.js)
+     * @returns {string|null} Contenido exportado
+     */
+    exportBoard(format) {
+        if (format === 'json') {
+            this.exportBoardData();
+            return null;
+        }
+
+        const definition = BoardExport.formats[format];
+        if (!definition) {
+            this.showFeedback(`❌ Formato de exportación desconocido: ${format}`, 'error');
+            return null;
+        }
+
+        const data = this.getExportData();
+        const content = BoardExport.render(format, data);
+        const suffix = format === 'csv' || format === 'markdown' ? '' : `-${format}`;
+        this.downloadFile(content, `${this.getExportFileName(data.sprint.name)}${suffix}.${definition.extension}`, definition.mimeType);
+
+        this.showFeedback(`📊 ${definition.label}: ${data.items.length} items${data.filters.length > 0 ? ' (filtrados)' : ''}`);
+        return content;
+    }
+
+    /**
+     * Datos para BoardExport: tareas filtradas y métricas de updateMetrics()
+     */
+    getExportData() {
+        const items = this.getFilteredTasks();
+        const doneColumnId = this.getDoneColumnId();
+        const velocity = SprintMetrics.computeVelocityStats(this.sprintHistory, { window: this.config.velocityWindow });
+
+        return {
+            sprint: {
+                name: this.currentSprint ? this.currentSprint.name : this.config.sprintName,
+                dates: this.currentSprint
+                    ? this.formatSprintDates(this.currentSprint.startDate, this.currentSprint.endDate)
+                    : this.config.sprintDates,
+                goal: this.currentSprint ? this.currentSprint.goal || '' : this.config.sprintGoal
+            },
+            columns: this.columns,
+            firstColumnId: this.columns[0]?.id || 'backlog',
+            doneColumnId,
+            items,
+            allItems: this.getAllWorkItems(),
+            metrics: {
+                ...this.metrics,
+                ...(velocity.values.length > 0 ? { velocityAverage: velocity.average } : {}),
+                filteredSP: this.sumStoryPoints(items),
+                filteredCompletedSP: this.sumStoryPoints(items.filter(item => item.status === doneColumnId))
+            },
+            filters: this.describeFilters(),
+            exportedAt: new Date().toISOString()
+        };
+    }
+
+    getExportFileName(sprintName) {
+        return `sprint-board-${sprintName.replace(/\s+/g, '-').toLowerCase()}-${new Date().toISOString().slice(0, 10)}`;
+    }
+
+    /**
+     * Descarga un fichero generado en el navegador
+     */
+    downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Configura listeners del modal de importación
+     */
+    setupImportModalListeners() {
+        const importModal = this.container.querySelector('#importModal');
+        if (!importModal) return;
+
+        [
+            ['#importModalClose', () => this.hideImportModal()],
+            ['#cancelImportBtn', () => this.hideImportModal()],
+            ['#confirmImportBtn', () => this.confirmImport()],
+            ['#restoreModalClose', () => this.hideRestoreModal()],
+            ['#cancelRestoreBtn', () => this.hideRestoreModal()],
+            ['#mergeBackupBtn', () => this.applyBackup('merge')],
+            ['#replaceBackupBtn', () => this.applyBackup('replace')]
+        ].forEach(([selector, handler]) => {
+            const element = this.container.querySelector(selector);
+            if (element) {
+                this.addEventListener(element, 'click', handler);
+            }
+        });
+
+        // Cambiar una columna del mapeo recalcula la vista previa
+        const mapping = this.container.querySelector('#importMapping');
+        if (mapping) {
+            this.addEventListener(mapping, 'change', (e) => {
+                const field = e.target.dataset.importField;
+                if (field && this.importState) {
+                    this.importState.mapping[field] = e.target.value || null;
+                    this.renderImportPreview();
+                }
+            });
+        }
+
+        this.addEventListener(importModal, 'click', (e) => {
+            if (e.target.classList.contains('modal-overlay')) {
+                this.hideImportModal();
+            }
+        });
+
+        const restoreModal = this.container.querySelector('#restoreModal');
+        if (restoreModal) {
+            this.addEventListener(restoreModal, 'click', (e) => {
+                if (e.target.classList.contains('modal-overlay')) {
+                    this.hideRestoreModal();
+                }
+            });
+        }
+    }
+
+    /**
+     * Lee una copia JSON del board, o una exportación de Jira (CSV) o Azure
+     * DevOps (CSV/JSON), y abre la vista previa
+     * @param {File|Blob} file - Fichero elegido
+     * @returns {Promise<Object|null>} Estado de la importación
+     */
+    async openImportFile(file) {
+        try {
+            const text = await file.text();
+            const backup = this.parseBackup(text);
+            if (backup) return this.openBackup(backup, file.name || '');
+
+            const parsed = WorkItemImport.parse(text);
+            this.importState = {
+                fileName: file.name || '',
+                parsed,
+                mapping: WorkItemImport.suggestMapping(parsed.headers, parsed.format),
+                result: null
+            };
+        } catch (error) {
+            console.warn('Error reading import file:', error);
+            this.showFeedback(`❌ ${error.message}`, 'error');
+            return null;
+        }
+
+        this.renderImportPreview();
+        const modal = this.container.querySelector('#importModal');
+        if (modal) {
+            modal.style.display = 'flex';
+            modal.style.animation = 'fadeIn 0.3s ease';
+        }
+        return this.importState;
+    }
+
+    /**
+     * Copia del board (exportBoardData) contenida en el texto, o null si es otro fichero
+     */
+    parseBackup(text) {
+        let json;
+        try {
+            json = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            return null;
+        }
+        return BoardBackup.isBackup(json) ? json : null;
+    }
+
+    /**
+     * Valida una copia del board y abre el diff con el board actual
+     * @param {Object} backup - JSON de exportBoardData()
+     * @param {string} fileName - Nombre del fichero (para el resumen)
+     * @returns {Object} Estado de la restauración { backup, errors, diff }
+     */
+    openBackup(backup, fileName = '') {
+        const errors = BoardBackup.validate(backup, this.columns);
+        this.backupState = {
+            fileName,
+            backup,
+            errors,
+            diff: errors.length === 0
+                ? BoardBackup.diff({ tasks: this.tasks, productBacklog: this.productBacklog }, backup)
+                : null
+        };
+
+        this.renderBackupPreview();
+        const modal = this.container.querySelector('#restoreModal');
+        if (modal) {
+            modal.style.display = 'flex';
+            modal.style.animation = 'fadeIn 0.3s ease';
+        }
+        return this.backupState;
+    }
+
+    /**
+     * Pinta los errores de validación o el diff (nuevos, cambiados, eliminados)
+     */
+    renderBackupPreview() {
+        const state = this.backupState;
+        if (!state) return;
+
+        const { backup, errors, diff } = state;
+        const summary = this.container.querySelector('#restoreSummary');
+        if (summary) {
+            const exported = backup.exportDate ? new Date(backup.exportDate) : null;
+            summary.textContent = [
+                backup.sprintName || (backup.sprint && backup.sprint.name) || 'Board sin sprint',
+                exported && !isNaN(exported) ? `exportado el ${exported.toLocaleDateString('es-ES')}` : null,
+                state.fileName || null
+            ].filter(Boolean).join(' · ');
+        }
+
+        const errorsGroup = this.container.querySelector('#restoreErrorsGroup');
+        const errorsList = this.container.querySelector('#restoreErrors');
+        if (errorsGroup && errorsList) {
+            errorsGroup.style.display = errors.length > 0 ? 'block' : 'none';
+            errorsList.innerHTML = errors.slice(0, 20).map(error => `
+                <div class="import-report-item error">⛔ ${this.escapeHtml(error)}</div>
+            `).join('') + (errors.length > 20 ? `<p class="sprint-empty-hint">… y ${errors.length - 20} errores más</p>` : '');
+        }
+
+        const diffGroup = this.container.querySelector('#restoreDiffGroup');
+        const diffList = this.container.querySelector('#restoreDiff');
+        if (diffGroup && diffList) {
+            diffGroup.style.display = diff ? 'block' : 'none';
+            if (diff) {
+                const itemLabel = (item) => `${WorkItemHierarchy.getIcon(item.type)} ${this.escapeHtml(item.title)}`;
+                const rows = [
+                    ...diff.added.map(item => `
+                        <div class="import-report-item added">➕ ${itemLabel(item)} · nuevo</div>
+                    `),
+                    ...diff.changed.map(({ item, current, fields }) => `
+                        <div class="import-report-item warning">✏️ ${itemLabel(item)} · ${fields.map(field => BoardBackup.diffFields[field]).join(', ')}${BoardBackup.isNewer(item, current) ? '' : ' (tu versión es más reciente: se conserva al fusionar)'}</div>
+                    `),
+                    ...diff.removed.map(item => `
+                        <div class="import-report-item removed">➖ ${itemLabel(item)} · solo en tu board (se conserva al fusionar, se elimina al reemplazar)</div>
+                    `)
+                ];
+                diffList.innerHTML = `
+                    <p class="sprint-empty-hint">${diff.added.length} nuevos · ${diff.changed.length} cambiados · ${diff.removed.length} solo en tu board · ${diff.unchanged} sin cambios</p>
+                    ${rows.join('')}
+                `;
+            }
+        }
+
+        const blocked = errors.length > 0 || this.isReadOnly();
+        ['#mergeBackupBtn', '#replaceBackupBtn'].forEach(selector => {
+            const button = this.container.querySelector(selector);
+            if (button) button.disabled = blocked;
+        });
+    }
+
+    /**
+     * Aplica la copia abierta en el modal
+     * @param {string} mode - 'merge' (añade y actualiza) o 'replace' (el board queda como la copia)
+     * @returns {boolean} Aplicada
+     */
+    applyBackup(mode) {
+        const state = this.backupState;
+        if (!state || state.errors.length > 0 || this.guardReadOnly()) return false;
+
+        const { backup, diff } = state;
+        const result = mode === 'replace'
+            ? BoardBackup.replace(backup)
+            : BoardBackup.merge({
+                tasks: this.tasks,
+                productBacklog: this.productBacklog,
+                sprintHistory: this.sprintHistory,
+                currentSprint: this.currentSprint,
+                wipLimits: this.wipLimits
+            }, backup, this.columns[0]?.id || 'backlog');
+
+        this.tasks = result.tasks;
+        this.productBacklog = result.productBacklog;
+        this.sprintHistory = result.sprintHistory;
+        this.currentSprint = result.currentSprint;
+        this.wipLimits = result.wipLimits;
+        if (mode === 'replace') {
+            if (backup.sprintName) this.config.sprintName = backup.sprintName;
+            if (backup.sprintDates) this.config.sprintDates = backup.sprintDates;
+        }
+
+        this.hideRestoreModal();
+        this.updateMetrics();
+        this.updateUI();
+        this.updateSprintHistoryUI();
+        this.saveData();
+        this.emitChange('board:import');
+
+        this.showFeedback(mode === 'replace'
+            ? '♻️ Board reemplazado por la copia'
+            : `🔀 Copia fusionada · ${diff.added.length} nuevos, ${diff.changed.length} revisados`);
+        return true;
+    }
+
+    /**
+     * Oculta el modal de restauración
+     */
+    hideRestoreModal() {
+        const modal = this.container.querySelector('#restoreModal');
+        if (modal) {
+            modal.style.animation = 'fadeOut 0.3s ease';
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+        this.backupState = null;
+    }
+
+    /**
+     * Pinta el mapeo, la vista previa y el informe de filas sin mapear
+     */
+    renderImportPreview() {
+        const state = this.importState;
+        if (!state) return;
+
+        const { parsed, mapping } = state;
+        state.result = WorkItemImport.mapRecords(parsed, mapping, {
+            generateId: () => this.generateTaskId(),
+            existing: this.getAllWorkItems()
+        });
+        const { items, report } = state.result;
+        const skipped = new Set(report.filter(entry => entry.level === 'error').map(entry => entry.rowNumber));
+
+        const summary = this.container.querySelector('#importSummary');
+        if (summary) {
+            summary.textContent = `${WorkItemImport.formats[parsed.format].label}${state.fileName ? ` · ${state.fileName}` : ''} · `
+                + `${parsed.records.length} filas: ${items.length} se importan, ${skipped.size} no`;
+        }
+
+        const mappingContainer = this.container.querySelector('#importMapping');
+        if (mappingContainer) {
+            mappingContainer.innerHTML = Object.entries(WorkItemImport.fields).map(([field, definition]) => `
+                <label>
+                    ${definition.label}${definition.required ? ' *' : ''}
+                    <select data-import-field="${field}">
+                        <option value="">— Sin mapear —</option>
+                        ${parsed.headers.map(header => `
+                            <option value="${this.escapeHtml(header)}" ${mapping[field] === header ? 'selected' : ''}>${this.escapeHtml(header)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            `).join('');
+        }
+
+        const preview = this.container.querySelector('#importPreview');
+        if (preview) {
+            const byId = new Map(items.map(item => [item.id, item]));
+            preview.innerHTML = items.length > 0
+                ? `
+                    <table>
+                        <thead>
+                            <tr><th>ID</th><th>Título</th><th>Tipo</th><th>Columna</th><th>SP</th><th>Asignado</th><th>Padre</th></tr>
+                        </thead>
+                        <tbody>
+                            ${items.slice(0, 20).map(item => `
+                                <tr>
+                                    <td>${this.escapeHtml(item.externalId || '—')}</td>
+                                    <td>${this.escapeHtml(item.title)}</td>
+                                    <td>${WorkItemHierarchy.getIcon(item.type)} ${WorkItemHierarchy.getLabel(item.type)}</td>
+                                    <td>${this.escapeHtml(this.getImportColumn(item).title)}</td>
+                                    <td>${item.storyPoints || '—'}</td>
+                                    <td>${this.escapeHtml(item.assignee || '—')}</td>
+                                    <td>${item.parentId ? this.escapeHtml(byId.get(item.parentId)?.externalId || byId.get(item.parentId)?.title || this.findWorkItem(item.parentId)?.title || '') : '—'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    ${items.length > 20 ? `<p class="sprint-empty-hint">… y ${items.length - 20} items más</p>` : ''}
+                `
+                : '<p class="sprint-empty-hint">Ninguna fila se puede importar con este mapeo</p>';
+        }
+
+        const reportGroup = this.container.querySelector('#importReportGroup');
+        const reportList = this.container.querySelector('#importReport');
+        if (reportGroup && reportList) {
+            reportGroup.style.display = report.length > 0 ? 'block' : 'none';
+            reportList.innerHTML = report.map(entry => `
+                <div class="import-report-item ${entry.level}">
+                    ${entry.level === 'error' ? '⛔' : '⚠️'} Fila ${entry.rowNumber} (${this.escapeHtml(entry.label)}): ${this.escapeHtml(entry.message)}${entry.level === 'error' ? ' · no se importa' : ''}
+                </div>
+            `).join('');
+        }
+
+        const confirmBtn = this.container.querySelector('#confirmImportBtn');
+        if (confirmBtn) {
+            confirmBtn.disabled = items.length === 0 || !mapping.title;
+            confirmBtn.textContent = `Importar ${items.length} items`;
+        }
+    }
+
+    /**
+     * Columna del board para un item importado. Con sprint activo, los PBIs y
+     * Tasks empezados o terminados entran en el sprint; el resto va al Product
+     * Backlog, los terminados en Done (historial, no trabajo pendiente)
+     */
+    getImportColumn(item) {
+        const firstColumn = this.columns[0];
+        if (item.status === 'done') {
+            return this.columns.find(column => column.id === this.getDoneColumnId()) || firstColumn;
+        }
+        if (!this.currentSprint || !WorkItemHierarchy.isSprintItem(item) || item.status === 'backlog') {
+            return firstColumn;
+        }
+        return this.columns.find(column => column.id === item.status) || firstColumn;
+    }
+
+    /**
+     * Importa los items de la vista previa
+     */
+    confirmImport() {
+        if (!this.importState || !this.importState.result) return;
+
+        const { result } = this.importState;
+        const skipped = new Set(result.report.filter(entry => entry.level === 'error').map(entry => entry.rowNumber)).size;
+        const imported = this.importWorkItems(result.items);
+
+        this.hideImportModal();
+        this.showFeedback(`📥 ${imported.length} items importados${skipped > 0 ? ` · ${skipped} filas sin importar` : ''}`);
+    }
+
+    /**
+     * Añade work items ya mapeados al board (ver WorkItemImport.mapRecords)
+     * @param {Object[]} items - Items con status 'backlog' | 'progress' | 'review' | 'done'
+     * @returns {Object[]} Items añadidos
+     */
+    importWorkItems(items) {
+        if (this.guardReadOnly() || items.length === 0) return [];
+
+        const firstColumnId = this.columns[0]?.id || 'backlog';
+        const imported = items.map(item => {
+            const columnId = this.getImportColumn(item).id;
+            const inSprint = Boolean(this.currentSprint) && WorkItemHierarchy.isSprintItem(item) && columnId !== firstColumnId;
+            return {
+                ...item,
+                status: columnId,
+                sprintId: inSprint ? this.currentSprint.id : null,
+                transitions: [{ from: null, to: columnId, at: item.createdAt }]
+            };
+        });
+
+        imported.forEach(item => {
+            if (item.sprintId) {
+                this.tasks.push(item);
+                this.recordScopeChange('added', item, item.storyPoints);
+            } else {
+                this.productBacklog.push(item);
+            }
+        });
+
+        this.updateProductBacklog();
+        this.updateUI();
+        this.saveData();
+        this.emitChange('board:import');
+        return imported;
+    }
+
+    /**
+     * Oculta el modal de importación
+     */
+    hideImportModal() {
+        const modal = this.container.querySelector('#importModal');
+        if (modal) {
+            modal.style.animation = 'fadeOut 0.3s ease';
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+        this.importState = null;
+    }
+
+    /**
+     * Estado del board que viaja en un permalink
+     */
+    getShareSnapshot() {
+        return {
+            version: 1,
+            sprintName: this.config.sprintName,
+            sprintDates: this.config.sprintDates,
+            currentSprint: this.currentSprint,
+            sprintHistory: this.sprintHistory,
+            productBacklog: this.productBacklog,
+            tasks: this.tasks,
+            sharedAt: new Date().toISOString()
+        };
     }
 
     /**
-     * Obtiene color de progreso basado en porcentaje
+     * Permalink con la instantánea comprimida del board
+     * @param {Object} params - Parámetros extra (p.ej. los de la calculadora WSJF)
+     * @returns {Promise<string>}
      */
-    getProgressColor(percentage) {
-        if (percentage >= 75) return 'var(--accent)';
-        if (percentage >= 50) return 'var(--warning)';
-        if (percentage >= 25) return 'var(--secondary)';
-        return 'var(--gray)';
+    async createShareLink(params = {}) {
+        const snapshot = await window.Utils.URL.encodeState(this.getShareSnapshot());
+        return window.Utils.URL.buildUrl({ ...params, [this.config.shareParam]: snapshot });
     }
 
     /**
-     * Actualiza toda la UI
+     * Copia el permalink del board al portapapeles
      */
-    updateUI() {
-        this.updateColumns();
-        this.updateMetrics();
-        this.updateTitle();
-        this.checkEmptyState();
+    async shareBoard() {
+        try {
+            const link = await this.createShareLink();
+            // Más allá de ~8.000 caracteres algunos navegadores y servidores cortan la URL
+            const warning = link.length > 8000 ? ' (⚠️ enlace muy largo)' : '';
+
+            try {
+                await navigator.clipboard.writeText(link);
+                this.showFeedback(`🔗 Enlace del board copiado${warning}`);
+            } catch (error) {
+                window.prompt('Copia el enlace del board:', link);
+            }
+            return link;
+        } catch (error) {
+            console.error('Error sharing board:', error);
+            this.showFeedback('❌ No se pudo generar el enlace', 'error');
+            return null;
+        }
     }
 
     /**
-     * Actualiza título y subtitle
+     * Abre en solo lectura la instantánea del permalink, si la URL trae una
      */
-    updateTitle() {
-        const titleElement = this.container.querySelector('.board-title');
-        const subtitleElement = this.container.querySelector('.board-subtitle');
-        const sprintNameElement = this.container.querySelector('#sprintName');
-        const sprintDatesElement = this.container.querySelector('#sprintDates');
+    applySharedLink() {
+        if (!window.Utils) return null;
 
-        if (titleElement) titleElement.textContent = this.config.title;
-        if (subtitleElement) subtitleElement.textContent = this.config.subtitle;
-        if (sprintNameElement) sprintNameElement.textContent = this.config.sprintName;
-        if (sprintDatesElement) sprintDatesElement.textContent = this.config.sprintDates;
+        const encoded = window.Utils.URL.getParams()[this.config.shareParam];
+        if (!encoded) return null;
+
+        // Solo lectura desde ya: nada debe guardarse mientras se decodifica
+        this.readOnly = true;
+        return this.openSharedBoard(encoded);
     }
 
     /**
-     * Verifica estado vacío
+     * Muestra el board compartido sin tocar los datos guardados
+     * @param {string} encoded - Instantánea codificada con Utils.URL.encodeState
      */
-    checkEmptyState() {
-        const isEmpty = this.tasks.length === 0;
-        const emptyState = this.container.querySelector('#boardEmpty');
-        const boardContainer = this.container.querySelector('.board-container');
+    async openSharedBoard(encoded) {
+        this.readOnly = true;
+        try {
+            const snapshot = await window.Utils.URL.decodeState(encoded);
+            // Cualquiera puede fabricar un enlace: mismo esquema que las copias JSON
+            const errors = snapshot ? BoardBackup.validate(snapshot, this.columns) : ['vacía'];
+            if (errors.length > 0) {
+                throw new Error(`Instantánea de board no válida: ${errors.slice(0, 3).join('; ')}`);
+            }
 
-        if (emptyState && boardContainer) {
-            emptyState.style.display = isEmpty ? 'block' : 'none';
-            boardContainer.style.display = isEmpty ? 'none' : 'block';
+            this.sharedSnapshot = snapshot;
+            this.tasks = snapshot.tasks;
+            this.productBacklog = snapshot.productBacklog;
+            this.sprintHistory = snapshot.sprintHistory || [];
+            this.currentSprint = snapshot.currentSprint || null;
+            if (snapshot.sprintName) this.config.sprintName = snapshot.sprintName;
+            if (snapshot.sprintDates) this.config.sprintDates = snapshot.sprintDates;
+
+            this.updateSharedBanner();
+            this.updateMetrics();
+            this.updateUI();
+            this.emitChange('board:shared');
+            return snapshot;
+        } catch (error) {
+            console.warn('Error opening shared board:', error);
+            this.showFeedback('❌ El enlace del board está dañado o incompleto', 'error');
+            this.leaveSharedBoard();
+            return null;
         }
     }
 
     /**
-     * Reset completo del board
+     * Copia los items del board compartido en el Product Backlog propio,
+     * con ids nuevos y la jerarquía intacta
+     * @returns {Object[]} Items importados
      */
-    resetBoard() {
-        if (!confirm('¿Estás seguro de que quieres resetear todo el board?')) {
-            return;
-        }
+    async importSharedBoard() {
+        if (!this.sharedSnapshot) return [];
+
+        const sharedItems = [...this.sharedSnapshot.productBacklog, ...this.sharedSnapshot.tasks];
+        const ids = new Map(sharedItems.map(item => [item.id, this.generateTaskId()]));
+        const firstColumnId = this.columns[0]?.id || 'backlog';
+        const now = new Date().toISOString();
+
+        const imported = sharedItems.map(item => {
+            const { transitions, movedAt, ...copy } = item;
+            return {
+                ...copy,
+                id: ids.get(item.id),
+                parentId: item.parentId ? ids.get(item.parentId) || null : null,
+                status: firstColumnId,
+                sprintId: null,
+                tags: [...(item.tags || []), 'importado'],
+                createdAt: now,
+                updatedAt: now
+            };
+        });
 
-        this.tasks = [];
-        this.loadDefaultTasks();
-        this.updateUI();
+        await this.leaveSharedBoard();
+        this.productBacklog.push(...imported);
+        this.updateProductBacklog();
         this.saveData();
-        this.showFeedback('🔄 Board reseteado');
+        this.emitChange('board:import');
+        this.showFeedback(`📥 ${imported.length} items importados a tu Product Backlog`);
+        return imported;
     }
 
     /**
-     * Exporta datos del board
+     * Sale del board compartido y vuelve a los datos propios
      */
-    exportBoardData() {
-        const exportData = {
-            sprintName: this.config.sprintName,
-            sprintDates: this.config.sprintDates,
-            exportDate: new Date().toISOString(),
-            metrics: this.metrics,
-            tasks: this.tasks,
-            columns: this.columns
-        };
+    async leaveSharedBoard() {
+        this.readOnly = false;
+        this.sharedSnapshot = null;
+        if (window.Utils) {
+            window.Utils.URL.updateParams({ [this.config.shareParam]: null }, true);
+        }
 
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-            type: 'application/json'
-        });
+        await this.loadData();
+        this.updateSharedBanner();
+        this.updateMetrics();
+        this.updateUI();
+        this.emitChange('board:init');
+    }
 
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `sprint-board-${this.config.sprintName.replace(/\s+/g, '-').toLowerCase()}-${new Date().toISOString().slice(0, 10)}.json`;
-        
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    /**
+     * Banner y estilos del modo solo lectura
+     */
+    updateSharedBanner() {
+        this.container.classList.toggle('read-only', this.readOnly);
+
+        const banner = this.container.querySelector('#boardSharedBanner');
+        if (!banner) return;
+
+        banner.style.display = this.readOnly ? 'flex' : 'none';
+        const info = banner.querySelector('#boardSharedInfo');
+        if (info && this.sharedSnapshot) {
+            const itemCount = this.sharedSnapshot.tasks.length + this.sharedSnapshot.productBacklog.length;
+            const sharedAt = this.sharedSnapshot.sharedAt
+                ? ` el ${new Date(this.sharedSnapshot.sharedAt).toLocaleDateString('es-ES')}`
+                : '';
+            info.textContent = `🔗 Board compartido${sharedAt} · ${itemCount} items · solo lectura`;
+        }
+    }
 
-        this.showFeedback('📊 Datos exportados');
+    /**
+     * ¿Board compartido (solo lectura)?
+     */
+    isReadOnly() {
+        return this.readOnly;
+    }
+
+    /**
+     * Para las acciones del usuario: en solo lectura avisa y devuelve true
+     */
+    guardReadOnly() {
+        if (this.readOnly) {
+            this.showFeedback('🔒 Board compartido en solo lectura: impórtalo para editarlo', 'error');
+        }
+        return this.readOnly;
     }
 
     /**
      * Carga datos por defecto
      */
     loadDefaultTasks() {
+        const now = new Date().toISOString();
+        const item = (data) => ({
+            id: this.generateTaskId(),
+            description: '',
+            storyPoints: 0,
+            priority: 'medium',
+            status: 'backlog',
+            assignee: '',
+            tags: [],
+            parentId: null,
+            refinement: 'ready',
+            createdAt: now,
+            updatedAt: now,
+            ...data
+        });
+
+        // Epic y Features del ejemplo de la guía (viven en el Product Backlog)
+        const epic = item({
+            title: 'E-commerce Platform',
+            description: 'Tienda online completa para el cliente',
+            type: 'epic',
+            priority: 'high'
+        });
+        const accounts = item({ title: 'Cuentas de cliente', type: 'feature', parentId: epic.id, priority: 'high' });
+        const catalog = item({ title: 'Catálogo de productos', type: 'feature', parentId: epic.id });
+        const cart = item({ title: 'Carrito de compras', type: 'feature', parentId: epic.id, priority: 'high' });
+        const productsApi = item({
+            title: 'API de Productos',
+            description: 'CRUD completo con Entity Framework',
+            storyPoints: 5,
+            type: 'story',
+            parentId: catalog.id,
+            assignee: 'María González',
+            tags: ['backend', 'api', 'dotnet']
+        });
+
+        // Product Backlog ordenado por el Product Owner
+        this.productBacklog = [
+            epic,
+            accounts,
+            catalog,
+            cart,
+            item({
+                title: 'Filtro por precio',
+                description: 'Como cliente, quiero filtrar por rango de precio para encontrar productos en mi presupuesto',
+                storyPoints: 5,
+                type: 'story',
+                parentId: catalog.id,
+                tags: ['frontend', 'angular']
+            }),
+            item({
+                title: 'Recuperar contraseña',
+                storyPoints: 2,
+                type: 'story',
+                parentId: accounts.id,
+                tags: ['auth']
+            }),
+            item({
+                title: 'Pago con tarjeta',
+                storyPoints: 8,
+                priority: 'high',
+                type: 'story',
+                parentId: cart.id,
+                refinement: 'refined',
+                tags: ['backend', 'payments']
+            }),
+            item({
+                title: 'Lista de deseos',
+                storyPoints: 3,
+                priority: 'low',
+                type: 'story',
+                parentId: cart.id,
+                refinement: 'new'
+            })
+        ];
         this.tasks = [
-            {
-                id: this.generateTaskId(),
+            item({
                 title: 'Implementar Login OAuth',
                 description: 'Integración con Azure AD para autenticación',
                 storyPoints: 8,
                 priority: 'high',
-                status: 'backlog',
-                type: 'feature',
+                type: 'story',
+                parentId: accounts.id,
                 assignee: 'Juan Pérez',
-                tags: ['frontend', 'auth', 'azure'],
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            },
-            {
-                id: this.generateTaskId(),
-                title: 'API de Productos',
-                description: 'CRUD completo con Entity Framework',
-                storyPoints: 5,
-                priority: 'medium',
-                status: 'backlog',
-                type: 'feature',
-                assignee: 'María González',
-                tags: ['backend', 'api', 'dotnet'],
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            },
-            {
-                id: this.generateTaskId(),
+                tags: ['frontend', 'auth', 'azure']
+            }),
+            productsApi,
+            item({
                 title: 'Componente Angular Cart',
                 description: 'Carrito de compras con persistencia',
                 storyPoints: 3,
                 priority: 'high',
                 status: 'progress',
-                type: 'feature',
+                type: 'story',
+                parentId: cart.id,
                 assignee: 'Carlos López',
-                tags: ['frontend', 'angular', 'ecommerce'],
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            },
-            {
-                id: this.generateTaskId(),
+                tags: ['frontend', 'angular', 'ecommerce']
+            }),
+            item({
                 title: 'Unit Tests Productos',
                 description: 'Testing con xUnit y Moq',
-                storyPoints: 2,
-                priority: 'medium',
+                estimatedHours: 6,
                 status: 'review',
                 type: 'task',
+                parentId: productsApi.id,
                 assignee: 'Ana Silva',
-                tags: ['testing', 'backend'],
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            },
-            {
-                id: this.generateTaskId(),
+                tags: ['testing', 'backend']
+            }),
+            item({
                 title: 'Setup .NET Core API',
                 description: 'Proyecto base con Clean Architecture',
                 storyPoints: 3,
                 priority: 'high',
                 status: 'done',
-                type: 'task',
+                type: 'story',
+                parentId: catalog.id,
                 assignee: 'Luis Martín',
-                tags: ['backend', 'architecture'],
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            }
+                tags: ['backend', 'architecture']
+            })
         ];
     }
 
     /**
-     * Carga datos desde localStorage
+     * Carga los datos guardados (ver persistent_store.js y server_store.js)
      */
-    loadData() {
+    async loadData() {
+        this.loaded = false;
         try {
-            const stored = localStorage.getItem(this.config.storageKey);
-            if (stored) {
-                const data = JSON.parse(stored);
+            const data = await this.store.load(this.config.storageKey, 'sprint-board');
+            if (data) {
                 this.tasks = data.tasks || [];
+                this.productBacklog = data.productBacklog || [];
+                this.sprintHistory = data.sprintHistory || [];
                 if (data.sprintName) this.config.sprintName = data.sprintName;
                 if (data.sprintDates) this.config.sprintDates = data.sprintDates;
+                if (data.wipLimits) this.wipLimits = WipLimits.normalize(data.wipLimits);
+
+                // Datos antiguos sin sprint: se migran a un sprint activo
+                this.currentSprint = data.currentSprint !== undefined
+                    ? data.currentSprint
+                    : this.createDefaultSprint();
             } else {
                 this.loadDefaultTasks();
+                this.currentSprint = this.createDefaultSprint();
             }
         } catch (error) {
             console.warn('Error loading board data:', error);
+            if (error.name === 'MigrationError') {
+                // Los datos siguen guardados tal cual: el board no debe pisarlos
+                this.tasks = [];
+                this.productBacklog = [];
+                this.sprintHistory = [];
+                this.currentSprint = null;
+                this.showFeedback('❌ El board guardado es de una versión que esta página no puede leer: no se guardarán cambios para no perderlo', 'error');
+                return;
+            }
+            if (this.config.storage === 'server') {
+                // Sin servidor no se guarda nada: un board vacío pisaría el del equipo
+                this.tasks = [];
+                this.productBacklog = [];
+                this.sprintHistory = [];
+                this.currentSprint = null;
+                this.showFeedback('❌ Sin conexión con el servidor del equipo: los cambios no se guardarán', 'error');
+                return;
+            }
             this.loadDefaultTasks();
+            this.currentSprint = this.createDefaultSprint();
+        }
+        this.loaded = true;
+        this.savedState = this.snapshotSyncState();
+        if (this.sync) this.sync.reset(this.getSyncState());
+        this.updateSyncBanner();
+    }
+
+    /**
+     * Avisos de la cola de cambios sin conexión (página o service worker)
+     */
+    handleOutboxChange(detail) {
+        if (!this.store.getOutboxEntry
+            || detail.url !== this.store.getDocumentUrl(this.config.storageKey, 'sprint-board')) {
+            return;
+        }
+
+        if (detail.status === 'synced') {
+            this.showFeedback('☁️ Los cambios hechos sin conexión ya están en el servidor');
+        } else if (detail.status === 'conflict') {
+            this.showFeedback('⚠️ El board cambió en el servidor mientras estabas sin conexión: elige qué versión conservar', 'error');
+        } else if (detail.status === 'pending' && this.outboxStatus !== 'pending') {
+            this.showFeedback('📴 Sin conexión: los cambios se guardan en este navegador y se enviarán al volver', 'error');
         }
+        this.updateSyncBanner();
     }
 
     /**
-     * Guarda datos en localStorage
+     * Banner con los cambios sin conexión pendientes, rechazados o en conflicto
      */
-    saveData() {
-        if (!this.config.autoSave) return;
+    async updateSyncBanner() {
+        const banner = this.container.querySelector('#boardSyncBanner');
+        if (!banner || !this.store.getOutboxEntry) return;
 
+        let entry = null;
         try {
-            const data = {
-                tasks: this.tasks,
-                sprintName: this.config.sprintName,
-                sprintDates: this.config.sprintDates,
-                lastSaved: new Date().toISOString()
-            };
-            localStorage.setItem(this.config.storageKey, JSON.stringify(data));
+            entry = await this.store.getOutboxEntry(this.config.storageKey, 'sprint-board');
+        } catch (error) {
+            console.warn('Error reading offline changes:', error);
+        }
+        this.outboxStatus = entry ? entry.status : null;
+
+        banner.style.display = entry ? 'flex' : 'none';
+        banner.classList.toggle('conflict', this.outboxStatus === 'conflict');
+        const actions = banner.querySelector('#boardSyncActions');
+        if (actions) actions.style.display = this.outboxStatus === 'conflict' ? 'flex' : 'none';
+        if (!entry) return;
+
+        const info = banner.querySelector('#boardSyncInfo');
+        const since = new Date(entry.queuedAt).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+        if (entry.status === 'conflict') {
+            const serverData = entry.server ? entry.server.data : null;
+            const summary = serverData ? this.describeSyncConflict(entry.local, serverData) : 'versión del servidor no disponible';
+            info.textContent = `⚠️ Conflicto con el servidor · ${summary}`;
+        } else if (entry.status === 'error') {
+            info.textContent = `❌ El servidor rechazó los cambios sin conexión: ${entry.error}`;
+        } else {
+            info.textContent = `📴 Cambios sin conexión desde las ${since} · se enviarán al recuperar la conexión`;
+        }
+    }
+
+    /**
+     * Resumen de las diferencias entre tu versión y la del servidor
+     */
+    describeSyncConflict(local, server) {
+        const itemsById = (data) => new Map(
+            [...(data.tasks || []), ...(data.productBacklog || [])].map(item => [item.id, JSON.stringify(item)])
+        );
+        const localItems = itemsById(local);
+        const serverItems = itemsById(server);
+
+        let changed = 0;
+        let onlyLocal = 0;
+        localItems.forEach((item, id) => {
+            if (!serverItems.has(id)) {
+                onlyLocal++;
+            } else if (serverItems.get(id) !== item) {
+                changed++;
+            }
+        });
+        const onlyServer = [...serverItems.keys()].filter(id => !localItems.has(id)).length;
+
+        return `${changed} items distintos, ${onlyLocal} solo en tu versión, ${onlyServer} solo en la del servidor`;
+    }
+
+    /**
+     * Resuelve el conflicto: 'local' sobrescribe el servidor, 'server' descarta lo local
+     * @returns {Promise<boolean>} Resuelto
+     */
+    async resolveSyncConflict(choice) {
+        try {
+            await this.store.resolveConflict(this.config.storageKey, 'sprint-board', choice);
         } catch (error) {
-            console.warn('Error saving board data:', error);
+            console.warn('Error resolving sync conflict:', error);
+            this.showFeedback(error.name === 'ConflictError'
+                ? '🔄 El board ha vuelto a cambiar en el servidor: revisa de nuevo el conflicto'
+                : '❌ No se pudo resolver el conflicto: comprueba la conexión', 'error');
+            this.updateSyncBanner();
+            return false;
         }
+
+        await this.reloadData();
+        this.showFeedback(choice === 'local'
+            ? '☁️ Tus cambios se han guardado en el servidor'
+            : '☁️ Board actualizado con la versión del servidor');
+        return true;
+    }
+
+    /**
+     * Sincroniza el board con las demás pestañas (ver tab_sync.js)
+     */
+    setupTabSync() {
+        // Con el servidor del equipo, cada pestaña guardaría la fusión con una revisión
+        // antigua y recibiría un 409 tras otro: el servidor ya es la fuente compartida
+        if (!this.config.syncTabs || !this.config.autoSave || this.config.storage === 'server') return;
+
+        this.sync = new TabSync({
+            key: this.config.storageKey,
+            ...SYNC_SHAPE,
+            onRemoteChange: (state) => this.applyRemoteState(state)
+        });
+    }
+
+    /**
+     * Parte del estado que se sincroniza entre pestañas
+     */
+    getSyncState() {
+        return {
+            tasks: this.tasks,
+            productBacklog: this.productBacklog,
+            sprintHistory: this.sprintHistory,
+            currentSprint: this.currentSprint,
+            sprintName: this.config.sprintName,
+            sprintDates: this.config.sprintDates,
+            wipLimits: this.wipLimits
+        };
+    }
+
+    /**
+     * Estado fusionado tras un cambio en otra pestaña
+     */
+    applyRemoteState(state) {
+        // El board compartido se muestra tal cual; al salir se recargan los datos
+        if (this.readOnly || !this.loaded) return;
+
+        this.assignSyncState(state);
+        this.updateMetrics();
+        this.updateUI();
+        // Cada pestaña guarda el resultado de la fusión: no se pierde ningún cambio
+        this.saveData();
+        this.emitChange('sync:remote');
+    }
+
+    assignSyncState(state) {
+        this.tasks = state.tasks;
+        this.productBacklog = state.productBacklog;
+        this.sprintHistory = state.sprintHistory;
+        this.currentSprint = state.currentSprint ?? null;
+        if (state.sprintName) this.config.sprintName = state.sprintName;
+        if (state.sprintDates) this.config.sprintDates = state.sprintDates;
+        if (state.wipLimits) this.wipLimits = WipLimits.normalize(state.wipLimits);
+    }
+
+    /**
+     * Copia independiente del estado sincronizable (base de fusiones posteriores)
+     */
+    snapshotSyncState() {
+        return JSON.parse(JSON.stringify(this.getSyncState()));
+    }
+
+    /**
+     * Guarda los datos (IndexedDB, localStorage o el servidor del equipo)
+     * @param {number} attempt - Reintentos tras fusionar un conflicto con el servidor
+     */
+    saveData(attempt = 0) {
+        // Un board compartido nunca sobrescribe los datos propios
+        if (!this.config.autoSave || this.readOnly || !this.loaded) return Promise.resolve(false);
+
+        if (this.sync) this.sync.commit(this.getSyncState());
+
+        const data = {
+            tasks: this.tasks,
+            sprintName: this.config.sprintName,
+            sprintDates: this.config.sprintDates,
+            currentSprint: this.currentSprint,
+            sprintHistory: this.sprintHistory,
+            productBacklog: this.productBacklog,
+            wipLimits: this.wipLimits,
+            schemaVersion: 2,
+            lastSaved: new Date().toISOString()
+        };
+
+        const saved = this.snapshotSyncState();
+        return this.store.save(this.config.storageKey, 'sprint-board', data)
+            .then(() => {
+                this.savedState = saved;
+                return true;
+            })
+            .catch(error => {
+                console.warn('Error saving board data:', error);
+                if (error.name === 'ConflictError') {
+                    // Tu cambio se reaplica sobre la versión del compañero, nunca se descarta
+                    if (error.current && this.savedState && attempt < 3) {
+                        this.mergeServerConflict(error.current);
+                        return this.saveData(attempt + 1);
+                    }
+                    this.showFeedback('🔄 El board no deja de cambiar en el servidor: tus cambios siguen aquí, vuelve a intentarlo', 'error');
+                    return false;
+                }
+                this.showFeedback(this.store.isQuotaExceeded(error)
+                    ? '💾 Sin espacio para guardar el board: exporta y archiva sprints antiguos'
+                    : '❌ No se pudieron guardar los cambios', 'error');
+                return false;
+            });
+    }
+
+    /**
+     * Fusiona los cambios hechos desde el último guardado con la versión que otro
+     * miembro guardó en el servidor (campo a campo, como entre pestañas)
+     * @param {Object} document - Documento actual del servidor (respuesta 409)
+     */
+    mergeServerConflict(document) {
+        const remote = this.store.rebase(this.config.storageKey, 'sprint-board', document);
+        const merged = TabSync.merge(this.savedState, this.getSyncState(), remote, SYNC_SHAPE);
+
+        this.assignSyncState(merged);
+        this.savedState = JSON.parse(JSON.stringify(remote));
+        this.updateMetrics();
+        this.updateUI();
+        this.showFeedback('🔄 Otro miembro del equipo cambió el board: sus cambios se han combinado con los tuyos');
+        this.emitChange('sync:remote');
+    }
+
+    /**
+     * Vuelve a cargar los datos guardados y repinta el board
+     */
+    async reloadData() {
+        await this.loadData();
+        this.updateMetrics();
+        this.updateUI();
+        this.emitChange('board:reload');
     }
 
     /**
@@ -1007,14 +3917,102 @@ class SprintBoard {
         return this.tasks.find(task => task.id === taskId);
     }
 
+    findWorkItem(itemId) {
+        return this.findTaskById(itemId) || this.productBacklog.find(item => item.id === itemId);
+    }
+
+    /**
+     * Sprint, Product Backlog y completados en sprints cerrados (sin duplicados)
+     */
+    getAllWorkItems() {
+        const itemsById = new Map();
+        this.sprintHistory.forEach(sprint => {
+            (sprint.completedTasks || []).forEach(task => itemsById.set(task.id, task));
+        });
+        [...this.productBacklog, ...this.tasks].forEach(item => itemsById.set(item.id, item));
+        return Array.from(itemsById.values());
+    }
+
+    isWorkItemDone(item) {
+        return item.status === this.getDoneColumnId();
+    }
+
+    getRollUp(item) {
+        return WorkItemHierarchy.rollUp(item, this.getAllWorkItems(), candidate => this.isWorkItemDone(candidate));
+    }
+
     generateTaskId() {
         return 'task-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
     }
 
+    generateSprintId() {
+        return 'sprint-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+    }
+
+    getDoneColumnId() {
+        const doneColumn = this.columns.find(column => column.id === 'done');
+        return doneColumn ? doneColumn.id : this.columns[this.columns.length - 1]?.id;
+    }
+
+    sumStoryPoints(tasks) {
+        return tasks.reduce((sum, task) => sum + (task.storyPoints || 0), 0);
+    }
+
+    getNextSprintName(previousName) {
+        const match = previousName && previousName.match(/^(.*?)(\d+)$/);
+        if (match) {
+            return `${match[1]}${parseInt(match[2]) + 1}`;
+        }
+        return `Sprint ${this.sprintHistory.length + 1}`;
+    }
+
+    toISODate(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    parseISODate(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    addDays(isoDate, days) {
+        const date = this.parseISODate(isoDate);
+        date.setDate(date.getDate() + days);
+        return this.toISODate(date);
+    }
+
+    countCalendarDays(startIso, endIso) {
+        const msPerDay = 1000 * 60 * 60 * 24;
+        return Math.round((this.parseISODate(endIso) - this.parseISODate(startIso)) / msPerDay) + 1;
+    }
+
+    countWorkingDays(from, endIso) {
+        const current = this.parseISODate(this.toISODate(from));
+        const end = this.parseISODate(endIso);
+        let count = 0;
+
+        while (current <= end) {
+            const day = current.getDay();
+            if (day !== 0 && day !== 6) count++;
+            current.setDate(current.getDate() + 1);
+        }
+
+        return count;
+    }
+
+    formatSprintDates(startIso, endIso) {
+        const options = { day: 'numeric', month: 'short' };
+        const start = this.parseISODate(startIso).toLocaleDateString('es-ES', options);
+        const end = this.parseISODate(endIso).toLocaleDateString('es-ES', { ...options, year: 'numeric' });
+        return `${start} - ${end}`;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Las comillas también: el resultado se usa dentro de atributos
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     getPriorityLabel(priority) {
@@ -1027,13 +4025,7 @@ class SprintBoard {
     }
 
     getTypeLabel(type) {
-        const labels = {
-            feature: 'Feature',
-            bug: 'Bug',
-            task: 'Task',
-            spike: 'Spike'
-        };
-        return labels[type] || type;
+        return WorkItemHierarchy.getLabel(type);
     }
 
     /**
@@ -1110,6 +4102,18 @@ class SprintBoard {
         return { ...this.metrics };
     }
 
+    getCurrentSprint() {
+        return this.currentSprint ? { ...this.currentSprint } : null;
+    }
+
+    getSprintHistory() {
+        return [...this.sprintHistory];
+    }
+
+    getProductBacklog() {
+        return [...this.productBacklog];
+    }
+
     addTask(taskData) {
         return this.createTask(taskData);
     }
@@ -1119,13 +4123,20 @@ class SprintBoard {
     }
 
     moveTask(taskId, newStatus) {
+        if (this.guardReadOnly()) return;
+
         const task = this.findTaskById(taskId);
-        if (task) {
+        if (task && task.status !== newStatus) {
+            const wipCheck = this.checkWipLimit(task, newStatus);
+            if (!wipCheck.allowed) return;
+
             const oldStatus = task.status;
-            task.status = newStatus;
+            this.recordTransition(task, oldStatus, newStatus);
+            if (wipCheck.exceeded) this.recordWipViolation(task, newStatus, wipCheck, 'exceeded');
             this.updateColumns();
             this.updateMetrics();
             this.saveData();
+            this.emitChange('task:move');
             
             if (this.config.onTaskMove) {
                 this.config.onTaskMove(task, oldStatus, newStatus);
@@ -1145,10 +4156,18 @@ class SprintBoard {
         // Cleanup observers
         this.observers.forEach(observer => observer.disconnect());
 
+        if (this.sync) {
+            this.sync.close();
+            this.sync = null;
+        }
+        if (this.store.close) this.store.close();
+
         // Clear arrays
         this.eventListeners = [];
         this.observers = [];
         this.tasks = [];
+        this.productBacklog = [];
+        this.sprintHistory = [];
 
     }
 }
@@ -0,0 +1,459 @@
+/**
+ * Sprint Metrics - Cálculos de métricas a partir de los datos del Sprint Board
+ * Funciones puras: no tocan el DOM ni el almacenamiento
+ */
+
+const SprintMetrics = {
+
+    /**
+     * Convierte una fecha ISO (YYYY-MM-DD) en Date local
+     * @param {string} isoDate - Fecha ISO
+     * @returns {Date}
+     */
+    parseISODate(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * Formatea una Date local como fecha ISO (YYYY-MM-DD)
+     * @param {Date} date - Fecha
+     * @returns {string}
+     */
+    toISODate(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Obtiene los días laborables (lunes a viernes) entre dos fechas, ambas incluidas
+     * @param {string} startIso - Fecha de inicio
+     * @param {string} endIso - Fecha de fin
+     * @returns {Date[]}
+     */
+    getWorkingDays(startIso, endIso) {
+        const days = [];
+        const current = this.parseISODate(startIso);
+        const end = this.parseISODate(endIso);
+
+        while (current <= end) {
+            const day = current.getDay();
+            if (day !== 0 && day !== 6) {
+                days.push(new Date(current));
+            }
+            current.setDate(current.getDate() + 1);
+        }
+
+        return days;
+    },
+
+    /**
+     * Puntos de medición diarios de un sprint: inicio + cierre de cada día laborable
+     * @param {Object} sprint - Sprint con startDate y endDate
+     * @returns {Object} { checkpoints: timestamps, days: etiquetas dd/mm }
+     */
+    getDayCheckpoints(sprint) {
+        const workingDays = this.getWorkingDays(sprint.startDate, sprint.endDate);
+
+        const checkpoints = [this.parseISODate(sprint.startDate).getTime(), ...workingDays.map(day => {
+            const endOfDay = new Date(day);
+            endOfDay.setHours(23, 59, 59, 999);
+            return endOfDay.getTime();
+        })];
+
+        const days = ['Inicio', ...workingDays.map(day =>
+            day.toLocaleDateString('es-ES', { day: '2-digit', month: '2-digit' })
+        )];
+
+        return { checkpoints, days };
+    },
+
+    /**
+     * Obtiene la columna en la que estaba una tarea en un instante dado
+     * @param {Object} task - Tarea con su log de transiciones
+     * @param {number} time - Timestamp en ms
+     * @returns {string|null} Id de columna o null si aún no existía
+     */
+    getStatusAt(task, time) {
+        const transitions = task.transitions || [];
+
+        if (transitions.length === 0) {
+            // Datos sin log: se asume el estado actual desde su creación
+            const since = new Date(task.movedAt || task.createdAt || 0).getTime();
+            return since <= time ? task.status : null;
+        }
+
+        let status = null;
+        for (const transition of transitions) {
+            if (new Date(transition.at).getTime() > time) break;
+            status = transition.to;
+        }
+        return status;
+    },
+
+    /**
+     * Tramos de permanencia de una tarea en cada columna (entrada / salida)
+     * @param {Object} task - Tarea con su log de transiciones
+     * @param {number} now - Timestamp con el que se cierra el tramo abierto
+     * @returns {Object[]} { columnId, enteredAt, exitedAt, duration } con tiempos en ms
+     */
+    getColumnIntervals(task, now = Date.now()) {
+        const transitions = task.transitions && task.transitions.length > 0
+            ? task.transitions
+            : [{ from: null, to: task.status, at: task.movedAt || task.createdAt }];
+
+        return transitions.map((transition, index) => {
+            const next = transitions[index + 1];
+            const enteredAt = new Date(transition.at).getTime();
+            const exitedAt = next ? new Date(next.at).getTime() : null;
+
+            return {
+                columnId: transition.to,
+                enteredAt,
+                exitedAt,
+                duration: Math.max((exitedAt ?? now) - enteredAt, 0)
+            };
+        });
+    },
+
+    /**
+     * Calcula la serie del burndown de un sprint
+     * @param {Object} params - sprint, tasks, doneColumnId y now (opcional)
+     * @returns {Object} Datos listos para ChartManager.drawBurndownChart
+     */
+    computeBurndown({ sprint, tasks, doneColumnId, now = new Date() }) {
+        const committedSP = sprint.committedSP || 0;
+        const scopeChanges = sprint.scopeChanges || [];
+
+        // Punto 0 = inicio del sprint, punto i = cierre del día laborable i
+        const { checkpoints, days } = this.getDayCheckpoints(sprint);
+
+        const steps = Math.max(checkpoints.length - 1, 1);
+        const ideal = checkpoints.map((_, index) =>
+            Math.round(committedSP * (1 - index / steps) * 10) / 10
+        );
+
+        const nowTime = new Date(now).getTime();
+        const actual = [];
+
+        checkpoints.forEach((checkpoint, index) => {
+            // El primer día siempre se dibuja; el resto sólo hasta hoy
+            if (index > 0 && checkpoints[index - 1] > nowTime) return;
+
+            const time = Math.min(checkpoint, nowTime);
+            const scopeDelta = scopeChanges
+                .filter(change => new Date(change.at).getTime() <= time)
+                .reduce((sum, change) => sum + change.delta, 0);
+
+            // Las tareas cuentan con su SP actual (las quitadas, con 0): antes de cada
+            // cambio sobre una tarea ya terminada, lo hecho era su SP de entonces
+            const doneBeforeChanges = scopeChanges
+                .filter(change => change.completedAt
+                    && new Date(change.completedAt).getTime() <= time
+                    && new Date(change.at).getTime() > time)
+                .reduce((sum, change) => sum + change.delta, 0);
+
+            const doneSP = tasks
+                .filter(task => this.getStatusAt(task, time) === doneColumnId)
+                .reduce((sum, task) => sum + (task.storyPoints || 0), 0) - doneBeforeChanges;
+
+            actual.push(Math.max(committedSP + scopeDelta - doneSP, 0));
+        });
+
+        // Un marcador por día con el cambio neto de alcance
+        const markersByIndex = new Map();
+        scopeChanges.forEach(change => {
+            const time = new Date(change.at).getTime();
+            const found = checkpoints.findIndex(checkpoint => checkpoint >= time);
+            const index = found === -1 ? checkpoints.length - 1 : found;
+            const marker = markersByIndex.get(index) || { index, delta: 0, changes: [] };
+
+            marker.delta += change.delta;
+            marker.changes.push({ type: change.type, title: change.title, delta: change.delta });
+            markersByIndex.set(index, marker);
+        });
+        const markers = Array.from(markersByIndex.values());
+
+        return {
+            totalSP: Math.max(committedSP, ...actual, 1),
+            committedSP,
+            days,
+            ideal,
+            actual,
+            scopeChanges: markers
+        };
+    },
+
+    /**
+     * Calcula el Cumulative Flow Diagram de un sprint
+     * @param {Object} params - sprint, tasks, columns, metric ('count' | 'points') y now (opcional)
+     * @returns {Object} Serie por columna y por día, con columnas cuello de botella marcadas
+     */
+    computeCumulativeFlow({ sprint, tasks, columns, metric = 'count', now = new Date() }) {
+        const nowTime = new Date(now).getTime();
+        const sprintDays = this.getDayCheckpoints(sprint);
+
+        // Sólo hasta hoy: el flujo futuro aún no existe
+        const checkpoints = sprintDays.checkpoints
+            .filter((checkpoint, index, all) => index === 0 || all[index - 1] <= nowTime);
+        const days = sprintDays.days.slice(0, checkpoints.length);
+
+        const series = {};
+        columns.forEach(column => {
+            series[column.id] = checkpoints.map(checkpoint => {
+                const time = Math.min(checkpoint, nowTime);
+                return tasks
+                    .filter(task => this.getStatusAt(task, time) === column.id)
+                    .reduce((sum, task) => sum + (metric === 'points' ? (task.storyPoints || 0) : 1), 0);
+            });
+        });
+
+        // Banda que se ensancha en una columna intermedia = trabajo acumulándose
+        const lookback = 3;
+        const bottlenecks = columns
+            .slice(1, -1)
+            .map(column => {
+                const values = series[column.id];
+                const recent = values.slice(-lookback - 1);
+                const growth = recent[recent.length - 1] - recent[0];
+                const widening = recent.length > 1 && growth > 0 &&
+                    recent.every((value, index) => index === 0 || value >= recent[index - 1]);
+                return { columnId: column.id, title: column.title, growth, widening };
+            })
+            .filter(entry => entry.widening);
+
+        return {
+            metric,
+            days,
+            columns: columns.map(({ id, title, color }) => ({ id, title, color })),
+            series,
+            bottlenecks
+        };
+    },
+
+    /**
+     * Calcula cycle time, lead time y tiempo por columna de cada tarea
+     * Lead time: creación → Done. Cycle time: primera salida de la primera columna → Done
+     * @param {Object} params - tasks, columns, doneColumnId, now y percentiles (opcionales)
+     * @returns {Object} Métricas por tarea, agregados con percentiles y datos del scatterplot
+     */
+    computeFlowMetrics({ tasks, columns, doneColumnId, now = new Date(), percentiles = [50, 85, 95] }) {
+        const nowTime = new Date(now).getTime();
+        const firstColumnId = columns[0]?.id;
+        const toDays = (ms) => this.round(ms / 86400000);
+
+        const items = tasks.map(task => {
+            const intervals = this.getColumnIntervals(task, nowTime);
+            const last = intervals[intervals.length - 1];
+            const createdAt = task.createdAt ? new Date(task.createdAt).getTime() : intervals[0].enteredAt;
+            const started = intervals.find(interval => interval.columnId !== firstColumnId);
+            const completedAt = task.status === doneColumnId && last.columnId === doneColumnId
+                ? last.enteredAt
+                : null;
+
+            // El tiempo en Done no es tiempo de flujo
+            const timeInColumn = {};
+            intervals
+                .filter(interval => interval.columnId !== doneColumnId)
+                .forEach(interval => {
+                    timeInColumn[interval.columnId] = (timeInColumn[interval.columnId] || 0) + interval.duration;
+                });
+            Object.keys(timeInColumn).forEach(columnId => {
+                timeInColumn[columnId] = toDays(timeInColumn[columnId]);
+            });
+
+            return {
+                taskId: task.id,
+                title: task.title,
+                storyPoints: task.storyPoints || 0,
+                status: task.status,
+                intervals,
+                timeInColumn,
+                startedAt: started ? started.enteredAt : null,
+                completedAt,
+                leadTime: completedAt !== null ? toDays(completedAt - createdAt) : null,
+                cycleTime: completedAt !== null && started ? toDays(completedAt - started.enteredAt) : null,
+                // Antigüedad del trabajo en curso (work item age)
+                age: completedAt === null && started ? toDays(nowTime - started.enteredAt) : null
+            };
+        });
+
+        const completed = items.filter(item => item.cycleTime !== null);
+
+        const summarize = (values) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return {
+                count: sorted.length,
+                average: sorted.length > 0 ? this.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : 0,
+                min: sorted.length > 0 ? sorted[0] : 0,
+                max: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+                percentiles: percentiles.map(level => ({ level, days: this.percentile(sorted, level) }))
+            };
+        };
+
+        const timeInColumn = columns
+            .filter(column => column.id !== doneColumnId)
+            .map(column => {
+                const visits = items
+                    .map(item => item.timeInColumn[column.id])
+                    .filter(value => value !== undefined);
+                const total = visits.reduce((sum, value) => sum + value, 0);
+
+                return {
+                    columnId: column.id,
+                    title: column.title,
+                    color: column.color,
+                    visits: visits.length,
+                    totalDays: this.round(total),
+                    averageDays: visits.length > 0 ? this.round(total / visits.length) : 0
+                };
+            });
+
+        // Calibración: a más SP debería corresponder más cycle time
+        const bySizeMap = new Map();
+        completed.forEach(item => {
+            const bucket = bySizeMap.get(item.storyPoints) || [];
+            bucket.push(item.cycleTime);
+            bySizeMap.set(item.storyPoints, bucket);
+        });
+        const bySize = Array.from(bySizeMap.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([storyPoints, values]) => ({
+                storyPoints,
+                count: values.length,
+                averageCycleTime: this.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+            }));
+
+        return {
+            items,
+            cycleTime: summarize(completed.map(item => item.cycleTime)),
+            leadTime: summarize(completed.map(item => item.leadTime)),
+            timeInColumn,
+            scatter: completed.map(item => ({
+                taskId: item.taskId,
+                title: item.title,
+                storyPoints: item.storyPoints,
+                cycleTime: item.cycleTime
+            })),
+            bySize,
+            correlation: this.round(this.correlation(
+                completed.map(item => item.storyPoints),
+                completed.map(item => item.cycleTime)
+            ), 2)
+        };
+    },
+
+    /**
+     * Percentil (nearest-rank) de una lista ordenada
+     * @param {number[]} sortedValues - Valores ordenados ascendentemente
+     * @param {number} level - Percentil (0-100)
+     * @returns {number}
+     */
+    percentile(sortedValues, level) {
+        if (sortedValues.length === 0) return 0;
+        const rank = Math.ceil((level / 100) * sortedValues.length);
+        return sortedValues[Math.min(Math.max(rank - 1, 0), sortedValues.length - 1)];
+    },
+
+    /**
+     * Coeficiente de correlación de Pearson entre dos series
+     * @param {number[]} xs - Primera serie
+     * @param {number[]} ys - Segunda serie (misma longitud)
+     * @returns {number} Valor entre -1 y 1, 0 si no se puede calcular
+     */
+    correlation(xs, ys) {
+        const n = xs.length;
+        if (n < 2) return 0;
+
+        const meanX = xs.reduce((sum, value) => sum + value, 0) / n;
+        const meanY = ys.reduce((sum, value) => sum + value, 0) / n;
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+
+        for (let i = 0; i < n; i++) {
+            covariance += (xs[i] - meanX) * (ys[i] - meanY);
+            varianceX += Math.pow(xs[i] - meanX, 2);
+            varianceY += Math.pow(ys[i] - meanY, 2);
+        }
+
+        return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+    },
+
+    /**
+     * Calcula estadísticas de velocity a partir de los sprints cerrados
+     * @param {Object[]} sprintHistory - Sprints cerrados (completedSP, committedSP, name)
+     * @param {Object} options - window: tamaño de la media móvil
+     * @returns {Object} Serie, media móvil, banda min/max y desviación estándar
+     */
+    computeVelocityStats(sprintHistory, { window = 3 } = {}) {
+        const closed = sprintHistory.filter(sprint => sprint.status === 'closed');
+        const values = closed.map(sprint => sprint.completedSP || 0);
+        const count = values.length;
+
+        const rollingAverage = values.map((_, index) => {
+            const slice = values.slice(Math.max(0, index - window + 1), index + 1);
+            return this.round(slice.reduce((sum, value) => sum + value, 0) / slice.length);
+        });
+
+        // Las estadísticas usan sólo la ventana más reciente: velocity es contextual
+        const recent = values.slice(-window);
+        const average = recent.length > 0
+            ? recent.reduce((sum, value) => sum + value, 0) / recent.length
+            : 0;
+        const variance = recent.length > 1
+            ? recent.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (recent.length - 1)
+            : 0;
+        const stdDev = Math.sqrt(variance);
+
+        return {
+            sprints: closed.map(sprint => sprint.name),
+            values,
+            committed: closed.map(sprint => sprint.committedSP || 0),
+            rollingAverage,
+            window: Math.min(window, count),
+            average: this.round(average),
+            min: recent.length > 0 ? Math.min(...recent) : 0,
+            max: recent.length > 0 ? Math.max(...recent) : 0,
+            stdDev: this.round(stdDev),
+            coefficientOfVariation: average > 0 ? this.round(stdDev / average, 2) : 0,
+            // La guía considera estable una variación de ±15% entre sprints
+            isStable: average > 0 && stdDev / average <= 0.15,
+            sampleSize: count
+        };
+    },
+
+    /**
+     * Estima cuántos sprints faltan para completar N Story Points
+     * @param {number} remainingSP - Story Points pendientes
+     * @param {Object} stats - Resultado de computeVelocityStats
+     * @returns {Object|null} Rango optimista / esperado / pesimista, o null sin historial
+     */
+    forecastSprintsToFinish(remainingSP, stats) {
+        if (!stats || stats.sampleSize === 0 || stats.average <= 0) return null;
+        if (remainingSP <= 0) {
+            return { remainingSP: 0, optimistic: 0, expected: 0, pessimistic: 0 };
+        }
+
+        return {
+            remainingSP,
+            optimistic: Math.ceil(remainingSP / stats.max),
+            expected: Math.ceil(remainingSP / stats.average),
+            pessimistic: stats.min > 0 ? Math.ceil(remainingSP / stats.min) : null
+        };
+    },
+
+    /**
+     * Redondea a un número fijo de decimales
+     * @param {number} value - Valor a redondear
+     * @param {number} decimals - Decimales (por defecto 1)
+     * @returns {number}
+     */
+    round(value, decimals = 1) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+};
+
+// Export para uso como módulo
+export default SprintMetrics;
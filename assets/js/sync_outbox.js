@@ -0,0 +1,265 @@
+/**
+ * Sync Outbox - Cola de cambios hechos sin conexión
+ * assets/js/sync_outbox.js
+ *
+ * Los guardados que no llegan al servidor del equipo se encolan en IndexedDB
+ * (un documento por URL: el último estado completo) y se reenvían con
+ * Background Sync desde service_worker.js. Sin Background Sync, la propia
+ * página los reenvía al recuperar la conexión. Si el servidor cambió mientras
+ * tanto, la entrada queda en conflicto hasta que el usuario elige versión.
+ *
+ * La base de datos la comparte con service_worker.js: nombre, versión y
+ * almacenes deben coincidir en los dos ficheros.
+ */
+
+const SyncOutbox = {
+
+    dbName: 'scrum-guide-outbox',
+    dbVersion: 1,
+    syncTag: 'outbox-sync',
+
+    connection: null,
+    listening: false,
+    flushing: null,
+
+    open() {
+        if (!this.connection) {
+            this.connection = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    // outbox: cambios pendientes; snapshots: última versión conocida del servidor
+                    if (!db.objectStoreNames.contains('outbox')) db.createObjectStore('outbox', { keyPath: 'url' });
+                    if (!db.objectStoreNames.contains('snapshots')) db.createObjectStore('snapshots', { keyPath: 'url' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('SyncOutbox: IndexedDB no disponible', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.connection;
+    },
+
+    async transaction(storeName, mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Encola el estado completo de un documento. Si ya había uno pendiente se
+     * sustituye, pero se conserva la revisión de la que partieron los cambios
+     * @param {Object} entry - { url, key, schemaId, body, baseRevision, token }
+     * @returns {Promise<Object|null>} Entrada guardada (null sin IndexedDB)
+     */
+    async enqueue(entry) {
+        const previous = await this.get(entry.url);
+        const queued = {
+            ...entry,
+            baseRevision: previous ? previous.baseRevision : entry.baseRevision ?? null,
+            status: previous && previous.status === 'conflict' ? 'conflict' : 'pending',
+            server: previous ? previous.server || null : null,
+            sequence: (previous ? previous.sequence : 0) + 1,
+            queuedAt: new Date().toISOString()
+        };
+
+        const saved = await this.transaction('outbox', 'readwrite', store => store.put(queued));
+        if (saved === null) return null;
+
+        this.notify({ status: queued.status, url: queued.url });
+        if (queued.status === 'pending') this.requestSync();
+        return queued;
+    },
+
+    get(url) {
+        return this.transaction('outbox', 'readonly', store => store.get(url)).then(entry => entry || null);
+    },
+
+    list() {
+        return this.transaction('outbox', 'readonly', store => store.getAll()).then(entries => entries || []);
+    },
+
+    remove(url) {
+        return this.transaction('outbox', 'readwrite', store => store.delete(url));
+    },
+
+    /**
+     * Última versión del documento vista en el servidor (para abrirlo sin conexión)
+     */
+    remember(url, document) {
+        return this.transaction('snapshots', 'readwrite', store => store.put({ url, ...document }))
+            .catch(error => console.warn('SyncOutbox: no se pudo guardar la copia local', error));
+    },
+
+    getSnapshot(url) {
+        return this.transaction('snapshots', 'readonly', store => store.get(url)).then(snapshot => snapshot || null);
+    },
+
+    /**
+     * Pide al service worker que reenvíe la cola cuando haya conexión
+     */
+    async requestSync() {
+        if (!this.hasBackgroundSync()) return false;
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            await registration.sync.register(this.syncTag);
+            return true;
+        } catch (error) {
+            console.warn('SyncOutbox: Background Sync no disponible', error);
+            return false;
+        }
+    },
+
+    /**
+     * Reenvía la cola: con Background Sync lo hace el service worker
+     */
+    replay() {
+        return this.hasBackgroundSync() ? this.requestSync() : this.flush();
+    },
+
+    hasBackgroundSync() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator
+            && Boolean(navigator.serviceWorker.controller) && typeof SyncManager !== 'undefined';
+    },
+
+    /**
+     * Reenvía desde la página las entradas pendientes (sin Background Sync).
+     * Una sola pasada a la vez: dos PUT con la misma revisión base chocarían
+     * @returns {Promise<Object>} { synced, conflicts, failed }
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.flushEntries().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    },
+
+    async flushEntries() {
+        const result = { synced: 0, conflicts: 0, failed: 0 };
+        const sent = new Set();
+
+        // Se relee la cola en cada vuelta: un envío puede dejar pendiente un estado más nuevo
+        for (;;) {
+            const entry = (await this.list())
+                .find(candidate => candidate.status === 'pending' && !sent.has(`${candidate.url}#${candidate.sequence}`));
+            if (!entry) break;
+            sent.add(`${entry.url}#${entry.sequence}`);
+
+            let response;
+            try {
+                response = await fetch(entry.url, {
+                    method: 'PUT',
+                    headers: this.getHeaders(entry),
+                    body: entry.body
+                });
+            } catch (error) {
+                // Sigue sin conexión: se reintentará con el próximo 'online'
+                break;
+            }
+
+            const body = await response.json().catch(() => ({}));
+            if (response.ok) {
+                await this.markSynced(entry, body.revision);
+                result.synced++;
+            } else if (response.status === 409) {
+                await this.markConflict(entry, body.current || null);
+                result.conflicts++;
+            } else {
+                await this.markFailed(entry, body.error || `Error ${response.status} del servidor`);
+                result.failed++;
+            }
+        }
+        return result;
+    },
+
+    getHeaders(entry) {
+        return {
+            'Content-Type': 'application/json',
+            ...(entry.token ? { Authorization: `Bearer ${entry.token}` } : {}),
+            ...(entry.baseRevision !== null && entry.baseRevision !== undefined
+                ? { 'If-Match': `"${entry.baseRevision}"` }
+                : {})
+        };
+    },
+
+    /**
+     * Entrada enviada. Si mientras tanto se encoló un estado más nuevo (que ya
+     * incluye el enviado), éste sigue pendiente sobre la revisión recién escrita
+     */
+    async markSynced(entry, revision) {
+        const current = await this.get(entry.url);
+        if (current && current.sequence !== entry.sequence) {
+            await this.transaction('outbox', 'readwrite', store => store.put({
+                ...current,
+                baseRevision: revision,
+                status: 'pending',
+                server: null
+            }));
+            this.requestSync();
+        } else {
+            await this.remove(entry.url);
+        }
+        this.notify({ status: 'synced', url: entry.url, revision });
+    },
+
+    async markConflict(entry, server) {
+        const current = await this.get(entry.url) || entry;
+        await this.transaction('outbox', 'readwrite', store => store.put({ ...current, status: 'conflict', server }));
+        this.notify({ status: 'conflict', url: entry.url });
+    },
+
+    /**
+     * El servidor rechazó el cambio (permisos, tamaño...): queda a la vista del
+     * usuario y el siguiente guardado lo vuelve a intentar
+     */
+    async markFailed(entry, error) {
+        const current = await this.get(entry.url) || entry;
+        await this.transaction('outbox', 'readwrite', store => store.put({ ...current, status: 'error', error }));
+        this.notify({ status: 'error', url: entry.url, error });
+    },
+
+    /**
+     * Avisa a los componentes de la página: evento 'syncoutbox:change'
+     */
+    notify(detail) {
+        if (typeof document === 'undefined') return;
+        document.dispatchEvent(new CustomEvent('syncoutbox:change', { detail }));
+    },
+
+    /**
+     * Escucha al service worker y la vuelta de la conexión (una vez por página)
+     */
+    listen() {
+        if (this.listening || typeof window === 'undefined') return;
+        this.listening = true;
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'outbox') {
+                    this.notify(event.data);
+                }
+            });
+        }
+
+        window.addEventListener('online', () => this.replay());
+    }
+};
+
+// Export para uso como módulo
+export default SyncOutbox;
@@ -0,0 +1,252 @@
+/**
+ * Tab Sync - Sincronización en vivo entre pestañas
+ * assets/js/tab_sync.js
+ *
+ * Cada guardado se difunde como una lista de cambios por campo (BroadcastChannel
+ * o, si no existe, eventos 'storage'). Los conflictos se resuelven campo a campo:
+ * gana la última escritura, y a igual hora la pestaña con el id mayor.
+ */
+
+// Campos virtuales de los items: lista que los contiene y posición en ella
+const LIST_FIELD = '@list';
+const POSITION_FIELD = '@pos';
+
+/**
+ * Documento → mapa de campos: clave JSON [id del item | null, campo] → valor JSON
+ * @param {Object} shape - { collections, fields }
+ */
+function flattenState(shape, state) {
+    const flat = new Map();
+    const set = (id, field, value) => {
+        if (value !== undefined) flat.set(JSON.stringify([id, field]), JSON.stringify(value));
+    };
+
+    shape.fields.forEach(field => set(null, field, state[field]));
+    shape.collections.forEach(collection => {
+        (state[collection] || []).forEach((item, index) => {
+            set(item.id, LIST_FIELD, collection);
+            set(item.id, POSITION_FIELD, index);
+            Object.entries(item).forEach(([field, value]) => set(item.id, field, value));
+        });
+    });
+    return flat;
+}
+
+/**
+ * Mapa de campos → documento. Los items sin lista (borrados) se descartan
+ */
+function unflattenState(shape, flat) {
+    const state = {};
+    const items = new Map();
+
+    flat.forEach((value, key) => {
+        const [id, field] = JSON.parse(key);
+        if (id === null) {
+            state[field] = JSON.parse(value);
+            return;
+        }
+
+        const itemKey = JSON.stringify(id);
+        if (!items.has(itemKey)) items.set(itemKey, { id, item: {} });
+        const entry = items.get(itemKey);
+        if (field === LIST_FIELD) {
+            entry.collection = JSON.parse(value);
+        } else if (field === POSITION_FIELD) {
+            entry.position = JSON.parse(value);
+        } else {
+            entry.item[field] = JSON.parse(value);
+        }
+    });
+
+    shape.collections.forEach(collection => {
+        state[collection] = [];
+    });
+    [...items.values()]
+        .filter(entry => state[entry.collection])
+        .sort((a, b) => (a.position ?? 0) - (b.position ?? 0) || String(a.id).localeCompare(String(b.id)))
+        .forEach(entry => state[entry.collection].push(entry.item));
+
+    return state;
+}
+
+/**
+ * Campos nuevos, cambiados o eliminados (value null)
+ */
+function diffFields(before, after) {
+    const changes = [];
+    after.forEach((value, key) => {
+        if (before.get(key) !== value) changes.push({ key, value });
+    });
+    before.forEach((value, key) => {
+        if (!after.has(key)) changes.push({ key, value: null });
+    });
+    return changes;
+}
+
+class TabSync {
+    constructor(props = {}) {
+        this.config = {
+            // Documento sincronizado (la clave con la que se guarda)
+            key: props.key,
+            // Listas de objetos con id que se fusionan item a item
+            collections: props.collections || [],
+            // Valores sueltos del documento
+            fields: props.fields || [],
+            channelName: props.channelName || 'scrum-guide-sync',
+            onRemoteChange: props.onRemoteChange || null
+        };
+
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+        this.baseline = null;
+        this.stamps = new Map();
+        this.channel = null;
+        this.storageListener = null;
+
+        this.connect();
+    }
+
+    /**
+     * Abre el canal entre pestañas
+     */
+    connect() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.config.channelName);
+            this.channel.onmessage = (event) => this.receive(event.data);
+            return;
+        }
+
+        // Sin BroadcastChannel: escribir en localStorage dispara 'storage' en las otras pestañas
+        this.storageListener = (event) => {
+            if (event.key !== this.config.channelName || !event.newValue) return;
+            try {
+                this.receive(JSON.parse(event.newValue));
+            } catch (error) {
+                console.warn('TabSync: mensaje no válido', error);
+            }
+        };
+        window.addEventListener('storage', this.storageListener);
+    }
+
+    send(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.config.channelName, JSON.stringify(message));
+            localStorage.removeItem(this.config.channelName);
+        } catch (error) {
+            console.warn('TabSync: no se pudo avisar al resto de pestañas', error);
+        }
+    }
+
+    /**
+     * Fija el estado de referencia (tras cargar los datos guardados)
+     * @param {Object} state - Documento completo
+     */
+    reset(state) {
+        this.baseline = this.flatten(state);
+    }
+
+    /**
+     * Difunde lo que ha cambiado desde el último commit o cambio remoto
+     * @param {Object} state - Documento completo
+     * @returns {number} Campos cambiados
+     */
+    commit(state) {
+        const current = this.flatten(state);
+        const changes = this.baseline ? this.diff(this.baseline, current) : [];
+        this.baseline = current;
+        if (changes.length === 0) return 0;
+
+        const stamp = { at: Date.now(), tab: this.tabId };
+        changes.forEach(change => this.stamps.set(change.key, stamp));
+        this.send({ key: this.config.key, stamp, changes });
+        return changes.length;
+    }
+
+    /**
+     * Aplica los cambios de otra pestaña más recientes que los conocidos
+     */
+    receive(message) {
+        if (!this.baseline || !message || message.key !== this.config.key || message.stamp.tab === this.tabId) {
+            return;
+        }
+
+        const accepted = message.changes.filter(change => {
+            const known = this.stamps.get(change.key);
+            if (known && this.compareStamps(known, message.stamp) >= 0) return false;
+
+            this.stamps.set(change.key, message.stamp);
+            return true;
+        });
+        if (accepted.length === 0) return;
+
+        accepted.forEach(({ key, value }) => {
+            if (value === null) {
+                this.baseline.delete(key);
+            } else {
+                this.baseline.set(key, value);
+            }
+        });
+
+        if (this.config.onRemoteChange) {
+            this.config.onRemoteChange(this.unflatten(this.baseline), accepted);
+        }
+    }
+
+    compareStamps(a, b) {
+        return a.at - b.at || (a.tab > b.tab) - (a.tab < b.tab);
+    }
+
+    /**
+     * Documento → mapa de campos: clave JSON [id del item | null, campo] → valor JSON
+     */
+    flatten(state) {
+        return flattenState(this.config, state);
+    }
+
+    unflatten(flat) {
+        return unflattenState(this.config, flat);
+    }
+
+    diff(before, after) {
+        return diffFields(before, after);
+    }
+
+    /**
+     * Fusión a tres bandas campo a campo: los cambios de local respecto a base se
+     * aplican sobre remote (en un campo que cambiaron los dos, gana local)
+     * @param {Object} shape - { collections, fields } como en el constructor
+     * @returns {Object} Documento fusionado (sólo colecciones y campos de shape)
+     */
+    static merge(base, local, remote, shape) {
+        const merged = flattenState(shape, remote);
+        diffFields(flattenState(shape, base), flattenState(shape, local)).forEach(({ key, value }) => {
+            if (value === null) {
+                merged.delete(key);
+            } else {
+                merged.set(key, value);
+            }
+        });
+        return unflattenState(shape, merged);
+    }
+
+    /**
+     * Cierra el canal
+     */
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.storageListener) {
+            window.removeEventListener('storage', this.storageListener);
+            this.storageListener = null;
+        }
+    }
+}
+
+// Export para uso como módulo
+export default TabSync;
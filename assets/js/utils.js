@@ -329,6 +329,11 @@ window.Utils = {
      * Storage Utilities
      */
     Storage: {
+        /**
+         * Último error de escritura (p.ej. cuota superada), null si no hubo
+         */
+        lastError: null,
+
         /**
          * Guarda un valor en localStorage de forma segura
          * @param {string} key - Clave
@@ -338,9 +343,11 @@ window.Utils = {
         set(key, value) {
             try {
                 localStorage.setItem(key, JSON.stringify(value));
+                this.lastError = null;
                 return true;
             } catch (error) {
                 console.warn('Error saving to localStorage:', error);
+                this.lastError = error;
                 return false;
             }
         },
@@ -371,6 +378,35 @@ window.Utils = {
             } catch (error) {
                 console.warn('Error removing from localStorage:', error);
             }
+        },
+
+        /**
+         * Indica si un error de almacenamiento es por falta de espacio
+         * (el nombre y el código cambian entre navegadores)
+         * @param {Error} error - Error de localStorage o IndexedDB
+         * @returns {boolean}
+         */
+        isQuotaExceeded(error) {
+            if (!error) return false;
+            return error.name === 'QuotaExceededError'
+                || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+                || error.code === 22
+                || error.code === 1014;
+        },
+
+        /**
+         * Espacio usado y disponible para el origen
+         * @returns {Promise<Object|null>} { usage, quota } en bytes, null si no se puede saber
+         */
+        async estimate() {
+            if (!navigator.storage || !navigator.storage.estimate) return null;
+            try {
+                const { usage, quota } = await navigator.storage.estimate();
+                return { usage, quota };
+            } catch (error) {
+                console.warn('Error estimating storage:', error);
+                return null;
+            }
         }
     },
 
@@ -468,6 +504,86 @@ window.Utils = {
             
             const method = replace ? 'replaceState' : 'pushState';
             window.history[method]({}, '', url);
+        },
+
+        /**
+         * Construye una URL con parámetros sin tocar el historial (permalinks)
+         * @param {Object} params - Parámetros a añadir (null/undefined los elimina)
+         * @param {string} url - URL base (opcional, usa current URL)
+         * @returns {string}
+         */
+        buildUrl(params, url = window.location.href) {
+            const urlObj = new URL(url);
+
+            Object.entries(params).forEach(([key, value]) => {
+                if (value === null || value === undefined) {
+                    urlObj.searchParams.delete(key);
+                } else {
+                    urlObj.searchParams.set(key, value);
+                }
+            });
+
+            return urlObj.toString();
+        },
+
+        /**
+         * Codifica un estado para la URL: JSON comprimido (deflate) en base64url.
+         * Sin CompressionStream se guarda el JSON sin comprimir
+         * @param {*} value - Estado serializable
+         * @returns {Promise<string>} Prefijo 'z' (comprimido) o 'j' (JSON) + base64url
+         */
+        async encodeState(value) {
+            const bytes = new TextEncoder().encode(JSON.stringify(value));
+
+            if (typeof CompressionStream === 'undefined') {
+                return 'j' + this.bytesToBase64Url(bytes);
+            }
+
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+            return 'z' + this.bytesToBase64Url(compressed);
+        },
+
+        /**
+         * Decodifica un estado generado con encodeState
+         * @param {string} text - Estado codificado
+         * @returns {Promise<*>}
+         */
+        async decodeState(text) {
+            const format = text.charAt(0);
+            let bytes = this.base64UrlToBytes(text.slice(1));
+
+            if (format === 'z') {
+                if (typeof DecompressionStream === 'undefined') {
+                    throw new Error('Este navegador no puede abrir enlaces comprimidos');
+                }
+                const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+            } else if (format !== 'j') {
+                throw new Error('Formato de estado desconocido');
+            }
+
+            return JSON.parse(new TextDecoder().decode(bytes));
+        },
+
+        /**
+         * Bytes a base64url (sin relleno, seguro en la query string)
+         */
+        bytesToBase64Url(bytes) {
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        },
+
+        /**
+         * base64url a bytes
+         */
+        base64UrlToBytes(text) {
+            const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+            return Uint8Array.from(binary, char => char.charCodeAt(0));
         }
     },
 
@@ -0,0 +1,169 @@
+/**
+ * WIP Limits - Límites de trabajo en curso por columna del Sprint Board
+ * Funciones puras: carga de cada columna (items o SP), comprobación de un
+ * movimiento y resumen del registro de violaciones para las métricas de flujo
+ */
+
+const WipLimits = {
+
+    /**
+     * Unidades del límite: número de items o suma de Story Points
+     */
+    units: {
+        items: { label: 'items', suffix: '' },
+        points: { label: 'SP', suffix: ' SP' }
+    },
+
+    /**
+     * soft: deja pasar el movimiento, avisa y lo registra; hard: lo bloquea
+     */
+    modes: {
+        soft: { label: 'Aviso' },
+        hard: { label: 'Bloqueo' }
+    },
+
+    /**
+     * Limpia la configuración: descarta límites vacíos y completa unidad y modo
+     * @param {Object} limits - { [columnId]: number | { limit, unit, mode } }
+     * @returns {Object} { [columnId]: { limit, unit, mode } }
+     */
+    normalize(limits = {}) {
+        const normalized = {};
+        Object.entries(limits || {}).forEach(([columnId, value]) => {
+            const definition = typeof value === 'number' ? { limit: value } : value || {};
+            const limit = Number(definition.limit);
+            if (!Number.isFinite(limit) || limit <= 0) return;
+
+            normalized[columnId] = {
+                limit,
+                unit: this.units[definition.unit] ? definition.unit : 'items',
+                mode: this.modes[definition.mode] ? definition.mode : 'soft'
+            };
+        });
+        return normalized;
+    },
+
+    /**
+     * Límite de una columna. Sin límite propio se aplica maxTasksPerColumn
+     * (el tope global de versiones anteriores: items y bloqueo)
+     * @returns {Object|null} { limit, unit, mode }
+     */
+    getLimit(columnId, limits = {}, maxTasksPerColumn = null) {
+        if (limits[columnId]) return limits[columnId];
+        return maxTasksPerColumn ? { limit: maxTasksPerColumn, unit: 'items', mode: 'hard' } : null;
+    },
+
+    /**
+     * Peso de una tarea en la unidad del límite
+     */
+    weight(task, unit) {
+        return unit === 'points' ? task.storyPoints || 0 : 1;
+    },
+
+    getLoad(tasks, columnId, unit) {
+        return tasks
+            .filter(task => task.status === columnId)
+            .reduce((sum, task) => sum + this.weight(task, unit), 0);
+    },
+
+    /**
+     * Estado de una columna para la cabecera "n / límite"
+     * @returns {Object|null} { limit, unit, mode, load, exceeded, full } (null sin límite)
+     */
+    getColumnState(columnId, tasks, limit) {
+        if (!limit) return null;
+
+        const load = this.getLoad(tasks, columnId, limit.unit);
+        return {
+            ...limit,
+            load,
+            exceeded: load > limit.limit,
+            full: load >= limit.limit
+        };
+    },
+
+    /**
+     * Comprueba si una tarea puede entrar en una columna
+     * @returns {Object} { allowed, exceeded, load, limit } - load: carga tras el movimiento
+     */
+    checkMove(task, targetColumnId, tasks, limit) {
+        if (!limit) return { allowed: true, exceeded: false, load: null, limit: null };
+
+        const load = this.getLoad(tasks.filter(candidate => candidate.id !== task.id), targetColumnId, limit.unit)
+            + this.weight(task, limit.unit);
+        const exceeded = load > limit.limit;
+        return {
+            allowed: !exceeded || limit.mode !== 'hard',
+            exceeded,
+            load,
+            limit
+        };
+    },
+
+    /**
+     * Resumen del registro de violaciones para las métricas de flujo
+     * @param {Object[]} violations - Entradas { columnId, outcome: 'exceeded' | 'blocked', at, resolvedAt }
+     * @param {Object[]} columns - Columnas del board
+     * @param {Date} now - Fin de las violaciones aún abiertas
+     * @returns {Object} { total, exceeded, blocked, open, daysOverLimit, byColumn }
+     */
+    summarize(violations = [], columns = [], now = new Date()) {
+        const nowTime = new Date(now).getTime();
+        const toDays = (ms) => Math.round(ms / 8640000) / 10;
+
+        const byColumn = columns.map(column => {
+            const entries = violations.filter(entry => entry.columnId === column.id);
+            const exceeded = entries.filter(entry => entry.outcome === 'exceeded');
+            return {
+                columnId: column.id,
+                title: column.title,
+                violations: exceeded.length,
+                blocked: entries.length - exceeded.length,
+                open: exceeded.some(entry => !entry.resolvedAt),
+                daysOverLimit: toDays(this.getTimeOverLimit(exceeded, nowTime))
+            };
+        });
+
+        return {
+            total: violations.length,
+            exceeded: byColumn.reduce((sum, column) => sum + column.violations, 0),
+            blocked: byColumn.reduce((sum, column) => sum + column.blocked, 0),
+            open: byColumn.filter(column => column.open).length,
+            daysOverLimit: this.round(byColumn.reduce((sum, column) => sum + column.daysOverLimit, 0)),
+            byColumn
+        };
+    },
+
+    /**
+     * Tiempo (ms) con la columna por encima del límite: unión de los intervalos
+     * de sus violaciones, que pueden solaparse
+     */
+    getTimeOverLimit(entries, nowTime) {
+        const intervals = entries
+            .map(entry => [
+                new Date(entry.at).getTime(),
+                entry.resolvedAt ? new Date(entry.resolvedAt).getTime() : nowTime
+            ])
+            .sort((a, b) => a[0] - b[0]);
+
+        let total = 0;
+        let current = null;
+        intervals.forEach(([start, end]) => {
+            if (current && start <= current[1]) {
+                current[1] = Math.max(current[1], end);
+                return;
+            }
+            if (current) total += current[1] - current[0];
+            current = [start, end];
+        });
+        if (current) total += current[1] - current[0];
+        return total;
+    },
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+};
+
+// Export para uso como módulo
+export default WipLimits;
@@ -0,0 +1,224 @@
+/**
+ * Work Item Hierarchy - Jerarquía Epic → Feature → PBI → Task
+ * Funciones puras: validación, árbol y roll-up de Story Points y progreso
+ */
+
+const WorkItemHierarchy = {
+
+    /**
+     * Tipos de work item y su nivel en la jerarquía
+     */
+    types: {
+        epic: { level: 0, label: 'Epic', icon: '🏔️' },
+        feature: { level: 1, label: 'Feature', icon: '⭐' },
+        story: { level: 2, label: 'User Story', icon: '📝' },
+        bug: { level: 2, label: 'Bug', icon: '🐛' },
+        spike: { level: 2, label: 'Spike', icon: '🔬' },
+        task: { level: 3, label: 'Task', icon: '⚙️' }
+    },
+
+    /**
+     * Nivel de los Product Backlog Items (los únicos estimados en SP)
+     */
+    pbiLevel: 2,
+
+    /**
+     * Estados de refinamiento de un PBI en el Product Backlog
+     */
+    refinementStates: {
+        new: { label: 'Nuevo', icon: '🆕' },
+        refined: { label: 'Refinado', icon: '🔍' },
+        ready: { label: 'Ready', icon: '✅' }
+    },
+
+    /**
+     * Nivel de un tipo (los tipos desconocidos cuentan como PBI)
+     * @param {string} type - Tipo de work item
+     * @returns {number}
+     */
+    getLevel(type) {
+        return this.types[type] ? this.types[type].level : this.pbiLevel;
+    },
+
+    /**
+     * Comprueba si el item es un Product Backlog Item
+     */
+    isBacklogItem(item) {
+        return this.getLevel(item.type) === this.pbiLevel;
+    },
+
+    /**
+     * Solo los PBIs y sus Tasks se trabajan dentro de un sprint
+     */
+    isSprintItem(item) {
+        return this.getLevel(item.type) >= this.pbiLevel;
+    },
+
+    /**
+     * Estado de refinamiento (los items sin estado son nuevos)
+     */
+    getRefinementState(item) {
+        return this.refinementStates[item.refinement] ? item.refinement : 'new';
+    },
+
+    /**
+     * Tipos que pueden ser padre de un tipo dado
+     * @param {string} type - Tipo del hijo
+     * @returns {string[]}
+     */
+    getParentTypes(type) {
+        const level = this.getLevel(type);
+        return Object.keys(this.types).filter(candidate => this.types[candidate].level === level - 1);
+    },
+
+    /**
+     * Valida un work item dentro de la colección
+     * @param {Object} item - Item a validar (con id si ya existe)
+     * @param {Object[]} items - Todos los work items
+     * @returns {string[]} Errores encontrados (vacío si es válido)
+     */
+    validate(item, items) {
+        const errors = [];
+        const level = this.getLevel(item.type);
+
+        if (level > this.pbiLevel && item.storyPoints) {
+            errors.push('Las Tasks se estiman en horas, no en Story Points');
+        }
+        if (level === this.pbiLevel && !Number.isFinite(item.storyPoints)) {
+            errors.push('Los Product Backlog Items se estiman en Story Points');
+        }
+
+        if (item.parentId) {
+            const parent = items.find(candidate => candidate.id === item.parentId);
+            if (!parent) {
+                errors.push('El item padre no existe');
+            } else if (this.getLevel(parent.type) !== level - 1) {
+                // Cada hijo está un nivel por debajo, así que no puede haber ciclos
+                errors.push(`Un ${this.getLabel(item.type)} no puede colgar de un ${this.getLabel(parent.type)}`);
+            }
+        }
+
+        return errors;
+    },
+
+    /**
+     * Hijos directos de un item
+     */
+    getChildren(itemId, items) {
+        return items.filter(item => item.parentId === itemId);
+    },
+
+    /**
+     * Ancestros de un item, del padre a la raíz
+     */
+    getAncestors(item, items) {
+        const ancestors = [];
+        const visited = new Set([item.id]);
+        let current = items.find(candidate => candidate.id === item.parentId);
+
+        while (current && !visited.has(current.id)) {
+            ancestors.push(current);
+            visited.add(current.id);
+            current = items.find(candidate => candidate.id === current.parentId);
+        }
+        return ancestors;
+    },
+
+    /**
+     * Construye el árbol de work items. Los huérfanos se tratan como raíces
+     * @param {Object[]} items - Work items
+     * @returns {Object[]} Nodos { item, children }
+     */
+    buildTree(items) {
+        const ids = new Set(items.map(item => item.id));
+        const buildNode = (item, visited) => ({
+            item,
+            children: this.getChildren(item.id, items)
+                .filter(child => !visited.has(child.id))
+                .map(child => buildNode(child, new Set([...visited, child.id])))
+        });
+
+        return items
+            .filter(item => !item.parentId || !ids.has(item.parentId))
+            .map(item => buildNode(item, new Set([item.id])));
+    },
+
+    /**
+     * Roll-up de Story Points y progreso de los hijos hacia el padre
+     * @param {Object} item - Work item
+     * @param {Object[]} items - Todos los work items
+     * @param {Function} isDone - Indica si un item está terminado
+     * @returns {Object} { storyPoints, completedPoints, progress, childCount, doneChildren }
+     */
+    rollUp(item, items, isDone, visited = new Set()) {
+        visited.add(item.id);
+        const level = this.getLevel(item.type);
+        const children = this.getChildren(item.id, items).filter(child => !visited.has(child.id));
+        const doneChildren = children.filter(child => isDone(child)).length;
+        const done = isDone(item);
+
+        // Tasks: sin SP, progreso binario
+        if (level > this.pbiLevel) {
+            return { storyPoints: 0, completedPoints: 0, progress: done ? 100 : 0, childCount: 0, doneChildren: 0 };
+        }
+
+        // PBIs: sus propios SP; el progreso sale de sus Tasks mientras no esté terminado
+        if (level === this.pbiLevel) {
+            const storyPoints = item.storyPoints || 0;
+            const progress = done ? 100 : (children.length > 0 ? Math.round(doneChildren / children.length * 100) : 0);
+            return {
+                storyPoints,
+                completedPoints: done ? storyPoints : 0,
+                progress,
+                childCount: children.length,
+                doneChildren
+            };
+        }
+
+        // Epics y Features: suma de los SP de sus descendientes
+        const childRollUps = children.map(child => this.rollUp(child, items, isDone, visited));
+        const storyPoints = childRollUps.reduce((sum, rollUp) => sum + rollUp.storyPoints, 0);
+        const completedPoints = childRollUps.reduce((sum, rollUp) => sum + rollUp.completedPoints, 0);
+        let progress = 0;
+        if (storyPoints > 0) {
+            progress = Math.round(completedPoints / storyPoints * 100);
+        } else if (children.length > 0) {
+            progress = Math.round(childRollUps.reduce((sum, rollUp) => sum + rollUp.progress, 0) / children.length);
+        }
+
+        return { storyPoints, completedPoints, progress, childCount: children.length, doneChildren };
+    },
+
+    /**
+     * Árbol serializable con los roll-ups, para exportar
+     */
+    toExportTree(items, isDone) {
+        const serialize = (node) => {
+            const rollUp = this.rollUp(node.item, items, isDone);
+            return {
+                id: node.item.id,
+                title: node.item.title,
+                type: node.item.type,
+                storyPoints: rollUp.storyPoints,
+                estimatedHours: node.item.estimatedHours ?? null,
+                progress: rollUp.progress,
+                children: node.children.map(serialize)
+            };
+        };
+        return this.buildTree(items).map(serialize);
+    },
+
+    /**
+     * Etiqueta e icono de un tipo
+     */
+    getLabel(type) {
+        return this.types[type] ? this.types[type].label : type;
+    },
+
+    getIcon(type) {
+        return this.types[type] ? this.types[type].icon : '📄';
+    }
+};
+
+// Export para uso como módulo
+export default WorkItemHierarchy;
@@ -0,0 +1,435 @@
+/**
+ * Work Item Import - Importación desde exportaciones de Jira y Azure DevOps
+ * Funciones puras: lectura de CSV/JSON, mapeo de columnas y conversión a work items
+ */
+
+import WorkItemHierarchy from './work_item_hierarchy.js';
+
+const WorkItemImport = {
+
+    /**
+     * Campos del board que se pueden mapear desde una columna
+     */
+    fields: {
+        externalId: { label: 'ID / Clave' },
+        title: { label: 'Título', required: true },
+        type: { label: 'Tipo' },
+        status: { label: 'Estado' },
+        storyPoints: { label: 'Story Points / Effort' },
+        assignee: { label: 'Asignado a' },
+        tags: { label: 'Etiquetas' },
+        parent: { label: 'Padre' },
+        priority: { label: 'Prioridad' },
+        description: { label: 'Descripción' }
+    },
+
+    /**
+     * Formatos reconocidos: columnas candidatas de cada campo (en orden de preferencia)
+     * e ids por los que otras filas pueden referirse a una como padre
+     */
+    formats: {
+        jira: {
+            label: 'Jira (CSV)',
+            columns: {
+                externalId: ['Issue key', 'Clave de incidencia'],
+                title: ['Summary', 'Resumen'],
+                type: ['Issue Type', 'Tipo de incidencia'],
+                status: ['Status', 'Estado', 'Status Category'],
+                storyPoints: ['Custom field (Story Points)', 'Custom field (Story point estimate)', 'Story Points', 'Story point estimate'],
+                assignee: ['Assignee', 'Responsable'],
+                tags: ['Labels', 'Etiquetas'],
+                parent: ['Parent', 'Parent id', 'Parent key', 'Custom field (Epic Link)', 'Epic Link'],
+                priority: ['Priority', 'Prioridad'],
+                description: ['Description', 'Descripción']
+            },
+            idColumns: ['Issue key', 'Issue id'],
+            // Jira: Initiative → Epic → Story/Task → Sub-task. Sus Epics agrupan
+            // historias directamente, como las Features de esta guía
+            types: {
+                initiative: 'epic',
+                epic: 'feature',
+                task: 'story'
+            }
+        },
+        azure: {
+            label: 'Azure DevOps',
+            columns: {
+                externalId: ['ID', 'System.Id'],
+                title: ['Title', 'System.Title', 'Title 1', 'Title 2', 'Title 3'],
+                type: ['Work Item Type', 'System.WorkItemType'],
+                status: ['State', 'System.State'],
+                storyPoints: ['Story Points', 'Microsoft.VSTS.Scheduling.StoryPoints', 'Effort', 'Microsoft.VSTS.Scheduling.Effort', 'Size', 'Microsoft.VSTS.Scheduling.Size'],
+                assignee: ['Assigned To', 'System.AssignedTo'],
+                tags: ['Tags', 'System.Tags'],
+                parent: ['Parent', 'System.Parent'],
+                priority: ['Priority', 'Microsoft.VSTS.Common.Priority'],
+                description: ['Description', 'System.Description']
+            },
+            idColumns: ['ID', 'System.Id']
+        }
+    },
+
+    /**
+     * Estados de Jira / Azure DevOps → columna del board
+     */
+    statusMap: {
+        backlog: ['to do', 'todo', 'open', 'new', 'backlog', 'proposed', 'approved', 'committed', 'selected for development', 'reopened', 'por hacer', 'abierto', 'nuevo'],
+        progress: ['in progress', 'active', 'doing', 'en curso', 'en progreso', 'activo'],
+        review: ['in review', 'review', 'code review', 'resolved', 'testing', 'in qa', 'qa', 'en revisión'],
+        done: ['done', 'closed', 'complete', 'completed', 'finished', 'listo', 'hecho', 'cerrado', 'finalizado']
+    },
+
+    /**
+     * Tipos de Jira / Azure DevOps → tipo de work item
+     */
+    typeMap: {
+        epic: ['epic', 'épica'],
+        feature: ['feature', 'característica'],
+        story: ['story', 'user story', 'historia', 'product backlog item', 'requirement', 'improvement', 'new feature', 'mejora'],
+        bug: ['bug', 'defect', 'error', 'issue'],
+        spike: ['spike'],
+        task: ['task', 'tarea', 'sub-task', 'subtask', 'subtarea']
+    },
+
+    /**
+     * Lee el contenido de un fichero exportado (CSV o JSON de Azure DevOps)
+     * @param {string} text - Contenido del fichero
+     * @returns {Object} { format, headers, records } records: [{ rowNumber, values: { columna: [valores] } }]
+     * @throws {Error} Si el fichero está vacío o no se reconoce
+     */
+    parse(text) {
+        const content = String(text || '').replace(/^\uFEFF/, '').trim();
+        if (!content) {
+            throw new Error('El fichero está vacío');
+        }
+
+        if (content.startsWith('{') || content.startsWith('[')) {
+            let json;
+            try {
+                json = JSON.parse(content);
+            } catch (error) {
+                throw new Error('El JSON no es válido');
+            }
+            return { format: 'azure', ...this.parseAzureJSON(json) };
+        }
+
+        const rows = this.parseCSV(content);
+        if (rows.length < 2) {
+            throw new Error('El CSV no tiene filas de datos');
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        const records = rows.slice(1)
+            .map((cells, index) => ({ rowNumber: index + 2, cells }))
+            .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+            .map(({ rowNumber, cells }) => {
+                // Jira repite columnas (Labels, Sprint...): se juntan todos sus valores
+                const values = {};
+                headers.forEach((header, column) => {
+                    const value = (cells[column] || '').trim();
+                    values[header] = values[header] || [];
+                    if (value) values[header].push(value);
+                });
+                return { rowNumber, values };
+            });
+
+        const uniqueHeaders = [...new Set(headers.filter(Boolean))];
+        const format = this.detectFormat(uniqueHeaders);
+        if (!format) {
+            throw new Error('No se reconoce el formato: exporta el CSV desde Jira o Azure DevOps');
+        }
+        return { format, headers: uniqueHeaders, records };
+    },
+
+    /**
+     * CSV (RFC 4180) a filas de celdas. Admite comillas, saltos de línea en
+     * celdas y separador ',' o ';' (Excel en español)
+     * @param {string} text - Contenido CSV
+     * @returns {string[][]}
+     */
+    parseCSV(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    },
+
+    /**
+     * Respuesta de la API de work items de Azure DevOps ({ value: [...] } o lista)
+     * @returns {Object} { headers, records }
+     */
+    parseAzureJSON(json) {
+        const workItems = Array.isArray(json) ? json : json && (json.value || json.workItems);
+        if (!Array.isArray(workItems) || workItems.length === 0) {
+            throw new Error('El JSON no contiene work items de Azure DevOps');
+        }
+
+        const headers = new Set(['System.Id']);
+        const records = workItems.map((workItem, index) => {
+            const fields = workItem.fields || {};
+            const values = { 'System.Id': workItem.id !== undefined ? [String(workItem.id)] : [] };
+
+            Object.entries(fields).forEach(([name, value]) => {
+                headers.add(name);
+                values[name] = this.jsonValues(value);
+            });
+
+            // Sin System.Parent el padre viene en las relaciones jerárquicas
+            const parentRelation = (workItem.relations || [])
+                .find(relation => relation.rel === 'System.LinkTypes.Hierarchy-Reverse');
+            if (!fields['System.Parent'] && parentRelation) {
+                headers.add('System.Parent');
+                values['System.Parent'] = [parentRelation.url.split('/').pop()];
+            }
+
+            return { rowNumber: index + 1, values };
+        });
+
+        return { headers: [...headers], records };
+    },
+
+    /**
+     * Valor de un campo JSON como lista de textos (las personas traen displayName)
+     */
+    jsonValues(value) {
+        if (value === null || value === undefined || value === '') return [];
+        if (typeof value === 'object') {
+            return value.displayName ? [value.displayName] : [];
+        }
+        return [String(value)];
+    },
+
+    /**
+     * Formato a partir de las cabeceras del CSV
+     * @returns {string|null} 'jira', 'azure' o null
+     */
+    detectFormat(headers) {
+        const has = (name) => headers.includes(name);
+        if (has('Issue key') || has('Issue id') || has('Issue Type') || has('Summary')) return 'jira';
+        if (has('Work Item Type') || has('System.WorkItemType') || (has('ID') && has('Title'))) return 'azure';
+        return null;
+    },
+
+    /**
+     * Mapeo propuesto: primera columna candidata presente en el fichero
+     * @returns {Object} { campo: columna | null }
+     */
+    suggestMapping(headers, format) {
+        const columns = this.formats[format].columns;
+        return Object.keys(this.fields).reduce((mapping, field) => {
+            mapping[field] = (columns[field] || []).find(column => headers.includes(column)) || null;
+            return mapping;
+        }, {});
+    },
+
+    /**
+     * Convierte las filas en work items según el mapeo
+     * @param {Object} parsed - Resultado de parse()
+     * @param {Object} mapping - { campo: columna | null }
+     * @param {Object} options - { generateId, existing } existing: items ya en el board
+     * @returns {Object} { items, report } report: [{ rowNumber, label, level: 'error'|'warning', message }]
+     *   Las filas con error no se importan; las advertencias se importan con el ajuste indicado
+     */
+    mapRecords(parsed, mapping, options = {}) {
+        const generateId = options.generateId || (() => `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
+        const existing = options.existing || [];
+        const format = this.formats[parsed.format];
+        const now = new Date().toISOString();
+        const report = [];
+        const note = (record, label, level, message) => report.push({ rowNumber: record.rowNumber, label, level, message });
+
+        const importedKeys = new Set(existing
+            .filter(item => item.source === parsed.format && item.externalId)
+            .map(item => item.externalId));
+
+        // Ids del fichero → id nuevo (las filas pueden citar al padre por clave o por id)
+        const idsByReference = new Map();
+        const rows = [];
+
+        parsed.records.forEach(record => {
+            const get = (field) => mapping[field] ? (record.values[mapping[field]] || [])[0] || '' : '';
+            const externalId = get('externalId');
+            const label = externalId || `Fila ${record.rowNumber}`;
+            const title = get('title');
+
+            if (!title) {
+                note(record, label, 'error', 'Sin título');
+                return;
+            }
+            if (externalId && importedKeys.has(externalId)) {
+                note(record, label, 'error', 'Ya está en el board');
+                return;
+            }
+            if (externalId) importedKeys.add(externalId);
+
+            const item = {
+                id: generateId(),
+                title,
+                description: get('description'),
+                type: 'story',
+                storyPoints: 0,
+                priority: 'medium',
+                status: 'backlog',
+                assignee: this.cleanPerson(get('assignee')),
+                tags: mapping.tags ? this.splitTags(record.values[mapping.tags] || []) : [],
+                parentId: null,
+                refinement: 'new',
+                source: parsed.format,
+                externalId: externalId || null,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            const rawType = get('type');
+            if (rawType) {
+                const type = (format.types || {})[rawType.trim().toLowerCase()] || this.mapValue(rawType, this.typeMap);
+                if (type) {
+                    item.type = type;
+                } else {
+                    note(record, label, 'warning', `Tipo "${rawType}" desconocido: se importa como User Story`);
+                }
+            }
+
+            const rawStatus = get('status');
+            if (rawStatus) {
+                const status = this.mapValue(rawStatus, this.statusMap);
+                if (status === 'done') {
+                    item.status = status;
+                    note(record, label, 'warning', `Estado "${rawStatus}" terminado: se importa en Done como historial, no como trabajo pendiente`);
+                } else if (status) {
+                    item.status = status;
+                } else {
+                    note(record, label, 'warning', `Estado "${rawStatus}" desconocido: se importa como pendiente`);
+                }
+            }
+
+            const rawPoints = get('storyPoints');
+            if (rawPoints) {
+                const points = this.parseNumber(rawPoints);
+                if (points === null || points < 0) {
+                    note(record, label, 'warning', `Estimación "${rawPoints}" no numérica: se importa sin Story Points`);
+                } else if (WorkItemHierarchy.isBacklogItem(item)) {
+                    item.storyPoints = points;
+                    item.refinement = 'ready';
+                } else if (points > 0) {
+                    note(record, label, 'warning', `${points} SP descartados: un ${WorkItemHierarchy.getLabel(item.type)} no se estima en Story Points`);
+                }
+            }
+
+            const rawPriority = get('priority');
+            if (rawPriority) item.priority = this.mapPriority(rawPriority);
+
+            rows.push({ record, label, item, parentReference: get('parent') });
+            [externalId, ...format.idColumns.map(column => (record.values[column] || [])[0])]
+                .filter(Boolean)
+                .forEach(reference => idsByReference.set(reference, item.id));
+        });
+
+        // Segunda pasada: el padre puede aparecer después que el hijo
+        const items = rows.map(row => row.item);
+        const allItems = [...existing, ...items];
+        rows.forEach(({ record, label, item, parentReference }) => {
+            if (!parentReference) return;
+
+            const parentId = idsByReference.get(parentReference)
+                || (existing.find(candidate => candidate.source === parsed.format && candidate.externalId === parentReference) || {}).id;
+            if (!parentId) {
+                note(record, label, 'warning', `El padre ${parentReference} no está en el fichero: se importa sin padre`);
+                return;
+            }
+
+            const [error] = WorkItemHierarchy.validate({ ...item, parentId }, allItems);
+            if (error) {
+                note(record, label, 'warning', `${error}: se importa sin padre`);
+                return;
+            }
+            item.parentId = parentId;
+        });
+
+        return { items, report: report.sort((a, b) => a.rowNumber - b.rowNumber) };
+    },
+
+    /**
+     * Busca un valor (sin mayúsculas ni espacios sobrantes) en un mapa { destino: [valores] }
+     * @returns {string|null} Destino
+     */
+    mapValue(value, map) {
+        const normalized = value.trim().toLowerCase();
+        return Object.keys(map).find(target => map[target].includes(normalized)) || null;
+    },
+
+    /**
+     * Prioridad de Jira (Highest…Lowest) o Azure DevOps (1…4)
+     */
+    mapPriority(value) {
+        const normalized = value.trim().toLowerCase();
+        if (['highest', 'high', 'critical', 'blocker', 'alta', 'más alta', '1'].includes(normalized)) return 'high';
+        if (['low', 'lowest', 'minor', 'trivial', 'baja', 'más baja', '3', '4'].includes(normalized)) return 'low';
+        return 'medium';
+    },
+
+    /**
+     * Número con coma o punto decimal (null si no lo es)
+     */
+    parseNumber(value) {
+        const number = Number(String(value).trim().replace(',', '.'));
+        return Number.isFinite(number) ? number : null;
+    },
+
+    /**
+     * Etiquetas de Jira (una columna por etiqueta) o Azure DevOps ("a; b")
+     */
+    splitTags(values) {
+        const tags = values
+            .flatMap(value => value.split(/[;,]/))
+            .map(tag => tag.trim())
+            .filter(tag => tag.length > 0);
+        return [...new Set(tags)];
+    },
+
+    /**
+     * "Ana López <ana@empresa.com>" → "Ana López"
+     */
+    cleanPerson(value) {
+        return value.replace(/\s*<[^>]*>\s*$/, '').trim();
+    }
+};
+
+// Export para uso como módulo
+export default WorkItemImport;
@@ -3,6 +3,40 @@
  * assets/js/components/wsjf-calculator.js
  */
 
+import EstimationDecks from './estimation_decks.js';
+import PrioritizationModels from './prioritization_models.js';
+import WSJFRanking from './wsjf_ranking.js';
+import PersistentStore from './persistent_store.js';
+import ServerStore from './server_store.js';
+import TabSync from './tab_sync.js';
+
+PersistentStore.register({ id: 'wsjf-history', version: 1 });
+
+PersistentStore.register({
+    id: 'wsjf-batch',
+    version: 2,
+    legacyVersion: data => (data.items || []).some(item => !item.inputs) ? 1 : 2,
+    migrations: {
+        // v2: motor de modelos. Las filas anteriores guardaban solo WSJF
+        2: data => ({
+            ...data,
+            items: (data.items || []).map(item => item.inputs ? item : {
+                id: item.id,
+                itemId: item.itemId,
+                title: item.title,
+                inputs: {
+                    wsjf: {
+                        businessValue: item.businessValue,
+                        urgency: item.urgency,
+                        riskReduction: item.riskReduction,
+                        effort: item.effort
+                    }
+                }
+            })
+        })
+    }
+});
+
 class WSJFCalculator {
     constructor(props = {}) {
         this.container = null;
@@ -16,19 +50,57 @@ class WSJFCalculator {
         this.config = {
             title: props.title || 'Calculadora WSJF',
             subtitle: props.subtitle || 'Weighted Shortest Job First - Priorización basada en valor y costo',
-            fibonacciScale: [1, 2, 3, 5, 8, 13, 21],
+            // Escala compartida en puntos; sin 0 para que el Job Size nunca divida entre cero
+            fibonacciScale: EstimationDecks.getPointScale(props.deck || EstimationDecks.defaultDeckId)
+                .filter(value => value > 0),
             storageKey: props.storageKey || 'wsjf-calculator-history',
             maxHistory: props.maxHistory || 10,
             precision: props.precision || 1,
             showHistory: props.showHistory !== false,
             showBreakdown: props.showBreakdown !== false,
+            showSensitivity: props.showSensitivity !== false,
             onCalculate: props.onCalculate || null,
-            onChange: props.onChange || null
+            onChange: props.onChange || null,
+            // Modo tabla: muchos items a la vez, ordenados por el modelo elegido
+            mode: props.mode === 'table' ? 'table' : 'single',
+            items: props.items || null,
+            board: props.board || null,
+            normalize: props.normalize === true,
+            // Modelos de priorización de la tabla (ver prioritization_models.js)
+            model: props.model || PrioritizationModels.defaultModelId,
+            compareModel: props.compareModel || null,
+            models: props.models || null,
+            weightedModels: props.weightedModels || [],
+            batchStorageKey: props.batchStorageKey || 'wsjf-calculator-batch',
+            onRank: props.onRank || null,
+            // Parámetro de la URL con los valores del cálculo compartido
+            shareParam: props.shareParam || 'wsjf',
+            // Historial y tabla en vivo entre pestañas
+            syncTabs: props.syncTabs !== false,
+            // 'local' (este navegador) o 'server' (server/team_server.js, compartido por el equipo)
+            storage: props.storage === 'server' ? 'server' : 'local',
+            serverUrl: props.serverUrl || 'http://localhost:8790',
+            serverToken: props.serverToken || null
         };
         
         this.history = [];
+        this.batchItems = [];
+        this.batchSequence = 0;
+        this.customModels = [];
+        this.sensitivity = null;
+        this.sensitivityRowId = null;
+        this.board = null;
+        this.readOnly = false;
+        // Hasta que termina la carga no se guarda nada (evita pisar los datos)
+        this.loaded = false;
+        this.ready = null;
+        this.historySync = null;
+        this.batchSync = null;
         this.eventListeners = [];
         this.debounceTimeout = null;
+        this.store = this.config.storage === 'server'
+            ? new ServerStore({ serverUrl: this.config.serverUrl, token: this.config.serverToken })
+            : PersistentStore;
         
         this.init();
     }
@@ -38,12 +110,31 @@ class WSJFCalculator {
      */
     init() {
         this.findContainer();
-        this.loadHistory();
         this.setupSliders();
         this.setupEventListeners();
         this.setupFibonacciMarkers();
         this.calculateWSJF();
-        
+        this.setupTableMode();
+        this.setMode(this.config.mode);
+        this.applyPermalink();
+        this.setupTabSync();
+        this.ready = this.loadStoredData();
+    }
+
+    /**
+     * Carga historial y tabla guardados (IndexedDB es asíncrono)
+     */
+    async loadStoredData() {
+        if (!await this.reloadStoredData()) {
+            // Sin servidor no se guarda nada: pisaría el historial del equipo
+            this.showFeedback('❌ Sin conexión con el servidor del equipo: los cálculos no se guardarán', 'error');
+            return;
+        }
+
+        if (this.config.items) {
+            this.setBatchItems(this.config.items);
+        }
+        this.updateSensitivity();
     }
 
     /**
@@ -81,7 +172,12 @@ class WSJFCalculator {
      * Configura un slider para usar valores de Fibonacci
      */
     setupFibonacciSlider(slider) {
-        const currentValue = parseInt(slider.value);
+        const scale = this.config.fibonacciScale;
+        slider.min = scale[0];
+        slider.max = scale[scale.length - 1];
+        slider.step = 'any';
+
+        const currentValue = parseFloat(slider.value);
         const fibIndex = this.config.fibonacciScale.indexOf(currentValue);
         
         if (fibIndex === -1) {
@@ -89,6 +185,10 @@ class WSJFCalculator {
             const closestFib = this.getClosestFibonacci(currentValue);
             slider.value = closestFib;
         }
+
+        if (slider.id in this.values) {
+            this.values[slider.id] = parseFloat(slider.value);
+        }
         
         // Actualizar display
         this.updateSliderDisplay(slider);
@@ -147,8 +247,10 @@ class WSJFCalculator {
      * Maneja cambios en los sliders
      */
     handleSliderChange(slider) {
+        if (this.readOnly) return;
+
         const parameterId = slider.id;
-        let value = parseInt(slider.value);
+        let value = parseFloat(slider.value);
         
         // Ajustar a valor de Fibonacci más cercano
         value = this.getClosestFibonacci(value);
@@ -190,7 +292,7 @@ class WSJFCalculator {
         }
         
         // Actualizar ejemplos dinámicos
-        this.updateExamples(slider.id, parseInt(slider.value));
+        this.updateExamples(slider.id, parseFloat(slider.value));
     }
 
     /**
@@ -304,6 +406,7 @@ class WSJFCalculator {
             
             // Analytics
             this.trackCalculation(roundedWSJF);
+            this.updateSensitivity();
             
             
         } catch (error) {
@@ -455,6 +558,25 @@ class WSJFCalculator {
             });
         }
         
+        // What-if: al pulsar un valor del análisis de sensibilidad se aplica al slider
+        const sensitivityTable = this.container.querySelector('#sensitivityTable');
+        if (sensitivityTable) {
+            this.addEventListener(sensitivityTable, 'click', (e) => {
+                const step = e.target.closest('.sensitivity-step');
+                if (step && !this.readOnly) {
+                    this.setValues({ [step.dataset.field]: parseFloat(step.dataset.value) });
+                }
+            });
+        }
+        
+        // Cálculo compartido: editar una copia
+        const editSharedButton = this.container.querySelector('#editSharedButton');
+        if (editSharedButton) {
+            this.addEventListener(editSharedButton, 'click', () => {
+                this.editSharedCopy();
+            });
+        }
+        
         // Botón retry
         const retryButton = this.container.querySelector('#retryButton');
         if (retryButton) {
@@ -468,6 +590,8 @@ class WSJFCalculator {
      * Resetea todos los valores a defaults
      */
     resetValues() {
+        if (this.readOnly) return;
+
         const defaults = {
             businessValue: 8,
             urgency: 5,
@@ -475,7 +599,10 @@ class WSJFCalculator {
             effort: 8
         };
         
-        Object.entries(defaults).forEach(([key, value]) => {
+        this.sensitivityRowId = null;
+
+        Object.entries(defaults).forEach(([key, defaultValue]) => {
+            const value = this.getClosestFibonacci(defaultValue);
             this.values[key] = value;
             const slider = this.container.querySelector(`#${key}`);
             if (slider) {
@@ -520,6 +647,35 @@ class WSJFCalculator {
         return `BV:${businessValue} + U:${urgency} + RR:${riskReduction} / E:${effort}`;
     }
 
+    /**
+     * Valores del cálculo en un parámetro de URL: "BV-U-RR-E"
+     */
+    getShareParams() {
+        const { businessValue, urgency, riskReduction, effort } = this.values;
+        return { [this.config.shareParam]: [businessValue, urgency, riskReduction, effort].join('-') };
+    }
+
+    /**
+     * Enlace que reabre el cálculo (y, opcionalmente, una instantánea del board)
+     */
+    async createShareLink() {
+        const params = this.getShareParams();
+        const includeBoard = this.container.querySelector('#shareIncludeBoard');
+
+        if (includeBoard && includeBoard.checked) {
+            this.findBoard();
+            if (this.board && typeof this.board.createShareLink === 'function') {
+                return this.board.createShareLink(params);
+            }
+        }
+
+        if (window.Utils) return window.Utils.URL.buildUrl(params);
+
+        const url = new URL(window.location.href);
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+        return url.toString();
+    }
+
     /**
      * Comparte el cálculo actual
      */
@@ -527,13 +683,13 @@ class WSJFCalculator {
         const wsjf = this.container.querySelector('#wsjfResult').textContent;
         const description = this.generateCalculationDescription();
         
-        const shareData = {
-            title: 'Cálculo WSJF',
-            text: `Score WSJF: ${wsjf} (${description})`,
-            url: window.location.href
-        };
-        
         try {
+            const shareData = {
+                title: 'Cálculo WSJF',
+                text: `Score WSJF: ${wsjf} (${description})`,
+                url: await this.createShareLink()
+            };
+
             if (navigator.share) {
                 await navigator.share(shareData);
                 this.showFeedback('📤 Compartido exitosamente');
@@ -549,28 +705,181 @@ class WSJFCalculator {
     }
 
     /**
-     * Carga historial desde localStorage
+     * Restaura en solo lectura el cálculo de un enlace compartido
+     */
+    applyPermalink() {
+        const params = window.Utils
+            ? window.Utils.URL.getParams()
+            : Object.fromEntries(new URLSearchParams(window.location.search));
+        const shared = params[this.config.shareParam];
+        if (!shared) return false;
+
+        const values = shared.split('-').map(value => parseFloat(value));
+        if (values.length !== 4 || values.some(value => !Number.isFinite(value) || value <= 0)) {
+            console.warn('WSJFCalculator: enlace compartido no válido', shared);
+            return false;
+        }
+
+        const [businessValue, urgency, riskReduction, effort] = values;
+        this.sensitivityRowId = null;
+        this.setMode('single');
+        this.setValues({ businessValue, urgency, riskReduction, effort });
+        this.setReadOnly(true);
+        return true;
+    }
+
+    /**
+     * Bloquea o libera los controles del cálculo
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        this.container.classList.toggle('read-only', readOnly);
+
+        this.container.querySelectorAll('.slider, #resetButton').forEach(control => {
+            control.disabled = readOnly;
+        });
+
+        const banner = this.container.querySelector('#calculatorShared');
+        if (banner) banner.style.display = readOnly ? 'flex' : 'none';
+    }
+
+    /**
+     * Sale del cálculo compartido conservando sus valores para editarlos
+     */
+    editSharedCopy() {
+        this.setReadOnly(false);
+        if (window.Utils) {
+            window.Utils.URL.updateParams({ [this.config.shareParam]: null }, true);
+        }
+        this.showFeedback('✏️ Editando una copia del cálculo');
+    }
+
+    /**
+     * Carga el historial guardado (ver persistent_store.js y server_store.js)
      */
-    loadHistory() {
+    async loadHistory() {
         try {
-            const stored = localStorage.getItem(this.config.storageKey);
-            this.history = stored ? JSON.parse(stored) : [];
-            this.updateHistoryUI();
+            this.history = await this.store.load(this.config.storageKey, 'wsjf-history', []);
         } catch (error) {
             console.warn('Error loading history:', error);
             this.history = [];
+            if (this.config.storage === 'server') throw error;
         }
+        this.updateHistoryUI();
     }
 
     /**
-     * Guarda historial en localStorage
+     * Guarda el historial
      */
     saveHistory() {
+        if (this.historySync && this.loaded) this.historySync.commit({ history: this.history });
+        return this.persist(this.config.storageKey, 'wsjf-history', this.history);
+    }
+
+    /**
+     * Historial y tabla en vivo entre pestañas (ver tab_sync.js)
+     */
+    setupTabSync() {
+        // Con el servidor del equipo no: cada pestaña guardaría la fusión y chocaría (409)
+        if (!this.config.syncTabs || this.config.storage === 'server') return;
+
+        this.historySync = new TabSync({
+            key: this.config.storageKey,
+            collections: ['history'],
+            onRemoteChange: (state) => {
+                this.history = state.history.slice(0, this.config.maxHistory);
+                this.updateHistoryUI();
+                this.saveHistory();
+            }
+        });
+
+        this.batchSync = new TabSync({
+            key: this.config.batchStorageKey,
+            collections: ['items'],
+            fields: ['normalize', 'model', 'compareModel', 'customModels'],
+            onRemoteChange: (state) => this.applyRemoteBatch(state)
+        });
+    }
+
+    /**
+     * Estado de la tabla que se guarda y se sincroniza
+     */
+    getBatchState() {
+        return {
+            items: this.batchItems,
+            normalize: this.config.normalize,
+            model: this.config.model,
+            compareModel: this.config.compareModel,
+            customModels: this.customModels
+        };
+    }
+
+    /**
+     * Tabla fusionada tras un cambio en otra pestaña
+     */
+    applyRemoteBatch(state) {
+        this.customModels = state.customModels || [];
+        this.customModels.forEach(definition => this.registerCustomModel(definition, false));
+        this.batchItems = state.items;
+        this.config.normalize = state.normalize === true;
+        if (state.model && PrioritizationModels.models[state.model]) this.config.model = state.model;
+        this.config.compareModel = state.compareModel ?? null;
+
+        const normalize = this.container.querySelector('#batchNormalize');
+        if (normalize) normalize.checked = this.config.normalize;
+
+        this.renderModelOptions();
+        this.renderBatchTable();
+        this.saveBatch();
+    }
+
+    /**
+     * Guarda un documento y avisa si el navegador se queda sin espacio
+     */
+    persist(key, schemaId, data) {
+        if (!this.loaded) return Promise.resolve(false);
+
+        return this.store.save(key, schemaId, data)
+            .then(() => true)
+            .catch(error => {
+                console.warn(`Error saving ${schemaId}:`, error);
+                if (error.name === 'ConflictError') {
+                    this.showFeedback('🔄 Otro miembro del equipo guardó antes: se carga su versión', 'error');
+                    this.reloadStoredData();
+                    return false;
+                }
+                if (error.name === 'MigrationError') {
+                    this.showFeedback(`❌ ${error.message}`, 'error');
+                    return false;
+                }
+                this.showFeedback(this.store.isQuotaExceeded(error)
+                    ? '💾 Sin espacio de almacenamiento: limpia el historial'
+                    : '❌ No se pudieron guardar los cambios', 'error');
+                return false;
+            });
+    }
+
+    /**
+     * Carga (o recarga tras un conflicto en el servidor) historial y tabla
+     * @returns {Promise<boolean>} false si no se pudieron leer
+     */
+    async reloadStoredData() {
+        this.loaded = false;
         try {
-            localStorage.setItem(this.config.storageKey, JSON.stringify(this.history));
+            await Promise.all([this.loadHistory(), this.loadBatch()]);
         } catch (error) {
-            console.warn('Error saving history:', error);
+            return false;
         }
+        this.loaded = true;
+        if (this.historySync) this.historySync.reset({ history: this.history });
+        if (this.batchSync) this.batchSync.reset(this.getBatchState());
+
+        const normalize = this.container.querySelector('#batchNormalize');
+        if (normalize) normalize.checked = this.config.normalize;
+
+        this.renderModelOptions();
+        this.renderBatchTable();
+        return true;
     }
 
     /**
@@ -742,6 +1051,727 @@ class WSJFCalculator {
         }
     }
 
+    /**
+     * WSJF del resto del backlog para situar el item: las filas de la tabla o,
+     * si está vacía, los PBIs del Sprint Board que ya tienen puntuación WSJF
+     * @returns {Object} { source, scores }
+     */
+    getSensitivityBacklog() {
+        const analyzed = this.batchItems.find(item => item.id === this.sensitivityRowId);
+        const rows = this.batchItems.filter(item => item !== analyzed);
+        if (rows.length > 0) {
+            return {
+                source: 'la tabla',
+                scores: rows
+                    .map(item => WSJFRanking.score(this.getRowValues(item, 'wsjf')))
+                    .filter(score => score !== null)
+            };
+        }
+
+        const scores = this.board
+            ? this.board.getRankedBacklog()
+                .filter(pbi => !analyzed || pbi.id !== analyzed.itemId)
+                .map(pbi => pbi.scores?.wsjf?.score)
+                .filter(Number.isFinite)
+            : [];
+        return { source: scores.length > 0 ? 'el Product Backlog' : null, scores };
+    }
+
+    /**
+     * Recalcula el análisis de sensibilidad de los valores actuales y lo
+     * publica para el tornado de ChartManager (evento wsjfcalculator:sensitivity)
+     */
+    updateSensitivity() {
+        const container = this.container.querySelector('#wsjfSensitivity');
+        if (!container) return null;
+
+        if (!this.config.showSensitivity || this.config.mode === 'table') {
+            container.style.display = 'none';
+            return null;
+        }
+        container.style.display = '';
+
+        const backlog = this.getSensitivityBacklog();
+        const data = WSJFRanking.sensitivity(this.values, this.config.fibonacciScale, backlog.scores, this.config.precision);
+        this.sensitivity = data;
+        this.renderSensitivityTable(data, backlog);
+
+        document.dispatchEvent(new CustomEvent('wsjfcalculator:sensitivity', {
+            detail: { calculator: this, data }
+        }));
+        return data;
+    }
+
+    /**
+     * Tabla what-if: WSJF y posición para cada valor de la escala
+     */
+    renderSensitivityTable(data, backlog) {
+        const context = this.container.querySelector('#sensitivityContext');
+        if (context) {
+            const analyzed = this.batchItems.find(item => item.id === this.sensitivityRowId);
+            context.textContent = data.total
+                ? `${analyzed ? `«${analyzed.title}»: ` : ''}posición #${data.base.position} de ${data.total} frente a ${backlog.source}`
+                : 'Añade items a la tabla o aplica un ranking WSJF al Product Backlog para ver cómo cambia la posición';
+        }
+
+        const table = this.container.querySelector('#sensitivityTable');
+        if (!table) return;
+
+        table.innerHTML = data.parameters.map(parameter => `
+            <div class="sensitivity-row">
+                <span class="sensitivity-label">
+                    ${parameter.label}
+                    <small>WSJF ${parameter.low.wsjf} – ${parameter.high.wsjf}</small>
+                </span>
+                <div class="sensitivity-steps">
+                    ${parameter.points.map(point => `
+                        <button class="sensitivity-step ${point.value === parameter.current ? 'current' : ''}"
+                                data-field="${parameter.field}" data-value="${point.value}"
+                                title="${parameter.label} = ${point.value}">
+                            <strong>${point.value}</strong>
+                            <small>${point.wsjf}${point.position !== null ? ` · #${point.position}` : ''}</small>
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Abre el análisis de sensibilidad de una fila de la tabla
+     */
+    analyzeBatchItem(rowId) {
+        const item = this.batchItems.find(candidate => candidate.id === rowId);
+        if (!item) return;
+
+        this.sensitivityRowId = rowId;
+        this.setMode('single');
+        this.setValues(this.getRowValues(item, 'wsjf'));
+    }
+
+    /**
+     * Cambia entre el cálculo de un item y la tabla del backlog
+     * @param {string} mode - 'single' | 'table'
+     */
+    setMode(mode) {
+        this.config.mode = mode === 'table' ? 'table' : 'single';
+        const isTable = this.config.mode === 'table';
+
+        this.container.querySelectorAll('.calculator-mode').forEach(button => {
+            button.classList.toggle('active', button.dataset.wsjfMode === this.config.mode);
+        });
+
+        const body = this.container.querySelector('.calculator-body');
+        const table = this.container.querySelector('#wsjfTableMode');
+        if (body) body.style.display = isTable ? 'none' : '';
+        if (table) table.style.display = isTable ? 'block' : 'none';
+
+        const history = this.container.querySelector('#calculatorHistory');
+        const sensitivity = this.container.querySelector('#wsjfSensitivity');
+        if (isTable) {
+            if (history) history.style.display = 'none';
+            if (sensitivity) sensitivity.style.display = 'none';
+            this.renderBatchTable();
+        } else {
+            this.updateHistoryUI();
+            this.updateSensitivity();
+        }
+    }
+
+    /**
+     * Configura el modo tabla: modelos, filas, normalización y envío al Product Backlog
+     */
+    setupTableMode() {
+        this.config.weightedModels.forEach(definition => this.registerCustomModel(definition, false));
+        this.findBoard();
+
+        this.container.querySelectorAll('.calculator-mode').forEach(button => {
+            this.addEventListener(button, 'click', () => {
+                this.setMode(button.dataset.wsjfMode);
+            });
+        });
+
+        const actions = {
+            batchLoadButton: () => this.loadBacklogIntoTable(),
+            batchAddButton: () => this.addBatchItem(),
+            batchClearButton: () => this.setBatchItems([]),
+            batchRankButton: () => {
+                if (this.rankBatch().length > 0) {
+                    this.showFeedback(`🧮 Items ordenados por ${this.getModel().name}`);
+                }
+            },
+            batchApplyButton: () => this.applyBatchRanking(),
+            customModelButton: () => this.createCustomModelFromForm()
+        };
+        Object.entries(actions).forEach(([id, handler]) => {
+            const button = this.container.querySelector(`#${id}`);
+            if (button) {
+                this.addEventListener(button, 'click', handler);
+            }
+        });
+
+        const modelSelect = this.container.querySelector('#batchModel');
+        if (modelSelect) {
+            this.addEventListener(modelSelect, 'change', () => this.setModel(modelSelect.value));
+        }
+
+        const compareSelect = this.container.querySelector('#batchCompareModel');
+        if (compareSelect) {
+            this.addEventListener(compareSelect, 'change', () => this.setCompareModel(compareSelect.value || null));
+        }
+
+        const normalize = this.container.querySelector('#batchNormalize');
+        if (normalize) {
+            this.addEventListener(normalize, 'change', () => {
+                this.config.normalize = normalize.checked;
+                this.saveBatch();
+            });
+        }
+
+        // Delegación: las filas se regeneran en cada render
+        const body = this.container.querySelector('#batchTableBody');
+        if (body) {
+            this.addEventListener(body, 'change', (e) => {
+                const input = e.target.closest('[data-field]');
+                const row = e.target.closest('[data-row-id]');
+                if (input && row) {
+                    this.updateBatchItem(row.dataset.rowId, input.dataset.field, input.value, input.dataset.model);
+                }
+            });
+            this.addEventListener(body, 'click', (e) => {
+                const remove = e.target.closest('.batch-remove');
+                if (remove) {
+                    this.removeBatchItem(remove.dataset.rowId);
+                }
+
+                const analyze = e.target.closest('.batch-analyze');
+                if (analyze) {
+                    this.analyzeBatchItem(analyze.dataset.rowId);
+                }
+            });
+        }
+
+        this.renderModelOptions();
+    }
+
+    /**
+     * Busca el Sprint Board para leer y reordenar su Product Backlog
+     */
+    findBoard() {
+        if (this.config.board) {
+            this.board = this.config.board;
+        } else if (window.componentManager) {
+            this.board = window.componentManager.getComponentInstance('sprint-board') || null;
+        }
+    }
+
+    /**
+     * Modelos de priorización disponibles en la tabla
+     */
+    getModels() {
+        const models = PrioritizationModels.list();
+        return this.config.models
+            ? models.filter(model => this.config.models.includes(model.id) || model.weighted)
+            : models;
+    }
+
+    /**
+     * Modelo con el que se ordena la tabla
+     */
+    getModel() {
+        return PrioritizationModels.get(this.config.model);
+    }
+
+    /**
+     * Modelo con el que se compara el ranking (null si no hay comparación)
+     */
+    getCompareModel() {
+        const { compareModel, model } = this.config;
+        return compareModel && compareModel !== model && PrioritizationModels.models[compareModel]
+            ? PrioritizationModels.models[compareModel]
+            : null;
+    }
+
+    /**
+     * Cambia el modelo con el que se puntúa y ordena la tabla
+     * @param {string} modelId - Id del modelo (wsjf, rice, cost-of-delay, cd3, moscow, kano...)
+     */
+    setModel(modelId) {
+        this.config.model = PrioritizationModels.get(modelId).id;
+        this.saveBatch();
+        this.renderModelOptions();
+        this.renderBatchTable();
+    }
+
+    /**
+     * Elige un segundo modelo para comparar rankings (null para quitarlo)
+     */
+    setCompareModel(modelId) {
+        this.config.compareModel = modelId && PrioritizationModels.models[modelId] ? modelId : null;
+        this.saveBatch();
+        this.renderModelOptions();
+        this.renderBatchTable();
+    }
+
+    /**
+     * Registra una fórmula ponderada propia (ver PrioritizationModels.createWeightedModel)
+     * @param {Object} definition - { id, name, criteria: [{ id, label, weight, cost }] }
+     * @param {boolean} persist - Guardarla con la tabla
+     */
+    registerCustomModel(definition, persist = true) {
+        const model = PrioritizationModels.createWeightedModel(definition);
+
+        if (persist) {
+            this.customModels = [...this.customModels.filter(custom => custom.id !== definition.id), definition];
+            this.saveBatch();
+        }
+        return model;
+    }
+
+    /**
+     * Crea una fórmula ponderada desde el formulario: "Valor:3, Estrategia:2, /Esfuerzo:1"
+     * (los criterios que empiezan por / son de coste y dividen)
+     */
+    createCustomModelFromForm() {
+        const nameInput = this.container.querySelector('#customModelName');
+        const criteriaInput = this.container.querySelector('#customModelCriteria');
+        if (!nameInput || !criteriaInput) return null;
+
+        const name = nameInput.value.trim();
+        const criteria = criteriaInput.value.split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const cost = entry.startsWith('/');
+                const [label, weight = '1'] = entry.replace(/^\//, '').split(':').map(part => part.trim());
+                return { id: this.slugify(label), label, weight: parseFloat(weight), cost };
+            });
+
+        if (!name || criteria.length === 0) {
+            this.showFeedback('❌ Indica un nombre y al menos un criterio', 'error');
+            return null;
+        }
+        if (criteria.some(criterion => !criterion.id || !Number.isFinite(criterion.weight))) {
+            this.showFeedback('❌ Usa el formato Criterio:peso, separado por comas', 'error');
+            return null;
+        }
+
+        const model = this.registerCustomModel({ id: `custom-${this.slugify(name)}`, name, criteria });
+        nameInput.value = '';
+        criteriaInput.value = '';
+        this.setModel(model.id);
+        this.showFeedback(`⚙️ Modelo "${name}" creado`);
+        return model;
+    }
+
+    slugify(text) {
+        return text.toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Entradas de una fila para un modelo (con valores por defecto si aún no las tiene)
+     */
+    getRowValues(row, model) {
+        const resolved = PrioritizationModels.get(model);
+        const stored = row.inputs[resolved.id] || {};
+        const values = {};
+        resolved.fields.forEach(field => {
+            values[field.id] = field.id in stored
+                ? stored[field.id]
+                : PrioritizationModels.parseValue(field, this.getFieldDefault(resolved, field), this.config.fibonacciScale);
+        });
+        return values;
+    }
+
+    /**
+     * Los campos de WSJF parten de los valores de los sliders
+     */
+    getFieldDefault(model, field) {
+        return model.id === 'wsjf' && field.id in this.values ? this.values[field.id] : field.default;
+    }
+
+    /**
+     * Crea una fila de la tabla
+     * @param {Object} data - title, itemId, inputs por modelo ({ rice: {...} }) o
+     *   los campos del modelo activo sueltos (businessValue, urgency...)
+     */
+    createBatchItem(data = {}) {
+        const model = this.getModel();
+        const inputs = { ...(data.inputs || {}) };
+        const loose = model.fields.filter(field => data[field.id] !== undefined);
+        if (loose.length > 0) {
+            inputs[model.id] = { ...inputs[model.id] };
+            loose.forEach(field => { inputs[model.id][field.id] = data[field.id]; });
+        }
+
+        const item = {
+            id: data.id || `wsjf-${Date.now()}-${++this.batchSequence}`,
+            itemId: data.itemId || null,
+            title: data.title || `Item ${this.batchItems.length + 1}`,
+            inputs: {}
+        };
+
+        Object.entries(inputs).forEach(([modelId, values]) => {
+            const resolved = PrioritizationModels.models[modelId];
+            if (!resolved) return;
+            item.inputs[modelId] = {};
+            resolved.fields.forEach(field => {
+                const value = values[field.id] ?? this.getFieldDefault(resolved, field);
+                item.inputs[modelId][field.id] = PrioritizationModels.parseValue(field, value, this.config.fibonacciScale);
+            });
+        });
+        return item;
+    }
+
+    /**
+     * Añade una fila a la tabla
+     */
+    addBatchItem(data = {}) {
+        const item = this.createBatchItem(data);
+        this.batchItems.push(item);
+        this.saveBatch();
+        this.renderBatchTable();
+        return item;
+    }
+
+    /**
+     * Actualiza un campo de una fila; la puntuación se recalcula sin reordenar
+     */
+    updateBatchItem(rowId, field, value, modelId = this.config.model) {
+        const item = this.batchItems.find(candidate => candidate.id === rowId);
+        if (!item) return;
+
+        if (field === 'title') {
+            item.title = value.trim() || item.title;
+        } else {
+            const model = PrioritizationModels.get(modelId);
+            const definition = model.fields.find(candidate => candidate.id === field);
+            if (!definition) return;
+
+            item.inputs[model.id] = {
+                ...this.getRowValues(item, model),
+                [field]: PrioritizationModels.parseValue(definition, value, this.config.fibonacciScale)
+            };
+        }
+
+        this.saveBatch();
+        this.renderBatchTable();
+    }
+
+    /**
+     * Elimina una fila de la tabla
+     */
+    removeBatchItem(rowId) {
+        this.batchItems = this.batchItems.filter(item => item.id !== rowId);
+        this.saveBatch();
+        this.renderBatchTable();
+    }
+
+    /**
+     * Reemplaza las filas de la tabla
+     */
+    setBatchItems(items) {
+        this.batchItems = [];
+        items.forEach(data => this.batchItems.push(this.createBatchItem(data)));
+        this.saveBatch();
+        this.renderBatchTable();
+    }
+
+    /**
+     * Carga los PBIs del Product Backlog en su orden actual. Reutiliza las
+     * últimas puntuaciones de cada modelo; sin WSJF previo, el Job Size sale de los SP
+     */
+    loadBacklogIntoTable() {
+        this.findBoard();
+        if (!this.board) {
+            this.showFeedback('❌ No hay un Sprint Board en la página', 'error');
+            return;
+        }
+
+        const backlog = this.board.getRankedBacklog();
+        if (backlog.length === 0) {
+            this.showFeedback('📭 El Product Backlog está vacío', 'error');
+            return;
+        }
+
+        this.setBatchItems(backlog.map(pbi => {
+            const inputs = {};
+            Object.entries(pbi.scores || {}).forEach(([modelId, record]) => {
+                if (PrioritizationModels.models[modelId]) {
+                    inputs[modelId] = record;
+                }
+            });
+            if (!inputs.wsjf && pbi.storyPoints) {
+                inputs.wsjf = { effort: pbi.storyPoints };
+            }
+            return { itemId: pbi.id, title: pbi.title, inputs };
+        }));
+        this.showFeedback(`📥 ${backlog.length} items cargados del Product Backlog`);
+    }
+
+    /**
+     * Puntúa todas las filas con el modelo activo y las ordena de mayor a menor.
+     * Con normalización (solo WSJF), los valores pasan a ser relativos al menor
+     * @returns {Object[]} Filas ordenadas
+     */
+    rankBatch() {
+        if (this.batchItems.length === 0) {
+            this.showFeedback('❌ Añade al menos un item a la tabla', 'error');
+            return [];
+        }
+
+        const model = this.getModel();
+        if (this.config.normalize && model.normalize) {
+            const normalized = model.normalize(
+                this.batchItems.map(item => this.getRowValues(item, model)),
+                this.config.fibonacciScale
+            );
+            this.batchItems.forEach((item, index) => {
+                item.inputs[model.id] = normalized[index];
+            });
+        }
+
+        this.batchItems = PrioritizationModels.rank(this.batchItems, model, {
+            getValues: (item, resolved) => this.getRowValues(item, resolved)
+        }).map(({ score, rank, ...item }) => item);
+
+        this.saveBatch();
+        this.renderBatchTable();
+        return this.getBatchItems();
+    }
+
+    /**
+     * Ordena la tabla y lleva ese orden (y las puntuaciones) al Product Backlog
+     * @returns {string[]} Ids de los PBIs en el nuevo orden
+     */
+    applyBatchRanking() {
+        this.findBoard();
+        if (!this.board) {
+            this.showFeedback('❌ No hay un Sprint Board en la página', 'error');
+            return [];
+        }
+
+        const model = this.getModel();
+        const ranked = this.rankBatch()
+            .filter(item => item.itemId && item.score !== null && this.board.findWorkItem(item.itemId));
+        if (ranked.length === 0) {
+            this.showFeedback('❌ Ninguna fila está vinculada a un item del Product Backlog', 'error');
+            return [];
+        }
+
+        const scores = {};
+        ranked.forEach(item => {
+            scores[item.itemId] = {
+                ...item.values,
+                score: parseFloat(item.score.toFixed(this.config.precision)),
+                display: item.display,
+                model: model.name,
+                normalized: Boolean(this.config.normalize && model.normalize)
+            };
+        });
+
+        const itemIds = ranked.map(item => item.itemId);
+        this.board.setPriorityScores(model.id, scores);
+        this.board.setBacklogOrder(itemIds);
+
+        if (this.config.onRank) {
+            this.config.onRank(itemIds, this.getBatchItems(), model.id);
+        }
+
+        this.showFeedback(`📌 Orden ${model.name} aplicado a ${itemIds.length} items del Product Backlog`);
+        return itemIds;
+    }
+
+    /**
+     * Rellena los selectores de modelo y la descripción del activo
+     */
+    renderModelOptions() {
+        const model = this.getModel();
+        const compare = this.getCompareModel();
+        const options = (selected) => this.getModels().map(candidate => `
+            <option value="${candidate.id}" ${candidate.id === selected ? 'selected' : ''}>${this.escapeHtml(candidate.name)}</option>
+        `).join('');
+
+        const modelSelect = this.container.querySelector('#batchModel');
+        if (modelSelect) modelSelect.innerHTML = options(model.id);
+
+        const compareSelect = this.container.querySelector('#batchCompareModel');
+        if (compareSelect) {
+            compareSelect.innerHTML = '<option value="">— Sin comparar —</option>' + options(compare ? compare.id : '');
+        }
+
+        const description = this.container.querySelector('#batchModelDescription');
+        if (description) description.textContent = model.description;
+
+        const normalize = this.container.querySelector('#batchNormalize');
+        if (normalize) normalize.disabled = !model.normalize;
+    }
+
+    /**
+     * Control de un campo del modelo para una fila
+     */
+    createFieldInputHTML(model, field, value) {
+        const attributes = `data-model="${model.id}" data-field="${field.id}" aria-label="${this.escapeHtml(field.label)}"`;
+
+        if (field.type === 'number') {
+            return `<input type="number" step="any" ${Number.isFinite(field.min) ? `min="${field.min}"` : ''} value="${value}" ${attributes}>`;
+        }
+
+        const options = field.type === 'select'
+            ? field.options
+            : this.config.fibonacciScale.map(scaleValue => ({ value: scaleValue, label: scaleValue }));
+        return `<select ${attributes}>${options.map(option => `
+            <option value="${option.value}" ${String(option.value) === String(value) ? 'selected' : ''}>${this.escapeHtml(String(option.label))}</option>
+        `).join('')}</select>`;
+    }
+
+    /**
+     * Renderiza la tabla: campos y puntuación del modelo activo y, si se compara,
+     * los del segundo modelo con el cambio de posición entre ambos rankings
+     */
+    renderBatchTable() {
+        const head = this.container.querySelector('#batchTableHead');
+        const body = this.container.querySelector('#batchTableBody');
+        const summary = this.container.querySelector('#batchComparison');
+        if (!body) return;
+
+        const model = this.getModel();
+        const compare = this.getCompareModel();
+        const models = compare ? [model, compare] : [model];
+        const getValues = (item, resolved) => this.getRowValues(item, resolved);
+
+        if (head) {
+            head.innerHTML = `
+                <tr>
+                    <th>#</th>
+                    <th>Item</th>
+                    ${models.map(resolved => `
+                        ${resolved.fields.map(field => `<th>${this.escapeHtml(field.label)}</th>`).join('')}
+                        <th class="batch-score-head">${this.escapeHtml(resolved.name)}</th>
+                    `).join('')}
+                    ${compare ? `<th title="Posición con ${this.escapeHtml(model.name)} → con ${this.escapeHtml(compare.name)}">Ranking</th>` : ''}
+                    <th></th>
+                </tr>
+            `;
+        }
+
+        const comparison = compare
+            ? PrioritizationModels.compare(this.batchItems, model, compare, { getValues })
+            : null;
+        const rowsById = comparison ? new Map(comparison.rows.map(row => [row.id, row])) : null;
+
+        if (summary) {
+            summary.style.display = comparison && comparison.correlation !== null ? 'block' : 'none';
+            if (comparison && comparison.correlation !== null) {
+                summary.textContent = `🔀 ${model.name} vs ${compare.name}: correlación de rankings ${comparison.correlation} ` +
+                    `(${comparison.correlation >= 0.7 ? 'ordenan de forma parecida' : comparison.correlation >= 0.3 ? 'coinciden en parte' : 'ordenan de forma muy distinta'})`;
+            }
+        }
+
+        if (this.batchItems.length === 0) {
+            body.innerHTML = `
+                <tr><td colspan="${4 + models.reduce((sum, resolved) => sum + resolved.fields.length + 1, 0)}" class="batch-empty">
+                    Carga el Product Backlog o añade items para compararlos
+                </td></tr>
+            `;
+            return;
+        }
+
+        body.innerHTML = this.batchItems.map((item, index) => {
+            const cells = models.map(resolved => {
+                const values = this.getRowValues(item, resolved);
+                const score = PrioritizationModels.score(resolved, values);
+                return `
+                    ${resolved.fields.map(field => `<td>${this.createFieldInputHTML(resolved, field, values[field.id])}</td>`).join('')}
+                    <td class="batch-score">${PrioritizationModels.format(resolved, score, values, this.config.precision)}</td>
+                `;
+            }).join('');
+
+            const row = rowsById ? rowsById.get(item.id) : null;
+            const movement = row && row.delta !== 0
+                ? `<span class="batch-delta ${row.delta > 0 ? 'up' : 'down'}">${row.delta > 0 ? '▲' : '▼'}${Math.abs(row.delta)}</span>`
+                : '';
+
+            return `
+                <tr data-row-id="${item.id}">
+                    <td>${index + 1}</td>
+                    <td class="batch-title">
+                        <input type="text" data-field="title" value="${this.escapeHtml(item.title)}" aria-label="Título">
+                        ${item.itemId ? '<span class="batch-linked">🔗 Product Backlog</span>' : ''}
+                    </td>
+                    ${cells}
+                    ${row ? `<td class="batch-rank">${row.rankA} → ${row.rankB} ${movement}</td>` : ''}
+                    <td class="batch-row-actions">
+                        ${models.some(resolved => resolved.id === 'wsjf') ? `<button class="batch-analyze" data-row-id="${item.id}" title="Análisis de sensibilidad WSJF">📈</button>` : ''}
+                        <button class="batch-remove" data-row-id="${item.id}" title="Quitar de la tabla">✕</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Carga la tabla guardada
+     */
+    async loadBatch() {
+        try {
+            const stored = await this.store.load(this.config.batchStorageKey, 'wsjf-batch');
+            if (!stored) return;
+
+            this.customModels = stored.customModels || [];
+            this.customModels.forEach(definition => this.registerCustomModel(definition, false));
+            this.config.normalize = stored.normalize === true;
+            if (stored.model && PrioritizationModels.models[stored.model]) this.config.model = stored.model;
+            if (stored.compareModel !== undefined) this.config.compareModel = stored.compareModel;
+
+            this.batchItems = stored.items || [];
+        } catch (error) {
+            console.warn('Error loading WSJF table:', error);
+            this.batchItems = [];
+            if (this.config.storage === 'server') throw error;
+        }
+    }
+
+    /**
+     * Guarda la tabla
+     */
+    saveBatch() {
+        const state = this.getBatchState();
+        if (this.batchSync && this.loaded) this.batchSync.commit(state);
+        return this.persist(this.config.batchStorageKey, 'wsjf-batch', state);
+    }
+
+    /**
+     * API pública para obtener las filas de la tabla con la puntuación del modelo activo
+     */
+    getBatchItems() {
+        const model = this.getModel();
+        return this.batchItems.map((item, index) => {
+            const values = this.getRowValues(item, model);
+            const score = PrioritizationModels.score(model, values);
+            return {
+                ...item,
+                inputs: { ...item.inputs },
+                values,
+                score,
+                display: PrioritizationModels.format(model, score, values, this.config.precision),
+                position: index + 1
+            };
+        });
+    }
+
+    /**
+     * Escapa texto para HTML (incluidas comillas, se usa en atributos)
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     /**
      * Helper para agregar event listeners con cleanup
      */
@@ -796,10 +1826,15 @@ class WSJFCalculator {
         if (this.debounceTimeout) {
             clearTimeout(this.debounceTimeout);
         }
+
+        [this.historySync, this.batchSync].forEach(sync => sync && sync.close());
+        this.historySync = null;
+        this.batchSync = null;
         
         // Clear arrays
         this.eventListeners = [];
         this.history = [];
+        this.batchItems = [];
         
     }
 }
@@ -0,0 +1,152 @@
+/**
+ * WSJF Ranking - Puntuación WSJF de una lista de items
+ * Funciones puras: score, normalización relativa (SAFe) y ordenación
+ */
+
+const WSJFRanking = {
+
+    /**
+     * Parámetros del Cost of Delay y del Job Size
+     */
+    fields: ['businessValue', 'urgency', 'riskReduction', 'effort'],
+
+    /**
+     * Etiquetas de los parámetros para gráficos y tablas
+     */
+    labels: {
+        businessValue: 'Business Value',
+        urgency: 'Urgencia',
+        riskReduction: 'Risk Reduction',
+        effort: 'Job Size'
+    },
+
+    /**
+     * WSJF de un item: (BV + Urgencia + RR) / Job Size
+     * @param {Object} item - { businessValue, urgency, riskReduction, effort }
+     * @returns {number|null} null si el Job Size no es válido
+     */
+    score(item) {
+        const effort = Number(item.effort);
+        if (!Number.isFinite(effort) || effort <= 0) return null;
+
+        const costOfDelay = Number(item.businessValue || 0) + Number(item.urgency || 0) + Number(item.riskReduction || 0);
+        return costOfDelay / effort;
+    },
+
+    /**
+     * Valor de la escala más cercano (empates hacia el mayor)
+     */
+    nearest(value, scale) {
+        return scale.reduce((closest, candidate) =>
+            Math.abs(candidate - value) <= Math.abs(closest - value) ? candidate : closest
+        );
+    },
+
+    /**
+     * Normalización relativa recomendada por SAFe: en cada columna el menor
+     * valor pasa a 1 y el resto se expresa respecto a él, ajustado a la escala
+     * @param {Object[]} items - Items con los cuatro parámetros
+     * @param {number[]} scale - Escala ordenada (p.ej. Fibonacci)
+     * @returns {Object[]} Copias de los items con los valores normalizados
+     */
+    normalize(items, scale) {
+        const minimums = {};
+        this.fields.forEach(field => {
+            const values = items.map(item => Number(item[field])).filter(value => value > 0);
+            minimums[field] = values.length > 0 ? Math.min(...values) : 1;
+        });
+
+        return items.map(item => {
+            const normalized = { ...item };
+            this.fields.forEach(field => {
+                const value = Number(item[field]) > 0 ? Number(item[field]) : minimums[field];
+                normalized[field] = this.nearest(value / minimums[field], scale);
+            });
+            return normalized;
+        });
+    },
+
+    /**
+     * Calcula el WSJF de todos los items y los ordena de mayor a menor.
+     * A igual WSJF gana el trabajo más pequeño; después, el orden original
+     * @param {Object[]} items - Items con los cuatro parámetros
+     * @param {Object} options - normalize (boolean), scale (number[]), precision
+     * @returns {Object[]} Copias con wsjf y rank; los items sin Job Size válido van al final
+     */
+    rank(items, options = {}) {
+        const { normalize = false, scale = [], precision = 1 } = options;
+        const source = normalize && scale.length > 0 ? this.normalize(items, scale) : items.map(item => ({ ...item }));
+
+        const scored = source.map((item, index) => {
+            const wsjf = this.score(item);
+            return {
+                ...item,
+                wsjf: wsjf === null ? null : parseFloat(wsjf.toFixed(precision)),
+                exact: wsjf,
+                index
+            };
+        });
+
+        scored.sort((a, b) => {
+            if (a.exact === null || b.exact === null) {
+                return (a.exact === null) - (b.exact === null) || a.index - b.index;
+            }
+            return b.exact - a.exact || a.effort - b.effort || a.index - b.index;
+        });
+
+        return scored.map(({ exact, index, ...item }, position) => ({ ...item, rank: position + 1 }));
+    },
+
+    /**
+     * Posición que ocuparía un WSJF entre otros (los empates favorecen al item)
+     * @returns {number|null} null si no hay backlog con el que comparar
+     */
+    position(wsjf, others) {
+        if (others.length === 0 || wsjf === null) return null;
+        return 1 + others.filter(other => other > wsjf).length;
+    },
+
+    /**
+     * Análisis de sensibilidad: mueve cada parámetro por toda la escala
+     * dejando el resto fijo y mide el WSJF y la posición en el backlog
+     * @param {Object} values - Parámetros actuales del item
+     * @param {number[]} scale - Escala de valores posibles
+     * @param {number[]} others - WSJF del resto de items del backlog
+     * @param {number} precision - Decimales del WSJF
+     * @returns {Object} { base: { wsjf, position }, total, parameters } con los
+     *   parámetros ordenados de mayor a menor impacto (orden del tornado)
+     */
+    sensitivity(values, scale, others = [], precision = 1) {
+        const round = (wsjf) => wsjf === null ? null : parseFloat(wsjf.toFixed(precision));
+        const baseWSJF = this.score(values);
+
+        const parameters = this.fields.map(field => {
+            const points = scale.map(value => {
+                const wsjf = this.score({ ...values, [field]: value });
+                return { value, wsjf: round(wsjf), position: this.position(wsjf, others) };
+            }).filter(point => point.wsjf !== null);
+
+            const byScore = [...points].sort((a, b) => a.wsjf - b.wsjf);
+            const low = byScore[0];
+            const high = byScore[byScore.length - 1];
+            return {
+                field,
+                label: this.labels[field],
+                current: values[field],
+                points,
+                low,
+                high,
+                swing: round(high.wsjf - low.wsjf)
+            };
+        }).sort((a, b) => b.swing - a.swing);
+
+        return {
+            base: { wsjf: round(baseWSJF), position: this.position(baseWSJF, others) },
+            total: others.length > 0 ? others.length + 1 : null,
+            parameters
+        };
+    }
+};
+
+// Export para uso como módulo
+export default WSJFRanking;
@@ -0,0 +1,506 @@
+/**
+ * Planning Poker Relay - Servidor WebSocket mínimo para sesiones multijugador
+ * server/poker_relay.js
+ *
+ * Sin dependencias: sólo módulos nativos de Node (http, crypto).
+ * Uso: node server/poker_relay.js [puerto]   (por defecto 8787 o POKER_PORT)
+ *
+ * El relay es la fuente de verdad de cada sala: guarda los votos y sólo los
+ * envía a los demás participantes después de que el facilitador los revele.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+const MAX_HISTORY_ROUNDS = 200;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+/**
+ * Codifica un frame de servidor (sin máscara)
+ * @param {number} opcode - Tipo de frame
+ * @param {Buffer} payload - Contenido
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Extrae el primer frame completo del buffer
+ * @param {Buffer} buffer - Datos recibidos
+ * @returns {Object|null} { fin, opcode, payload, length } o null si falta información
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (payloadLength > MAX_PAYLOAD_BYTES) {
+        return { fin, opcode, payload: null, length: buffer.length, tooLarge: true };
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + payloadLength) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + payloadLength));
+    if (masked) {
+        const mask = buffer.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+
+    return { fin, opcode, payload, length: offset + maskLength + payloadLength };
+}
+
+/**
+ * Compara tokens en tiempo constante
+ * @returns {boolean}
+ */
+function isSameToken(expected, received) {
+    if (typeof expected !== 'string' || typeof received !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Conexión WebSocket sobre un socket TCP ya actualizado
+ */
+class Connection {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+        this.closed = false;
+
+        this.participantId = null;
+        this.roomId = null;
+
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while ((frame = decodeFrame(this.buffer)) !== null) {
+            if (frame.tooLarge) {
+                this.close(1009, 'Mensaje demasiado grande');
+                return;
+            }
+
+            this.buffer = this.buffer.subarray(frame.length);
+            this.handleFrame(frame);
+            if (this.closed) return;
+        }
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.continuation:
+                // El límite vale para el mensaje completo, no sólo para cada frame
+                this.fragmentsLength += payload.length;
+                if (this.fragmentsLength > MAX_PAYLOAD_BYTES) {
+                    this.fragments = [];
+                    this.close(1009, 'Mensaje demasiado grande');
+                    return;
+                }
+                this.fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.onMessage(this, text);
+                }
+                break;
+            case OPCODES.ping:
+                this.socket.write(encodeFrame(OPCODES.pong, payload));
+                break;
+            case OPCODES.close:
+                this.close(1000);
+                break;
+            default:
+                // Frames binarios y pong se ignoran
+                break;
+        }
+    }
+
+    send(message) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message), 'utf8')));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(encodeFrame(OPCODES.close, payload));
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose(this);
+    }
+}
+
+/**
+ * Crea el relay de Planning Poker
+ * @param {Object} options - port, host y logger (opcionales)
+ * @returns {Object} { server, rooms, listen(), close() }
+ */
+function createPokerRelay(options = {}) {
+    const config = {
+        port: options.port ?? 8787,
+        host: options.host || '0.0.0.0',
+        logger: options.logger || console
+    };
+
+    const rooms = new Map();
+    // Conexiones abiertas, estén o no en una sala (el cierre del servidor las espera)
+    const connections = new Set();
+
+    const server = http.createServer((req, res) => {
+        if (req.url === '/health') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'ok', rooms: rooms.size }));
+            return;
+        }
+
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('Planning Poker relay: conecta por WebSocket');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        const connection = new Connection(socket, handleMessage, (closed) => {
+            connections.delete(closed);
+            handleClose(closed);
+        });
+        connections.add(connection);
+    });
+
+    /**
+     * Vista de la sala para un participante: los votos ajenos se ocultan hasta revelar
+     */
+    function getRoomView(room, viewerId) {
+        return {
+            id: room.id,
+            story: room.story,
+            revealed: room.revealed,
+            paused: room.paused,
+            round: room.round,
+            history: room.history,
+            facilitatorId: room.facilitatorId,
+            participants: Array.from(room.participants.values()).map(participant => ({
+                id: participant.id,
+                name: participant.name,
+                role: participant.role,
+                online: participant.connection !== null,
+                hasVoted: participant.vote !== null,
+                vote: room.revealed || participant.id === viewerId ? participant.vote : null
+            }))
+        };
+    }
+
+    function broadcastState(room) {
+        room.participants.forEach(participant => {
+            if (participant.connection) {
+                participant.connection.send({ type: 'state', room: getRoomView(room, participant.id) });
+            }
+        });
+    }
+
+    function broadcast(room, message) {
+        room.participants.forEach(participant => {
+            if (participant.connection) {
+                participant.connection.send(message);
+            }
+        });
+    }
+
+    function handleJoin(connection, message) {
+        const roomId = String(message.roomId || '').trim();
+        const name = String(message.name || '').trim().slice(0, 40);
+        const role = message.role === 'facilitator' ? 'facilitator' : 'participant';
+
+        if (!roomId || !name) {
+            connection.send({ type: 'error', message: 'Sala y nombre son obligatorios' });
+            return;
+        }
+
+        let room = rooms.get(roomId);
+        if (!room) {
+            if (role !== 'facilitator') {
+                connection.send({ type: 'error', message: `La sala ${roomId} no existe` });
+                return;
+            }
+            room = {
+                id: roomId,
+                facilitatorId: null,
+                story: null,
+                revealed: false,
+                paused: false,
+                round: 1,
+                history: [],
+                participants: new Map()
+            };
+            rooms.set(roomId, room);
+        }
+
+        // Reconexión: se reutiliza el participante y su voto sólo con su token secreto
+        // (los ids de los participantes los ve toda la sala)
+        let participant = message.participantId ? room.participants.get(message.participantId) : null;
+        if (participant && !isSameToken(participant.reconnectToken, message.reconnectToken)) {
+            connection.send({ type: 'error', message: 'No se puede recuperar ese participante: token de reconexión no válido' });
+            return;
+        }
+        if (!participant) {
+            participant = {
+                id: crypto.randomUUID(),
+                reconnectToken: crypto.randomBytes(24).toString('hex'),
+                name,
+                role,
+                vote: null,
+                connection: null
+            };
+            room.participants.set(participant.id, participant);
+        }
+        participant.name = name;
+        participant.connection = connection;
+
+        if (participant.role === 'facilitator' && !room.facilitatorId) {
+            room.facilitatorId = participant.id;
+        }
+
+        connection.participantId = participant.id;
+        connection.roomId = room.id;
+
+        // El token sólo viaja en la bienvenida de su dueño, nunca en el estado de la sala
+        connection.send({
+            type: 'welcome',
+            roomId: room.id,
+            participantId: participant.id,
+            reconnectToken: participant.reconnectToken,
+            role: participant.role
+        });
+        broadcastState(room);
+    }
+
+    function handleMessage(connection, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            connection.send({ type: 'error', message: 'Mensaje no válido' });
+            return;
+        }
+
+        if (message.type === 'join') {
+            handleJoin(connection, message);
+            return;
+        }
+
+        const room = rooms.get(connection.roomId);
+        const participant = room ? room.participants.get(connection.participantId) : null;
+        if (!participant) {
+            connection.send({ type: 'error', message: 'Únete a una sala antes de votar' });
+            return;
+        }
+
+        const isFacilitator = participant.id === room.facilitatorId;
+        const facilitatorOnly = ['reveal', 'reset', 'story', 'finalize', 'pause', 'flag'];
+        if (facilitatorOnly.includes(message.type) && !isFacilitator) {
+            connection.send({ type: 'error', message: 'Sólo el facilitador puede hacer esto' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'vote':
+                if (room.revealed) {
+                    connection.send({ type: 'error', message: 'Las cartas ya están reveladas' });
+                    return;
+                }
+                if (room.paused) {
+                    connection.send({ type: 'error', message: 'La sesión está en pausa' });
+                    return;
+                }
+                participant.vote = message.value === null || message.value === undefined
+                    ? null
+                    : String(message.value).slice(0, 8);
+                break;
+            case 'reveal':
+                if (room.revealed) return;
+                room.revealed = true;
+                // Historial de rondas por story para ver cómo converge el equipo
+                room.history.push({
+                    taskId: room.story ? room.story.taskId : null,
+                    title: room.story ? room.story.title : null,
+                    round: room.round,
+                    votes: Array.from(room.participants.values())
+                        .filter(member => member.vote !== null)
+                        .map(member => ({ member: member.name, vote: member.vote })),
+                    at: new Date().toISOString()
+                });
+                if (room.history.length > MAX_HISTORY_ROUNDS) {
+                    room.history.shift();
+                }
+                break;
+            case 'pause':
+                room.paused = Boolean(message.paused);
+                break;
+            case 'reset':
+                room.revealed = false;
+                room.round += 1;
+                room.participants.forEach(member => {
+                    member.vote = null;
+                });
+                break;
+            case 'story':
+                room.story = message.story ? {
+                    taskId: message.story.taskId || null,
+                    title: String(message.story.title || '').slice(0, 200)
+                } : null;
+                room.revealed = false;
+                room.round = 1;
+                room.participants.forEach(member => {
+                    member.vote = null;
+                });
+                break;
+            case 'flag':
+                broadcast(room, {
+                    type: 'flag',
+                    story: room.story,
+                    taskId: room.story ? room.story.taskId : null,
+                    flag: String(message.flag || '').slice(0, 30)
+                });
+                return;
+            case 'finalize':
+                broadcast(room, {
+                    type: 'estimate',
+                    story: room.story,
+                    taskId: room.story ? room.story.taskId : null,
+                    value: message.value
+                });
+                return;
+            default:
+                connection.send({ type: 'error', message: `Tipo de mensaje desconocido: ${message.type}` });
+                return;
+        }
+
+        broadcastState(room);
+    }
+
+    function handleClose(connection) {
+        const room = rooms.get(connection.roomId);
+        if (!room) return;
+
+        const participant = room.participants.get(connection.participantId);
+        if (participant && participant.connection === connection) {
+            participant.connection = null;
+        }
+
+        const anyoneOnline = Array.from(room.participants.values()).some(member => member.connection !== null);
+        if (anyoneOnline) {
+            broadcastState(room);
+        } else {
+            rooms.delete(room.id);
+        }
+    }
+
+    return {
+        server,
+        rooms,
+        listen() {
+            return new Promise(resolve => {
+                server.listen(config.port, config.host, () => {
+                    const { port } = server.address();
+                    config.logger.log(`Planning Poker relay escuchando en ws://${config.host}:${port}`);
+                    resolve(port);
+                });
+            });
+        },
+        close() {
+            return new Promise(resolve => {
+                server.close(() => resolve());
+                connections.forEach(connection => {
+                    connection.close(1001, 'Servidor detenido');
+                    connection.socket.destroySoon();
+                });
+                rooms.clear();
+            });
+        }
+    };
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.POKER_PORT || '8787', 10);
+    createPokerRelay({ port }).listen();
+}
+
+module.exports = { createPokerRelay, encodeFrame, decodeFrame };
@@ -0,0 +1,513 @@
+/**
+ * Team Server - API REST para compartir boards, sprints y estimaciones
+ * server/team_server.js
+ *
+ * Sin dependencias: sólo módulos nativos de Node (http, fs, path, crypto).
+ * Uso: node server/team_server.js [puerto]   (por defecto 8790 o TEAM_PORT)
+ *
+ * Los datos se guardan como ficheros JSON en TEAM_DATA_DIR (por defecto
+ * server/data). Cada documento lleva una revisión: un PUT con una revisión
+ * antigua responde 409 para que el cliente no pise cambios de otro miembro.
+ * Con TEAM_TOKEN definido, todas las peticiones necesitan
+ * "Authorization: Bearer <token>".
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,80}$/;
+const COLLECTIONS = ['boards', 'wsjf', 'poker'];
+
+/**
+ * Error con código HTTP
+ */
+class HttpError extends Error {
+    constructor(status, message, details = null) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Almacén de documentos JSON en disco: <dir>/<colección>/<id>.json
+ */
+class FileStore {
+    constructor(directory) {
+        this.directory = directory;
+        // Escrituras encadenadas por documento: nunca dos a la vez sobre el mismo fichero
+        this.queues = new Map();
+    }
+
+    filePath(collection, id) {
+        if (!COLLECTIONS.includes(collection) || !ID_PATTERN.test(id)) {
+            throw new HttpError(400, 'Identificador no válido');
+        }
+        return path.join(this.directory, collection, `${id}.json`);
+    }
+
+    async get(collection, id) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(collection, id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async list(collection) {
+        const directory = path.join(this.directory, collection);
+        let files;
+        try {
+            files = await fs.promises.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const documents = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.get(collection, path.basename(file, '.json'))));
+        return documents.filter(Boolean);
+    }
+
+    /**
+     * Guarda un documento. Con expectedRevision, sólo si nadie lo ha cambiado antes
+     * (0: sólo si aún no existe)
+     * @param {Function} update - (documento actual | null) => { version?, data }
+     * @returns {Promise<Object>} Documento guardado con su nueva revisión
+     */
+    write(collection, id, update, expectedRevision = null) {
+        const file = this.filePath(collection, id);
+        const previous = this.queues.get(file) || Promise.resolve();
+
+        const next = previous.catch(() => {}).then(async () => {
+            const current = await this.get(collection, id);
+            if (expectedRevision === 0 && current) {
+                throw new HttpError(409, `Ya existe ${collection}/${id}`);
+            }
+            if (expectedRevision !== null && current && current.revision !== expectedRevision) {
+                throw new HttpError(409, 'El documento ha cambiado en el servidor', current);
+            }
+
+            const { version, data } = await update(current);
+            const document = {
+                id,
+                revision: (current ? current.revision : 0) + 1,
+                version: version ?? (current ? current.version : 1),
+                updatedAt: new Date().toISOString(),
+                data
+            };
+
+            // Escritura atómica: fichero temporal + rename
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            const temporary = `${file}.${crypto.randomUUID()}.tmp`;
+            await fs.promises.writeFile(temporary, JSON.stringify(document));
+            if (expectedRevision === 0) {
+                await this.publishNew(temporary, file, collection, id);
+            } else {
+                await fs.promises.rename(temporary, file);
+            }
+            return document;
+        });
+
+        this.queues.set(file, next);
+        next.catch(() => {}).then(() => {
+            if (this.queues.get(file) === next) this.queues.delete(file);
+        });
+        return next;
+    }
+
+    /**
+     * Publica un documento nuevo sin pisar otro creado entretanto (otro proceso
+     * sobre el mismo directorio): link falla con EEXIST si el fichero ya existe
+     */
+    async publishNew(temporary, file, collection, id) {
+        try {
+            await fs.promises.link(temporary, file);
+        } catch (error) {
+            if (error.code === 'EEXIST') throw new HttpError(409, `Ya existe ${collection}/${id}`);
+            throw error;
+        } finally {
+            await fs.promises.unlink(temporary).catch(() => {});
+        }
+    }
+
+    async remove(collection, id) {
+        try {
+            await fs.promises.unlink(this.filePath(collection, id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+}
+
+/**
+ * Lee el cuerpo JSON de la petición
+ */
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Se descarta el resto sin cortar el socket: el cliente tiene que
+                // recibir el 413 (el servidor cierra la conexión tras enviarlo)
+                req.removeListener('data', onData);
+                req.resume();
+                chunks.length = 0;
+                reject(new HttpError(413, 'Documento demasiado grande'));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => {
+            if (size > MAX_BODY_BYTES) return;
+            if (chunks.length === 0) {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, 'JSON no válido'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Items del board (Sprint Backlog y Product Backlog)
+ */
+function getBoardItems(board) {
+    return [
+        ...(board.tasks || []).map(item => ({ ...item, location: 'sprint' })),
+        ...(board.productBacklog || []).map(item => ({ ...item, location: 'backlog' }))
+    ];
+}
+
+/**
+ * Comprueba "Authorization: Bearer <token>" en tiempo constante
+ */
+function isAuthorized(header, token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const received = Buffer.from(String(header || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Segmento de la ruta decodificado: un %-escape mal formado es un 400, no un 500
+ */
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw new HttpError(400, 'Ruta mal codificada');
+    }
+}
+
+function emptyBoard() {
+    return { tasks: [], productBacklog: [], sprintHistory: [], currentSprint: null, schemaVersion: 2 };
+}
+
+/**
+ * Crea el servidor del equipo
+ * @param {Object} options - port, host, dataDir, token, corsOrigin y logger (opcionales)
+ * @returns {Object} { server, store, listen(), close() }
+ */
+function createTeamServer(options = {}) {
+    const config = {
+        port: options.port ?? 8790,
+        host: options.host || '0.0.0.0',
+        dataDir: options.dataDir || path.join(__dirname, 'data'),
+        token: options.token || null,
+        corsOrigin: options.corsOrigin || '*',
+        logger: options.logger || console
+    };
+
+    const store = new FileStore(config.dataDir);
+
+    /**
+     * Revisión esperada: cabecera If-Match o campo revision del cuerpo
+     */
+    function expectedRevision(req, body) {
+        const header = req.headers['if-match'];
+        const revision = header !== undefined ? parseInt(String(header).replace(/"/g, ''), 10) : body.revision;
+        return Number.isInteger(revision) ? revision : null;
+    }
+
+    async function getOrFail(collection, id) {
+        const document = await store.get(collection, id);
+        if (!document) throw new HttpError(404, `No existe ${collection}/${id}`);
+        return document;
+    }
+
+    /**
+     * Cambia un board leyendo y escribiendo el documento completo
+     */
+    function updateBoard(boardId, change) {
+        return store.write('boards', boardId, async (current) => {
+            if (!current) throw new HttpError(404, `No existe boards/${boardId}`);
+            const board = current.data;
+            change(board);
+            board.lastSaved = new Date().toISOString();
+            return { data: board };
+        });
+    }
+
+    /**
+     * Documentos completos: GET, PUT y DELETE de /api/<colección>/<id>
+     */
+    async function handleDocument(req, collection, id) {
+        if (req.method === 'GET') {
+            return { status: 200, body: await getOrFail(collection, id) };
+        }
+        if (req.method === 'PUT') {
+            const body = await readJson(req);
+            if (body.data === undefined) throw new HttpError(400, 'Falta data');
+            const document = await store.write(collection, id, () => ({
+                version: Number.isInteger(body.version) ? body.version : undefined,
+                data: body.data
+            }), expectedRevision(req, body));
+            return { status: 200, body: document };
+        }
+        if (req.method === 'DELETE') {
+            if (!await store.remove(collection, id)) throw new HttpError(404, `No existe ${collection}/${id}`);
+            return { status: 204 };
+        }
+        throw new HttpError(405, 'Método no permitido');
+    }
+
+    async function handleTasks(req, boardId, taskId) {
+        if (!taskId) {
+            if (req.method === 'GET') {
+                const board = await getOrFail('boards', boardId);
+                return { status: 200, body: getBoardItems(board.data) };
+            }
+            if (req.method === 'POST') {
+                const { location, ...body } = await readJson(req);
+                if (!body.title) throw new HttpError(400, 'La tarea necesita title');
+                // El destino va explícito: 'backlog' también es la primera columna del sprint
+                if (location !== undefined && !['sprint', 'backlog'].includes(location)) {
+                    throw new HttpError(400, 'location debe ser sprint o backlog');
+                }
+                const inSprint = location === 'sprint' || (location === undefined && Boolean(body.sprintId));
+
+                const now = new Date().toISOString();
+                const task = {
+                    type: 'story',
+                    parentId: null,
+                    tags: [],
+                    ...body,
+                    id: body.id && ID_PATTERN.test(body.id) ? body.id : `task-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+                    status: body.status || 'backlog',
+                    createdAt: now,
+                    updatedAt: now
+                };
+                await updateBoard(boardId, (board) => {
+                    if (!inSprint) {
+                        task.sprintId = null;
+                        board.productBacklog.push(task);
+                        return;
+                    }
+                    if (!board.currentSprint || (body.sprintId && body.sprintId !== board.currentSprint.id)) {
+                        throw new HttpError(409, 'No hay un sprint activo con ese sprintId');
+                    }
+                    task.sprintId = board.currentSprint.id;
+                    board.tasks.push(task);
+                });
+                return { status: 201, body: { ...task, location: inSprint ? 'sprint' : 'backlog' } };
+            }
+            throw new HttpError(405, 'Método no permitido');
+        }
+
+        if (req.method === 'GET') {
+            const board = await getOrFail('boards', boardId);
+            const task = getBoardItems(board.data).find(item => item.id === taskId);
+            if (!task) throw new HttpError(404, `No existe la tarea ${taskId}`);
+            return { status: 200, body: task };
+        }
+        if (req.method === 'PATCH' || req.method === 'DELETE') {
+            const body = req.method === 'PATCH' ? await readJson(req) : {};
+            let found = null;
+
+            await updateBoard(boardId, (board) => {
+                for (const list of [board.tasks, board.productBacklog]) {
+                    const index = list.findIndex(item => item.id === taskId);
+                    if (index === -1) continue;
+
+                    if (req.method === 'DELETE') {
+                        found = list.splice(index, 1)[0];
+                    } else {
+                        const { id, createdAt, ...changes } = body;
+                        found = Object.assign(list[index], changes, { updatedAt: new Date().toISOString() });
+                    }
+                    return;
+                }
+                throw new HttpError(404, `No existe la tarea ${taskId}`);
+            });
+            return req.method === 'DELETE' ? { status: 204 } : { status: 200, body: found };
+        }
+        throw new HttpError(405, 'Método no permitido');
+    }
+
+    async function handleSprints(req, boardId, sprintId) {
+        if (req.method !== 'GET') throw new HttpError(405, 'Método no permitido');
+
+        const board = (await getOrFail('boards', boardId)).data;
+        const sprints = [
+            ...(board.currentSprint ? [{ ...board.currentSprint, tasks: board.tasks || [] }] : []),
+            ...(board.sprintHistory || [])
+        ];
+        if (!sprintId) return { status: 200, body: sprints };
+
+        const sprint = sprints.find(candidate => candidate.id === sprintId);
+        if (!sprint) throw new HttpError(404, `No existe el sprint ${sprintId}`);
+        return { status: 200, body: sprint };
+    }
+
+    /**
+     * Añade un elemento a la lista de un documento (cálculos WSJF, rondas de poker)
+     */
+    async function appendToDocument(req, collection, id, listName, defaults) {
+        if (req.method !== 'POST') throw new HttpError(405, 'Método no permitido');
+
+        const body = await readJson(req);
+        const entry = { id: body.id || crypto.randomUUID(), ...body, createdAt: new Date().toISOString() };
+        const document = await store.write(collection, id, (current) => {
+            const data = current ? current.data : defaults();
+            data[listName] = [...(data[listName] || []), entry];
+            return { data };
+        });
+        return { status: 201, body: { revision: document.revision, entry } };
+    }
+
+    async function route(req, segments) {
+        const [api, collection, id, child, childId] = segments;
+        if (api !== 'api') throw new HttpError(404, 'Ruta no encontrada');
+
+        if (collection === 'health' && segments.length === 2) {
+            return { status: 200, body: { status: 'ok' } };
+        }
+        if (!COLLECTIONS.includes(collection)) throw new HttpError(404, 'Ruta no encontrada');
+
+        if (!id) {
+            if (req.method === 'GET') {
+                const documents = await store.list(collection);
+                return {
+                    status: 200,
+                    body: documents.map(({ id: documentId, revision, updatedAt }) => ({ id: documentId, revision, updatedAt }))
+                };
+            }
+            if (req.method === 'POST') {
+                const body = await readJson(req);
+                const documentId = body.id && ID_PATTERN.test(body.id) ? body.id : crypto.randomUUID();
+                const data = body.data ?? (collection === 'boards' ? emptyBoard() : {});
+                const document = await store.write(collection, documentId, () => ({ version: body.version, data }), 0);
+                return { status: 201, body: document };
+            }
+            throw new HttpError(405, 'Método no permitido');
+        }
+
+        if (!ID_PATTERN.test(id)) throw new HttpError(400, 'Identificador no válido');
+
+        if (!child) return handleDocument(req, collection, id);
+
+        if (collection === 'boards' && child === 'tasks' && segments.length <= 5) return handleTasks(req, id, childId);
+        if (collection === 'boards' && child === 'sprints' && segments.length <= 5) return handleSprints(req, id, childId);
+        if (collection === 'wsjf' && child === 'calculations' && !childId) {
+            return appendToDocument(req, 'wsjf', id, 'history', () => ({ history: [] }));
+        }
+        if (collection === 'poker' && child === 'rounds' && !childId) {
+            return appendToDocument(req, 'poker', id, 'rounds', () => ({ rounds: [] }));
+        }
+        throw new HttpError(404, 'Ruta no encontrada');
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const headers = {
+            'Access-Control-Allow-Origin': config.corsOrigin,
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+            'Access-Control-Expose-Headers': 'ETag'
+        };
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, headers);
+            res.end();
+            return;
+        }
+
+        try {
+            if (config.token && !isAuthorized(req.headers.authorization, config.token)) {
+                throw new HttpError(401, 'Token no válido');
+            }
+
+            const { pathname } = new URL(req.url, 'http://localhost');
+            const segments = pathname.split('/').filter(Boolean).map(decodeSegment);
+            const { status, body } = await route(req, segments);
+
+            if (body && body.revision !== undefined) headers.ETag = `"${body.revision}"`;
+            if (body === undefined) {
+                res.writeHead(status, headers);
+                res.end();
+                return;
+            }
+            res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) config.logger.error('Team server:', error);
+
+            // Con el cuerpo sin leer, la conexión no se reutiliza: se cierra una vez enviado el error
+            if (!req.complete) {
+                headers.Connection = 'close';
+                res.on('finish', () => req.socket.destroy());
+            }
+            res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                error: status === 500 ? 'Error interno' : error.message,
+                ...(error.details ? { current: error.details } : {})
+            }));
+        }
+    });
+
+    return {
+        server,
+        store,
+        listen() {
+            return new Promise(resolve => {
+                server.listen(config.port, config.host, () => {
+                    const { port } = server.address();
+                    config.logger.log(`Team server escuchando en http://${config.host}:${port} (datos en ${config.dataDir})`);
+                    resolve(port);
+                });
+            });
+        },
+        close() {
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.TEAM_PORT || '8790', 10);
+    createTeamServer({
+        port,
+        dataDir: process.env.TEAM_DATA_DIR,
+        token: process.env.TEAM_TOKEN,
+        corsOrigin: process.env.TEAM_CORS_ORIGIN
+    }).listen();
+}
+
+module.exports = { createTeamServer, FileStore, HttpError };
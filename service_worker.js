@@ -4,8 +4,8 @@
  */
 
 const CACHE_NAME = 'scrum-guide-v1.0.0';
-const STATIC_CACHE = 'scrum-guide-static-v1';
-const DYNAMIC_CACHE = 'scrum-guide-dynamic-v1';
+const STATIC_CACHE = 'scrum-guide-static-v2';
+const DYNAMIC_CACHE = 'scrum-guide-dynamic-v2';
 
 // Files to cache immediately
 const STATIC_FILES = [
@@ -90,6 +90,11 @@ self.addEventListener('fetch', (event) => {
         return;
     }
     
+    // Skip team server API: a synthetic offline 404 would read as "document not found"
+    if (url.pathname.startsWith('/api/')) {
+        return;
+    }
+    
     event.respondWith(
         handleRequest(request)
     );
@@ -321,15 +326,101 @@ function createOfflinePage() {
     });
 }
 
-// Background sync for analytics and data
+// Offline edits outbox (same database as assets/js/sync_outbox.js)
+const OUTBOX_DB = 'scrum-guide-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_SYNC_TAG = 'outbox-sync';
+
+// Background sync for data edited offline
 self.addEventListener('sync', (event) => {
-    if (event.tag === 'analytics-sync') {
-        event.waitUntil(syncAnalytics());
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(replayOutbox());
     }
 });
 
-async function syncAnalytics() {
-    // Sync any queued analytics data when back online
+/**
+ * Replay queued edits to the team server.
+ * Throwing on network errors makes the browser retry the sync later.
+ */
+async function replayOutbox() {
+    const db = await openOutbox();
+    const sent = new Set();
+
+    // Re-read the queue each time: a page may queue a newer state while we send
+    for (;;) {
+        const entries = await outboxRequest(db, 'readonly', store => store.getAll());
+        const entry = entries.find(candidate =>
+            candidate.status === 'pending' && !sent.has(`${candidate.url}#${candidate.sequence}`));
+        if (!entry) break;
+        sent.add(`${entry.url}#${entry.sequence}`);
+
+        const response = await fetch(entry.url, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(entry.token ? { Authorization: `Bearer ${entry.token}` } : {}),
+                ...(entry.baseRevision !== null && entry.baseRevision !== undefined
+                    ? { 'If-Match': `"${entry.baseRevision}"` }
+                    : {})
+            },
+            body: entry.body
+        });
+        const body = await response.json().catch(() => ({}));
+        const current = await outboxRequest(db, 'readonly', store => store.get(entry.url)) || entry;
+
+        if (response.ok) {
+            if (current.sequence !== entry.sequence) {
+                // The newer state already includes the one just sent
+                await outboxRequest(db, 'readwrite', store => store.put({
+                    ...current, baseRevision: body.revision, status: 'pending', server: null
+                }));
+            } else {
+                await outboxRequest(db, 'readwrite', store => store.delete(entry.url));
+            }
+            await notifyClients({ status: 'synced', url: entry.url, revision: body.revision });
+        } else if (response.status === 409) {
+            // Someone changed the document meanwhile: keep both versions for the user to choose
+            await outboxRequest(db, 'readwrite', store => store.put({
+                ...current, status: 'conflict', server: body.current || null
+            }));
+            await notifyClients({ status: 'conflict', url: entry.url });
+        } else {
+            const error = body.error || `Error ${response.status} del servidor`;
+            await outboxRequest(db, 'readwrite', store => store.put({ ...current, status: 'error', error }));
+            await notifyClients({ status: 'error', url: entry.url, error });
+        }
+    }
+}
+
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB, OUTBOX_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('outbox')) db.createObjectStore('outbox', { keyPath: 'url' });
+            if (!db.objectStoreNames.contains('snapshots')) db.createObjectStore('snapshots', { keyPath: 'url' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function outboxRequest(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('outbox', mode);
+        const request = operation(tx.objectStore('outbox'));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Tell open pages (SyncOutbox relays it as 'syncoutbox:change')
+ */
+async function notifyClients(detail) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach(client => client.postMessage({ type: 'outbox', ...detail }));
 }
 
 // Push notifications (future feature)
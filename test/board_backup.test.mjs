@@ -0,0 +1,53 @@
+/**
+ * Tests de la importación de copias del board (assets/js/board_backup.js)
+ * Uso: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import BoardBackup from '../assets/js/board_backup.js';
+
+const board = (extra = {}) => ({
+    format: 'scrum-guide-board',
+    schemaVersion: 2,
+    tasks: [{ id: 'a', title: 'Login', status: 'progress' }],
+    productBacklog: [],
+    ...extra
+});
+
+test('los límites WIP se validan y viajan con la copia', () => {
+    assert.deepStrictEqual(BoardBackup.validate(board({ wipLimits: { progress: 3, review: { limit: 8, unit: 'points' } } })), []);
+
+    const errors = BoardBackup.validate(board({ wipLimits: { progress: { limit: -1, mode: 'strict' } } }));
+    assert.deepStrictEqual(errors, [
+        'board.wipLimits.progress.limit: debe ser un número ≥ 0',
+        'board.wipLimits.progress.mode: valor no permitido "strict"'
+    ]);
+    assert.strictEqual(BoardBackup.validate(board({ wipLimits: { progress: 'tres' } })).length, 1);
+
+    const replaced = BoardBackup.replace(board({ wipLimits: { progress: { limit: 3, mode: 'hard' } } }));
+    assert.deepStrictEqual(replaced.wipLimits, { progress: { limit: 3, unit: 'items', mode: 'hard' } });
+    assert.deepStrictEqual(BoardBackup.replace(board()).wipLimits, {});
+});
+
+test('fusionar una copia conserva los límites WIP del board', () => {
+    const current = {
+        tasks: [],
+        productBacklog: [],
+        sprintHistory: [],
+        currentSprint: null,
+        wipLimits: { review: { limit: 2, unit: 'items', mode: 'soft' } }
+    };
+    const merged = BoardBackup.merge(current, board({ wipLimits: { progress: 3 } }));
+    assert.deepStrictEqual(merged.wipLimits, current.wipLimits);
+});
+
+test('un estado que no es una columna del board invalida la copia', () => {
+    const columns = [{ id: 'backlog', title: 'Backlog' }, { id: 'progress', title: 'En curso' }];
+    const backup = board({ productBacklog: [{ id: 'b', title: 'Logout', status: 'qa' }] });
+
+    assert.deepStrictEqual(BoardBackup.validate(backup, columns), ['b: el estado "qa" no es una columna del board']);
+    assert.deepStrictEqual(BoardBackup.validate({ ...backup, columns }), ['b: el estado "qa" no es una columna del board']);
+    // Las copias antiguas no llevan columnas: sin ellas no se comprueban los estados
+    assert.deepStrictEqual(BoardBackup.validate(backup), []);
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests del relay de Planning Poker (server/poker_relay.js)
+ * Uso: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { createPokerRelay, encodeFrame, decodeFrame } = require('../server/poker_relay.js');
+
+/**
+ * Cliente WebSocket mínimo: frames de texto y cola de mensajes recibidos
+ */
+function connectClient(port) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            port,
+            host: '127.0.0.1',
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        req.on('error', reject);
+        req.on('upgrade', (res, socket) => {
+            let buffer = Buffer.alloc(0);
+            const messages = [];
+            const waiters = [];
+            const client = {
+                socket,
+                closeCode: null,
+                send(message) {
+                    socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+                },
+                // Siguiente mensaje del tipo pedido (descarta los anteriores de otros tipos)
+                next(type) {
+                    return new Promise((resolveNext, rejectNext) => {
+                        const waiter = { type, resolve: resolveNext };
+                        waiter.timer = setTimeout(() => rejectNext(new Error(`Sin mensaje ${type}`)), 2000);
+                        waiters.push(waiter);
+                        flush();
+                    });
+                },
+                closed: new Promise(resolveClosed => socket.on('close', resolveClosed)),
+                end() {
+                    socket.destroy();
+                }
+            };
+            const flush = () => {
+                while (waiters.length > 0 && messages.length > 0) {
+                    const message = messages.shift();
+                    if (message.type === waiters[0].type) {
+                        const waiter = waiters.shift();
+                        clearTimeout(waiter.timer);
+                        waiter.resolve(message);
+                    }
+                }
+            };
+            socket.on('data', (chunk) => {
+                buffer = Buffer.concat([buffer, chunk]);
+                let frame;
+                while ((frame = decodeFrame(buffer)) !== null) {
+                    buffer = buffer.subarray(frame.length);
+                    if (frame.opcode === 0x8) {
+                        client.closeCode = frame.payload.readUInt16BE(0);
+                    } else if (frame.opcode === 0x1) {
+                        messages.push(JSON.parse(frame.payload.toString('utf8')));
+                    }
+                }
+                flush();
+            });
+            resolve(client);
+        });
+        req.end();
+    });
+}
+
+async function withRelay(run) {
+    const relay = createPokerRelay({ port: 0, host: '127.0.0.1', logger: { log() {} } });
+    const port = await relay.listen();
+    const clients = [];
+    try {
+        await run({
+            relay,
+            connect: async () => {
+                const client = await connectClient(port);
+                clients.push(client);
+                return client;
+            }
+        });
+    } finally {
+        clients.forEach(client => client.end());
+        await relay.close();
+    }
+}
+
+async function join(client, message) {
+    client.send({ type: 'join', ...message });
+    return client.next('welcome');
+}
+
+test('join: el facilitador crea la sala y los participantes entran', async () => {
+    await withRelay(async ({ connect }) => {
+        const facilitator = await connect();
+        const welcome = await join(facilitator, { roomId: 'ABC123', name: 'Ana', role: 'facilitator' });
+        assert.strictEqual(welcome.role, 'facilitator');
+        assert.ok(welcome.reconnectToken);
+
+        const member = await connect();
+        await join(member, { roomId: 'ABC123', name: 'Luis' });
+        const state = await member.next('state');
+        assert.strictEqual(state.room.facilitatorId, welcome.participantId);
+        assert.strictEqual(state.room.participants.length, 2);
+        // El token de reconexión nunca se envía en el estado de la sala
+        assert.ok(!JSON.stringify(state).includes(welcome.reconnectToken));
+
+        const stranger = await connect();
+        stranger.send({ type: 'join', roomId: 'NOPE', name: 'Eva' });
+        assert.match((await stranger.next('error')).message, /no existe/);
+    });
+});
+
+test('reveal: los votos se ocultan hasta que el facilitador los revela', async () => {
+    await withRelay(async ({ connect }) => {
+        const facilitator = await connect();
+        await join(facilitator, { roomId: 'R1', name: 'Ana', role: 'facilitator' });
+        const member = await connect();
+        const memberWelcome = await join(member, { roomId: 'R1', name: 'Luis' });
+
+        member.send({ type: 'vote', value: 5 });
+        let state;
+        do {
+            state = await facilitator.next('state');
+        } while (!state.room.participants.some(participant => participant.hasVoted));
+        const vote = (room) => room.participants.find(participant => participant.id === memberWelcome.participantId).vote;
+        assert.strictEqual(vote(state.room), null);
+
+        member.send({ type: 'reveal' });
+        assert.match((await member.next('error')).message, /facilitador/);
+
+        facilitator.send({ type: 'reveal' });
+        do {
+            state = await facilitator.next('state');
+        } while (!state.room.revealed);
+        assert.strictEqual(vote(state.room), '5');
+        assert.strictEqual(state.room.history.length, 1);
+    });
+});
+
+test('reconnect: sólo con el token se recupera la identidad y el voto', async () => {
+    await withRelay(async ({ connect }) => {
+        const facilitator = await connect();
+        const owner = await join(facilitator, { roomId: 'R2', name: 'Ana', role: 'facilitator' });
+        facilitator.send({ type: 'vote', value: 8 });
+        await facilitator.next('state');
+
+        // Otro miembro conoce el id del facilitador (va en el estado) pero no su token
+        const attacker = await connect();
+        attacker.send({ type: 'join', roomId: 'R2', name: 'Mallory', participantId: owner.participantId });
+        assert.match((await attacker.next('error')).message, /token/);
+        attacker.send({ type: 'join', roomId: 'R2', name: 'Mallory', participantId: owner.participantId, reconnectToken: 'x'.repeat(48) });
+        assert.match((await attacker.next('error')).message, /token/);
+
+        facilitator.end();
+        const back = await connect();
+        const welcome = await join(back, {
+            roomId: 'R2',
+            name: 'Ana',
+            participantId: owner.participantId,
+            reconnectToken: owner.reconnectToken
+        });
+        assert.strictEqual(welcome.participantId, owner.participantId);
+        assert.strictEqual(welcome.role, 'facilitator');
+        const state = await back.next('state');
+        const me = state.room.participants.find(participant => participant.id === owner.participantId);
+        assert.strictEqual(me.vote, '8');
+        assert.strictEqual(me.online, true);
+    });
+});
+
+test('fragmentos: un mensaje troceado que supera el límite cierra con 1009', async () => {
+    await withRelay(async ({ connect }) => {
+        const client = await connect();
+        const chunk = Buffer.alloc(40 * 1024, 'a');
+        // Frames sin FIN: cada uno cabe en el límite, el mensaje completo no
+        const first = encodeFrame(0x1, chunk);
+        first[0] &= 0x7F;
+        const second = encodeFrame(0x0, chunk);
+        second[0] &= 0x7F;
+        client.socket.write(Buffer.concat([first, second]));
+
+        await client.closed;
+        assert.strictEqual(client.closeCode, 1009);
+    });
+});
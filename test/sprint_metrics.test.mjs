@@ -0,0 +1,68 @@
+/**
+ * Tests del burndown con cambios de alcance (assets/js/sprint_metrics.js)
+ * Uso: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import SprintMetrics from '../assets/js/sprint_metrics.js';
+
+// Sprint de lunes 2 a viernes 6 de marzo de 2026
+const sprint = { startDate: '2026-03-02', endDate: '2026-03-06', committedSP: 13 };
+const at = (day, hour) => new Date(2026, 2, day, hour).toISOString();
+
+const doneOnMonday = (storyPoints) => ({
+    id: 'a',
+    title: 'Login',
+    storyPoints,
+    status: 'done',
+    transitions: [
+        { from: null, to: 'backlog', at: at(2, 0) },
+        { from: 'backlog', to: 'done', at: at(2, 10) }
+    ]
+});
+const pending = { id: 'b', title: 'Logout', storyPoints: 8, status: 'backlog', createdAt: at(2, 0) };
+
+test('burndown: quitar una tarea terminada no cambia el trabajo restante', () => {
+    const { actual } = SprintMetrics.computeBurndown({
+        sprint: {
+            ...sprint,
+            scopeChanges: [{ type: 'removed', taskId: 'a', title: 'Login', delta: -5, completedAt: at(2, 10), at: at(3, 12) }]
+        },
+        tasks: [pending],
+        doneColumnId: 'done',
+        now: new Date(2026, 2, 4, 12)
+    });
+
+    // Inicio, lunes, martes (se quita) y miércoles: lo pendiente sigue siendo 8
+    assert.deepStrictEqual(actual, [13, 8, 8, 8]);
+});
+
+test('burndown: cambiar los SP de una tarea terminada sube el total pero no lo restante', () => {
+    const { actual } = SprintMetrics.computeBurndown({
+        sprint: {
+            ...sprint,
+            scopeChanges: [{ type: 'changed', taskId: 'a', title: 'Login', delta: 3, completedAt: at(2, 10), at: at(3, 12) }]
+        },
+        tasks: [doneOnMonday(8), pending],
+        doneColumnId: 'done',
+        now: new Date(2026, 2, 4, 12)
+    });
+
+    assert.deepStrictEqual(actual, [13, 8, 8, 8]);
+});
+
+test('burndown: quitar una tarea pendiente baja lo restante desde ese día', () => {
+    const { actual, scopeChanges } = SprintMetrics.computeBurndown({
+        sprint: {
+            ...sprint,
+            scopeChanges: [{ type: 'removed', taskId: 'b', title: 'Logout', delta: -8, completedAt: null, at: at(3, 12) }]
+        },
+        tasks: [doneOnMonday(5)],
+        doneColumnId: 'done',
+        now: new Date(2026, 2, 4, 12)
+    });
+
+    assert.deepStrictEqual(actual, [13, 8, 0, 0]);
+    assert.deepStrictEqual(scopeChanges.map(marker => [marker.index, marker.delta]), [[2, -8]]);
+});
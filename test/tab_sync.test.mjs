@@ -0,0 +1,47 @@
+/**
+ * Tests de la fusión campo a campo (assets/js/tab_sync.js)
+ * Uso: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import TabSync from '../assets/js/tab_sync.js';
+
+const shape = { collections: ['tasks', 'productBacklog'], fields: ['sprintName'] };
+
+test('merge: los cambios locales se reaplican sobre la versión remota', () => {
+    const base = {
+        sprintName: 'Sprint 1',
+        tasks: [{ id: 'a', title: 'Login', status: 'backlog' }, { id: 'b', title: 'Logout', status: 'backlog' }],
+        productBacklog: [{ id: 'c', title: 'Informe', storyPoints: 3 }]
+    };
+    // Local: mueve "a", borra "c" y crea "d"
+    const local = {
+        sprintName: 'Sprint 1',
+        tasks: [{ id: 'a', title: 'Login', status: 'progress' }, { id: 'b', title: 'Logout', status: 'backlog' }, { id: 'd', title: 'Nuevo' }],
+        productBacklog: []
+    };
+    // Remoto: renombra "a", edita "c" y cambia el nombre del sprint
+    const remote = {
+        sprintName: 'Sprint 1 · Pagos',
+        tasks: [{ id: 'a', title: 'Login con SSO', status: 'backlog' }, { id: 'b', title: 'Logout', status: 'review' }],
+        productBacklog: [{ id: 'c', title: 'Informe', storyPoints: 5 }]
+    };
+
+    const merged = TabSync.merge(base, local, remote, shape);
+    assert.strictEqual(merged.sprintName, 'Sprint 1 · Pagos');
+    assert.deepStrictEqual(merged.tasks, [
+        { id: 'a', title: 'Login con SSO', status: 'progress' },
+        { id: 'b', title: 'Logout', status: 'review' },
+        { id: 'd', title: 'Nuevo' }
+    ]);
+    assert.deepStrictEqual(merged.productBacklog, []);
+});
+
+test('merge: en un campo que cambiaron los dos gana el local', () => {
+    const base = { sprintName: 'A', tasks: [{ id: 'a', status: 'backlog' }], productBacklog: [] };
+    const local = { sprintName: 'A', tasks: [{ id: 'a', status: 'done' }], productBacklog: [] };
+    const remote = { sprintName: 'A', tasks: [{ id: 'a', status: 'review' }], productBacklog: [] };
+
+    assert.strictEqual(TabSync.merge(base, local, remote, shape).tasks[0].status, 'done');
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests del servidor del equipo (server/team_server.js)
+ * Uso: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTeamServer, FileStore } = require('../server/team_server.js');
+
+/**
+ * Arranca un servidor sobre un directorio temporal y devuelve un cliente fetch
+ */
+async function withServer(run, options = {}) {
+    const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'team-server-'));
+    const team = createTeamServer({ port: 0, host: '127.0.0.1', dataDir, logger: { log() {}, error() {} }, ...options });
+    const port = await team.listen();
+
+    const request = async (method, url, body, headers = {}) => {
+        const response = await fetch(`http://127.0.0.1:${port}${url}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    };
+
+    try {
+        await run({ request, dataDir });
+    } finally {
+        await team.close();
+        await fs.promises.rm(dataDir, { recursive: true, force: true });
+    }
+}
+
+test('POST /tasks: el destino sale de location o sprintId, no del status', async () => {
+    await withServer(async ({ request }) => {
+        const data = {
+            tasks: [],
+            productBacklog: [],
+            sprintHistory: [],
+            currentSprint: { id: 'sprint-1', name: 'Sprint 1' },
+            schemaVersion: 2
+        };
+        assert.strictEqual((await request('POST', '/api/boards', { id: 'alpha', data })).status, 201);
+
+        // 'backlog' es la primera columna del sprint: sin location va al Product Backlog
+        const backlogItem = await request('POST', '/api/boards/alpha/tasks', { title: 'Idea', status: 'backlog' });
+        assert.strictEqual(backlogItem.status, 201);
+        assert.strictEqual(backlogItem.body.location, 'backlog');
+
+        const sprintItem = await request('POST', '/api/boards/alpha/tasks', { title: 'Login', status: 'backlog', location: 'sprint' });
+        assert.strictEqual(sprintItem.body.location, 'sprint');
+        assert.strictEqual(sprintItem.body.sprintId, 'sprint-1');
+
+        const bySprintId = await request('POST', '/api/boards/alpha/tasks', { title: 'Logout', status: 'progress', sprintId: 'sprint-1' });
+        assert.strictEqual(bySprintId.body.location, 'sprint');
+
+        const board = (await request('GET', '/api/boards/alpha')).body.data;
+        assert.deepStrictEqual(board.productBacklog.map(item => item.title), ['Idea']);
+        assert.deepStrictEqual(board.tasks.map(item => item.title), ['Login', 'Logout']);
+        assert.ok(board.tasks.every(item => item.location === undefined));
+
+        assert.strictEqual((await request('POST', '/api/boards/alpha/tasks', { title: 'X', sprintId: 'sprint-9' })).status, 409);
+        assert.strictEqual((await request('POST', '/api/boards/alpha/tasks', { title: 'X', location: 'done' })).status, 400);
+    });
+});
+
+test('POST /boards: la creación es atómica aunque dos peticiones lleguen a la vez', async () => {
+    await withServer(async ({ request, dataDir }) => {
+        const responses = await Promise.all([
+            request('POST', '/api/boards', { id: 'beta', data: { owner: 'Ana' } }),
+            request('POST', '/api/boards', { id: 'beta', data: { owner: 'Luis' } })
+        ]);
+        assert.deepStrictEqual(responses.map(response => response.status).sort(), [201, 409]);
+        const created = responses.find(response => response.status === 201);
+        assert.deepStrictEqual((await request('GET', '/api/boards/beta')).body.data, created.body.data);
+
+        // Dos procesos sobre el mismo directorio: cada uno con su propia cola de escrituras
+        const stores = [new FileStore(dataDir), new FileStore(dataDir)];
+        const results = await Promise.allSettled(stores.map((store, index) => (
+            store.write('boards', 'gamma', () => ({ data: { writer: index } }), 0)
+        )));
+        assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 409);
+        assert.deepStrictEqual(
+            (await fs.promises.readdir(path.join(dataDir, 'boards'))).sort(),
+            ['beta.json', 'gamma.json']
+        );
+    });
+});
+
+test('una ruta mal codificada responde 400', async () => {
+    await withServer(async ({ request }) => {
+        const response = await request('GET', '/api/boards/%E0%A4%A');
+        assert.strictEqual(response.status, 400);
+        assert.match(response.body.error, /mal codificada/);
+    });
+});
+
+test('con token, sólo pasa la cabecera Authorization exacta', async () => {
+    await withServer(async ({ request }) => {
+        assert.strictEqual((await request('GET', '/api/boards')).status, 401);
+        assert.strictEqual((await request('GET', '/api/boards', undefined, { Authorization: 'Bearer secreto2' })).status, 401);
+        assert.strictEqual((await request('GET', '/api/boards', undefined, { Authorization: 'Bearer secreta' })).status, 401);
+        assert.strictEqual((await request('GET', '/api/boards', undefined, { Authorization: 'Bearer secreto' })).status, 200);
+    }, { token: 'secreto' });
+});
+
+test('PUT con If-Match: una revisión antigua responde 409 con el documento actual', async () => {
+    await withServer(async ({ request }) => {
+        const created = await request('POST', '/api/boards', { id: 'delta', data: { tasks: [] } });
+        assert.strictEqual(created.headers.get('etag'), '"1"');
+
+        const first = await request('PUT', '/api/boards/delta', { data: { tasks: ['Ana'] } }, { 'If-Match': '"1"' });
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.body.revision, 2);
+        assert.strictEqual(first.headers.get('etag'), '"2"');
+
+        // Un compañero guarda con la revisión que ya no es la última
+        const stale = await request('PUT', '/api/boards/delta', { data: { tasks: ['Luis'] } }, { 'If-Match': '"1"' });
+        assert.strictEqual(stale.status, 409);
+        assert.strictEqual(stale.body.current.revision, 2);
+        assert.deepStrictEqual(stale.body.current.data, { tasks: ['Ana'] });
+
+        // La revisión también puede ir en el cuerpo
+        assert.strictEqual((await request('PUT', '/api/boards/delta', { revision: 1, data: {} })).status, 409);
+        assert.strictEqual((await request('PUT', '/api/boards/delta', { revision: 2, data: { tasks: ['Luis'] } })).status, 200);
+
+        // Sin revisión, el PUT sobrescribe
+        const forced = await request('PUT', '/api/boards/delta', { data: { tasks: [] } });
+        assert.strictEqual(forced.body.revision, 4);
+    });
+});
+
+test('un cuerpo de más de 5 MB responde 413 en lugar de cortar la conexión', async () => {
+    await withServer(async ({ request }) => {
+        await request('POST', '/api/boards', { id: 'epsilon', data: {} });
+
+        const response = await request('PUT', '/api/boards/epsilon', { data: { notes: 'x'.repeat(6 * 1024 * 1024) } });
+        assert.strictEqual(response.status, 413);
+        assert.strictEqual(response.headers.get('connection'), 'close');
+        assert.match(response.body.error, /demasiado grande/);
+
+        // El servidor sigue atendiendo y el documento no ha cambiado
+        assert.deepStrictEqual((await request('GET', '/api/boards/epsilon')).body.data, {});
+    });
+});
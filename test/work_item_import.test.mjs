@@ -0,0 +1,112 @@
+/**
+ * Tests de la importación de Jira y Azure DevOps (assets/js/work_item_import.js)
+ * Uso: node --test test/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import WorkItemImport from '../assets/js/work_item_import.js';
+
+let nextId = 0;
+const generateId = () => `id-${++nextId}`;
+
+const importText = (text, options = {}) => {
+    const parsed = WorkItemImport.parse(text);
+    const mapping = WorkItemImport.suggestMapping(parsed.headers, parsed.format);
+    return { parsed, mapping, ...WorkItemImport.mapRecords(parsed, mapping, { generateId, ...options }) };
+};
+
+test('parseCSV: comillas, comillas escapadas y saltos de línea dentro de una celda', () => {
+    const rows = WorkItemImport.parseCSV('Summary,Description\r\n"Login, con SSO","Dice ""hola""\nen dos líneas"\r\nLogout,\n');
+    assert.deepStrictEqual(rows, [
+        ['Summary', 'Description'],
+        ['Login, con SSO', 'Dice "hola"\nen dos líneas'],
+        ['Logout', '']
+    ]);
+});
+
+test('parseCSV: detecta el separador ";" de Excel en español', () => {
+    assert.deepStrictEqual(WorkItemImport.parseCSV('Summary;Story Points\nLogin, con SSO;3,5'), [
+        ['Summary', 'Story Points'],
+        ['Login, con SSO', '3,5']
+    ]);
+});
+
+test('parse: Jira repite Labels y se juntan sus valores; las filas vacías se ignoran', () => {
+    const parsed = WorkItemImport.parse('\uFEFFIssue key,Summary,Labels,Labels\nAPP-1,Login,ui,auth\n,,,\nAPP-2,Logout,,ui');
+    assert.strictEqual(parsed.format, 'jira');
+    assert.deepStrictEqual(parsed.headers, ['Issue key', 'Summary', 'Labels']);
+    assert.deepStrictEqual(parsed.records.map(record => [record.rowNumber, record.values.Labels]), [
+        [2, ['ui', 'auth']],
+        [4, ['ui']]
+    ]);
+
+    const { items } = importText('Issue key,Summary,Labels,Labels\nAPP-1,Login,ui,auth');
+    assert.deepStrictEqual(items[0].tags, ['ui', 'auth']);
+});
+
+test('parse: un CSV que no es de Jira ni de Azure DevOps se rechaza', () => {
+    assert.throws(() => WorkItemImport.parse('Nombre,Edad\nAna,30'), /No se reconoce el formato/);
+    assert.throws(() => WorkItemImport.parse('   '), /vacío/);
+});
+
+test('mapRecords: el padre se resuelve aunque aparezca después del hijo', () => {
+    const { items, report } = importText([
+        'Issue key,Issue id,Summary,Issue Type,Parent id',
+        'APP-2,1002,Pantalla de login,Story,1001',
+        'APP-1,1001,Autenticación,Epic,',
+        'APP-3,1003,Huérfana,Story,9999'
+    ].join('\n'));
+
+    const [story, epic, orphan] = items;
+    assert.strictEqual(epic.type, 'feature');
+    assert.strictEqual(story.parentId, epic.id);
+    assert.strictEqual(orphan.parentId, null);
+    assert.deepStrictEqual(report.map(entry => [entry.rowNumber, entry.level]), [[4, 'warning']]);
+    assert.match(report[0].message, /9999 no está en el fichero/);
+});
+
+test('mapRecords: un externalId repetido o ya importado no se vuelve a importar', () => {
+    const existing = [{ id: 'old', title: 'Login', source: 'jira', externalId: 'APP-1' }];
+    const { items, report } = importText('Issue key,Summary\nAPP-1,Login\nAPP-2,Logout\nAPP-2,Logout otra vez', { existing });
+
+    assert.deepStrictEqual(items.map(item => item.externalId), ['APP-2']);
+    assert.deepStrictEqual(report.map(entry => [entry.rowNumber, entry.level, entry.message]), [
+        [2, 'error', 'Ya está en el board'],
+        [4, 'error', 'Ya está en el board']
+    ]);
+});
+
+test('mapRecords: los estados cerrados se avisan y los SP de las Tasks se descartan', () => {
+    const { items, report } = importText('Issue key,Summary,Issue Type,Status,Story Points\nAPP-1,Login,Story,Done,5\nAPP-2,Test,Sub-task,To Do,2');
+
+    assert.deepStrictEqual(items.map(item => [item.type, item.status, item.storyPoints]), [
+        ['story', 'done', 5],
+        ['task', 'backlog', 0]
+    ]);
+    assert.deepStrictEqual(report.map(entry => entry.rowNumber), [2, 3]);
+    assert.match(report[0].message, /historial/);
+    assert.match(report[1].message, /2 SP descartados/);
+});
+
+test('parseAzureJSON: el padre sale de la relación Hierarchy-Reverse', () => {
+    const { items } = importText(JSON.stringify({
+        value: [
+            {
+                id: 7,
+                fields: { 'System.Title': 'Checkout', 'System.WorkItemType': 'Product Backlog Item', 'System.AssignedTo': { displayName: 'Ana' } },
+                relations: [
+                    { rel: 'System.LinkTypes.Related', url: 'https://dev.azure.com/org/_apis/wit/workItems/3' },
+                    { rel: 'System.LinkTypes.Hierarchy-Reverse', url: 'https://dev.azure.com/org/_apis/wit/workItems/5' }
+                ]
+            },
+            { id: 5, fields: { 'System.Title': 'Pagos', 'System.WorkItemType': 'Feature' } }
+        ]
+    }));
+
+    const [pbi, feature] = items;
+    assert.strictEqual(pbi.assignee, 'Ana');
+    assert.strictEqual(pbi.externalId, '7');
+    assert.strictEqual(pbi.parentId, feature.id);
+    assert.throws(() => WorkItemImport.parse('{"value": []}'), /no contiene work items/);
+});